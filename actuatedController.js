@@ -0,0 +1,168 @@
+// Fully actuated signal control on the NEMA ring-barrier
+// Stop-bar loop detectors place calls and extend greens: every actuation restarts the
+// passage timer, a phase gaps out when the passage time expires with no new vehicle, and
+// maxes out at its maximum green. A green with no conflicting demand rests.
+
+import { CONFIG } from './config.js';
+import { RingBarrierController } from './ringBarrierController.js';
+import { encodeNumber, decodeNumber } from './snapshot.js';
+
+export class ActuatedController {
+    constructor(clock) {
+        this.clock = clock; // Simulation clock shared with the game engine
+        this.passageTime = CONFIG.DEFAULT_SETTINGS.PASSAGE_TIME;
+
+        this.ringBarrier = new RingBarrierController();
+        this.ringBarrier.hasCall = (phaseNumber) => this.hasCall(phaseNumber);
+        this.ringBarrier.shouldGapOut = (phaseNumber) => this.getGap(phaseNumber) >= this.passageTime;
+        this.ringBarrier.onPhaseTerminated = (phaseNumber, reason, greenTime) => {
+            this.recordTermination(phaseNumber, reason, greenTime);
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        // Per-phase detector state
+        this.detectors = {};
+        Object.keys(CONFIG.NEMA.PHASES).forEach(number => {
+            this.detectors[number] = {
+                occupied: false,
+                lastActuation: -Infinity,   // Simulation time of the last occupied step (ms)
+                actuations: 0,              // Vehicles that entered the zone
+                call: false                 // Call locked in while the phase is not green
+            };
+        });
+        this.terminations = [];
+        this.ringBarrier.reset();
+    }
+
+    /**
+     * Apply actuated timings: through phases use the min/max green settings,
+     * left phases keep their ring-barrier timings
+     * @param {Object} settings - mode settings (MIN_GREEN_TIME, MAX_GREEN_TIME, PASSAGE_TIME, RING_BARRIER_PHASES)
+     */
+    setSettings(settings) {
+        this.passageTime = settings.PASSAGE_TIME;
+
+        const phases = { ...settings.RING_BARRIER_PHASES };
+        Object.entries(CONFIG.NEMA.PHASES).forEach(([number, phase]) => {
+            if (phase.movement === 'through') {
+                phases[number] = {
+                    ...phases[number],
+                    minGreen: settings.MIN_GREEN_TIME,
+                    maxGreen: Math.max(settings.MAX_GREEN_TIME, settings.MIN_GREEN_TIME)
+                };
+            }
+        });
+        this.ringBarrier.setPhaseTimings(phases);
+    }
+
+    getSnapshot() {
+        const detectors = {};
+        Object.entries(this.detectors).forEach(([number, detector]) => {
+            detectors[number] = { ...detector, lastActuation: encodeNumber(detector.lastActuation) };
+        });
+        return {
+            passageTime: this.passageTime,
+            detectors,
+            terminations: this.terminations,
+            ringBarrier: this.ringBarrier.getSnapshot()
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.passageTime = snapshot.passageTime;
+        this.detectors = {};
+        Object.entries(snapshot.detectors).forEach(([number, detector]) => {
+            this.detectors[number] = { ...detector, lastActuation: decodeNumber(detector.lastActuation) };
+        });
+        this.terminations = snapshot.terminations;
+        this.ringBarrier.restoreSnapshot(snapshot.ringBarrier);
+    }
+
+    update(deltaTime) {
+        this.ringBarrier.update(deltaTime);
+
+        // A call is served once its phase turns green
+        Object.keys(this.detectors).forEach(number => {
+            if (this.ringBarrier.getPhaseState(Number(number)) === CONFIG.LIGHT_STATES.GREEN) {
+                this.detectors[number].call = false;
+            }
+        });
+    }
+
+    /**
+     * Read the stop-bar loops of every phase
+     * Through phases watch the lanes of their approach serving straight-on or right-turning
+     * traffic; left phases watch the lanes left-turners queue in (lane use).
+     * @param {LoopDetectorSystem} loopDetectors - the mode's loop detectors
+     */
+    updateDetectors(loopDetectors) {
+        const now = this.clock.now();
+
+        Object.entries(CONFIG.NEMA.PHASES).forEach(([number, phase]) => {
+            const detector = this.detectors[number];
+            const loops = loopDetectors.getDetectors({ direction: phase.direction, type: 'stopbar' })
+                .filter(loop => phase.movement === 'left'
+                    ? loopDetectors.servesMovement(loop, CONFIG.TURN_TYPES.LEFT)
+                    : loopDetectors.servesMovement(loop, CONFIG.TURN_TYPES.STRAIGHT) || loopDetectors.servesMovement(loop, CONFIG.TURN_TYPES.RIGHT));
+
+            const occupied = loops.some(loop => loop.presence);
+            detector.actuations += loops.reduce((sum, loop) => sum + loop.stepCount, 0);
+
+            if (occupied) {
+                detector.lastActuation = now;
+                if (this.ringBarrier.getPhaseState(Number(number)) !== CONFIG.LIGHT_STATES.GREEN) {
+                    detector.call = true;
+                }
+            }
+            detector.occupied = occupied;
+        });
+    }
+
+    hasCall(phaseNumber) {
+        const detector = this.detectors[phaseNumber];
+        return detector.call || detector.occupied;
+    }
+
+    // Time since the phase's detector was last occupied (ms)
+    getGap(phaseNumber) {
+        return this.clock.now() - this.detectors[phaseNumber].lastActuation;
+    }
+
+    recordTermination(phaseNumber, reason, greenTime) {
+        this.terminations.push({
+            phase: phaseNumber,
+            reason: reason,
+            greenTime: greenTime,
+            time: this.clock.now()
+        });
+        console.log(`Actuated Mode: phase ${phaseNumber} ${reason} after ${(greenTime / 1000).toFixed(1)}s green`);
+    }
+
+    /**
+     * Count of green terminations by reason, per phase
+     * @returns {Object} { [phaseNumber]: { 'gap-out': n, 'max-out': n, 'force-off': n } }
+     */
+    getTerminationSummary() {
+        const summary = {};
+        this.terminations.forEach(({ phase, reason }) => {
+            summary[phase] = summary[phase] || { 'gap-out': 0, 'max-out': 0, 'force-off': 0 };
+            summary[phase][reason]++;
+        });
+        return summary;
+    }
+
+    getMovementStates() {
+        return this.ringBarrier.getMovementStates();
+    }
+
+    getDebugInfo() {
+        return {
+            rings: this.ringBarrier.getDebugInfo(),
+            calls: Object.keys(this.detectors).filter(number => this.hasCall(Number(number))).map(Number),
+            terminations: this.getTerminationSummary()
+        };
+    }
+}
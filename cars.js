@@ -1,34 +1,42 @@
 import { CONFIG } from "./config.js";
 import { utils } from './utils.js';
 import { IDMModel, MOBILModel } from './idmModel.js';
+import { random, SeededRandom, getRandomGenerator, setRandomGenerator } from './random.js';
+import { OriginDestinationDemand } from './odDemand.js';
+import { TransitSchedule } from './transitSchedule.js';
 
 export class Car {
-    constructor({ id, direction, intersection, route = null, lane = 0, roadId = null }) {
+    constructor({ id, direction, intersection, clock, route = null, lane = 0, roadId = null, turnType = null, vehicleType = 'car' }) {
         this.id = id;
+        this.vehicleType = CONFIG.VEHICLE_TYPES[vehicleType] ? vehicleType : 'car';
+        const type = CONFIG.VEHICLE_TYPES[this.vehicleType];
         this.fromDirection = direction;
         this.intersection = intersection;
+        this.clock = clock; // Simulation clock for wait-time bookkeeping
+        this.turnType = turnType || Car.drawTurnType(); // Needed before the route's destination
         this.route = route || [direction, 'intersection', this.calculateToDirection()];
         this.lane = lane; // 0 = left lane, 1 = right lane for 2-lane roads
         this.lateralPosition = 0; // 0 = center of lane
-        this.turnType = this.calculateTurnType();
         this.toDirection = this.route[2];
         
         // Physical positioning system (meters, not pixels)
-        this.roadId = roadId || this.getRoadIdFromDirection(direction);
-        this.u = 10; // Longitudinal position (arc length along road centerline) - start 10m in
+        this.roadId = roadId ?? intersection.approachRoads[direction];
+        this.u = CONFIG.GEOMETRIC.SPAWN_POSITION; // Longitudinal position (arc length along road centerline)
         this.v = lane; // Lateral position (lane index: 0, 1)
         this.laneOld = lane; // Previous lane for smooth transitions
         this.dvdt = 0; // Lateral velocity for smooth lane changes
-        this.len = CONFIG.CAR_LENGTH; // Vehicle length in meters (5m)
-        this.width = CONFIG.CAR_WIDTH; // Vehicle width in meters (2.5m)
+        this.len = type.length; // Vehicle length in meters (5m for cars)
+        this.width = type.width; // Vehicle width in meters (2.5m for cars)
+        this.pce = type.pce; // Passenger car equivalents, for saturation flow
+        this.turnSpeeds = type.turnSpeeds; // Speed through left/right turns (m/s)
 
-        // Initialize IDM physics model
+        // Initialize IDM physics model with the vehicle type's parameters
         this.idmModel = new IDMModel(
-            CONFIG.PHYSICS.IDM_V0,    // 15 m/s desired speed
-            CONFIG.PHYSICS.IDM_T,     // 1.0 s time headway
-            CONFIG.PHYSICS.IDM_S0,    // 2.0 m minimum gap
-            CONFIG.PHYSICS.IDM_A,     // 2.0 m/s² acceleration
-            CONFIG.PHYSICS.IDM_B      // 2.0 m/s² deceleration
+            type.idm.v0,    // Desired speed (m/s)
+            type.idm.T,     // Time headway (s)
+            type.idm.s0,    // Minimum gap (m)
+            type.idm.a,     // Acceleration (m/s²)
+            type.idm.b      // Comfortable deceleration (m/s²)
         );
         
         // Initialize MOBIL lane change model
@@ -40,9 +48,9 @@ export class Car {
         );
 
         // Vehicle dynamics
-        this.speed = Math.max(0, CONFIG.PHYSICS.IDM_V0 * 0.8 + (Math.random() - 0.5) * 2); // Initial speed variation
+        this.speed = Math.max(0, type.idm.v0 * 0.8 + (random() - 0.5) * 2); // Initial speed variation
         this.acc = 0; // Current acceleration
-        this.maxSpeed = CONFIG.PHYSICS.IDM_V0 * 1.2; // 18 m/s max
+        this.maxSpeed = type.idm.v0 * 1.2; // 18 m/s max for cars
         
         // Lane change parameters
         this.dt_LC = CONFIG.PHYSICS.DT_LC;           // 4.0 seconds for lane change
@@ -58,7 +66,7 @@ export class Car {
         this.angle = intersection.getVehicleOrientation(this.roadId, this.u, this.dvdt, this.speed);
 
         // Visual properties
-        this.color = CONFIG.CAR_COLORS[Math.floor(Math.random() * CONFIG.CAR_COLORS.length)];
+        this.color = type.color || CONFIG.CAR_COLORS[Math.floor(random() * CONFIG.CAR_COLORS.length)];
 
         // State management
         this.state = 'approaching'; // approaching, waiting, crossing, turning, exiting, completed
@@ -68,64 +76,28 @@ export class Car {
         this.pathProgress = 0;
         this.turnStartTime = null;
         this.isHidden = false;
+        this.transit = null; // Timetable entry of a scheduled bus, set by CarManager
         
         // Convert route to new format if needed
         this.convertRouteFormat();
         
+        // The one road vehicle backing this car; inserted into road.veh by CarManager
+        this.vehicle = this.createRoadVehicle();
+        
         console.log(`Car ${this.id} created: Road ${this.roadId}, Route ${JSON.stringify(this.route)}, Lane ${this.lane}`);
     }
     
     convertRouteFormat() {
-        // Convert old route format to new road-based format
+        // Convert the [from, 'intersection', to] route to the movement's road-ID route
         if (this.route && this.route.length === 3 && this.route[1] === 'intersection') {
-            const from = this.route[0];
-            const to = this.route[2];
-            
-            // Map to new route format based on turn type
-            if (from === to) {
-                // Straight through - same road continues
-                switch (from) {
-                    case CONFIG.DIRECTIONS.EAST: this.route = CONFIG.ROUTES.ROUTE_00; break;
-                    case CONFIG.DIRECTIONS.WEST: this.route = CONFIG.ROUTES.ROUTE_11; break;
-                    case CONFIG.DIRECTIONS.NORTH: this.route = CONFIG.ROUTES.ROUTE_23; break;
-                    case CONFIG.DIRECTIONS.SOUTH: this.route = CONFIG.ROUTES.ROUTE_45; break;
-                }
-            } else {
-                // Turning movement
-                const routeKey = this.getRoadIdFromDirection(from).toString() + 
-                                this.getRoadIdFromDirection(to, true).toString();
-                
-                switch (routeKey) {
-                    // East turns
-                    case '05': this.route = CONFIG.ROUTES.ROUTE_05; break; // East→South
-                    case '03': this.route = CONFIG.ROUTES.ROUTE_03; break; // East→North
-                    // West turns  
-                    case '13': this.route = CONFIG.ROUTES.ROUTE_13; break; // West→North
-                    case '15': this.route = CONFIG.ROUTES.ROUTE_15; break; // West→South
-                    // North turns
-                    case '20': this.route = CONFIG.ROUTES.ROUTE_20; break; // North→East
-                    case '21': this.route = CONFIG.ROUTES.ROUTE_21; break; // North→West
-                    // South turns
-                    case '41': this.route = CONFIG.ROUTES.ROUTE_41; break; // South→West
-                    case '40': this.route = CONFIG.ROUTES.ROUTE_40; break; // South→East
-                }
-            }
-        }
-    }
-    
-    getRoadIdFromDirection(direction, isExit = false) {
-        switch (direction) {
-            case CONFIG.DIRECTIONS.EAST: return isExit ? CONFIG.ROAD_IDS.EAST_BOUND : CONFIG.ROAD_IDS.EAST_BOUND;
-            case CONFIG.DIRECTIONS.WEST: return isExit ? CONFIG.ROAD_IDS.WEST_BOUND : CONFIG.ROAD_IDS.WEST_BOUND;
-            case CONFIG.DIRECTIONS.NORTH: return isExit ? CONFIG.ROAD_IDS.NORTH_EXIT : CONFIG.ROAD_IDS.NORTH_BOUND;
-            case CONFIG.DIRECTIONS.SOUTH: return isExit ? CONFIG.ROAD_IDS.SOUTH_EXIT : CONFIG.ROAD_IDS.SOUTH_BOUND;
-            default: return CONFIG.ROAD_IDS.EAST_BOUND;
+            // Movements the road network lacks keep the vehicle on its approach road
+            this.route = this.intersection.getRoute(this.route[0], this.turnType) || [this.roadId];
         }
     }
 
-    calculateTurnType() {
-        // Determine turn type based on lane and random chance
-        const turnChance = Math.random();
+    static drawTurnType() {
+        // Determine turn type from the turn probabilities
+        const turnChance = random();
         if (turnChance < CONFIG.TURN_PROBABILITIES.LEFT) {
             return CONFIG.TURN_TYPES.LEFT;
         } else if (turnChance < CONFIG.TURN_PROBABILITIES.LEFT + CONFIG.TURN_PROBABILITIES.RIGHT) {
@@ -153,86 +125,86 @@ export class Car {
 
     // PHYSICS UPDATE METHODS
 
-    update(deltaTime, lightStates) {
-        // Update using intersection's road network system
-        const road = this.intersection.network[this.roadId];
-        if (!road) return;
+    /**
+     * Build the single road vehicle that represents this car in road.veh
+     * The road system integrates it; the car only reads it back in update()
+     */
+    createRoadVehicle() {
+        return {
+            id: this.id,
+            roadID: this.roadId,
+            u: this.u,
+            v: this.v,
+            laneOld: this.laneOld,
+            lane: this.lane,
+            speed: this.speed,
+            acc: this.acc,
+            len: this.len,
+            width: this.width,
+            route: this.route,
+            type: this.vehicleType,
+            pce: this.pce,
+            turnSpeeds: this.turnSpeeds,
+            dvdt: this.dvdt,
+            dt_LC: this.dt_LC,
+            dt_afterLC: this.dt_afterLC,
+            fracLaneOptical: this.fracLaneOptical,
+            mandatoryLaneChange: this.mandatoryLaneChange,
+            tacticalLaneChange: this.tacticalLaneChange,
+            idmModel: this.idmModel,
+            mobilModel: this.mobilModel,
+            exited: false, // Set by the road system when the vehicle leaves the network
+            isRegularVeh: function() { return true; }
+        };
+    }
 
-        // Update position in the road's vehicle array if not already there
-        if (!road.veh.find(v => v.id === this.id)) {
-            // Add this car to the road's vehicle list
-            const roadVehicle = {
-                id: this.id,
-                roadID: this.roadId,
-                u: this.u,
-                v: this.v,
-                laneOld: this.laneOld,
-                lane: this.lane,
-                speed: this.speed,
-                acc: this.acc,
-                len: this.len,
-                width: this.width,
-                route: this.route,
-                type: 'car',
-                dvdt: this.dvdt,
-                dt_LC: this.dt_LC,
-                dt_afterLC: this.dt_afterLC,
-                fracLaneOptical: this.fracLaneOptical,
-                mandatoryLaneChange: this.mandatoryLaneChange,
-                tacticalLaneChange: this.tacticalLaneChange,
-                idmModel: this.idmModel,
-                mobilModel: this.mobilModel,
-                isRegularVeh: function() { return true; }
-            };
-            road.veh.push(roadVehicle);
-        }
+    update(deltaTime, lightStates) {
+        const roadVeh = this.vehicle;
+
+        // Sync properties from road vehicle back to this car
+        this.roadId = roadVeh.roadID; // Changes when the road system transfers the vehicle
+        this.u = roadVeh.u;
+        this.v = roadVeh.v;
+        this.lane = roadVeh.lane;
+        this.laneOld = roadVeh.laneOld;
+        this.speed = roadVeh.speed;
+        this.acc = roadVeh.acc;
+        this.dvdt = roadVeh.dvdt;
+        this.dt_afterLC = roadVeh.dt_afterLC;
+        this.mandatoryLaneChange = roadVeh.mandatoryLaneChange;
         
-        // Find this vehicle in the road system
-        const roadVeh = road.veh.find(v => v.id === this.id);
-        if (roadVeh) {
-            // Sync properties from road vehicle back to this car
-            this.u = roadVeh.u;
-            this.v = roadVeh.v;
-            this.lane = roadVeh.lane;
-            this.laneOld = roadVeh.laneOld;
-            this.speed = roadVeh.speed;
-            this.acc = roadVeh.acc;
-            this.dvdt = roadVeh.dvdt;
-            this.dt_afterLC = roadVeh.dt_afterLC;
-            this.mandatoryLaneChange = roadVeh.mandatoryLaneChange;
-            
-            // Update pixel position from physical position
-            this.updatePixelPosition();
-            
-            // Update state based on position
-            this.updateState(lightStates);
-        }
+        // Update pixel position from physical position
+        this.updatePixelPosition();
+        
+        // Update state based on position
+        this.updateState(lightStates);
     }
     
     updatePixelPosition() {
-        const physicalPos = this.intersection.getVehiclePosition(this.roadId, this.u, this.v);
+        // Turning vehicles are drawn along their turn path
+        const road = this.intersection.network[this.roadId];
+        const traj = road ? road.getTraj(this.vehicle) : null;
+        const physicalPos = this.intersection.getVehiclePosition(this.roadId, this.u, this.v, traj);
         if (physicalPos) {
             this.x = physicalPos.x;
             this.y = physicalPos.y;
         }
-        this.angle = this.intersection.getVehicleOrientation(this.roadId, this.u, this.dvdt, this.speed);
+        this.angle = this.intersection.getVehicleOrientation(this.roadId, this.u, this.dvdt, this.speed, traj);
     }
 
     updateState(lightStates) {
+        // The road system removed the vehicle at the network boundary
+        if (this.vehicle.exited) {
+            this.state = 'completed';
+            return;
+        }
+
         const road = this.intersection.network[this.roadId];
         if (!road) return;
 
         // Check if vehicle is in turning zone
-        let inTurningZone = false;
-        if (this.route && this.route.length > 1) {
-            for (let trajAlt of road.trajAlt) {
-                if (trajAlt.roadID === this.route[1] && 
-                    this.u >= trajAlt.umin && this.u <= trajAlt.umax) {
-                    inTurningZone = true;
-                    break;
-                }
-            }
-        }
+        const turnPath = road.getTurnPath(this.vehicle);
+        const inTurningZone = !!turnPath && this.u >= turnPath.umin && this.u <= turnPath.umax;
 
         // Update state based on position and conditions
         if (this.u > road.roadLen * 0.9) {
@@ -244,19 +216,16 @@ export class Car {
         } else if (this.speed < 2.0) {
             this.state = 'waiting';
             if (this.waitStartTime === null) {
-                this.waitStartTime = Date.now();
+                this.waitStartTime = this.clock.now();
             }
         } else {
             this.state = 'approaching';
-            if (this.waitStartTime !== null) {
-                this.totalWaitTime += Date.now() - this.waitStartTime;
-                this.waitStartTime = null;
-            }
         }
 
-        // Check if vehicle has completed its journey
-        if (this.u > road.roadLen + 5) {
-            this.state = 'completed';
+        // Close an open wait interval as soon as the vehicle stops waiting
+        if (this.state !== 'waiting' && this.waitStartTime !== null) {
+            this.totalWaitTime += this.clock.now() - this.waitStartTime;
+            this.waitStartTime = null;
         }
     }
 
@@ -285,16 +254,31 @@ export class Car {
         ctx.translate(this.x, this.y);
         ctx.rotate(this.angle);
 
-        // Draw vehicle as rectangle (convert meters to pixels)
+        // Draw vehicle body (convert meters to pixels)
         const length = this.len * CONFIG.PHYSICS.SCALE;
         const width = this.width * CONFIG.PHYSICS.SCALE;
         
-        ctx.fillRect(-length/2, -width/2, length, width);
-        ctx.strokeRect(-length/2, -width/2, length, width);
+        switch (this.vehicleType) {
+            case 'truck':
+                this.renderTruck(ctx, length, width);
+                break;
+            case 'bus':
+                this.renderBus(ctx, length, width);
+                break;
+            case 'motorcycle':
+                this.renderMotorcycle(ctx, length, width);
+                break;
+            case 'emergency':
+                this.renderEmergency(ctx, length, width);
+                break;
+            default:
+                ctx.fillRect(-length/2, -width/2, length, width);
+                ctx.strokeRect(-length/2, -width/2, length, width);
 
-        // Draw direction indicator (white rectangle at front)
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(length/3, -width/4, length/6, width/2);
+                // Draw direction indicator (white rectangle at front)
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(length/3, -width/4, length/6, width/2);
+        }
 
         // Draw lane change indicator if changing lanes
         if (this.dt_afterLC < this.dt_LC) {
@@ -307,6 +291,70 @@ export class Car {
         ctx.restore();
     }
 
+    renderTruck(ctx, length, width) {
+        // Trailer behind a separate cab
+        const cabLength = length * 0.2;
+        const gap = length * 0.04;
+        const trailerLength = length - cabLength - gap;
+
+        ctx.fillRect(-length/2, -width/2, trailerLength, width);
+        ctx.strokeRect(-length/2, -width/2, trailerLength, width);
+
+        ctx.fillStyle = '#DDDDDD';
+        ctx.fillRect(length/2 - cabLength, -width/2, cabLength, width);
+        ctx.strokeRect(length/2 - cabLength, -width/2, cabLength, width);
+
+        ctx.fillStyle = '#87CEEB'; // Windscreen
+        ctx.fillRect(length/2 - cabLength * 0.35, -width/3, cabLength * 0.2, width * 2/3);
+    }
+
+    renderBus(ctx, length, width) {
+        ctx.fillRect(-length/2, -width/2, length, width);
+        ctx.strokeRect(-length/2, -width/2, length, width);
+
+        // Rows of side windows and the windscreen
+        ctx.fillStyle = '#87CEEB';
+        const windows = 6;
+        const windowLength = length * 0.1;
+        for (let i = 0; i < windows; i++) {
+            const x = -length/2 + length * 0.06 + i * length * 0.14;
+            ctx.fillRect(x, -width/2 + 1, windowLength, width * 0.15);
+            ctx.fillRect(x, width/2 - 1 - width * 0.15, windowLength, width * 0.15);
+        }
+        ctx.fillRect(length/2 - length * 0.05, -width/3, length * 0.03, width * 2/3);
+    }
+
+    renderMotorcycle(ctx, length, width) {
+        ctx.beginPath();
+        ctx.ellipse(0, 0, length/2, width/2, 0, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+
+        // Rider
+        ctx.fillStyle = '#FFFFFF';
+        ctx.beginPath();
+        ctx.arc(-length * 0.1, 0, width * 0.35, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    renderEmergency(ctx, length, width) {
+        ctx.fillRect(-length/2, -width/2, length, width);
+        ctx.strokeRect(-length/2, -width/2, length, width);
+
+        // Red stripe along the body
+        ctx.fillStyle = '#D00000';
+        ctx.fillRect(-length/2, -width * 0.1, length * 0.7, width * 0.2);
+
+        // Light bar: red and blue halves alternate every flash period
+        const flash = Math.floor(this.clock.now() / CONFIG.PREEMPTION.FLASH_PERIOD) % 2 === 0;
+        const barX = length * 0.05;
+        const barLength = length * 0.12;
+        ctx.fillStyle = flash ? '#FF0000' : '#550000';
+        ctx.fillRect(barX, -width/2, barLength, width/2);
+        ctx.fillStyle = flash ? '#000055' : '#0040FF';
+        ctx.fillRect(barX, 0, barLength, width/2);
+    }
+
     // UTILITY METHODS
 
     getSpeed() {
@@ -330,19 +378,47 @@ export class Car {
     }
 
     getWaitTime() {
-        return this.totalWaitTime;
+        // Completed waits plus the one in progress, in simulated milliseconds
+        const currentWait = this.waitStartTime !== null ? this.clock.now() - this.waitStartTime : 0;
+        return this.totalWaitTime + currentWait;
     }
 
     getDirection() {
         return this.fromDirection;
     }
 
+    /**
+     * Everything needed to rebuild this car and its road vehicle (see Car.fromSnapshot)
+     */
+    getSnapshot() {
+        const { intersection, clock, idmModel, mobilModel, vehicle, ...fields } = this;
+        const { idmModel: vehicleIdm, mobilModel: vehicleMobil, isRegularVeh, ...vehicleFields } = vehicle;
+        return {
+            ...fields,
+            idmModel: { ...idmModel },
+            mobilModel: { ...mobilModel },
+            vehicle: vehicleFields
+        };
+    }
+
+    /**
+     * Rebuild a car without drawing any random numbers; the road vehicle is not yet on a road
+     */
+    static fromSnapshot(snapshot, intersection, clock) {
+        const { idmModel, mobilModel, vehicle, ...fields } = snapshot;
+        const car = Object.assign(Object.create(Car.prototype), fields, { intersection, clock });
+        car.idmModel = Object.assign(Object.create(IDMModel.prototype), idmModel);
+        car.mobilModel = Object.assign(Object.create(MOBILModel.prototype), mobilModel);
+        car.vehicle = Object.assign(car.createRoadVehicle(), vehicle);
+        return car;
+    }
+
     // Cleanup method
     destroy() {
-        // Remove from road's vehicle list
-        const road = this.intersection.network[this.roadId];
+        // Remove from road's vehicle list (no-op once the road system has dropped it)
+        const road = this.intersection.network[this.vehicle.roadID];
         if (road) {
-            const index = road.veh.findIndex(v => v.id === this.id);
+            const index = road.veh.indexOf(this.vehicle);
             if (index >= 0) {
                 road.veh.splice(index, 1);
             }
@@ -351,13 +427,21 @@ export class Car {
 }
 
 export class CarManager {
-    constructor(intersection) {
+    constructor(intersection, clock) {
         this.intersection = intersection;
+        this.clock = clock;
         this.cars = [];
         this.nextId = 1;
         this.spawnRate = CONFIG.DEFAULT_SETTINGS.CAR_SPAWN_RATE;
         this.lastSpawnTime = 0;
+        this.lastEmergencySpawnTime = 0;
+        this.arrivalRng = null; // Uniform-demand arrivals; seeded from the shared generator on the first one
+        this.uniformPending = {}; // Uniform-demand arrivals waiting for room at the road entrance, per approach
+        this.demand = null; // OD demand; null = uniform spawning at spawnRate
+        this.demandDefinition = null;
+        this.transit = null; // Bus route schedule; null = no scheduled buses
         this.onCarCompleted = null; // Callback for completed cars
+        this.entryDirections = null; // Approaches fed from outside the network; null = all four
         
         console.log("CarManager initialized with physics-based intersection system");
     }
@@ -365,18 +449,95 @@ export class CarManager {
     initialize(settings) {
         this.spawnRate = settings.CAR_SPAWN_RATE;
         this.settings = settings;
+        if (settings.DEMAND !== undefined && settings.DEMAND !== this.demandDefinition) {
+            this.setDemand(settings.DEMAND);
+        }
+        if (Boolean(settings.TRANSIT_SERVICE) !== Boolean(this.transit)) {
+            this.setTransitService(settings.TRANSIT_SERVICE);
+        }
         console.log(`CarManager settings updated: spawn rate ${this.spawnRate}`);
     }
 
-    update(deltaTime, lightStates) {
+    /**
+     * Load an OD demand definition (see OriginDestinationDemand); null restores uniform spawning
+     */
+    setDemand(definition) {
+        this.demandDefinition = definition;
+        this.demand = definition ? new OriginDestinationDemand(definition, this.clock) : null;
+        console.log(definition ? 'CarManager: OD demand loaded' : 'CarManager: uniform demand');
+    }
+
+    setTransitService(enabled) {
+        this.transit = enabled ? new TransitSchedule(this.clock) : null;
+        console.log(enabled ? 'CarManager: bus routes running' : 'CarManager: bus routes stopped');
+    }
+
+    /**
+     * Restrict outside demand to the given approaches; the others are fed by upstream junctions
+     * @param {Array|null} directions - CONFIG.DIRECTIONS values; null = all approaches
+     */
+    setEntryDirections(directions) {
+        this.entryDirections = directions;
+    }
+
+    isEntryDirection(direction) {
+        return !this.entryDirections || this.entryDirections.includes(direction);
+    }
+
+    /**
+     * Demand step: spawn new cars from the OD demand, or based on spawn rate
+     * A spawn blocked by a vehicle at the road entrance is retried on the next step
+     */
+    spawnVehicles(deltaTime) {
+        this.spawnEmergencyVehicles(deltaTime);
+        this.spawnTransitVehicles();
+
+        if (this.demand) {
+            this.spawnDemandVehicles();
+            return;
+        }
+
         this.lastSpawnTime += deltaTime;
         
-        // Spawn new cars based on spawn rate
         if (this.lastSpawnTime >= (1000 / this.spawnRate)) {
-            this.spawnCar();
+            // A vehicle drawn for an approach fed by an upstream junction is dropped
+            const arrival = this.drawUniformArrival();
+            if (this.isEntryDirection(arrival.direction)) {
+                this.uniformPending[arrival.direction] = this.uniformPending[arrival.direction] || [];
+                this.uniformPending[arrival.direction].push(arrival);
+            }
             this.lastSpawnTime = 0;
         }
 
+        // One entry per approach and step; the rest wait outside the network in arrival order
+        Object.values(this.uniformPending).forEach(queue => {
+            const arrival = queue[0];
+            if (arrival && this.withVehicleSeed(arrival.vehicleSeed, () => this.spawnCar(arrival.direction))) {
+                queue.shift();
+            }
+        });
+    }
+
+    /**
+     * Draw the next uniform-demand arrival from the arrival stream, so vehicle attributes and
+     * retries at a blocked entrance leave the arrival sequence unchanged
+     * @returns {Object} { direction, vehicleSeed }
+     */
+    drawUniformArrival() {
+        if (!this.arrivalRng) {
+            this.arrivalRng = new SeededRandom(Math.floor(random() * 4294967296));
+        }
+        const directions = Object.values(CONFIG.DIRECTIONS);
+        return {
+            direction: directions[Math.floor(this.arrivalRng.next() * directions.length)],
+            vehicleSeed: Math.floor(this.arrivalRng.next() * 4294967296)
+        };
+    }
+
+    /**
+     * Bookkeeping step: sync cars from their road vehicles and retire completed ones
+     */
+    update(deltaTime, lightStates) {
         // Update all existing cars
         for (let i = this.cars.length - 1; i >= 0; i--) {
             const car = this.cars[i];
@@ -393,27 +554,220 @@ export class CarManager {
         }
     }
 
-    spawnCar() {
+    /**
+     * Emergency vehicles arrive at EMERGENCY_SPAWN_RATE per hour on top of the regular demand
+     */
+    spawnEmergencyVehicles(deltaTime) {
+        const rate = this.settings ? this.settings.EMERGENCY_SPAWN_RATE : 0;
+        if (!rate) return;
+
+        this.lastEmergencySpawnTime += deltaTime;
+        if (this.lastEmergencySpawnTime >= 3600000 / rate && this.spawnEmergencyVehicle()) {
+            this.lastEmergencySpawnTime = 0;
+        }
+    }
+
+    /**
+     * Send an emergency vehicle in now
+     * @param {string|null} direction - approach; null = random
+     * @returns {Car|null} the vehicle, or null when the entrance is blocked
+     */
+    spawnEmergencyVehicle(direction = null) {
+        return this.spawnCar(direction, null, null, 'emergency');
+    }
+
+    /**
+     * Scheduled buses enter at their dispatch times; a blocked entrance holds a bus back further
+     */
+    spawnTransitVehicles() {
+        if (!this.transit) return;
+
+        this.transit.getDueTrips().forEach(trip => {
+            // Routes entering on an approach fed by an upstream junction do not run here
+            if (!this.isEntryDirection(trip.direction)) {
+                this.transit.completeDispatch(trip);
+                return;
+            }
+
+            // Buses enter in the outermost lane serving their movement on that side
+            const road = this.intersection.network[this.intersection.approachRoads[trip.direction]];
+            const lanes = road.getAllowedLanes(trip.turn);
+            const lane = trip.turn === CONFIG.TURN_TYPES.LEFT ? lanes[0] : lanes[lanes.length - 1];
+            const bus = this.spawnCar(trip.direction, trip.turn, lane, 'bus');
+            if (!bus) return;
+
+            bus.transit = {
+                routeId: trip.routeId,
+                trip: trip.index,
+                scheduledDeparture: trip.scheduledDeparture,
+                lateness: null,     // Seconds behind the timetable, set at check-in
+                late: false
+            };
+            this.transit.completeDispatch(trip);
+            console.log(`Bus route ${trip.routeId} trip ${trip.index} entered ${((this.clock.now() - trip.scheduledDeparture) / 1000).toFixed(0)}s off schedule`);
+        });
+    }
+
+    /**
+     * Check scheduled buses in at the priority detector and list the late ones before the stop line
+     * @param {number} distance - check-in detector distance upstream of the stop line (m)
+     * @returns {Array} [{ direction, turn, busId, lateness }], latest bus first
+     */
+    getPriorityRequests(distance = CONFIG.TRANSIT.DETECTION_DISTANCE) {
+        if (!this.transit) return [];
+
+        const requests = [];
+        this.cars.forEach(car => {
+            if (!car.transit) return;
+
+            const road = this.intersection.network[this.intersection.approachRoads[car.fromDirection]];
+            const toStopLine = road.stopLineU - car.u;
+            if (car.roadId !== road.roadID || toStopLine < 0 || toStopLine > distance) return;
+
+            if (car.transit.lateness === null) {
+                car.transit.lateness = this.transit.getLateness(car.transit, car.u);
+                car.transit.late = car.transit.lateness > CONFIG.TRANSIT.LATE_THRESHOLD;
+                console.log(`Bus route ${car.transit.routeId} checked in ${car.transit.lateness.toFixed(0)}s behind schedule${car.transit.late ? ' (late)' : ''}`);
+            }
+            if (car.transit.late) {
+                requests.push({ direction: car.fromDirection, turn: car.turnType, busId: car.id, lateness: car.transit.lateness });
+            }
+        });
+
+        return requests.sort((a, b) => b.lateness - a.lateness);
+    }
+
+    spawnDemandVehicles() {
+        this.demand.update();
+
+        // One entry per approach and step; the rest wait outside the network in arrival order
+        // Arrivals on approaches fed by an upstream junction are dropped
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const arrival = this.demand.peekArrival(direction);
+            if (arrival && (!this.isEntryDirection(direction) || this.spawnArrival(arrival))) {
+                this.demand.shiftArrival(direction);
+            }
+        });
+    }
+
+    spawnArrival(arrival) {
+        const road = this.intersection.network[this.intersection.approachRoads[arrival.direction]];
+        const entryLanes = road.getEntryLanes();
+        return this.withVehicleSeed(arrival.vehicleSeed, () =>
+            this.spawnCar(arrival.direction, arrival.turnType, entryLanes[Math.floor(arrival.laneShare * entryLanes.length)])
+        );
+    }
+
+    // Draw a vehicle's attributes from its own seed so it is the same vehicle whenever it enters
+    withVehicleSeed(vehicleSeed, spawn) {
+        const sharedGenerator = getRandomGenerator();
+        setRandomGenerator(new SeededRandom(vehicleSeed));
+        try {
+            return spawn();
+        } finally {
+            setRandomGenerator(sharedGenerator);
+        }
+    }
+
+    spawnCar(direction = null, turnType = null, lane = null, vehicleType = null) {
         // Select random spawn direction
-        const directions = [CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.WEST, 
-                           CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.SOUTH];
-        const direction = directions[Math.floor(Math.random() * directions.length)];
+        if (!direction) {
+            direction = this.chooseDirection(true);
+            if (!direction) return null;
+        }
         
-        // Select random lane (0 or 1 for 2-lane roads)
-        const lane = Math.floor(Math.random() * 2);
+        // Drivers pick their lane upstream: a random lane serving their movement that is open at the
+        // entry, or the one nearest the lane given. A movement served only by a turn bay (which
+        // begins further on) enters in the open lane next to the bay.
+        const road = this.intersection.network[this.intersection.approachRoads[direction]];
+        turnType = turnType || Car.drawTurnType();
+        const allowedLanes = road.getAllowedLanes(turnType);
+        const laneDistance = (entryLane) => Math.min(...allowedLanes.map(allowed => Math.abs(allowed - entryLane)));
+        const entryLanes = road.getEntryLanes();
+        const nearestDistance = Math.min(...entryLanes.map(laneDistance));
+        const candidates = entryLanes.filter(entryLane => laneDistance(entryLane) === nearestDistance);
+        if (lane === null) {
+            lane = candidates[Math.floor(random() * candidates.length)];
+        }
+        lane = candidates.reduce((best, candidate) => Math.abs(candidate - lane) < Math.abs(best - lane) ? candidate : best);
+        
+        // Keep the entrance clear: never insert on top of another vehicle
+        if (!road.canSpawnVehicle({ lane: lane, u: CONFIG.GEOMETRIC.SPAWN_POSITION })) {
+            return null;
+        }
         
         // Create car with physics-based system
         const car = new Car({
             id: this.nextId++,
             direction: direction,
             intersection: this.intersection,
+            clock: this.clock,
             lane: lane,
-            route: null // Will be calculated based on turn probabilities
+            turnType: turnType,
+            vehicleType: vehicleType || this.chooseVehicleType(),
+            route: null
         });
+        this.setEntrySpeed(car, car.speed);
 
         this.cars.push(car);
+        road.veh.push(car.vehicle);
         
         console.log(`Spawned car ${car.id} from ${direction} in lane ${lane}`);
+        return car;
+    }
+
+    /**
+     * Draw an approach at random
+     * @param {boolean} entriesOnly - only approaches fed from outside the network
+     * @returns {string|null} CONFIG.DIRECTIONS value, or null when there is none to draw from
+     */
+    chooseDirection(entriesOnly = false) {
+        const directions = [CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.WEST, 
+                           CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.SOUTH]
+            .filter(direction => !entriesOnly || this.isEntryDirection(direction));
+        if (directions.length === 0) return null;
+        return directions[Math.floor(random() * directions.length)];
+    }
+
+    /**
+     * Continue a vehicle that left an upstream junction on this junction's approach
+     * It keeps its type, lane, speed and a bus's timetable entry; its turn here is drawn from the
+     * turn probabilities.
+     * @param {Object|null} transit - timetable entry of a scheduled bus (Car.transit), null otherwise
+     * @returns {Car|null} the vehicle, or null when the entrance lane is occupied
+     */
+    spawnTransferredVehicle(direction, lane, vehicleType, speed, transit = null) {
+        const car = this.spawnCar(direction, null, lane, vehicleType);
+        if (car) {
+            this.setEntrySpeed(car, speed);
+            car.transit = transit;
+        }
+        return car;
+    }
+
+    // Vehicles enter no faster than the approach's speed limit; emergency vehicles may exceed it
+    setEntrySpeed(car, speed) {
+        const limit = this.intersection.network[car.roadId].speedLimit;
+        const entrySpeed = limit !== null && car.vehicleType !== 'emergency' ? Math.min(speed, limit) : speed;
+        car.speed = entrySpeed;
+        car.vehicle.speed = entrySpeed;
+    }
+
+    /**
+     * Draw a vehicle type in proportion to the VEHICLE_MIX setting
+     * @returns {string} key of CONFIG.VEHICLE_TYPES
+     */
+    chooseVehicleType() {
+        const mix = (this.settings && this.settings.VEHICLE_MIX) || CONFIG.DEFAULT_SETTINGS.VEHICLE_MIX;
+        const types = Object.entries(mix).filter(([type, share]) => CONFIG.VEHICLE_TYPES[type] && share > 0);
+        const total = types.reduce((sum, [, share]) => sum + share, 0);
+
+        let pick = random() * total;
+        for (const [type, share] of types) {
+            pick -= share;
+            if (pick < 0) return type;
+        }
+        return 'car';
     }
 
     render(ctx) {
@@ -434,6 +788,11 @@ export class CarManager {
         this.cars = [];
         this.nextId = 1;
         this.lastSpawnTime = 0;
+        this.lastEmergencySpawnTime = 0;
+        this.arrivalRng = null;
+        this.uniformPending = {};
+        if (this.demand) this.demand.reset();
+        if (this.transit) this.transit.reset();
         
         // Reset all road networks
         this.intersection.reset();
@@ -441,11 +800,63 @@ export class CarManager {
         console.log("CarManager reset - all vehicles cleared");
     }
 
+    getSnapshot() {
+        return {
+            nextId: this.nextId,
+            lastSpawnTime: this.lastSpawnTime,
+            lastEmergencySpawnTime: this.lastEmergencySpawnTime,
+            arrivalRng: this.arrivalRng ? this.arrivalRng.getState() : null,
+            uniformPending: this.uniformPending,
+            spawnRate: this.spawnRate,
+            cars: this.cars.map(car => car.getSnapshot()),
+            demand: this.demand ? this.demand.getSnapshot() : null,
+            transit: this.transit ? this.transit.getSnapshot() : null
+        };
+    }
+
+    /**
+     * Rebuild the cars; the caller puts their road vehicles back on the roads
+     * @returns {Map} vehicle id -> road vehicle
+     */
+    restoreSnapshot(snapshot) {
+        this.nextId = snapshot.nextId;
+        this.lastSpawnTime = snapshot.lastSpawnTime;
+        this.lastEmergencySpawnTime = snapshot.lastEmergencySpawnTime ?? 0;
+        this.arrivalRng = null;
+        if (snapshot.arrivalRng) {
+            this.arrivalRng = new SeededRandom();
+            this.arrivalRng.setState(snapshot.arrivalRng);
+        }
+        this.uniformPending = snapshot.uniformPending ?? {};
+        this.spawnRate = snapshot.spawnRate;
+        this.cars = snapshot.cars.map(carSnapshot => Car.fromSnapshot(carSnapshot, this.intersection, this.clock));
+        if (this.demand && snapshot.demand) {
+            this.demand.restoreSnapshot(snapshot.demand);
+        }
+        if (this.transit && snapshot.transit) {
+            this.transit.restoreSnapshot(snapshot.transit);
+        }
+        return new Map(this.cars.map(car => [car.vehicle.id, car.vehicle]));
+    }
+
     // Statistics methods
     getCarCount() {
         return this.cars.length;
     }
 
+    /**
+     * Arrivals waiting outside the network for room at their road entrance
+     * @returns {Object} { direction: vehicles }
+     */
+    getWaitingArrivals() {
+        const waiting = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const queue = this.demand ? this.demand.pending[direction] : this.uniformPending[direction];
+            waiting[direction] = queue ? queue.length : 0;
+        });
+        return waiting;
+    }
+
     getAverageSpeed() {
         if (this.cars.length === 0) return 0;
         
@@ -0,0 +1,214 @@
+// Side-by-side comparison of two control modes, or two junction types, on identical traffic
+// Each side is a complete GameEngine with its own Intersection, clock and random generator.
+// Both sides start from the same seed and run OD demand, whose arrivals never depend on the
+// signals or the junction, so every vehicle enters both junctions at the same time with the
+// same attributes.
+
+import { CONFIG } from './config.js';
+import { SeededRandom, getRandomGenerator, setRandomGenerator } from './random.js';
+import { OriginDestinationDemand } from './odDemand.js';
+
+// Measures shown in the delta table; delta = second side minus first side
+const COMPARED_MEASURES = ['throughput', 'controlDelay', 'averageWaitTime', 'queue', 'queue95'];
+
+export class ComparisonEngine {
+    /**
+     * @param {Function} createEngine - factory returning a new, uninitialized GameEngine for a side
+     * @param {Array} sides - [{ mode, label, roundabout? }] for the left and right side
+     */
+    constructor(createEngine, sides = CONFIG.COMPARISON.SCENARIOS[CONFIG.COMPARISON.DEFAULT_SCENARIO].sides) {
+        this.sides = sides.map(side => ({
+            ...side,
+            engine: createEngine(side),
+            rng: new SeededRandom()     // Each side draws from its own generator
+        }));
+        this.seed = null;
+        this.spawnRate = null;
+        this.spawnRateDemand = false;   // True when the demand was derived from the spawn rate
+    }
+
+    /**
+     * Start both sides from the same seed and demand
+     * @param {Array} settingsBySide - settings of each side, in side order; seed, demand and spawn
+     *                                 rate come from the first side
+     */
+    initialize(settingsBySide = []) {
+        const shared = settingsBySide[0] || CONFIG.DEFAULT_SETTINGS;
+        this.seed = shared.RANDOM_SEED ?? Math.floor(Math.random() * 4294967296);
+        this.spawnRate = shared.CAR_SPAWN_RATE;
+        this.spawnRateDemand = !shared.DEMAND;
+        const demand = shared.DEMAND || ComparisonEngine.demandFromSpawnRate(this.spawnRate);
+
+        this.sides.forEach((side, index) => this.withSide(side, () => {
+            const settings = {
+                ...(settingsBySide[index] || CONFIG.DEFAULT_SETTINGS),
+                RANDOM_SEED: this.seed,
+                DEMAND: demand
+            };
+
+            side.engine.initialize();
+            side.engine.updateMode(side.mode);
+            Object.entries(settings).forEach(([key, value]) => {
+                side.engine.updateSetting(key, value, side.mode);
+            });
+            side.engine.reset();
+        }));
+
+        console.log(`Comparison initialized: ${this.sides.map(side => side.label).join(' vs ')}, seed ${this.seed}`);
+    }
+
+    /**
+     * Uniform spawning picks directions at random and retries blocked spawns, so it cannot
+     * be replayed on two intersections; the comparison runs the equivalent Poisson OD demand
+     * @param {number} spawnRate - vehicles per second over all approaches
+     */
+    static demandFromSpawnRate(spawnRate) {
+        const approachVolume = spawnRate * 3600 / 4;
+        return OriginDestinationDemand.fromApproachVolumes(
+            { east: approachVolume, west: approachVolume, north: approachVolume, south: approachVolume },
+            CONFIG.TURN_PROBABILITIES,
+            { headway: CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS.POISSON }
+        );
+    }
+
+    // Run fn with the side's generator active, so both sides consume identical random streams
+    withSide(side, fn) {
+        const sharedGenerator = getRandomGenerator();
+        setRandomGenerator(side.rng);
+        try {
+            return fn();
+        } finally {
+            setRandomGenerator(sharedGenerator);
+        }
+    }
+
+    update() {
+        this.sides.forEach(side => this.withSide(side, () => side.engine.update()));
+    }
+
+    reset() {
+        this.sides.forEach(side => this.withSide(side, () => side.engine.reset()));
+        console.log('Comparison reset');
+    }
+
+    /**
+     * Apply a setting to both sides, or only to the side running targetMode
+     */
+    updateSetting(key, value, targetMode = null) {
+        if (key === 'DEMAND') {
+            this.spawnRateDemand = !value;
+            this.setDemand(value || ComparisonEngine.demandFromSpawnRate(this.spawnRate));
+            return;
+        }
+
+        this.sides
+            .filter(side => !targetMode || side.mode === targetMode)
+            .forEach(side => this.withSide(side, () => side.engine.updateSetting(key, value, side.mode)));
+
+        if (key === 'CAR_SPAWN_RATE') {
+            this.updateSpawnRate(value);
+        }
+    }
+
+    updateSettings(settings) {
+        this.sides.forEach(side => this.withSide(side, () => side.engine.updateSettings(settings)));
+
+        if (settings.CAR_SPAWN_RATE !== undefined) {
+            this.updateSpawnRate(settings.CAR_SPAWN_RATE);
+        }
+    }
+
+    updateSpawnRate(spawnRate) {
+        if (spawnRate === this.spawnRate) return;
+        this.spawnRate = spawnRate;
+        if (this.spawnRateDemand) {
+            this.setDemand(ComparisonEngine.demandFromSpawnRate(spawnRate));
+        }
+    }
+
+    setDemand(definition) {
+        this.sides.forEach(side => this.withSide(side, () => side.engine.updateSetting('DEMAND', definition, side.mode)));
+    }
+
+    /**
+     * Send the same emergency vehicle into both intersections
+     * @returns {Car|null} the first side's vehicle
+     */
+    dispatchEmergencyVehicle(direction = null) {
+        const cars = this.sides.map(side => this.withSide(side, () => side.engine.dispatchEmergencyVehicle(direction)));
+        return cars[0];
+    }
+
+    /**
+     * Draw each side scaled into its own half of the canvas
+     */
+    render(ctx, canvas) {
+        const width = canvas.width / this.sides.length;
+        const scale = CONFIG.COMPARISON.VIEW_SCALE;
+
+        this.sides.forEach((side, index) => {
+            const left = index * width;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, 0, width, canvas.height);
+            ctx.clip();
+            ctx.translate(left + (width - canvas.width * scale) / 2, (canvas.height - canvas.height * scale) / 2);
+            ctx.scale(scale, scale);
+            side.engine.renderScene(ctx);
+            ctx.restore();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 24px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(side.label, left + width / 2, 40);
+        });
+
+        // Divider between the sides
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        for (let i = 1; i < this.sides.length; i++) {
+            ctx.beginPath();
+            ctx.moveTo(i * width, 0);
+            ctx.lineTo(i * width, canvas.height);
+            ctx.stroke();
+        }
+    }
+
+    getPrimaryEngine() {
+        return this.sides[0].engine;
+    }
+
+    /**
+     * Live performance of both sides and the difference between them
+     * @returns {Object} { simulatedSeconds, sides: [...], delta: { measure: right - left } }
+     */
+    getReport() {
+        const sides = this.sides.map(side => {
+            const stats = side.engine.getStatistics();
+            const intersection = side.engine.getMovementReport().intersection;
+            return {
+                mode: side.mode,
+                label: side.label,
+                throughput: stats.throughput,               // veh/h
+                totalCarsPassed: stats.totalCarsPassed,
+                controlDelay: stats.controlDelay,           // s/veh
+                averageWaitTime: stats.averageWaitTime,     // s
+                levelOfService: stats.levelOfService,
+                queue: intersection.currentQueue,           // vehicles queued now
+                queue95: intersection.queue95               // 95th-percentile approach queue
+            };
+        });
+
+        const delta = {};
+        COMPARED_MEASURES.forEach(measure => {
+            delta[measure] = sides[1][measure] - sides[0][measure];
+        });
+
+        return {
+            simulatedSeconds: this.getPrimaryEngine().clock.getSeconds(),
+            sides,
+            delta
+        };
+    }
+}
@@ -4,31 +4,16 @@ export const CONFIG = {
     CANVAS_HEIGHT: 1200,
 
     // Physical dimensions (in meters)
-    LANE_WIDTH: 3.0,              // Exactly 3.0 meters per lane
-    N_LANES_MAIN: 2,              // 2 lanes for East-West main roads
-    N_LANES_SEC: 2,               // 2 lanes for North-South secondary roads
+    LANE_WIDTH: 3.0,              // Lane width where a road network file gives none (m)
     CAR_LENGTH: 5,                // Cars are 5 meters long
     CAR_WIDTH: 2.5,               // Cars are 2.5 meters wide
     TRUCK_LENGTH: 10,             // Trucks are 10 meters long
     TRUCK_WIDTH: 3,               // Trucks are 3 meters wide
 
-    // Turn radius calculations
-    RADIUS_RIGHT: 7.5,            // (2.0 + 0.5*1) * 3.0 = 7.5 meters
-    RADIUS_LEFT: 11.25,           // 1.5 * 7.5 = 11.25 meters
-
-    // Arc length calculations
-    LEN_RIGHT: 11.78,             // 0.5 * π * 7.5 = 11.78 meters (90° arc)
-    LEN_LEFT: 17.67,              // 0.5 * π * 11.25 = 17.67 meters (90° arc)
-
     // Center point definition
     CENTER_X_REL: 0.50,           // 50% from left edge of viewport
     CENTER_Y_REL: -0.50,          // 50% from bottom edge of viewport
 
-    // Road offsets from intersection center
-    OFFSET_MAIN: 3.0,             // 0.5 * 3.0 * 2 = 3.0 meters
-    OFFSET_SEC: 3.0,              // 0.5 * 3.0 * 2 = 3.0 meters
-    OFFSET_20_TARGET: 4.5,        // (2 - 0.5) * 3.0 = 4.5 meters
-
     // Rendering settings
     N_SEGM: 100,                  // Each road divided into exactly 100 segments
     DU_LINE: 15,                  // 15 meters between lane line segments
@@ -63,10 +48,75 @@ export const CONFIG = {
         RIGHT: 'right'
     },
 
+    // Lane-use letters of the movements a lane serves (road network files, e.g. 'L', 'TR')
+    LANE_USE: {
+        left: 'L',
+        straight: 'T',
+        right: 'R'
+    },
+
     // Modes
     MODES: {
         FIXED: 'fixed',
-        ADAPTIVE: 'adaptive'
+        ADAPTIVE: 'adaptive',
+        RING_BARRIER: 'ringBarrier',
+        ACTUATED: 'actuated',
+        YIELD: 'yield',             // No signal controller: every approach gives way (roundabouts)
+        COMPARISON: 'comparison'
+    },
+
+    // Side-by-side comparison: two independent junctions fed identical arrivals
+    // A side runs its mode on the current road network, or on a roundabout layout when it names one.
+    COMPARISON: {
+        SCENARIOS: {
+            controllers: {
+                label: 'Fixed vs Adaptive',
+                sides: [
+                    { mode: 'fixed', label: 'Fixed Timer' },
+                    { mode: 'adaptive', label: 'Adaptive' }
+                ]
+            },
+            roundabout: {
+                label: 'Signalized vs Roundabout',
+                sides: [
+                    { mode: 'actuated', label: 'Signalized' },
+                    { mode: 'yield', roundabout: 'single', label: 'Roundabout' }
+                ]
+            }
+        },
+        DEFAULT_SCENARIO: 'controllers',
+        VIEW_SCALE: 0.5             // Each side is drawn at half size in its half of the canvas
+    },
+
+    // Roundabouts: a ring road circulating counterclockwise, entered at yield lines (see roundabout.js)
+    ROUNDABOUT: {
+        LAYOUTS: {
+            single: { label: 'Single-Lane Roundabout', lanes: 1, radius: 16, laneWidth: 5.0 },
+            double: { label: 'Two-Lane Roundabout', lanes: 2, radius: 22, laneWidth: 4.0 }
+        },
+        LEG_LENGTH: 100,            // Approach and exit roads, from the ring's outer edge (m)
+        SPLITTER_WIDTH: 3.0,        // Splitter island between a leg's entry and exit (m)
+        YIELD_SETBACK: 1.0,         // Yield line sits this far before the ring's outer edge (m)
+        CIRCULATING_SPEED: 8.0,     // Speed limit on the ring (m/s, ~30 km/h)
+        CRITICAL_GAP: 4.0,          // Lag entering vehicles accept in circulating traffic (s)
+        MERGE_CLEARANCE: 2.0        // Space an entering vehicle leaves behind a circulating one (m)
+    },
+
+    // Multi-intersection networks: junctions on a rectangular grid, each exit feeding the
+    // neighbouring junction's approach in the same travel direction
+    NETWORK: {
+        LAYOUTS: {
+            corridor: { label: 'East-West Corridor', rows: 1, columns: 3 },
+            grid: { label: '2×2 Grid', rows: 2, columns: 2 }
+        },
+        EXIT_BLOCK_DISTANCE: 60,    // Vehicles this close to a blocked exit stop short of it (m)
+        PROGRESSION_SPEED: 13.9     // Default green-wave speed (m/s, 50 km/h)
+    },
+
+    // Trajectory recording and replay
+    REPLAY: {
+        MAX_FRAMES: 6000,           // Steps kept in the ring buffer (~12 simulated minutes)
+        SPEEDS: [0.25, 0.5, 1, 2, 4, 8] // Playback speeds (recorded steps per simulation step)
     },
 
     // Light settings
@@ -79,6 +129,46 @@ export const CONFIG = {
         GREEN: 'green'
     },
 
+    // Left-turn signal indications (per approach, alongside the through ball)
+    LEFT_TURN_STATES: {
+        PERMITTED: 'permitted',   // No arrow: follow the ball, yield to opposing traffic
+        PROTECTED: 'protected',   // Green arrow
+        YELLOW: 'yellow',         // Yellow arrow
+        RED: 'red'                // Red arrow
+    },
+
+    // Pedestrian signal indications (one head per crosswalk)
+    PEDESTRIAN_STATES: {
+        WALK: 'walk',
+        FLASHING_DONT_WALK: 'flashingDontWalk', // Pedestrian clearance: finish crossing, do not start
+        DONT_WALK: 'dontWalk'
+    },
+
+    // Left-turn phasing options for fixed mode
+    LEFT_TURN_PHASING: {
+        PERMITTED: 'permitted',   // Permitted lefts only
+        LEADING: 'leading',       // Protected arrow before the through green
+        LAGGING: 'lagging'        // Protected arrow after the through green
+    },
+
+    // NEMA dual-ring, eight-phase controller (ring-barrier mode)
+    // Even phases are through movements (right turns follow them), odd phases are protected lefts.
+    // Directions name the travel direction of the approach, as in CONFIG.DIRECTIONS.
+    NEMA: {
+        RINGS: [[1, 2, 3, 4], [5, 6, 7, 8]],
+        BARRIER_GROUPS: [[1, 2, 5, 6], [3, 4, 7, 8]],   // Main street | side street
+        PHASES: {   // Times in ms
+            1: { direction: 'west',  movement: 'left',    minGreen: 5000,  maxGreen: 10000, yellow: 3000, redClearance: 1000 },
+            2: { direction: 'east',  movement: 'through', minGreen: 10000, maxGreen: 30000, yellow: 4000, redClearance: 2000 },
+            3: { direction: 'south', movement: 'left',    minGreen: 5000,  maxGreen: 10000, yellow: 3000, redClearance: 1000 },
+            4: { direction: 'north', movement: 'through', minGreen: 8000,  maxGreen: 25000, yellow: 4000, redClearance: 2000 },
+            5: { direction: 'east',  movement: 'left',    minGreen: 5000,  maxGreen: 10000, yellow: 3000, redClearance: 1000 },
+            6: { direction: 'west',  movement: 'through', minGreen: 10000, maxGreen: 30000, yellow: 4000, redClearance: 2000 },
+            7: { direction: 'north', movement: 'left',    minGreen: 5000,  maxGreen: 10000, yellow: 3000, redClearance: 1000 },
+            8: { direction: 'south', movement: 'through', minGreen: 8000,  maxGreen: 25000, yellow: 4000, redClearance: 2000 }
+        }
+    },
+
     // Default settings
     DEFAULT_SETTINGS: {
         GREEN_DURATION: 100000,
@@ -87,8 +177,113 @@ export const CONFIG = {
         CAR_SPAWN_RATE: 4,
         CAR_SPEED: 25,
         TURN_RATE: 0.4,
-        DETECTOR_DISTANCE: 500,
-        MIN_GREEN_TIME: 5000
+        DETECTOR_DISTANCE: 60,      // Advance loop distance upstream of the stop line (m)
+        DETECTOR_INTERVAL: 60000,   // Loop detector aggregation interval (ms)
+        DEMAND: null,               // OD demand definition (see CONFIG.DEMAND_PROFILES); null = uniform CAR_SPAWN_RATE
+        MIN_GREEN_TIME: 5000,
+        MAX_GREEN_TIME: 30000,      // Actuated max-out for through phases
+        PASSAGE_TIME: 3000,         // Actuated extension per detector actuation (gap-out threshold)
+        LEFT_TURN_PHASING: 'permitted',
+        LEFT_ARROW_DURATION: 8000,
+        CYCLE_LENGTH: 0,            // Fixed-time cycle (ms); the reference green takes up the slack (0 = sum of the phases)
+        CYCLE_OFFSET: 0,            // Start of the reference green on the common cycle clock (ms)
+        REFERENCE_PHASE: 'NS',      // Pair ('NS' or 'WE') whose green start the offset refers to
+        FIXED_PHASES: null,         // Explicit fixed-time plan [{ pair, through, left, duration (ms) }], e.g. imported from SUMO; null = built from the timings above
+        RING_BARRIER_PHASES: {},    // Per-phase timing overrides for ring-barrier mode, keyed by phase number
+        VEHICLE_MIX: {              // Share of each CONFIG.VEHICLE_TYPES entry among spawned vehicles
+            car: 0.88,
+            truck: 0.06,
+            bus: 0.03,
+            motorcycle: 0.03
+        },
+        EMERGENCY_SPAWN_RATE: 0,    // Emergency vehicles per hour over all approaches (0 = dispatch manually)
+        PREEMPTION_DISTANCE: 120,   // Emergency vehicle detection distance upstream of the stop line (m, 0 = off)
+        TRANSIT_SERVICE: false,     // Run the scheduled bus routes of CONFIG.TRANSIT.ROUTES
+        TRANSIT_PRIORITY: true,     // Late buses request green extension / early green
+        PEDESTRIAN_RATE: 0,         // Pedestrian arrivals per hour at each crosswalk (0 = none)
+        LEADING_PEDESTRIAN_INTERVAL: 0, // WALK shown this long before the parallel vehicle green (ms, 0 = off)
+        RANDOM_SEED: 12345          // Seed for the shared PRNG (null = pick a fresh seed)
+    },
+
+    // Vehicle types: dimensions (m), IDM parameters, turn speeds (m/s) and passenger car equivalents
+    // Heavy vehicles accelerate slower and keep longer gaps and headways; PCE follows the HCM (E_T = 2.0)
+    VEHICLE_TYPES: {
+        car: {
+            length: 5, width: 2.5,      // CAR_LENGTH, CAR_WIDTH
+            idm: { v0: 15, T: 1.0, s0: 2.0, a: 2.0, b: 2.0 },
+            turnSpeeds: { left: 5.0, right: 7.0 },
+            pce: 1.0,
+            color: null                 // Random from CAR_COLORS
+        },
+        truck: {
+            length: 10, width: 3,       // TRUCK_LENGTH, TRUCK_WIDTH
+            idm: { v0: 13, T: 1.6, s0: 3.5, a: 0.8, b: 1.5 },
+            turnSpeeds: { left: 3.5, right: 4.5 },
+            pce: 2.0,
+            color: '#7A4E2D'
+        },
+        bus: {
+            length: 12, width: 2.55,
+            idm: { v0: 13, T: 1.5, s0: 3.0, a: 1.0, b: 1.5 },
+            turnSpeeds: { left: 4.0, right: 5.0 },
+            pce: 2.0,
+            color: '#F2B705'
+        },
+        motorcycle: {
+            length: 2.2, width: 0.9,
+            idm: { v0: 16, T: 0.8, s0: 1.5, a: 3.0, b: 2.5 },
+            turnSpeeds: { left: 6.0, right: 8.0 },
+            pce: 0.5,
+            color: '#222222'
+        },
+        emergency: {                    // Never drawn from VEHICLE_MIX; see EMERGENCY_SPAWN_RATE
+            length: 6, width: 2.5,
+            idm: { v0: 20, T: 0.8, s0: 2.0, a: 3.0, b: 3.0 },
+            turnSpeeds: { left: 6.0, right: 8.0 },
+            pce: 1.0,
+            color: '#FFFFFF'
+        }
+    },
+
+    // Emergency vehicle preemption
+    // A detected emergency vehicle ends the running phase through yellow and all-red, gets an
+    // exclusive green (with protected left arrow) on its approach, and the mode restarts afterwards
+    PREEMPTION: {
+        ALL_RED: 2000,              // Red clearance before and after the preempted green (ms)
+        MIN_SERVICE: 3000,          // Shortest preempted green (ms)
+        YIELD_DISTANCE: 60,         // Vehicles move aside for an emergency vehicle this close behind (m)
+        YIELD_INCENTIVE: 1.0,       // Added to the MOBIL incentive of a yielding vehicle (m/s²)
+        FLASH_PERIOD: 250           // Light bar flash period (ms)
+    },
+
+    // Scheduled bus routes and transit signal priority (TSP)
+    // A bus enters off its timetable by a random deviation and checks in at a detector upstream of
+    // the stop line; a late bus requests priority until it crosses the stop line
+    TRANSIT: {
+        ROUTES: [
+            { id: '10', direction: 'east', turn: 'straight', headway: 240, offset: 30 },    // s
+            { id: '22', direction: 'north', turn: 'straight', headway: 300, offset: 90 }
+        ],
+        SCHEDULE_SPEED: 10,         // Timetable running speed from the network entry (m/s)
+        DISPATCH_DEVIATION: { EARLY: 30, LATE: 120 }, // Uniform entry deviation from the timetable (s)
+        LATE_THRESHOLD: 60,         // Behind schedule by more than this at check-in = late (s)
+        DETECTION_DISTANCE: 75,     // Check-in detector upstream of the stop line (m)
+        MAX_EXTENSION: 15000,       // Longest green extension past the phase's normal end (ms)
+        MAX_EARLY_GREEN: 20000,     // Most a conflicting green is shortened, never below min green (ms)
+        MAX_CROSS_WAIT: 90000       // No extension once a cross-street approach has been red this long (ms)
+    },
+
+    // Crosswalks and pedestrian signals
+    // A crosswalk spans one leg between the approach's stop line and the intersection box. Its WALK
+    // runs with the through green of the parallel approaches, followed by flashing DON'T WALK long
+    // enough to cross the full length at WALKING_SPEED; the green is held until the clearance ends.
+    PEDESTRIANS: {
+        CROSSWALK_WIDTH: 3.0,       // Painted width (m); stop lines sit this much further back
+        WALK_TIME: 7000,            // WALK interval (ms), includes any leading pedestrian interval
+        WALKING_SPEED: 1.07,        // Clearance design speed (m/s, 3.5 ft/s)
+        SPEED_RANGE: { MIN: 1.1, MAX: 1.6 }, // Speeds of simulated pedestrians (m/s)
+        YIELD_SETBACK: 1.0,         // Turning vehicles stop this far before the crosswalk (m)
+        CALL_SCORE: 15              // Adaptive mode priority score of a waiting pedestrian call
     },
 
     // Turn delays (based on arc length / speed)
@@ -106,16 +301,6 @@ export const CONFIG = {
         WEST: 180
     },
 
-    // Road IDs for connection matrix
-    ROAD_IDS: {
-        EAST_BOUND: 0,
-        WEST_BOUND: 1,
-        NORTH_BOUND: 2,
-        SOUTH_BOUND: 4,
-        NORTH_EXIT: 3,
-        SOUTH_EXIT: 5
-    },
-
     // Physics Constants for IDM and MOBIL models
     PHYSICS: {
         DT: 3.5 / 30,               // Time step = timewarp/fps = 0.117 seconds
@@ -136,33 +321,56 @@ export const CONFIG = {
         MOBIL_BIAS_RIGHT: 0.3,      // Right lane bias
         MOBIL_SAFE_DECEL: 4.0,      // Safe deceleration limit (m/s²)
         
+        // Gap acceptance
+        LEFT_TURN_CRITICAL_GAP: 4.5, // Critical gap for permitted left turns (s)
+        
         // Traffic Flow
         TIMEWARP: 3.5,              // Simulation speed multiplier
         FPS: 30,                    // Frames per second
         SCALE: 6.0,                 // Pixels per meter (1200px / 200m)
     },
 
-    // Route Definitions (all 12 possible routes)
-    ROUTES: {
-        // East-bound routes (Road 0)
-        ROUTE_00: [0],              // East straight
-        ROUTE_05: [0, 5],           // East → South (right turn)
-        ROUTE_03: [0, 3],           // East → North (left turn)
-        
-        // West-bound routes (Road 1)  
-        ROUTE_11: [1],              // West straight
-        ROUTE_13: [1, 3],           // West → North (right turn)
-        ROUTE_15: [1, 5],           // West → South (left turn)
-        
-        // North-bound routes (Road 2)
-        ROUTE_23: [2, 3],           // North straight
-        ROUTE_20: [2, 0],           // North → East (right turn)
-        ROUTE_21: [2, 1],           // North → West (left turn)
-        
-        // South-bound routes (Road 4)
-        ROUTE_45: [4, 5],           // South straight
-        ROUTE_41: [4, 1],           // South → West (right turn)
-        ROUTE_40: [4, 0],           // South → East (left turn)
+    // Origin approach and turn of each movement; its road-ID route comes from the road network file
+    ROUTE_MOVEMENTS: {
+        ROUTE_00: { direction: 'east',  turn: 'straight' },
+        ROUTE_05: { direction: 'east',  turn: 'right' },
+        ROUTE_03: { direction: 'east',  turn: 'left' },
+        ROUTE_11: { direction: 'west',  turn: 'straight' },
+        ROUTE_13: { direction: 'west',  turn: 'right' },
+        ROUTE_15: { direction: 'west',  turn: 'left' },
+        ROUTE_23: { direction: 'north', turn: 'straight' },
+        ROUTE_20: { direction: 'north', turn: 'right' },
+        ROUTE_21: { direction: 'north', turn: 'left' },
+        ROUTE_45: { direction: 'south', turn: 'straight' },
+        ROUTE_41: { direction: 'south', turn: 'right' },
+        ROUTE_40: { direction: 'south', turn: 'left' }
+    },
+
+    // Origin-destination demand
+    DEMAND: {
+        HEADWAY_DISTRIBUTIONS: {
+            POISSON: 'poisson',                         // Exponential headways (random arrivals)
+            SHIFTED_EXPONENTIAL: 'shifted-exponential', // Exponential above a minimum headway
+            UNIFORM: 'uniform'                          // Uniform between min and 2*mean - min
+        },
+        INTERVAL_MINUTES: 15,       // Default profile interval length
+        MIN_HEADWAY: 1.5            // Default minimum headway (s) for shifted/uniform headways
+    },
+
+    // Example demand: AM peak hour in 15-minute intervals (veh/h per route, scaled by the profile)
+    DEMAND_PROFILES: {
+        AM_PEAK: {
+            intervalMinutes: 15,
+            headway: 'shifted-exponential',
+            minHeadway: 1.5,
+            matrix: {
+                ROUTE_00: 420, ROUTE_05: 90,  ROUTE_03: 60,
+                ROUTE_11: 300, ROUTE_13: 70,  ROUTE_15: 50,
+                ROUTE_23: 180, ROUTE_20: 50,  ROUTE_21: 40,
+                ROUTE_45: 160, ROUTE_41: 45,  ROUTE_40: 35
+            },
+            profile: [0.7, 0.9, 1.1, 1.0, 0.85, 0.7]
+        }
     },
 
     // Turn probabilities for each direction
@@ -174,12 +382,6 @@ export const CONFIG = {
 
     // Geometric calculations
     GEOMETRIC: {
-        // Connection points for turns
-        U20_SOURCE: 104.16,         // Right turn start position
-        U20_TARGET: 120.0,          // Right turn end position
-        U21_SOURCE: 110.0,          // Left turn start position  
-        U21_TARGET: 140.0,          // Left turn end position
-        
         // Speed limits during turns
         SPEED_RIGHT_TURN: 7.0,      // 7 m/s during right turns
         SPEED_LEFT_TURN: 5.0,       // 5 m/s during left turns
@@ -188,10 +390,53 @@ export const CONFIG = {
         // Mandatory lane change distances
         LANE_CHANGE_DISTANCE: 50.0, // Start lane changes 50m before turns
         APPROACH_ZONE: 30.0,        // Final approach zone for turns
+        BAY_MERGE_LENGTH: 10.0,     // Vehicles for a turn bay wait this far past its entry for a gap
+
+        // Vehicle entry
+        SPAWN_POSITION: 10.0,       // Vehicles enter 10m from the start of their road
+
+        // Signal stop lines
+        STOP_LINE_SETBACK: 1.0,     // Stop line sits 1m before the crossing road's edge
+        STOP_LINE_DETECTOR_LENGTH: 15.0, // Stop-bar loop length, ending at the stop line
+    },
+
+    // Induction loop detectors
+    DETECTORS: {
+        ADVANCE_LENGTH: 2.0,            // Advance loop length (m)
+        AGGREGATION_INTERVAL: 60000,    // Default aggregation interval (ms)
+        MAX_INTERVALS: 240              // Closed intervals kept per loop
+    },
+
+    // Highway Capacity Manual performance measures
+    HCM: {
+        SATURATION_FLOW: 1900,          // Base saturation flow (veh/h/lane)
+        TURN_FACTORS: {                 // Saturation flow adjustment per turn
+            straight: 1.0,
+            right: 0.85,
+            left: 0.95
+        },
+        LOST_TIME: 4000,                // Start-up plus clearance lost time per green (ms)
+        STOP_SPEED: 1.4,                // Below this speed a vehicle is stopped (m/s, 5 km/h)
+        RESTART_SPEED: 3.0,             // A stopped vehicle must exceed this before a new stop counts (m/s)
+        DELAY_EXIT_DISTANCE: 20.0,      // Delay is measured up to this far past the stop line (m)
+        LOS_THRESHOLDS: [               // Control delay upper bounds (s/veh), signalized intersections
+            { grade: 'A', maxDelay: 10 },
+            { grade: 'B', maxDelay: 20 },
+            { grade: 'C', maxDelay: 35 },
+            { grade: 'D', maxDelay: 55 },
+            { grade: 'E', maxDelay: 80 }
+        ],                              // Above 80 s/veh, or v/c > 1.0: F
+        UNSIGNALIZED_LOS_THRESHOLDS: [  // Control delay upper bounds (s/veh), roundabouts and stop/yield control
+            { grade: 'A', maxDelay: 10 },
+            { grade: 'B', maxDelay: 15 },
+            { grade: 'C', maxDelay: 25 },
+            { grade: 'D', maxDelay: 35 },
+            { grade: 'E', maxDelay: 50 }
+        ]                               // Above 50 s/veh, or v/c > 1.0: F
     },
 
     // Adaptive mode settings
     ADAPTIVE_SETTINGS: {
-        DETECTOR_DISTANCE_RANGE: [100, 500]
+        DETECTOR_DISTANCE_RANGE: [20, 80]   // Advance loop distance from the stop line (m)
     }
 };
\ No newline at end of file
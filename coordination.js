@@ -0,0 +1,121 @@
+// Signal coordination along a corridor: common cycle, offsets and green-wave bandwidth
+// Offsets are the simulation time (mod the cycle) at which each junction's reference green
+// starts. Bandwidth is the longest stretch of a cycle a platoon travelling at the progression
+// speed can pass every junction on green, in each direction.
+
+import { CONFIG } from './config.js';
+
+const OFFSET_STEP = 1000;          // Offset resolution searched for two-way progression (ms)
+
+// Position within a cycle; always in [0, cycleLength)
+export function cycleModulo(time, cycleLength) {
+    return ((time % cycleLength) + cycleLength) % cycleLength;
+}
+
+// Travel time from the first junction to each junction for a direction (ms)
+function getTravelTimes(positions, speed, direction) {
+    const last = positions[positions.length - 1];
+    return positions.map(position =>
+        (direction === CONFIG.DIRECTIONS.EAST ? position - positions[0] : last - position) / speed * 1000
+    );
+}
+
+/**
+ * Progression bandwidth in one direction
+ * A band starting at one junction's green start (seen from the platoon) is as wide as the
+ * tightest green it then meets; the widest such band is the bandwidth.
+ * @param {Object} plan - { positions (m), offsets (ms), greens (ms), cycleLength (ms) }
+ * @param {number} speed - progression speed (m/s)
+ * @param {string} direction - CONFIG.DIRECTIONS.EAST or WEST
+ * @returns {number} bandwidth (ms)
+ */
+export function computeBandwidth(plan, speed, direction) {
+    const { positions, offsets, greens, cycleLength } = plan;
+    const travelTimes = getTravelTimes(positions, speed, direction);
+    const starts = offsets.map((offset, index) => cycleModulo(offset - travelTimes[index], cycleLength));
+
+    let bandwidth = 0;
+    starts.forEach(bandStart => {
+        const width = Math.min(...starts.map((start, index) =>
+            greens[index] - cycleModulo(bandStart - start, cycleLength)
+        ));
+        bandwidth = Math.max(bandwidth, width);
+    });
+    return bandwidth;
+}
+
+/**
+ * Offsets giving a green wave at the target speed
+ * One-way plans start each green as the platoon arrives. Two-way plans maximise the narrower
+ * of the two bands, then their sum: junctions are added one at a time at their best offset,
+ * then a search moves one offset at a time (keeping the first junction's) until nothing improves.
+ * @param {Object} corridor - { positions (m, along the travel direction east), greens (ms), cycleLength (ms) }
+ * @param {number} speed - progression speed (m/s)
+ * @param {string} direction - 'east', 'west' or 'both'
+ * @returns {Object} { offsets (ms), bandwidth: { east, west } (ms) }
+ */
+export function planGreenWave(corridor, speed, direction = 'both') {
+    const { positions, cycleLength } = corridor;
+    const oneWayOffsets = (travelDirection) => getTravelTimes(positions, speed, travelDirection)
+        .map(time => Math.round(cycleModulo(time, cycleLength)));
+
+    const bandwidthOf = (offsets) => {
+        const count = offsets.length;
+        const plan = {
+            positions: positions.slice(0, count),
+            greens: corridor.greens.slice(0, count),
+            cycleLength,
+            offsets
+        };
+        return {
+            east: computeBandwidth(plan, speed, CONFIG.DIRECTIONS.EAST),
+            west: computeBandwidth(plan, speed, CONFIG.DIRECTIONS.WEST)
+        };
+    };
+
+    if (direction !== 'both') {
+        const offsets = oneWayOffsets(direction);
+        return { offsets, bandwidth: bandwidthOf(offsets) };
+    }
+
+    const isBetter = (a, b) => {
+        const narrowA = Math.min(a.east, a.west);
+        const narrowB = Math.min(b.east, b.west);
+        if (narrowA !== narrowB) return narrowA > narrowB;
+        return a.east + a.west > b.east + b.west;
+    };
+
+    // Best offset for one junction with the others fixed
+    const bestOffset = (offsets, index) => {
+        let best = { offset: offsets[index], bandwidth: bandwidthOf(offsets) };
+        for (let offset = 0; offset < cycleLength; offset += OFFSET_STEP) {
+            const candidate = [...offsets];
+            candidate[index] = offset;
+            const bandwidth = bandwidthOf(candidate);
+            if (isBetter(bandwidth, best.bandwidth)) {
+                best = { offset, bandwidth };
+            }
+        }
+        return best;
+    };
+
+    const offsets = [0];
+    for (let index = 1; index < positions.length; index++) {
+        offsets.push(0);
+        offsets[index] = bestOffset(offsets, index).offset;
+    }
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let index = 1; index < offsets.length; index++) {
+            const best = bestOffset(offsets, index);
+            if (best.offset !== offsets[index]) {
+                offsets[index] = best.offset;
+                improved = true;
+            }
+        }
+    }
+
+    return { offsets, bandwidth: bandwidthOf(offsets) };
+}
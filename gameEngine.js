@@ -1,50 +1,118 @@
 import { Intersection } from './intersection.js';
+import { DEFAULT_ROAD_NETWORK, parseRoadNetwork } from './roadNetworkFile.js';
+import { createRoundabout } from './roundabout.js';
 import { TrafficLightController } from './trafficLights.js';
 import { CarManager } from './cars.js';
+import { PedestrianSystem } from './pedestrians.js';
 import { SensorSystem } from './sensors.js';
 import { Statistics } from './statistics.js';
 import { CONFIG } from './config.js';
+import { setRandomSeed, getRandomGenerator } from './random.js';
+import { SimulationClock } from './simulationClock.js';
+import { ComparisonEngine } from './comparisonEngine.js';
+import { TrafficNetwork } from './network.js';
+import { TrajectoryRecorder } from './trajectoryRecorder.js';
+import { ReplayPlayer } from './replayPlayer.js';
+import { SNAPSHOT_VERSION, cloneSnapshot } from './snapshot.js';
 // ...existing code...
 
 export class GameEngine {
-    constructor(canvas, ctx) {
+    /**
+     * @param {HTMLCanvasElement|null} canvas
+     * @param {CanvasRenderingContext2D|null} ctx
+     * @param {Object} roadNetwork - intersection geometry from parseRoadNetwork()
+     */
+    constructor(canvas, ctx, roadNetwork = DEFAULT_ROAD_NETWORK) {
         this.canvas = canvas;
         this.ctx = ctx;
+        this.roadNetwork = roadNetwork;
+        
+        // Simulation clock - the single time source for waits, phase timers and statistics
+        this.clock = new SimulationClock();
         
         // Shared intersection
-        this.intersection = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2);
+        this.intersection = new Intersection(CONFIG.CANVAS_WIDTH / 2, CONFIG.CANVAS_HEIGHT / 2, roadNetwork);
         
         // Current active mode
         this.mode = CONFIG.MODES.FIXED;
         
         // Fixed Mode Components (independent)
         this.fixedMode = {
-            trafficLights: new TrafficLightController(),
-            carManager: new CarManager(this.intersection),
-            sensorSystem: new SensorSystem(this.intersection),
-            statistics: new Statistics(),
+            trafficLights: new TrafficLightController(this.clock),
+            carManager: new CarManager(this.intersection, this.clock),
+            pedestrians: new PedestrianSystem(this.intersection, this.clock),
+            sensorSystem: new SensorSystem(this.intersection, this.clock),
+            statistics: new Statistics(this.clock, this.intersection),
             settings: { ...CONFIG.DEFAULT_SETTINGS }
         };
         
         // Adaptive Mode Components (independent)
         this.adaptiveMode = {
-            trafficLights: new TrafficLightController(),
-            carManager: new CarManager(this.intersection),
-            sensorSystem: new SensorSystem(this.intersection),
-            statistics: new Statistics(),
+            trafficLights: new TrafficLightController(this.clock),
+            carManager: new CarManager(this.intersection, this.clock),
+            pedestrians: new PedestrianSystem(this.intersection, this.clock),
+            sensorSystem: new SensorSystem(this.intersection, this.clock),
+            statistics: new Statistics(this.clock, this.intersection),
             settings: { 
                 ...CONFIG.DEFAULT_SETTINGS,
                 YELLOW_DURATION: 3000 // Independent yellow duration for adaptive mode
             }
         };
+        
+        // Ring-Barrier Mode Components (independent)
+        this.ringBarrierMode = {
+            trafficLights: new TrafficLightController(this.clock),
+            carManager: new CarManager(this.intersection, this.clock),
+            pedestrians: new PedestrianSystem(this.intersection, this.clock),
+            sensorSystem: new SensorSystem(this.intersection, this.clock),
+            statistics: new Statistics(this.clock, this.intersection),
+            settings: { ...CONFIG.DEFAULT_SETTINGS }
+        };
+        
+        // Actuated Mode Components (independent)
+        this.actuatedMode = {
+            trafficLights: new TrafficLightController(this.clock),
+            carManager: new CarManager(this.intersection, this.clock),
+            pedestrians: new PedestrianSystem(this.intersection, this.clock),
+            sensorSystem: new SensorSystem(this.intersection, this.clock),
+            statistics: new Statistics(this.clock, this.intersection),
+            settings: { ...CONFIG.DEFAULT_SETTINGS }
+        };
+        
+        // Yield Control Components (independent) - no signal controller, for roundabouts
+        this.yieldMode = {
+            trafficLights: new TrafficLightController(this.clock),
+            carManager: new CarManager(this.intersection, this.clock),
+            pedestrians: new PedestrianSystem(this.intersection, this.clock),
+            sensorSystem: new SensorSystem(this.intersection, this.clock),
+            statistics: new Statistics(this.clock, this.intersection),
+            settings: { ...CONFIG.DEFAULT_SETTINGS }
+        };
+        
+        // Comparison mode runs two complete engines side by side (see ComparisonEngine)
+        this.comparison = null;
+        this.comparisonScenario = CONFIG.COMPARISON.DEFAULT_SCENARIO;
+        
+        // Corridor and grid networks run one complete engine per junction (see TrafficNetwork)
+        this.network = null;
+        this.networkLayout = null;
+        
+        // Every step is recorded for replay; while a replay is open the simulation is frozen
+        this.recorder = new TrajectoryRecorder(this.clock);
+        this.replay = null;
     }
 
     initialize() {
+        // Seed the shared random generator so runs are reproducible
+        this.seedRandom();
+
         // Initialize Fixed Mode
         this.intersection.setCarManager(this.fixedMode.carManager);
         this.fixedMode.trafficLights.initialize(CONFIG.MODES.FIXED, this.fixedMode.settings);
         this.fixedMode.carManager.initialize(this.fixedMode.settings);
-        this.fixedMode.sensorSystem.initialize(this.fixedMode.settings.DETECTOR_DISTANCE);
+        this.fixedMode.pedestrians.initialize(this.fixedMode.settings);
+        this.fixedMode.trafficLights.setCrosswalks(this.intersection.crosswalks);
+        this.fixedMode.sensorSystem.initialize(this.fixedMode.settings.DETECTOR_DISTANCE, this.fixedMode.settings.DETECTOR_INTERVAL);
         this.fixedMode.statistics.initialize();
         this.fixedMode.carManager.onCarCompleted = (car) => {
             this.fixedMode.statistics.recordCarCompletion(car);
@@ -53,51 +121,146 @@ export class GameEngine {
         // Initialize Adaptive Mode
         this.adaptiveMode.trafficLights.initialize(CONFIG.MODES.ADAPTIVE, this.adaptiveMode.settings);
         this.adaptiveMode.carManager.initialize(this.adaptiveMode.settings);
-        this.adaptiveMode.sensorSystem.initialize(this.adaptiveMode.settings.DETECTOR_DISTANCE);
+        this.adaptiveMode.pedestrians.initialize(this.adaptiveMode.settings);
+        this.adaptiveMode.trafficLights.setCrosswalks(this.intersection.crosswalks);
+        this.adaptiveMode.sensorSystem.initialize(this.adaptiveMode.settings.DETECTOR_DISTANCE, this.adaptiveMode.settings.DETECTOR_INTERVAL);
         this.adaptiveMode.statistics.initialize();
         this.adaptiveMode.carManager.onCarCompleted = (car) => {
             this.adaptiveMode.statistics.recordCarCompletion(car);
         };
         
+        // Initialize Ring-Barrier Mode
+        this.ringBarrierMode.trafficLights.initialize(CONFIG.MODES.RING_BARRIER, this.ringBarrierMode.settings);
+        this.ringBarrierMode.carManager.initialize(this.ringBarrierMode.settings);
+        this.ringBarrierMode.pedestrians.initialize(this.ringBarrierMode.settings);
+        this.ringBarrierMode.trafficLights.setCrosswalks(this.intersection.crosswalks);
+        this.ringBarrierMode.sensorSystem.initialize(this.ringBarrierMode.settings.DETECTOR_DISTANCE, this.ringBarrierMode.settings.DETECTOR_INTERVAL);
+        this.ringBarrierMode.statistics.initialize();
+        this.ringBarrierMode.carManager.onCarCompleted = (car) => {
+            this.ringBarrierMode.statistics.recordCarCompletion(car);
+        };
+        
+        // Initialize Actuated Mode
+        this.actuatedMode.trafficLights.initialize(CONFIG.MODES.ACTUATED, this.actuatedMode.settings);
+        this.actuatedMode.carManager.initialize(this.actuatedMode.settings);
+        this.actuatedMode.pedestrians.initialize(this.actuatedMode.settings);
+        this.actuatedMode.trafficLights.setCrosswalks(this.intersection.crosswalks);
+        this.actuatedMode.sensorSystem.initialize(this.actuatedMode.settings.DETECTOR_DISTANCE, this.actuatedMode.settings.DETECTOR_INTERVAL);
+        this.actuatedMode.statistics.initialize();
+        this.actuatedMode.carManager.onCarCompleted = (car) => {
+            this.actuatedMode.statistics.recordCarCompletion(car);
+        };
+        
+        // Initialize Yield Control
+        this.yieldMode.trafficLights.initialize(CONFIG.MODES.YIELD, this.yieldMode.settings);
+        this.yieldMode.carManager.initialize(this.yieldMode.settings);
+        this.yieldMode.pedestrians.initialize(this.yieldMode.settings);
+        this.yieldMode.trafficLights.setCrosswalks(this.intersection.crosswalks);
+        this.yieldMode.sensorSystem.initialize(this.yieldMode.settings.DETECTOR_DISTANCE, this.yieldMode.settings.DETECTOR_INTERVAL);
+        this.yieldMode.statistics.initialize();
+        this.yieldMode.carManager.onCarCompleted = (car) => {
+            this.yieldMode.statistics.recordCarCompletion(car);
+        };
+        
         console.log('Game engine initialized');
     }
 
-    update(deltaTime) {
+    /**
+     * Advance the simulation by exactly one physics step (CONFIG.PHYSICS.DT)
+     *
+     * This is the only place vehicles move. The phases run in this order:
+     *   1. Demand        - CarManager spawns Cars; each inserts its one road vehicle; pedestrians arrive
+     *   2. Signals       - controller advances, approach stop lines follow the lights; pedestrians
+     *                      step off on WALK and walk, turning vehicles see the occupied crosswalks
+     *   3. Sensors       - loop detectors sample the roads; adaptive priorities, actuated calls/extensions
+     *   4. Car-following - IDM accelerations, including red/yellow stop-line obstacles
+     *   5. Lane changes  - mandatory turn-lane assignments, then MOBIL
+     *   6. Integration   - speeds and positions
+     *   7. Transfers     - vehicles cross road connections
+     *   8. Cleanup       - vehicles leaving the network are removed, their Cars complete
+     *   9. Bookkeeping   - Cars sync from their road vehicles, statistics update
+     *  10. Recording     - vehicle trajectories and signal states go to the replay buffer
+     */
+    update() {
+        if (this.replay) {
+            this.replay.update();
+            return;
+        }
+
+        if (this.comparison) {
+            this.comparison.update();
+            return;
+        }
+
+        if (this.network) {
+            this.network.update();
+            return;
+        }
+
         const currentMode = this.getCurrentModeComponents();
+        this.intersection.setCarManager(currentMode.carManager);
+
+        // Advance one simulation step; every component sees simulated, not wall-clock, time
+        const deltaTime = this.clock.tick();
 
         // Track previous light states for adaptive mode
         if (!this.prevLightStates) {
             this.prevLightStates = currentMode.trafficLights.getLightStates();
         }
 
-        // Update current mode's traffic lights
-        currentMode.trafficLights.update(deltaTime, this.mode, currentMode.settings);
-
-        // Update intersection physics simulation (IDM + MOBIL)
-        this.intersection.update(deltaTime);
+        // 1. Demand
+        currentMode.carManager.spawnVehicles(deltaTime);
+        currentMode.pedestrians.spawnPedestrians();
 
-        // Update current mode's cars with physics integration
-        this.intersection.setCarManager(currentMode.carManager);
-        currentMode.carManager.update(deltaTime, currentMode.trafficLights.getLightStates());
+        // 2. Signals (emergency vehicles inside the detection distance preempt the mode,
+        //    late buses checked in upstream request transit priority)
+        currentMode.trafficLights.setPreemptionRequests(
+            this.intersection.getPreemptionRequests(currentMode.settings.PREEMPTION_DISTANCE)
+        );
+        const priorityRequests = currentMode.carManager.getPriorityRequests();
+        currentMode.trafficLights.setPriorityRequests(currentMode.settings.TRANSIT_PRIORITY ? priorityRequests : []);
+        currentMode.trafficLights.setPedestrianCalls(currentMode.pedestrians.getCalls());
+        currentMode.trafficLights.update(deltaTime, this.mode, currentMode.settings);
+        const lightStates = currentMode.trafficLights.getLightStates();
+        this.intersection.applySignalStates(lightStates, currentMode.trafficLights.getLeftTurnStates());
+        currentMode.pedestrians.update(deltaTime, currentMode.trafficLights.getPedestrianStates());
+        this.intersection.applyCrosswalkStates(currentMode.pedestrians.getOccupiedCrosswalks());
 
-        // Update sensors and adaptive logic (only for adaptive mode)
+        // 3. Sensors, adaptive logic and actuated detectors
         let sensorData;
         if (this.mode === CONFIG.MODES.ADAPTIVE) {
             sensorData = currentMode.sensorSystem.update(
-                currentMode.carManager.getCars(),
-                currentMode.trafficLights.getLightStates(),
+                deltaTime,
+                lightStates,
                 this.prevLightStates
             );
             currentMode.trafficLights.updateAdaptiveLogic(sensorData, deltaTime);
+        } else if (this.mode === CONFIG.MODES.ACTUATED) {
+            sensorData = currentMode.sensorSystem.update(deltaTime);
+            currentMode.trafficLights.updateActuatedLogic(currentMode.sensorSystem.getLoopDetectors());
         } else {
-            sensorData = currentMode.sensorSystem.update(currentMode.carManager.getCars());
+            sensorData = currentMode.sensorSystem.update(deltaTime);
         }
+        this.prevLightStates = lightStates;
 
-        // Update previous light states for next frame
-        this.prevLightStates = currentMode.trafficLights.getLightStates();
+        // 4-8. Road physics (IDM + MOBIL)
+        this.intersection.calcAccelerations();
+        this.intersection.changeLanes();
+        this.intersection.updateSpeedPositions();
+        this.intersection.processConnections();
+        this.intersection.removeExitedVehicles();
 
-        // Update current mode's statistics
-        currentMode.statistics.update(currentMode.carManager.getCars(), deltaTime);
+        // 9. Bookkeeping
+        currentMode.carManager.update(deltaTime, lightStates);
+        currentMode.statistics.update(currentMode.carManager.getCars(), deltaTime, currentMode.carManager.getWaitingArrivals());
+        
+        // 10. Recording
+        this.recorder.record(
+            currentMode.carManager.getCars(),
+            currentMode.trafficLights.getLightStates(),
+            currentMode.trafficLights.getLeftTurnStates(),
+            currentMode.trafficLights.getPedestrianStates()
+        );
         
         // Log physics statistics every few seconds
         if (this.debugCounter === undefined) this.debugCounter = 0;
@@ -114,46 +277,153 @@ export class GameEngine {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        if (this.replay) {
+            this.replay.render(this.ctx);
+        } else if (this.comparison) {
+            this.comparison.render(this.ctx, this.canvas);
+        } else if (this.network) {
+            this.network.render(this.ctx, this.canvas);
+        } else {
+            this.renderScene(this.ctx);
+        }
+    }
+
+    renderScene(ctx) {
         const currentMode = this.getCurrentModeComponents();
         
         // Render intersection
-        this.intersection.render(this.ctx);
+        this.intersection.render(ctx);
         
-        // Render sensor detection zones (only in adaptive mode)
-        if (this.mode === CONFIG.MODES.ADAPTIVE) {
-            currentMode.sensorSystem.render(this.ctx);
+        // Render loop detectors (only in detector-driven modes)
+        if (this.mode === CONFIG.MODES.ADAPTIVE || this.mode === CONFIG.MODES.ACTUATED) {
+            currentMode.sensorSystem.render(ctx);
         }
         
-        // Render current mode's cars
-        currentMode.carManager.render(this.ctx);
+        // Render current mode's cars and pedestrians
+        currentMode.carManager.render(ctx);
+        currentMode.pedestrians.render(ctx);
         
-        // Render current mode's traffic lights
-        currentMode.trafficLights.render(this.ctx, this.intersection);
+        // Render current mode's traffic lights (a roundabout has none)
+        if (this.intersection.isSignalized()) {
+            currentMode.trafficLights.render(ctx, this.intersection);
+        }
     }
 
     reset() {
-        // Reset both modes
+        // Restart simulated time before the components record their start times
+        this.clock.reset();
+        
+        // Reset all modes
         this.fixedMode.carManager.reset();
+        this.fixedMode.pedestrians.reset();
         this.fixedMode.trafficLights.reset();
         this.fixedMode.sensorSystem.reset();
         this.fixedMode.statistics.reset();
         
         this.adaptiveMode.carManager.reset();
+        this.adaptiveMode.pedestrians.reset();
         this.adaptiveMode.trafficLights.reset();
         this.adaptiveMode.sensorSystem.reset();
         this.adaptiveMode.statistics.reset();
         
+        this.ringBarrierMode.carManager.reset();
+        this.ringBarrierMode.pedestrians.reset();
+        this.ringBarrierMode.trafficLights.reset();
+        this.ringBarrierMode.sensorSystem.reset();
+        this.ringBarrierMode.statistics.reset();
+        
+        this.actuatedMode.carManager.reset();
+        this.actuatedMode.pedestrians.reset();
+        this.actuatedMode.trafficLights.reset();
+        this.actuatedMode.sensorSystem.reset();
+        this.actuatedMode.statistics.reset();
+        
+        this.yieldMode.carManager.reset();
+        this.yieldMode.pedestrians.reset();
+        this.yieldMode.trafficLights.reset();
+        this.yieldMode.sensorSystem.reset();
+        this.yieldMode.statistics.reset();
+        
+        // Restart the random sequence so a reset run repeats the same arrivals
+        this.seedRandom();
+        
+        // A new run starts a new recording
+        this.recorder.reset();
+        this.replay = null;
+        
+        if (this.comparison) {
+            this.comparison.reset();
+        }
+        
+        if (this.network) {
+            this.network.reset();
+        }
+        
         console.log('Game reset');
     }
 
+    seedRandom() {
+        this.randomSeed = setRandomSeed(this.getCurrentModeComponents().settings.RANDOM_SEED);
+    }
+
     getCurrentModeComponents() {
-        return this.mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
+        // In comparison mode the getters report the first (left) side
+        if (this.comparison) {
+            return this.comparison.getPrimaryEngine().getCurrentModeComponents();
+        }
+        // In a network they report the first junction
+        if (this.network) {
+            return this.network.getPrimaryEngine().getCurrentModeComponents();
+        }
+        return this.getModeComponents(this.mode);
+    }
+
+    getModeComponents(mode) {
+        switch (mode) {
+            case CONFIG.MODES.ADAPTIVE:
+                return this.adaptiveMode;
+            case CONFIG.MODES.RING_BARRIER:
+                return this.ringBarrierMode;
+            case CONFIG.MODES.ACTUATED:
+                return this.actuatedMode;
+            case CONFIG.MODES.YIELD:
+                return this.yieldMode;
+            default:
+                return this.fixedMode;
+        }
     }
 
     updateMode(mode) {
         const previousMode = this.mode;
+        
+        // Both modes share the intersection roads: clear the outgoing mode's
+        // vehicles so every road vehicle keeps exactly one Car
+        if (mode !== previousMode) {
+            this.getCurrentModeComponents().carManager.reset();
+            this.prevLightStates = null;
+            this.recorder.reset();
+            this.replay = null;
+        }
+        
         this.mode = mode;
         
+        // Comparison mode builds its own pair of engines; leaving it discards them
+        if (mode === CONFIG.MODES.COMPARISON && previousMode !== CONFIG.MODES.COMPARISON) {
+            this.startComparison();
+        } else if (mode !== CONFIG.MODES.COMPARISON) {
+            this.comparison = null;
+        }
+        
+        // A network runs the selected mode at every junction; comparison mode leaves it
+        if (this.networkLayout && mode !== previousMode) {
+            if (mode === CONFIG.MODES.COMPARISON) {
+                this.network = null;
+                this.networkLayout = null;
+            } else {
+                this.startNetwork(this.networkLayout);
+            }
+        }
+        
         // Reset adaptive mode car counting when switching to adaptive mode
         if (mode === CONFIG.MODES.ADAPTIVE && previousMode !== CONFIG.MODES.ADAPTIVE) {
             this.adaptiveMode.sensorSystem.resetAllCarCounts();
@@ -162,10 +432,233 @@ export class GameEngine {
         console.log(`Mode changed from ${previousMode} to: ${mode}`);
     }
 
+    /**
+     * Open the recorded steps for replay; the live simulation pauses until stopReplay()
+     * @returns {ReplayPlayer} player positioned at the latest recorded step
+     */
+    startReplay() {
+        if (this.comparison || this.network) {
+            console.log('Replay is only available for a single intersection');
+            return null;
+        }
+        this.replay = new ReplayPlayer(this.recorder, this.intersection, this.clock);
+        console.log(`Replay opened with ${this.recorder.getFrameCount()} recorded steps`);
+        return this.replay;
+    }
+
+    stopReplay() {
+        this.replay = null;
+        console.log('Replay closed, live simulation resumed');
+    }
+
+    isReplaying() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Complete simulation state as plain JSON-safe data: every mode's settings, the running
+     * mode's vehicles, signals, sensors and statistics, the PRNG state and the clock
+     * @returns {Object} snapshot for restoreSnapshot()
+     */
+    createSnapshot() {
+        if (this.comparison) {
+            throw new Error('Snapshots are not supported in comparison mode');
+        }
+        if (this.network) {
+            throw new Error('Snapshots are not supported for networks');
+        }
+
+        const currentMode = this.getCurrentModeComponents();
+        const settings = {};
+        [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE, CONFIG.MODES.RING_BARRIER, CONFIG.MODES.ACTUATED, CONFIG.MODES.YIELD].forEach(mode => {
+            settings[mode] = this.getModeComponents(mode).settings;
+        });
+
+        return cloneSnapshot({
+            version: SNAPSHOT_VERSION,
+            mode: this.mode,
+            settings,
+            clock: this.clock.getSnapshot(),
+            random: getRandomGenerator().getState(),
+            randomSeed: this.randomSeed,
+            roadNetwork: this.roadNetwork,
+            prevLightStates: this.prevLightStates || null,
+            debugCounter: this.debugCounter || 0,
+            roads: this.intersection.getSnapshot(),
+            trafficLights: currentMode.trafficLights.getSnapshot(),
+            carManager: currentMode.carManager.getSnapshot(),
+            pedestrians: currentMode.pedestrians.getSnapshot(),
+            sensorSystem: currentMode.sensorSystem.getSnapshot(),
+            statistics: currentMode.statistics.getSnapshot()
+        });
+    }
+
+    saveSnapshot() {
+        return JSON.stringify(this.createSnapshot());
+    }
+
+    /**
+     * Restore a snapshot exactly; the run then continues as it would have from that step
+     * The same snapshot can be restored any number of times to branch experiments.
+     * @param {Object|string} snapshot - from createSnapshot() or saveSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        const state = typeof snapshot === 'string' ? JSON.parse(snapshot) : cloneSnapshot(snapshot);
+        if (state.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${state.version}`);
+        }
+
+        // Leave comparison, networks and replay, and clear the roads of the running mode's vehicles
+        if (this.mode === CONFIG.MODES.COMPARISON) {
+            this.updateMode(state.mode);
+        }
+        this.network = null;
+        this.networkLayout = null;
+        this.replay = null;
+        this.getCurrentModeComponents().carManager.reset();
+        this.mode = state.mode;
+
+        // The roads the snapshot was taken on
+        if (state.roadNetwork && JSON.stringify(state.roadNetwork) !== JSON.stringify(this.roadNetwork)) {
+            this.loadRoadNetwork(parseRoadNetwork(state.roadNetwork));   // Fills in fields older snapshots lack
+        }
+
+        // Settings first: they rebuild demand and controller timings that the state then overwrites
+        Object.entries(state.settings).forEach(([mode, settings]) => {
+            const modeComponents = this.getModeComponents(mode);
+            modeComponents.settings = settings;
+            modeComponents.trafficLights.updateSettings(settings);
+            modeComponents.carManager.initialize(settings);
+            modeComponents.pedestrians.initialize(settings);
+        });
+
+        this.clock.restoreSnapshot(state.clock);
+
+        const currentMode = this.getCurrentModeComponents();
+        currentMode.trafficLights.restoreSnapshot(state.trafficLights);
+        const vehiclesById = currentMode.carManager.restoreSnapshot(state.carManager);
+        this.intersection.restoreSnapshot(state.roads, vehiclesById);
+        currentMode.pedestrians.reset();
+        if (state.pedestrians) {
+            currentMode.pedestrians.restoreSnapshot(state.pedestrians);
+        }
+        this.intersection.setCarManager(currentMode.carManager);
+        currentMode.sensorSystem.restoreSnapshot(state.sensorSystem);
+        currentMode.statistics.restoreSnapshot(state.statistics);
+
+        getRandomGenerator().setState(state.random);
+        this.randomSeed = state.randomSeed;
+        this.prevLightStates = state.prevLightStates;
+        this.debugCounter = state.debugCounter;
+
+        // The replay buffer starts over from the restored step
+        this.recorder.reset();
+
+        console.log(`Snapshot restored: ${state.mode} mode at ${this.clock.getSeconds().toFixed(1)}s, ${currentMode.carManager.getCars().length} cars`);
+    }
+
+    startComparison() {
+        const sides = CONFIG.COMPARISON.SCENARIOS[this.comparisonScenario].sides;
+        const settingsBySide = sides.map(side => ({ ...this.getModeComponents(side.mode).settings }));
+
+        // A side naming a roundabout layout runs on that roundabout instead of the current roads
+        this.comparison = new ComparisonEngine((side) => new GameEngine(
+            this.canvas, this.ctx, side.roundabout ? createRoundabout(side.roundabout) : this.roadNetwork
+        ), sides);
+        this.comparison.initialize(settingsBySide);
+    }
+
+    /**
+     * Choose what comparison mode sets side by side; a running comparison restarts with it
+     * @param {string} scenario - key of CONFIG.COMPARISON.SCENARIOS
+     */
+    setComparisonScenario(scenario) {
+        if (!CONFIG.COMPARISON.SCENARIOS[scenario]) {
+            throw new Error(`Unknown comparison scenario: ${scenario}`);
+        }
+        this.comparisonScenario = scenario;
+        if (this.comparison) {
+            this.startComparison();
+        }
+        console.log(`Comparison scenario: ${CONFIG.COMPARISON.SCENARIOS[scenario].label}`);
+    }
+
+    /**
+     * Switch between the single intersection and a corridor or grid of junctions
+     * @param {string|null} layout - key of CONFIG.NETWORK.LAYOUTS; null = single intersection
+     */
+    setNetworkLayout(layout) {
+        if (layout && !CONFIG.NETWORK.LAYOUTS[layout]) {
+            throw new Error(`Unknown network layout: ${layout}`);
+        }
+        if (layout && this.mode === CONFIG.MODES.COMPARISON) {
+            console.log('Networks are not available in comparison mode');
+            return;
+        }
+
+        this.replay = null;
+        if (layout) {
+            this.startNetwork(layout);
+        } else {
+            this.network = null;
+            this.networkLayout = null;
+            console.log('Network closed, single intersection resumed');
+        }
+    }
+
+    /**
+     * Rebuild the intersection from another road network and restart the run
+     * Every mode keeps its settings; a running comparison or network is rebuilt on the new roads.
+     * @param {Object} roadNetwork - from parseRoadNetwork()
+     */
+    loadRoadNetwork(roadNetwork) {
+        this.roadNetwork = roadNetwork;
+        this.intersection.loadRoadNetwork(roadNetwork);
+        this.initialize();
+        this.reset();
+
+        if (this.comparison) {
+            this.startComparison();
+        }
+        if (this.network) {
+            this.startNetwork(this.networkLayout);
+        }
+    }
+
+    /**
+     * Load an imported scenario (see sumoImport.js): its road network, then its settings in every
+     * mode, so all controllers run the same demand; the signal plan drives fixed mode
+     * @param {Object} scenario - { roadNetwork, settings }
+     */
+    loadScenario(scenario) {
+        this.loadRoadNetwork(scenario.roadNetwork);
+        [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE, CONFIG.MODES.RING_BARRIER, CONFIG.MODES.ACTUATED, CONFIG.MODES.YIELD].forEach(mode => {
+            Object.entries(scenario.settings).forEach(([key, value]) => this.updateSetting(key, value, mode));
+        });
+        this.reset();
+    }
+
+    startNetwork(layout) {
+        this.networkLayout = layout;
+        this.network = new TrafficNetwork(() => new GameEngine(this.canvas, this.ctx, this.roadNetwork), CONFIG.NETWORK.LAYOUTS[layout]);
+        this.network.initialize(this.mode, { ...this.getModeComponents(this.mode).settings });
+    }
+
     updateSetting(key, value, targetMode = null) {
+        // Comparison mode: settings go to the running sides; a targeted setting also updates its mode
+        if (this.comparison) {
+            this.comparison.updateSetting(key, value, targetMode);
+            if (!targetMode || targetMode === CONFIG.MODES.COMPARISON) return;
+        }
+        
+        // Network: settings for the running mode also go to every junction
+        if (this.network && (!targetMode || targetMode === this.mode)) {
+            this.network.updateSetting(key, value);
+        }
+
         // If no target mode specified, update current mode
         const mode = targetMode || this.mode;
-        const modeComponents = mode === CONFIG.MODES.FIXED ? this.fixedMode : this.adaptiveMode;
+        const modeComponents = this.getModeComponents(mode);
         
         modeComponents.settings[key] = value;
         
@@ -174,36 +667,130 @@ export class GameEngine {
             case 'CAR_SPAWN_RATE':
             case 'CAR_SPEED':
             case 'TURN_RATE':
-                modeComponents.carManager.updateSettings(modeComponents.settings);
+            case 'VEHICLE_MIX':
+            case 'EMERGENCY_SPAWN_RATE':
+            case 'TRANSIT_SERVICE':
+                modeComponents.carManager.initialize(modeComponents.settings);
+                break;
+            case 'PEDESTRIAN_RATE':
+                modeComponents.pedestrians.initialize(modeComponents.settings);
                 break;
             case 'DETECTOR_DISTANCE':
                 modeComponents.sensorSystem.updateDetectorDistance(value);
                 break;
+            case 'DEMAND':
+                modeComponents.carManager.setDemand(value);
+                break;
+            case 'DETECTOR_INTERVAL':
+                modeComponents.sensorSystem.updateAggregationInterval(value);
+                break;
             case 'GREEN_DURATION':
             case 'YELLOW_DURATION':
             case 'RED_DURATION':
             case 'MIN_GREEN_TIME':
+            case 'MAX_GREEN_TIME':
+            case 'PASSAGE_TIME':
+            case 'LEFT_TURN_PHASING':
+            case 'LEFT_ARROW_DURATION':
+            case 'RING_BARRIER_PHASES':
+            case 'CYCLE_LENGTH':
+            case 'CYCLE_OFFSET':
+            case 'REFERENCE_PHASE':
+            case 'FIXED_PHASES':
                 modeComponents.trafficLights.updateSettings(modeComponents.settings);
                 break;
+            case 'RANDOM_SEED':
+                if (mode === this.mode) {
+                    this.seedRandom();
+                }
+                break;
         }
     }
 
     updateSettings(settings) {
-        const currentMode = this.getCurrentModeComponents();
+        if (this.comparison) {
+            this.comparison.updateSettings(settings);
+            return;
+        }
+
+        if (this.network) {
+            this.network.updateSettings(settings);
+        }
+
+        const currentMode = this.getModeComponents(this.mode);
         currentMode.settings = { ...currentMode.settings, ...settings };
         currentMode.trafficLights.updateSettings(currentMode.settings);
         currentMode.carManager.initialize(currentMode.settings);
+        currentMode.pedestrians.initialize(currentMode.settings);
+    }
+
+    /**
+     * Send an emergency vehicle in now (in comparison mode, into both intersections)
+     * @param {string|null} direction - approach; null = random
+     * @returns {Car|null} the vehicle, or null when the entrance is blocked or replaying
+     */
+    dispatchEmergencyVehicle(direction = null) {
+        if (this.replay) return null;
+        if (this.comparison) {
+            return this.comparison.dispatchEmergencyVehicle(direction);
+        }
+        if (this.network) {
+            return this.network.dispatchEmergencyVehicle(direction);
+        }
+        return this.getCurrentModeComponents().carManager.spawnEmergencyVehicle(direction);
     }
 
     // Getters for UI
     getStatistics() {
-        return this.getCurrentModeComponents().statistics.getStats();
+        const currentMode = this.getCurrentModeComponents();
+        return {
+            ...currentMode.statistics.getStats(),
+            transitPriority: currentMode.trafficLights.getPriorityStats(),
+            pedestrians: currentMode.pedestrians.getStats()
+        };
+    }
+
+    getMovementReport() {
+        return this.getCurrentModeComponents().statistics.getMovementReport();
+    }
+
+    // Both sides and their difference while in comparison mode, otherwise null
+    getComparisonReport() {
+        return this.comparison ? this.comparison.getReport() : null;
+    }
+
+    /**
+     * Green-wave offsets for the network's east-west arterials (see TrafficNetwork.applyGreenWave)
+     * @returns {Object|null} the plan with its bandwidth, or null without a network
+     */
+    applyGreenWave(speed, direction = 'both') {
+        if (!this.network) {
+            console.log('A green wave needs a corridor or grid network');
+            return null;
+        }
+        return this.network.applyGreenWave(speed, direction);
+    }
+
+    // Every junction and the network's vehicle counts while a network runs, otherwise null
+    getNetworkReport() {
+        return this.network ? this.network.getReport() : null;
     }
 
     getLightStates() {
         return this.getCurrentModeComponents().trafficLights.getLightStates();
     }
 
+    // Comparison and network runs advance their own engines' clocks, not this.clock
+    getSimulationTime() {
+        if (this.comparison) {
+            return this.comparison.getPrimaryEngine().getSimulationTime();
+        }
+        if (this.network) {
+            return this.network.getPrimaryEngine().getSimulationTime();
+        }
+        return this.clock.now();
+    }
+
     getCurrentMode() {
         return this.mode;
     }
@@ -220,6 +807,10 @@ export class GameEngine {
         return { ...this.adaptiveMode.settings };
     }
     
+    getRingBarrierModeSettings() {
+        return { ...this.ringBarrierMode.settings };
+    }
+    
     getSensorSystem() {
         return this.getCurrentModeComponents().sensorSystem;
     }
@@ -0,0 +1,93 @@
+// Headless simulation runner for Node (no DOM, no canvas, no requestAnimationFrame)
+// Steps GameEngine at a fixed simulated timestep and returns the Statistics results
+//
+// Usage:
+//   import { runHeadless } from './headlessRunner.js';
+//   const result = runHeadless({ mode: 'adaptive', durationSeconds: 600 });
+
+import { GameEngine } from './gameEngine.js';
+import { CONFIG } from './config.js';
+import { DEFAULT_ROAD_NETWORK } from './roadNetworkFile.js';
+
+export class HeadlessRunner {
+    constructor({ mode = CONFIG.MODES.FIXED, settings = {}, silent = true, roadNetwork = DEFAULT_ROAD_NETWORK } = {}) {
+        this.mode = mode;
+        this.settings = settings;
+        this.silent = silent;           // Suppress per-vehicle console logging during runs
+
+        this.gameEngine = this.withConsole(() => new GameEngine(null, null, roadNetwork));
+        this.clock = this.gameEngine.clock; // Single-junction updates advance this clock by one physics step
+        this.initialized = false;
+    }
+
+    initialize() {
+        this.withConsole(() => {
+            this.gameEngine.initialize();
+            this.gameEngine.updateMode(this.mode);
+
+            for (const [key, value] of Object.entries(this.settings)) {
+                this.gameEngine.updateSetting(key, value, this.mode);
+            }
+        });
+        this.initialized = true;
+    }
+
+    /**
+     * Advance the simulation by a number of simulated seconds
+     * @param {number} durationSeconds - simulated time to run (s)
+     * @returns {Object} results for the run so far
+     */
+    run(durationSeconds) {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        const endTime = this.gameEngine.getSimulationTime() + durationSeconds * 1000;
+
+        this.withConsole(() => {
+            while (this.gameEngine.getSimulationTime() < endTime) {
+                this.step();
+            }
+        });
+
+        return this.getResults();
+    }
+
+    step() {
+        this.gameEngine.update();
+    }
+
+    getResults() {
+        const time = this.gameEngine.getSimulationTime();
+        return {
+            mode: this.mode,
+            simulatedSeconds: time / 1000,
+            steps: Math.round(time / this.clock.stepMs),
+            statistics: this.gameEngine.getStatistics(),
+            movements: this.gameEngine.getMovementReport(),
+            traffic: this.gameEngine.intersection.getTrafficStatistics(),
+            detectors: this.gameEngine.getSensorSystem().getDetectorReport()
+        };
+    }
+
+    withConsole(fn) {
+        return this.silent ? silently(fn) : fn();
+    }
+}
+
+// Run fn with console.log suppressed, for code that logs as it goes (importers, controllers)
+export function silently(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// Convenience wrapper: build a runner, run it once and return the results
+export function runHeadless({ durationSeconds = 3600, ...options } = {}) {
+    const runner = new HeadlessRunner(options);
+    return runner.run(durationSeconds);
+}
@@ -1,6 +1,9 @@
 // IDM (Intelligent Driver Model) Physics Engine for Traffic Simulation
 // Implements realistic car-following behavior with smooth acceleration/deceleration
 
+import { CONFIG } from './config.js';
+import { random } from './random.js';
+
 export class IDMModel {
     constructor(v0 = 15, T = 1.0, s0 = 2.0, a = 2.0, b = 2.0, driverVariance = 0.2) {
         // Desired speed (m/s)
@@ -22,7 +25,7 @@ export class IDMModel {
         this.bmax = 4.0;
         
         // Driver factor for individuality (0.8 to 1.2)
-        this.driverfactor = 1 + driverVariance * (Math.random() - 0.5);
+        this.driverfactor = 1 + driverVariance * (random() - 0.5);
         
         // Speed limits
         this.speedlimit = 50; // km/h converted to m/s later
@@ -34,6 +37,14 @@ export class IDMModel {
         this.alpha_T = 1.0;   // time headway factor
     }
 
+    /**
+     * Desired (free-flow) speed of this driver
+     * @returns {number} speed (m/s)
+     */
+    getDesiredSpeed() {
+        return Math.min(this.v0 * this.driverfactor * this.alpha_v0, this.speedlimit, this.speedmax);
+    }
+
     /**
      * Calculate acceleration using the IDM model
      * @param {number} s - distance gap to leading vehicle (m)
@@ -44,21 +55,13 @@ export class IDMModel {
      */
     calcAccDet(s, v, vl, al) {
         // Effective desired speed considering driver factor and speed limits
-        let v0eff = this.v0 * this.driverfactor * this.alpha_v0;
-        v0eff = Math.min(v0eff, this.speedlimit, this.speedmax);
+        const v0eff = this.getDesiredSpeed();
         
         // Effective acceleration
         const aeff = this.a * this.driverfactor;
         
         // Free flow acceleration (no leading vehicle)
-        let accFree;
-        if (v < v0eff) {
-            // Accelerating towards desired speed (power of 4 for smoothness)
-            accFree = aeff * (1 - Math.pow(v / v0eff, 4));
-        } else {
-            // Decelerating when over desired speed (linear)
-            accFree = aeff * (1 - v / v0eff);
-        }
+        const accFree = this.calcAccFree(v, v0eff);
         
         // Interaction acceleration (car-following)
         let accInt = 0;
@@ -76,6 +79,22 @@ export class IDMModel {
         return Math.max(-this.bmax, accFree + accInt);
     }
 
+    /**
+     * Free-flow acceleration towards a target speed
+     * @param {number} v - current speed (m/s)
+     * @param {number} targetSpeed - desired speed, or a lower limit such as a turn speed (m/s)
+     * @returns {number} acceleration (m/s²)
+     */
+    calcAccFree(v, targetSpeed = this.getDesiredSpeed()) {
+        const aeff = this.a * this.driverfactor;
+        if (v < targetSpeed) {
+            // Accelerating towards desired speed (power of 4 for smoothness)
+            return aeff * (1 - Math.pow(v / targetSpeed, 4));
+        }
+        // Decelerating when over desired speed (linear)
+        return aeff * (1 - v / targetSpeed);
+    }
+
     /**
      * Calculate acceleration for lane changing situations
      * @param {number} s - gap to leading vehicle
@@ -122,7 +141,7 @@ export class IDMModel {
      */
     updateDriverCharacteristics() {
         // Slight random variations in driver behavior over time
-        const variation = 0.05 * (Math.random() - 0.5);
+        const variation = 0.05 * (random() - 0.5);
         this.driverfactor = Math.max(0.7, Math.min(1.3, this.driverfactor + variation));
     }
 }
@@ -164,6 +183,14 @@ export class MOBILModel {
         // Potential acceleration in target lane
         const accTarget = this.calculateLaneAcceleration(vehicle, targetLane);
         
+        // Room to move in: a minimum gap to the target lane's leader and follower
+        const targetLeader = this.findLeadingVehicle(vehicle, targetLane);
+        const targetFollower = this.findFollowingVehicle(vehicle, targetLane);
+        if ((targetLeader && targetLeader.u - targetLeader.len - vehicle.u < this.gapMin) ||
+            (targetFollower && vehicle.u - vehicle.len - targetFollower.u < this.gapMin)) {
+            return { shouldChange: false, urgency: 0, reason: 'no_gap' };
+        }
+        
         // Safety check - deceleration of target lane followers
         const followerDecel = this.calculateFollowerImpact(vehicle, targetLane);
         
@@ -194,6 +221,11 @@ export class MOBILModel {
             incentive += this.aThr; // Lower threshold for mandatory changes
         }
         
+        // Yielding to an emergency vehicle: move aside whenever the safety criterion allows
+        if (vehicle.yieldingToEmergency) {
+            incentive += CONFIG.PREEMPTION.YIELD_INCENTIVE;
+        }
+        
         // Decision threshold
         const shouldChange = incentive > this.aThr * urgencyMultiplier;
         
@@ -214,7 +246,7 @@ export class MOBILModel {
             return vehicle.idmModel.calcAccDet(1000, vehicle.speed, vehicle.speed, 0);
         }
         
-        const gap = leader.u - vehicle.u - leader.length;
+        const gap = leader.u - vehicle.u - leader.len;
         return vehicle.idmModel.calcAccDet(gap, vehicle.speed, leader.speed, leader.acc);
     }
 
@@ -225,7 +257,7 @@ export class MOBILModel {
             return 0; // No impact on followers
         }
         
-        const gap = vehicle.u - follower.u - vehicle.length;
+        const gap = vehicle.u - follower.u - vehicle.len;
         return follower.idmModel.calcAccDet(gap, follower.speed, vehicle.speed, vehicle.acc);
     }
 
@@ -238,7 +270,7 @@ export class MOBILModel {
         if (currentFollower) {
             const currentLeader = this.findLeadingVehicle(vehicle, currentLane);
             const newGap = currentLeader ? 
-                currentLeader.u - currentFollower.u - currentLeader.length :
+                currentLeader.u - currentFollower.u - currentLeader.len :
                 1000;
             const newAcc = currentFollower.idmModel.calcAccDet(
                 newGap, currentFollower.speed, 
@@ -251,7 +283,7 @@ export class MOBILModel {
         // Target lane follower loses space
         const targetFollower = this.findFollowingVehicle(vehicle, targetLane);
         if (targetFollower) {
-            const gap = vehicle.u - targetFollower.u - vehicle.length;
+            const gap = vehicle.u - targetFollower.u - vehicle.len;
             const newAcc = targetFollower.idmModel.calcAccDet(
                 gap, targetFollower.speed, vehicle.speed, vehicle.acc
             );
@@ -1,206 +1,266 @@
 import { CONFIG } from './config.js';
 import { Road } from './roadSystem.js';
+import { RingRoad } from './ringRoad.js';
+import { DEFAULT_ROAD_NETWORK, createPath, getBayLanes } from './roadNetworkFile.js';
 
 export class Intersection {
-    constructor(centerX, centerY) {
+    /**
+     * @param {number} centerX - canvas position of the intersection center (px)
+     * @param {number} centerY
+     * @param {Object} roadNetwork - roads, connections, approaches and movements from parseRoadNetwork()
+     */
+    constructor(centerX, centerY, roadNetwork = DEFAULT_ROAD_NETWORK) {
         this.centerX = centerX;
         this.centerY = centerY;
-        this.laneWidth = CONFIG.LANE_WIDTH;
-        this.nLanesMain = CONFIG.N_LANES_MAIN;
-        this.nLanesSec = CONFIG.N_LANES_SEC;
-        this.radiusRight = CONFIG.RADIUS_RIGHT;
-        this.radiusLeft = CONFIG.RADIUS_LEFT;
-        this.lenRight = CONFIG.LEN_RIGHT;
-        this.lenLeft = CONFIG.LEN_LEFT;
         this.scale = CONFIG.CANVAS_WIDTH / CONFIG.REF_SIZE_PHYS;
-        
-        // Road network - 6 roads total (0-5)
-        this.network = [];
         this.nSegm = CONFIG.N_SEGM;
         
         // Initialize the road network
-        this.initializeRoads();
+        this.loadRoadNetwork(roadNetwork);
         this.calculatePositions();
+    }
+
+    /**
+     * Replace all roads with those of another road network; vehicles on the old roads are dropped
+     * @param {Object} roadNetwork - from parseRoadNetwork()
+     */
+    loadRoadNetwork(roadNetwork) {
+        this.roadNetwork = roadNetwork;
+        this.network = [];  // One Road per road of the network file, indexed by road ID
+        this.paths = [];    // Centerline path of each road, relative to the center (m)
+        this.initializeRoads();
         
-        console.log("Intersection initialized with 6-road network system");
+        console.log(`Intersection built from "${roadNetwork.name}" with ${this.network.length} roads`);
     }
 
     initializeRoads() {
-        // Create 6 roads as defined in CONFIG.ROAD_IDS
-        this.network = [
-            this.createRoad(0, "east-bound"),    // East-bound main road
-            this.createRoad(1, "west-bound"),    // West-bound main road  
-            this.createRoad(2, "north-bound"),   // North-bound approach
-            this.createRoad(3, "north-exit"),    // North-bound exit
-            this.createRoad(4, "south-bound"),   // South-bound approach
-            this.createRoad(5, "south-exit")     // South-bound exit
-        ];
+        this.network = this.roadNetwork.roads.map(definition => this.createRoad(definition));
         
-        this.setupTrajectories();
-        this.setupAlternativeTrajectories();
+        this.setupStopLines();
         this.setupConnections();
+        this.setupCrosswalks();
+        this.setupRoutes();
     }
 
-    createRoad(roadID, type) {
-        const roadLen = 200; // 200 meters
-        const nLanes = type.includes("main") ? this.nLanesMain : this.nLanesSec;
-        
-        const road = new Road(roadID, roadLen, this.laneWidth, nLanes, null);
+    createRoad(definition) {
+        const centerX_phys = this.centerX / this.scale;
+        const centerY_phys = this.centerY / this.scale;
+        const path = createPath(definition.geometry);
+        this.paths[definition.id] = path;
+
+        const RoadClass = definition.closed ? RingRoad : Road;
+        const road = new RoadClass(definition.id, path.length, definition.laneWidth, definition.lanes, [
+            (u) => centerX_phys + path.x(u),
+            (u) => centerY_phys + path.y(u)
+        ]);
+        road.speedLimit = definition.speedLimit;
+        road.precomputeDrawingArrays();
         return road;
     }
 
-    setupTrajectories() {
-        const centerX_phys = this.centerX / this.scale;
-        const centerY_phys = this.centerY / this.scale;
-        const offsetMain = CONFIG.OFFSET_MAIN;
-        const offsetSec = CONFIG.OFFSET_SEC;
-        const offset20Target = CONFIG.OFFSET_20_TARGET;
-
-        // East-bound road (Road 0)
-        this.network[0].traj = [
-            (u) => centerX_phys + u - 0.5 * this.network[0].roadLen,
-            (u) => centerY_phys - offsetMain
-        ];
-
-        // West-bound road (Road 1) 
-        this.network[1].traj = [
-            (u) => centerX_phys - u + 0.5 * this.network[1].roadLen,
-            (u) => centerY_phys + offsetMain
-        ];
-
-        // North-bound approach (Road 2)
-        this.network[2].traj = [
-            (u) => centerX_phys + offsetSec,
-            (u) => centerY_phys - offset20Target - this.radiusRight - this.network[2].roadLen + u
-        ];
-
-        // North-bound exit (Road 3)
-        this.network[3].traj = [
-            (u) => centerX_phys - offsetSec,
-            (u) => centerY_phys + offset20Target + this.radiusRight + u
-        ];
-
-        // South-bound approach (Road 4)
-        this.network[4].traj = [
-            (u) => centerX_phys - offsetSec,
-            (u) => centerY_phys + offset20Target + this.radiusRight + this.network[4].roadLen - u
-        ];
-
-        // South-bound exit (Road 5)
-        this.network[5].traj = [
-            (u) => centerX_phys + offsetSec,
-            (u) => centerY_phys - offset20Target - this.radiusRight - u
-        ];
-
-        // Precompute drawing arrays for all roads
-        this.network.forEach(road => road.precomputeDrawingArrays());
-    }
-
-    setupAlternativeTrajectories() {
+    setupConnections() {
         const centerX_phys = this.centerX / this.scale;
         const centerY_phys = this.centerY / this.scale;
-        const uSourceRight = CONFIG.GEOMETRIC?.U20_SOURCE || 104.16;
-
-        // Right turn trajectories
-        this.setupRightTurnTrajectory(0, 2, centerX_phys, centerY_phys, uSourceRight); // East → North
-        this.setupRightTurnTrajectory(1, 4, centerX_phys, centerY_phys, uSourceRight); // West → South
-        this.setupRightTurnTrajectory(2, 0, centerX_phys, centerY_phys, uSourceRight); // North → East
-        this.setupRightTurnTrajectory(4, 1, centerX_phys, centerY_phys, uSourceRight); // South → West
-
-        // Left turn trajectories
-        this.setupLeftTurnTrajectory(0, 3, centerX_phys, centerY_phys, uSourceRight); // East → North exit
-        this.setupLeftTurnTrajectory(1, 5, centerX_phys, centerY_phys, uSourceRight); // West → South exit
-        this.setupLeftTurnTrajectory(2, 1, centerX_phys, centerY_phys, uSourceRight); // North → West
-        this.setupLeftTurnTrajectory(4, 0, centerX_phys, centerY_phys, uSourceRight); // South → East
-    }
-
-    setupRightTurnTrajectory(fromRoadID, toRoadID, centerX_phys, centerY_phys, uSource) {
-        const road = this.network[fromRoadID];
-        const offsetMain = fromRoadID < 2 ? CONFIG.OFFSET_MAIN : CONFIG.OFFSET_SEC;
-        const offset20Target = CONFIG.OFFSET_20_TARGET;
-
-        const trajX = (u, laneOffset = 0) => {
-            const du = u - uSource;
-            const centerX = centerX_phys + offsetMain + this.radiusRight;
-            
-            if (du < 0) {
-                return centerX - (this.radiusRight + laneOffset);
-            } else {
-                return centerX - (this.radiusRight + laneOffset) * Math.cos(du / this.radiusRight);
-            }
-        };
 
-        const trajY = (u, laneOffset = 0) => {
-            const du = u - uSource;
-            const centerY = centerY_phys - offset20Target - this.radiusRight;
-            
-            if (du < 0) {
-                return centerY + du;
-            } else {
-                return centerY + (this.radiusRight + laneOffset) * Math.sin(du / this.radiusRight);
+        this.roadNetwork.connections.forEach(connection => {
+            const road = this.network[connection.from];
+            const targetRoad = this.network[connection.to];
+
+            // Straight connections hand vehicles to the target road; the lane mapping is a lane offset
+            if (!connection.turn) {
+                const [fromLane, toLane] = connection.lanes[0];
+                road.connect(targetRoad, connection.uSource, connection.uTarget, toLane - fromLane);
+                return;
             }
-        };
 
-        road.addAlternativeTrajectory({
-            x: trajX,
-            y: trajY,
-            roadID: toRoadID,
-            umin: uSource,
-            umax: uSource + this.lenRight,
-            laneMin: road.nLanes - 1,
-            laneMax: road.nLanes - 1,
-            turnType: 'right'
+            // Turning vehicles stay on their road and follow the turn path from umin on,
+            // turning from the lanes whose lane use allows it
+            const path = createPath(connection.geometry, this.paths[connection.from].getPose(connection.uSource));
+            const fromLanes = road.laneUse
+                ? road.getAllowedLanes(connection.turn)
+                : connection.lanes.map(([fromLane]) => fromLane);
+            road.addAlternativeTrajectory({
+                x: (u, laneOffset = 0) => centerX_phys + path.x(u - connection.uSource, laneOffset),
+                y: (u, laneOffset = 0) => centerY_phys + path.y(u - connection.uSource, laneOffset),
+                roadID: connection.to,
+                umin: connection.uSource,
+                umax: connection.uSource + path.length,
+                laneMin: Math.min(...fromLanes),
+                laneMax: Math.max(...fromLanes),
+                turnType: connection.turn
+            });
         });
     }
 
-    setupLeftTurnTrajectory(fromRoadID, toRoadID, centerX_phys, centerY_phys, uSource) {
-        const road = this.network[fromRoadID];
-        const offsetMain = fromRoadID < 2 ? CONFIG.OFFSET_MAIN : CONFIG.OFFSET_SEC;
-        const lenLeftArc = this.lenLeft - CONFIG.LEN_LEFT;
-
-        const trajX = (u, laneOffset = 0) => {
-            const centerX = centerX_phys + offsetMain - this.radiusLeft;
-            const du = u - uSource;
-            
-            if (du < lenLeftArc) {
-                return centerX + (this.radiusLeft + laneOffset);
-            } else {
-                return centerX + (this.radiusLeft + laneOffset) * Math.cos((du - lenLeftArc) / this.radiusLeft);
+    setupStopLines() {
+        // Signalized approach roads, keyed by the light direction that controls them
+        this.approachRoads = {};
+        Object.entries(this.roadNetwork.approaches).forEach(([direction, approach]) => {
+            this.approachRoads[direction] = approach.road;
+            this.network[approach.road].setStopLine(approach.stopLine, approach.center);
+
+            // Turn bay lanes begin their storage length before the stop line
+            const laneStartU = approach.laneUse.map(() => 0);
+            [CONFIG.TURN_TYPES.LEFT, CONFIG.TURN_TYPES.RIGHT].forEach(turn => {
+                getBayLanes(approach, turn).forEach(lane => {
+                    laneStartU[lane] = approach.stopLine - approach.bays[turn];
+                });
+            });
+            this.network[approach.road].setLaneLayout(approach.laneUse, laneStartU);
+
+            // Roundabout entries give way to the ring instead of following a signal
+            if (approach.yieldTo) {
+                this.network[approach.road].setYieldControl(this.network[approach.yieldTo.road], approach.yieldTo.u);
             }
-        };
+        });
 
-        const trajY = (u, laneOffset = 0) => {
-            const centerY = centerY_phys - CONFIG.OFFSET_20_TARGET - this.radiusLeft;
-            const du = u - uSource;
-            
-            if (du < lenLeftArc) {
-                return centerY + du;
-            } else {
-                return centerY + (this.radiusLeft + laneOffset) * Math.sin((du - lenLeftArc) / this.radiusLeft);
+        // Permitted left turns yield to the opposing approach's through traffic
+        Object.values(this.roadNetwork.approaches).forEach(approach => {
+            if (approach.opposing) {
+                this.network[approach.road].setOpposingRoad(this.network[this.approachRoads[approach.opposing]]);
             }
-        };
+        });
+    }
 
-        road.addAlternativeTrajectory({
-            x: trajX,
-            y: trajY,
-            roadID: toRoadID,
-            umin: uSource,
-            umax: uSource + this.lenLeft,
-            laneMin: 0,
-            laneMax: 0,
-            turnType: 'left'
+    setupCrosswalks() {
+        // One crosswalk per leg, across the approach road and the exit road beside it, keyed by
+        // the approach's light direction. Vehicles turning onto that exit road cross it.
+        this.crosswalks = {};
+        Object.entries(this.roadNetwork.approaches).forEach(([direction, approach]) => {
+            if (!approach.crosswalk) return;
+
+            const road = this.network[approach.road];
+            const exitRoad = this.network[approach.crosswalk.exitRoad];
+            const boxEntryU = road.stopLineU + CONFIG.GEOMETRIC.STOP_LINE_SETBACK + CONFIG.PEDESTRIANS.CROSSWALK_WIDTH;
+            // Its WALK runs with the through movement beside it: the one whose right turns cross it
+            const parallel = this.roadNetwork.movements.find(movement =>
+                movement.turn === CONFIG.TURN_TYPES.RIGHT && movement.route[movement.route.length - 1] === exitRoad.roadID
+            );
+            this.crosswalks[direction] = {
+                direction,
+                roadID: approach.road,
+                exitRoadID: exitRoad.roadID,
+                parallel: parallel ? parallel.approach : null,
+                length: road.nLanes * road.laneWidth + exitRoad.nLanes * exitRoad.laneWidth,
+                uStart: boxEntryU - CONFIG.PEDESTRIANS.CROSSWALK_WIDTH,
+                uEnd: boxEntryU
+            };
+        });
+
+        // Each turn path onto an exit road crosses that leg's crosswalk; vehicles yield short of it
+        Object.values(this.approachRoads).forEach(roadID => {
+            const road = this.network[roadID];
+            road.trajAlt.forEach(trajAlt => {
+                const crosswalk = Object.values(this.crosswalks).find(c => c.exitRoadID === trajAlt.roadID);
+                if (!crosswalk) return;
+
+                const crossingU = this.getCrosswalkCrossingU(trajAlt, crosswalk);
+                if (crossingU === null) return;
+                road.setPedestrianConflict(trajAlt, crosswalk.direction, crossingU - CONFIG.PEDESTRIANS.YIELD_SETBACK);
+            });
         });
     }
 
-    setupConnections() {
-        // Connect roads for vehicle flow
-        // Straight connections
-        this.network[0].connect(this.network[0], 190, 10); // East straight through
-        this.network[1].connect(this.network[1], 190, 10); // West straight through
-        this.network[2].connect(this.network[3], 190, 10); // North straight through
-        this.network[4].connect(this.network[5], 190, 10); // South straight through
+    /**
+     * Position on a turn path where it reaches the near edge of a crosswalk
+     * @param {Object} trajAlt - turn path of an approach road
+     * @param {Object} crosswalk - entry of this.crosswalks
+     * @returns {number|null} position on the turning vehicle's road (m), null if the path never reaches it
+     */
+    getCrosswalkCrossingU(trajAlt, crosswalk) {
+        // The crosswalk's centerline lies across its approach road, halfway between uStart and uEnd
+        const [x, y] = this.network[crosswalk.roadID].traj;
+        const uMid = (crosswalk.uStart + crosswalk.uEnd) / 2;
+        const phi = Math.atan2(y(uMid + 0.1) - y(uMid - 0.1), x(uMid + 0.1) - x(uMid - 0.1));
+        const halfWidth = CONFIG.PEDESTRIANS.CROSSWALK_WIDTH / 2;
+        const distanceAhead = u => (trajAlt.x(u) - x(uMid)) * Math.cos(phi) + (trajAlt.y(u) - y(uMid)) * Math.sin(phi);
+
+        // Turn paths start inside the box, ahead of the crosswalk, and run back across it on the exit road
+        const searchEnd = trajAlt.umax + CONFIG.GEOMETRIC.APPROACH_ZONE;
+        for (let u = trajAlt.umin; u <= searchEnd; u += 0.5) {
+            if (distanceAhead(u) <= halfWidth) return u;
+        }
+        return null;
+    }
+
+    setupRoutes() {
+        // Road-ID route of every movement, keyed by approach direction and turn
+        this.routes = {};
+        this.roadNetwork.movements.forEach(movement => {
+            this.routes[movement.approach] = this.routes[movement.approach] || {};
+            this.routes[movement.approach][movement.turn] = movement.route;
+        });
+    }
 
-        // Turn connections will be handled by alternative trajectories
+    /**
+     * Road-ID route of a movement
+     * @param {string} direction - approach (light direction)
+     * @param {string} turnType - CONFIG.TURN_TYPES value
+     * @returns {Array|null} road IDs, null if the network has no such movement
+     */
+    getRoute(direction, turnType) {
+        return this.routes[direction]?.[turnType] || null;
+    }
+
+    // CONFIG.ROUTE_MOVEMENTS key (e.g. 'ROUTE_05') of a road-ID route
+    getMovementKey(route) {
+        const key = JSON.stringify(route);
+        return Object.keys(CONFIG.ROUTE_MOVEMENTS).find(routeKey => {
+            const movement = CONFIG.ROUTE_MOVEMENTS[routeKey];
+            return JSON.stringify(this.getRoute(movement.direction, movement.turn)) === key;
+        }) || null;
+    }
+
+    /**
+     * Tell turning vehicles which crosswalks have pedestrians on them
+     * @param {Object} occupied - { direction: boolean } from PedestrianSystem.getOccupiedCrosswalks()
+     */
+    applyCrosswalkStates(occupied) {
+        this.network.forEach(road => {
+            road.pedestrianConflicts.forEach(conflict => {
+                conflict.occupied = !!occupied[conflict.crosswalk];
+            });
+        });
+    }
+
+    // False when every approach is yield-controlled (a roundabout): the signals then show nothing
+    isSignalized() {
+        return Object.values(this.roadNetwork.approaches).some(approach => !approach.yieldTo);
+    }
+
+    applySignalStates(lightStates, leftTurnStates = {}) {
+        if (!lightStates) return;
+
+        Object.entries(this.approachRoads).forEach(([direction, roadID]) => {
+            if (lightStates[direction] && !this.network[roadID].yieldRoad) {
+                this.network[roadID].setSignalState(lightStates[direction], leftTurnStates[direction]);
+            }
+        });
+    }
+
+    /**
+     * Approaches with an emergency vehicle between the detection distance and the stop line
+     * @param {number} distance - detection distance upstream of the stop line (m); 0 disables preemption
+     * @returns {Array} light directions, nearest emergency vehicle first
+     */
+    getPreemptionRequests(distance) {
+        if (!distance) return [];
+
+        const requests = [];
+        Object.entries(this.approachRoads).forEach(([direction, roadID]) => {
+            const road = this.network[roadID];
+            road.veh.forEach(veh => {
+                const toStopLine = road.stopLineU - veh.u;
+                if (veh.type === 'emergency' && toStopLine >= 0 && toStopLine <= distance) {
+                    requests.push({ direction, toStopLine });
+                }
+            });
+        });
+
+        return requests
+            .sort((a, b) => a.toStopLine - b.toStopLine)
+            .map(request => request.direction)
+            .filter((direction, index, directions) => directions.indexOf(direction) === index);
     }
 
     calculatePositions() {
@@ -237,6 +297,35 @@ export class Intersection {
             }
         };
 
+        // Crosswalk centerlines just inside the stop lines; pedestrians walk between the two ends
+        const crosswalkOffset = stopLineOffset - 3 - CONFIG.PEDESTRIANS.CROSSWALK_WIDTH * this.scale / 2;
+        this.crosswalkPositions = {
+            [CONFIG.DIRECTIONS.NORTH]: {
+                x1: this.centerX - roadWidth,
+                y1: this.centerY - crosswalkOffset,
+                x2: this.centerX + roadWidth,
+                y2: this.centerY - crosswalkOffset
+            },
+            [CONFIG.DIRECTIONS.EAST]: {
+                x1: this.centerX + crosswalkOffset,
+                y1: this.centerY - roadWidth,
+                x2: this.centerX + crosswalkOffset,
+                y2: this.centerY + roadWidth
+            },
+            [CONFIG.DIRECTIONS.SOUTH]: {
+                x1: this.centerX + roadWidth,
+                y1: this.centerY + crosswalkOffset,
+                x2: this.centerX - roadWidth,
+                y2: this.centerY + crosswalkOffset
+            },
+            [CONFIG.DIRECTIONS.WEST]: {
+                x1: this.centerX - crosswalkOffset,
+                y1: this.centerY + roadWidth,
+                x2: this.centerX - crosswalkOffset,
+                y2: this.centerY - roadWidth
+            }
+        };
+
         // Traffic light positions
         this.lightPositions = {
             [CONFIG.DIRECTIONS.NORTH]: {
@@ -308,9 +397,14 @@ export class Intersection {
 
     render(ctx) {
         this.drawRoads(ctx);
+        if (!this.isSignalized()) {
+            this.drawYieldLines(ctx);
+            return;
+        }
         this.drawIntersection(ctx);
         this.drawLaneMarkings(ctx);
         this.drawStopLines(ctx);
+        this.drawCrosswalks(ctx);
     }
 
     drawRoads(ctx) {
@@ -322,7 +416,7 @@ export class Intersection {
     drawRoadSegments(ctx, road) {
         const segmentLength = road.roadLen / this.nSegm;
         const segmentWidth = this.scale * segmentLength;
-        const roadWidth = this.scale * (road.nLanes * this.laneWidth + CONFIG.BOUNDARY_STRIP_WIDTH);
+        const stripWidth = this.scale * CONFIG.BOUNDARY_STRIP_WIDTH;
 
         ctx.fillStyle = '#444444';
 
@@ -332,9 +426,16 @@ export class Intersection {
             const cosphi = road.draw_cosphi[i];
             const sinphi = road.draw_sinphi[i];
 
+            // Turn bays widen the road only where they are open; lanes sit as in getVehiclePosition()
+            const openLanes = [...Array(road.nLanes).keys()].filter(lane => road.isLaneOpen(lane, (i + 0.5) * segmentLength));
+            const first = openLanes[0];
+            const last = openLanes[openLanes.length - 1];
+            const top = -this.scale * road.laneWidth * (last + 1 - 0.5 * road.nLanes) - 0.5 * stripWidth;
+            const width = this.scale * road.laneWidth * (last - first + 1) + stripWidth;
+
             ctx.save();
             ctx.setTransform(cosphi, -sinphi, +sinphi, cosphi, x, y);
-            ctx.fillRect(-0.5 * segmentWidth, -0.5 * roadWidth, segmentWidth, roadWidth);
+            ctx.fillRect(-0.5 * segmentWidth, top, segmentWidth, width);
             ctx.restore();
         }
     }
@@ -397,6 +498,70 @@ export class Intersection {
         });
     }
 
+    // Dashed give-way line across each yield-controlled approach
+    drawYieldLines(ctx) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 4;
+        ctx.setLineDash([6, 6]);
+
+        Object.values(this.approachRoads).forEach(roadID => {
+            const road = this.network[roadID];
+            if (!road.yieldRoad) return;
+
+            const u = road.stopLineU;
+            const phi = road.get_phi(u, road.traj);
+            const halfWidth = road.nLanes * road.laneWidth / 2;
+            const x = road.traj[0](u);
+            const y = road.traj[1](u);
+            ctx.beginPath();
+            ctx.moveTo(this.scale * (x - halfWidth * Math.sin(phi)), -this.scale * (y + halfWidth * Math.cos(phi)));
+            ctx.lineTo(this.scale * (x + halfWidth * Math.sin(phi)), -this.scale * (y - halfWidth * Math.cos(phi)));
+            ctx.stroke();
+        });
+
+        ctx.setLineDash([]);
+    }
+
+    drawCrosswalks(ctx) {
+        const bandWidth = CONFIG.PEDESTRIANS.CROSSWALK_WIDTH * this.scale;
+        const stripeWidth = 4;
+        const stripeSpacing = 9;
+
+        ctx.fillStyle = '#f0f0f0';
+        Object.values(this.crosswalkPositions).forEach(crosswalk => {
+            const dx = crosswalk.x2 - crosswalk.x1;
+            const dy = crosswalk.y2 - crosswalk.y1;
+            const length = Math.hypot(dx, dy);
+
+            // Zebra bars run with the traffic, across the walking direction
+            ctx.save();
+            ctx.translate(crosswalk.x1, crosswalk.y1);
+            ctx.rotate(Math.atan2(dy, dx));
+            for (let offset = 2; offset + stripeWidth <= length; offset += stripeSpacing) {
+                ctx.fillRect(offset, -bandWidth / 2, stripeWidth, bandWidth);
+            }
+            ctx.restore();
+        });
+    }
+
+    getCrosswalkPosition(direction) {
+        return this.crosswalkPositions[direction];
+    }
+
+    // Pedestrian signal head just beyond the far end of the crosswalk
+    getPedestrianSignalPosition(direction) {
+        const crosswalk = this.crosswalkPositions[direction];
+        if (!crosswalk) return null;
+
+        const dx = crosswalk.x2 - crosswalk.x1;
+        const dy = crosswalk.y2 - crosswalk.y1;
+        const length = Math.hypot(dx, dy);
+        return {
+            x: crosswalk.x2 + dx / length * 12,
+            y: crosswalk.y2 + dy / length * 12
+        };
+    }
+
     getStopLinePosition(direction) {
         return this.stopLines[direction];
     }
@@ -454,15 +619,18 @@ export class Intersection {
         return this.carManager ? this.carManager.getCars() : [];
     }
 
-    getVehiclePosition(roadID, u, v) {
+    // traj: the road's own trajectory unless given another one, e.g. a turn path (Road.getTraj)
+    getVehiclePosition(roadID, u, v, traj = null) {
         const road = this.network[roadID];
         if (!road) return null;
 
+        const path = traj || road.traj;
+        const pathLen = traj ? Infinity : road.roadLen;   // Turn paths run on past their end
         const uPos = u - 0.5 * CONFIG.CAR_LENGTH;
-        const laneOffset = this.laneWidth * (v - 0.5 * (road.nLanes - 1));
+        const laneOffset = road.laneWidth * (v - 0.5 * (road.nLanes - 1));
         
-        const x = road.traj[0](uPos) + laneOffset * Math.cos(this.get_phi(uPos, road.traj, road.roadLen) + Math.PI / 2);
-        const y = road.traj[1](uPos) + laneOffset * Math.sin(this.get_phi(uPos, road.traj, road.roadLen) + Math.PI / 2);
+        const x = path[0](uPos) + laneOffset * Math.cos(this.get_phi(uPos, path, pathLen) + Math.PI / 2);
+        const y = path[1](uPos) + laneOffset * Math.sin(this.get_phi(uPos, path, pathLen) + Math.PI / 2);
 
         return {
             x: x * this.scale,
@@ -470,13 +638,13 @@ export class Intersection {
         };
     }
 
-    getVehicleOrientation(roadID, u, dvdt, speed) {
+    getVehicleOrientation(roadID, u, dvdt, speed, traj = null) {
         const road = this.network[roadID];
         if (!road) return 0;
 
         const uPos = u - 0.5 * CONFIG.CAR_LENGTH;
-        const phi = this.get_phi(uPos, road.traj, road.roadLen);
-        const laneChangeAngle = -Math.atan(dvdt * this.laneWidth / speed);
+        const phi = traj ? this.get_phi(uPos, traj, Infinity) : this.get_phi(uPos, road.traj, road.roadLen);
+        const laneChangeAngle = -Math.atan(dvdt * road.laneWidth / speed);
 
         return phi + laneChangeAngle;
     }
@@ -496,16 +664,54 @@ export class Intersection {
         return phi;
     }
 
-    update(deltaTime) {
-        // Update physics for all roads
+    // PHYSICS STEP PHASES
+    // Called in order by GameEngine.update(); each phase runs over all roads
+    // before the next one starts
+
+    calcAccelerations() {
         for (let road of this.network) {
             road.calcAccelerations();
+        }
+    }
+
+    changeLanes() {
+        this.enforceLaneAssignments();
+        for (let road of this.network) {
             road.changeLanes();
+        }
+    }
+
+    updateSpeedPositions() {
+        for (let road of this.network) {
             road.updateSpeedPositions();
+        }
+    }
+
+    processConnections() {
+        for (let road of this.network) {
             road.processConnections();
         }
     }
 
+    removeExitedVehicles() {
+        let exited = [];
+        for (let road of this.network) {
+            exited = exited.concat(road.removeExitedVehicles());
+        }
+        return exited;
+    }
+
+    enforceLaneAssignments() {
+        // Flag vehicles whose lane does not serve their movement (lane use) near their turn
+        for (let road of this.network) {
+            for (let veh of road.veh) {
+                if (road.getRequiredLaneChange(veh)) {
+                    veh.mandatoryLaneChange = true;
+                }
+            }
+        }
+    }
+
     getTrafficStatistics() {
         const stats = {
             totalVehicles: 0,
@@ -540,6 +746,30 @@ export class Intersection {
         return stats;
     }
 
+    // Vehicle order and signal states of every road; the vehicles themselves belong to their Cars
+    getSnapshot() {
+        return this.network.map(road => ({
+            roadID: road.roadID,
+            vehicles: road.veh.map(veh => veh.id),
+            signalState: road.signalState,
+            leftTurnSignal: road.leftTurnSignal
+        }));
+    }
+
+    /**
+     * Put road vehicles back on their roads in their recorded order
+     * @param {Array} snapshot - from getSnapshot()
+     * @param {Map} vehiclesById - vehicle id -> road vehicle
+     */
+    restoreSnapshot(snapshot, vehiclesById) {
+        snapshot.forEach(roadSnapshot => {
+            const road = this.network[roadSnapshot.roadID];
+            road.veh = roadSnapshot.vehicles.map(id => vehiclesById.get(id)).filter(Boolean);
+            road.signalState = roadSnapshot.signalState;
+            road.leftTurnSignal = roadSnapshot.leftTurnSignal;
+        });
+    }
+
     reset() {
         // Reset all roads
         for (let road of this.network) {
@@ -0,0 +1,318 @@
+// Induction loop detectors in road coordinates
+// A loop covers one lane of one road from u to u + length (meters). A vehicle occupies it
+// while any part of its body [u - len, u] overlaps the loop, exactly as a real loop sees it.
+// Each loop reports presence, counts, occupancy and spot speed, aggregated over fixed intervals.
+
+import { CONFIG } from './config.js';
+import { encodeNumber, decodeNumber } from './snapshot.js';
+
+export class LoopDetector {
+    constructor({ id, roadID, lane, u, length, type = 'presence', direction = null }) {
+        this.id = id;
+        this.roadID = roadID;
+        this.lane = lane;
+        this.u = u;                 // Upstream edge of the loop (m)
+        this.length = length;       // Loop length (m)
+        this.type = type;           // 'stopbar', 'advance' or any user label
+        this.direction = direction; // Approach the loop belongs to, if any
+
+        this.reset(0);
+    }
+
+    reset(now) {
+        this.presence = false;
+        this.vehiclesPresent = new Set();   // Ids of vehicles over the loop
+        this.occupiedSince = null;          // Start of the current continuous occupancy (ms)
+        this.lastOccupied = -Infinity;      // Last time the loop was occupied (ms)
+        this.spotSpeed = null;              // Speed of the last vehicle to enter (m/s)
+        this.totalCount = 0;
+        this.stepCount = 0;                 // Vehicles that entered during the last update
+        this.intervals = [];                // Closed aggregation intervals
+        this.startInterval(now);
+    }
+
+    startInterval(now) {
+        this.interval = {
+            start: now,
+            count: 0,
+            occupiedTime: 0,
+            speedSum: 0
+        };
+    }
+
+    /**
+     * Sample the loop for one simulation step
+     * @param {Road} road - the road the loop lies on
+     * @param {number} deltaTime - step length (ms)
+     * @param {number} now - simulation time at the end of the step (ms)
+     */
+    update(road, deltaTime, now) {
+        const loopEnd = this.u + this.length;
+        const present = new Set();
+        this.stepCount = 0;
+
+        road.veh.forEach(veh => {
+            if (veh.lane !== this.lane) return;
+            if (veh.u < this.u || veh.u - veh.len > loopEnd) return;
+
+            present.add(veh.id);
+            if (!this.vehiclesPresent.has(veh.id)) {
+                // Leading edge: the vehicle actuates the loop
+                this.stepCount++;
+                this.totalCount++;
+                this.interval.count++;
+                this.interval.speedSum += veh.speed;
+                this.spotSpeed = veh.speed;
+            }
+        });
+
+        this.vehiclesPresent = present;
+        this.presence = present.size > 0;
+
+        if (this.presence) {
+            this.interval.occupiedTime += deltaTime;
+            this.lastOccupied = now;
+            if (this.occupiedSince === null) this.occupiedSince = now - deltaTime;
+        } else {
+            this.occupiedSince = null;
+        }
+    }
+
+    closeInterval(now, maxIntervals) {
+        const duration = now - this.interval.start;
+        if (duration <= 0) return;
+
+        this.intervals.push({
+            start: this.interval.start,
+            end: now,
+            count: this.interval.count,
+            flow: this.interval.count * 3600000 / duration,            // veh/h
+            occupancy: this.interval.occupiedTime / duration,          // 0..1
+            meanSpeed: this.interval.count > 0 ? this.interval.speedSum / this.interval.count : null
+        });
+        if (this.intervals.length > maxIntervals) this.intervals.shift();
+
+        this.startInterval(now);
+    }
+
+    // Time the loop has been continuously occupied (ms), 0 when empty
+    getOccupiedDuration(now) {
+        return this.occupiedSince === null ? 0 : now - this.occupiedSince;
+    }
+
+    // Time since the loop was last occupied (ms)
+    getGap(now) {
+        return now - this.lastOccupied;
+    }
+
+    getState(now) {
+        const elapsed = now - this.interval.start;
+        return {
+            id: this.id,
+            presence: this.presence,
+            count: this.interval.count,
+            totalCount: this.totalCount,
+            occupancy: elapsed > 0 ? this.interval.occupiedTime / elapsed : 0,
+            spotSpeed: this.spotSpeed,
+            gap: this.getGap(now)
+        };
+    }
+
+    getDefinition() {
+        return {
+            id: this.id,
+            roadID: this.roadID,
+            lane: this.lane,
+            u: this.u,
+            length: this.length,
+            type: this.type,
+            direction: this.direction
+        };
+    }
+
+    // Definition plus everything the loop has measured
+    getSnapshot() {
+        return {
+            ...this.getDefinition(),
+            presence: this.presence,
+            vehiclesPresent: [...this.vehiclesPresent],
+            occupiedSince: this.occupiedSince,
+            lastOccupied: encodeNumber(this.lastOccupied),
+            spotSpeed: this.spotSpeed,
+            totalCount: this.totalCount,
+            stepCount: this.stepCount,
+            intervals: this.intervals,
+            interval: this.interval
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.presence = snapshot.presence;
+        this.vehiclesPresent = new Set(snapshot.vehiclesPresent);
+        this.occupiedSince = snapshot.occupiedSince;
+        this.lastOccupied = decodeNumber(snapshot.lastOccupied);
+        this.spotSpeed = snapshot.spotSpeed;
+        this.totalCount = snapshot.totalCount;
+        this.stepCount = snapshot.stepCount;
+        this.intervals = snapshot.intervals;
+        this.interval = snapshot.interval;
+    }
+}
+
+export class LoopDetectorSystem {
+    constructor(intersection, clock) {
+        this.intersection = intersection;
+        this.clock = clock;
+        this.detectors = [];
+        this.aggregationInterval = CONFIG.DETECTORS.AGGREGATION_INTERVAL;
+        this.intervalStart = 0;
+    }
+
+    /**
+     * Add a loop detector
+     * @param {Object} definition - { id, roadID, lane, u, length, type, direction }
+     * @returns {LoopDetector} the new detector
+     */
+    addDetector(definition) {
+        const detector = new LoopDetector(definition);
+        detector.reset(this.clock.now());
+        this.detectors.push(detector);
+        return detector;
+    }
+
+    /**
+     * Standard layout: on every lane of every signalized approach, a stop-bar presence loop
+     * ending at the stop line and a short advance loop further upstream (where the lane has begun)
+     * @param {number} advanceDistance - distance from the stop line to the advance loop (m)
+     */
+    createDefaultLayout(advanceDistance) {
+        this.detectors = [];
+        const stopBarLength = CONFIG.GEOMETRIC.STOP_LINE_DETECTOR_LENGTH;
+        const advanceLength = CONFIG.DETECTORS.ADVANCE_LENGTH;
+
+        Object.entries(this.intersection.approachRoads).forEach(([direction, roadID]) => {
+            const road = this.intersection.network[roadID];
+            const advanceU = Math.max(road.stopLineU - advanceDistance, CONFIG.GEOMETRIC.SPAWN_POSITION);
+
+            for (let lane = 0; lane < road.nLanes; lane++) {
+                this.addDetector({
+                    id: `${direction}-${lane}-stopbar`,
+                    roadID, lane,
+                    u: road.stopLineU - stopBarLength,
+                    length: stopBarLength,
+                    type: 'stopbar',
+                    direction
+                });
+                if (!road.isLaneOpen(lane, advanceU)) continue;
+                this.addDetector({
+                    id: `${direction}-${lane}-advance`,
+                    roadID, lane,
+                    u: advanceU,
+                    length: advanceLength,
+                    type: 'advance',
+                    direction
+                });
+            }
+        });
+    }
+
+    setAggregationInterval(interval) {
+        this.aggregationInterval = interval;
+    }
+
+    update(deltaTime) {
+        const now = this.clock.now();
+
+        this.detectors.forEach(detector => {
+            const road = this.intersection.network[detector.roadID];
+            if (road) detector.update(road, deltaTime, now);
+        });
+
+        if (now - this.intervalStart >= this.aggregationInterval) {
+            this.detectors.forEach(detector => detector.closeInterval(now, CONFIG.DETECTORS.MAX_INTERVALS));
+            this.intervalStart = now;
+        }
+    }
+
+    getDetector(id) {
+        return this.detectors.find(detector => detector.id === id) || null;
+    }
+
+    /**
+     * Detectors matching every given field
+     * @param {Object} filter - any of { roadID, lane, type, direction }
+     */
+    getDetectors(filter = {}) {
+        return this.detectors.filter(detector =>
+            Object.entries(filter).every(([key, value]) => detector[key] === value)
+        );
+    }
+
+    /**
+     * Whether the lane a detector lies in serves a movement, by its road's lane use
+     * @param {LoopDetector} detector
+     * @param {string} turnType - 'left', 'straight' or 'right'
+     */
+    servesMovement(detector, turnType) {
+        const road = this.intersection.network[detector.roadID];
+        return !road || road.getAllowedLanes(turnType).includes(detector.lane);
+    }
+
+    getStates() {
+        const now = this.clock.now();
+        return this.detectors.map(detector => detector.getState(now));
+    }
+
+    // Definitions plus closed aggregation intervals, for exports
+    getReport() {
+        return {
+            aggregationInterval: this.aggregationInterval,
+            detectors: this.detectors.map(detector => ({
+                ...detector.getDefinition(),
+                totalCount: detector.totalCount,
+                intervals: [...detector.intervals]
+            }))
+        };
+    }
+
+    render(ctx) {
+        const halfCar = 0.5 * CONFIG.CAR_LENGTH; // getVehiclePosition draws vehicles from their center
+
+        ctx.lineWidth = 6;
+        this.detectors.forEach(detector => {
+            const start = this.intersection.getVehiclePosition(detector.roadID, detector.u + halfCar, detector.lane);
+            const end = this.intersection.getVehiclePosition(detector.roadID, detector.u + detector.length + halfCar, detector.lane);
+            if (!start || !end) return;
+
+            ctx.strokeStyle = detector.presence ? 'rgba(255, 140, 0, 0.9)' : 'rgba(255, 165, 0, 0.35)';
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        });
+    }
+
+    reset() {
+        this.intervalStart = this.clock.now();
+        this.detectors.forEach(detector => detector.reset(this.intervalStart));
+    }
+
+    getSnapshot() {
+        return {
+            aggregationInterval: this.aggregationInterval,
+            intervalStart: this.intervalStart,
+            detectors: this.detectors.map(detector => detector.getSnapshot())
+        };
+    }
+
+    // Rebuilds the layout from the snapshot, so custom loops come back too
+    restoreSnapshot(snapshot) {
+        this.aggregationInterval = snapshot.aggregationInterval;
+        this.intervalStart = snapshot.intervalStart;
+        this.detectors = snapshot.detectors.map(detectorSnapshot => {
+            const detector = new LoopDetector(detectorSnapshot);
+            detector.restoreSnapshot(detectorSnapshot);
+            return detector;
+        });
+    }
+}
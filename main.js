@@ -1,8 +1,6 @@
 import { GameEngine } from './gameEngine.js';
 import { UIController } from './ui.js';
 import { CONFIG } from './config.js';
-import { TrafficLightController } from './trafficLights.js';
-import { Car } from './cars.js';
 import { createSimulation } from './simulationLoop.js';
 import { initDebugPanel } from './debugPanel.js';
 
@@ -12,19 +10,17 @@ class TrafficSimulator {
         this.ctx = this.canvas.getContext('2d');
         this.gameEngine = new GameEngine(this.canvas, this.ctx);
         this.uiController = new UIController(this.gameEngine);
-        this.trafficLightController = new TrafficLightController();
         
-        // Create physics-based simulation system
-        this.physicsSimulation = createSimulation(this.gameEngine.intersection);
+        // The one simulation loop: fixed-step GameEngine updates plus rendering
+        this.physicsSimulation = createSimulation(this.gameEngine);
+        this.physicsSimulation.beforeStep = () => this.applySliderSettings();
         
         // Initialize debug panel for physics monitoring
         this.debugPanel = initDebugPanel(this.gameEngine.intersection, this.physicsSimulation);
         
         this.isRunning = true;
-        this.lastTime = 0;
         
         this.initializeGame();
-        this.startGameLoop();
     }
 
     initializeGame() {
@@ -36,7 +32,7 @@ class TrafficSimulator {
         this.gameEngine.initialize();
         this.uiController.initialize();
         
-        // Start the physics simulation
+        // Start the simulation loop
         this.physicsSimulation.start();
         
         console.log('Traffic Simulator initialized with 4-lanes-per-direction physics system');
@@ -48,40 +44,28 @@ class TrafficSimulator {
         console.log('- Debug panel available (Press F12 or Ctrl+` to toggle)');
     }
 
-    startGameLoop() {
-        const gameLoop = (currentTime) => {
-            const deltaTime = currentTime - this.lastTime;
-            this.lastTime = currentTime;
-
-            if (this.isRunning) {
-                // Get durations from sliders (convert to milliseconds)
-                const settings = {
-                    GREEN_DURATION: Number(document.getElementById('greenDuration').value) * 1000,
-                    YELLOW_DURATION: Number(document.getElementById('yellowDuration').value) * 1000,
-                    RED_DURATION: Number(document.getElementById('redDuration').value) * 1000,
-                    CAR_SPAWN_RATE: Number(document.getElementById('carSpawnRate').value),
-                    CAR_SPEED: Number(document.getElementById('carSpeed').value),
-                    MIN_GREEN_TIME: 5000,
-                    DETECTOR_DISTANCE: 200
-                };
-
-                this.gameEngine.updateSettings(settings);
-                this.gameEngine.update(deltaTime);
-            }
-
-            this.gameEngine.render();
-            requestAnimationFrame(gameLoop);
+    applySliderSettings() {
+        // Get durations from sliders (convert to milliseconds)
+        const settings = {
+            GREEN_DURATION: Number(document.getElementById('greenDuration').value) * 1000,
+            YELLOW_DURATION: Number(document.getElementById('yellowDuration').value) * 1000,
+            RED_DURATION: Number(document.getElementById('redDuration').value) * 1000,
+            CAR_SPAWN_RATE: Number(document.getElementById('carSpawnRate').value),
+            CAR_SPEED: Number(document.getElementById('carSpeed').value),
+            MIN_GREEN_TIME: 5000
         };
 
-        requestAnimationFrame(gameLoop);
+        this.gameEngine.updateSettings(settings);
     }
 
     pause() {
         this.isRunning = false;
+        this.physicsSimulation.pause();
     }
 
     resume() {
         this.isRunning = true;
+        this.physicsSimulation.resume();
     }
 
     reset() {
@@ -89,7 +73,11 @@ class TrafficSimulator {
     }
 
     togglePause() {
-        this.isRunning = !this.isRunning;
+        if (this.isRunning) {
+            this.pause();
+        } else {
+            this.resume();
+        }
         return this.isRunning;
     }
 }
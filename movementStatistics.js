@@ -0,0 +1,389 @@
+// Movement-level performance measures in Highway Capacity Manual terms
+// For each of the twelve CONFIG.ROUTE_MOVEMENTS: control delay, stops, 95th-percentile queue,
+// volume-to-capacity ratio and level of service, aggregated per approach and intersection.
+// v/c compares arrival demand, including vehicles held outside a full entrance, with capacity;
+// the intersection figure is the HCM critical v/c of the signal timing actually run.
+// Heavy vehicles count by their passenger car equivalents (PCE), which lowers saturation flow.
+// Control delay is also kept per vehicle class: scheduled buses (transit) and general traffic.
+
+import { CONFIG } from './config.js';
+
+/**
+ * HCM level of service
+ * @param {number} delay - control delay (s/veh)
+ * @param {number} vc - volume-to-capacity ratio (a lane group over capacity is F)
+ * @param {Array} thresholds - CONFIG.HCM.LOS_THRESHOLDS (signalized) or UNSIGNALIZED_LOS_THRESHOLDS
+ * @returns {string} 'A' to 'F'
+ */
+export function getLevelOfService(delay, vc = 0, thresholds = CONFIG.HCM.LOS_THRESHOLDS) {
+    if (vc > 1.0) return 'F';
+    const threshold = thresholds.find(({ maxDelay }) => delay <= maxDelay);
+    return threshold ? threshold.grade : 'F';
+}
+
+// Smallest value at or above the given fraction of a histogram's samples
+function getHistogramPercentile(histogram, fraction) {
+    const total = histogram.reduce((sum, count) => sum + (count || 0), 0);
+    if (total === 0) return 0;
+
+    let cumulative = 0;
+    for (let value = 0; value < histogram.length; value++) {
+        cumulative += histogram[value] || 0;
+        if (cumulative >= fraction * total) return value;
+    }
+    return histogram.length - 1;
+}
+
+export class MovementStatistics {
+    constructor(intersection, clock) {
+        this.intersection = intersection;
+        this.clock = clock;
+        this.reset();
+    }
+
+    reset() {
+        this.startTime = this.clock.now();
+        this.tracked = new Map(); // Car id -> delay/stop tracking
+
+        this.movements = {};
+        Object.entries(CONFIG.ROUTE_MOVEMENTS).forEach(([routeKey, movement]) => {
+            this.movements[routeKey] = {
+                ...movement,
+                arrivals: 0,            // Vehicles that entered the approach
+                vehicles: 0,            // Vehicles that cleared the delay measurement point
+                pce: 0,                 // Passenger car equivalents of those vehicles
+                totalDelay: 0,          // Sum of control delays (ms)
+                totalStops: 0,
+                queueHistogram: [],     // Stopped-queue length (veh) -> number of samples
+                greenTime: 0,           // Time the movement could proceed (ms)
+                yellowTime: 0,
+                greenStarts: 0,         // Number of separate greens (for lost time)
+                lastSignal: null
+            };
+        });
+
+        this.vehicleClasses = {
+            transit: { vehicles: 0, totalDelay: 0, late: 0 },
+            general: { vehicles: 0, totalDelay: 0, late: 0 }
+        };
+
+        this.approachQueues = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.approachQueues[direction] = [];
+        });
+        this.currentQueue = 0; // Vehicles queued at all stop lines in the latest step
+        this.waitingAtStart = null; // Arrivals held outside the network per approach, first step
+        this.waiting = {};          // ... and latest step
+    }
+
+    /**
+     * @param {Array} cars - live Cars
+     * @param {number} deltaTime - step (ms)
+     * @param {Object|null} waitingArrivals - { direction: vehicles } held outside a full entrance
+     */
+    update(cars, deltaTime, waitingArrivals = null) {
+        const now = this.clock.now();
+        this.updateSignalTimes(deltaTime);
+        if (waitingArrivals) {
+            this.waitingAtStart = this.waitingAtStart || { ...waitingArrivals };
+            this.waiting = waitingArrivals;
+        }
+
+        const movementQueues = {};
+        const approachQueues = {};
+        Object.keys(this.movements).forEach(routeKey => { movementQueues[routeKey] = 0; });
+        Object.keys(this.approachQueues).forEach(direction => { approachQueues[direction] = 0; });
+
+        cars.forEach(car => {
+            let record = this.tracked.get(car.id);
+            if (!record) {
+                const routeKey = this.intersection.getMovementKey(car.route);
+                if (!routeKey) return;
+                record = {
+                    routeKey,
+                    entryTime: now,
+                    entryU: car.u,
+                    stops: 0,
+                    stopped: false,
+                    done: false
+                };
+                this.tracked.set(car.id, record);
+                this.movements[routeKey].arrivals++;
+            }
+            if (record.done) return;
+
+            const movement = this.movements[record.routeKey];
+            const road = this.intersection.network[this.intersection.approachRoads[movement.direction]];
+
+            // Stops: speed falls below the stop threshold; re-armed once clearly moving again
+            if (!record.stopped && car.speed < CONFIG.HCM.STOP_SPEED) {
+                record.stopped = true;
+                record.stops++;
+            } else if (record.stopped && car.speed > CONFIG.HCM.RESTART_SPEED) {
+                record.stopped = false;
+            }
+
+            // Queued: stopped upstream of the stop line
+            if (car.roadId === road.roadID && car.u <= road.stopLineU && car.speed < CONFIG.HCM.STOP_SPEED) {
+                movementQueues[record.routeKey]++;
+                approachQueues[movement.direction]++;
+            }
+
+            // Control delay: travel time to the measurement point minus free-flow travel time
+            const exitU = Math.min(road.stopLineU + CONFIG.HCM.DELAY_EXIT_DISTANCE, road.roadLen);
+            if (car.roadId !== road.roadID || car.u >= exitU) {
+                const freeFlowTime = road.getFreeFlowTime(car.vehicle, record.entryU, exitU) * 1000;
+                const delay = Math.max(now - record.entryTime - freeFlowTime, 0);
+                movement.totalDelay += delay;
+                movement.totalStops += record.stops;
+                movement.vehicles++;
+                movement.pce += car.pce || 1;
+                record.done = true;
+
+                const vehicleClass = this.vehicleClasses[car.transit ? 'transit' : 'general'];
+                vehicleClass.vehicles++;
+                vehicleClass.totalDelay += delay;
+                if (car.transit && car.transit.late) vehicleClass.late++;
+            }
+        });
+
+        Object.entries(movementQueues).forEach(([routeKey, queue]) => {
+            const histogram = this.movements[routeKey].queueHistogram;
+            histogram[queue] = (histogram[queue] || 0) + 1;
+        });
+        Object.entries(approachQueues).forEach(([direction, queue]) => {
+            this.approachQueues[direction][queue] = (this.approachQueues[direction][queue] || 0) + 1;
+        });
+        this.currentQueue = Object.values(approachQueues).reduce((sum, queue) => sum + queue, 0);
+    }
+
+    updateSignalTimes(deltaTime) {
+        Object.values(this.movements).forEach(movement => {
+            const road = this.intersection.network[this.intersection.approachRoads[movement.direction]];
+            const signal = road.getMovementSignalState(movement.turn);
+
+            if (signal === CONFIG.LIGHT_STATES.GREEN) {
+                movement.greenTime += deltaTime;
+                if (movement.lastSignal !== CONFIG.LIGHT_STATES.GREEN) movement.greenStarts++;
+            } else if (signal === CONFIG.LIGHT_STATES.YELLOW) {
+                movement.yellowTime += deltaTime;
+            }
+            movement.lastSignal = signal;
+        });
+    }
+
+    forgetCar(car) {
+        this.tracked.delete(car.id);
+    }
+
+    getSnapshot() {
+        return {
+            startTime: this.startTime,
+            tracked: [...this.tracked.entries()],
+            movements: this.movements,
+            vehicleClasses: this.vehicleClasses,
+            approachQueues: this.approachQueues,
+            currentQueue: this.currentQueue,
+            waitingAtStart: this.waitingAtStart,
+            waiting: this.waiting
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.startTime = snapshot.startTime;
+        this.tracked = new Map(snapshot.tracked);
+        this.movements = snapshot.movements;
+        this.vehicleClasses = snapshot.vehicleClasses;
+        this.approachQueues = snapshot.approachQueues;
+        this.currentQueue = snapshot.currentQueue;
+        this.waitingAtStart = snapshot.waitingAtStart ?? null;
+        this.waiting = snapshot.waiting ?? {};
+    }
+
+    // HCM heavy-vehicle adjustment f_HV = 1 / (1 + P_HV (E_T - 1)), i.e. vehicles per PCE
+    getHeavyVehicleFactor(movement) {
+        return movement.pce > 0 ? movement.vehicles / movement.pce : 1;
+    }
+
+    // Saturation flow of the approach lanes for a movement, adjusted for turns and heavy vehicles (veh/h)
+    getSaturationFlow(movement) {
+        const road = this.intersection.network[this.intersection.approachRoads[movement.direction]];
+        return CONFIG.HCM.SATURATION_FLOW * road.nLanes * CONFIG.HCM.TURN_FACTORS[movement.turn] *
+            this.getHeavyVehicleFactor(movement);
+    }
+
+    /**
+     * Capacity of a movement: saturation flow times the effective green ratio, shared among
+     * the approach's movements in proportion to their demand
+     * @param {number} demandShare - the movement's part of its approach's demand, 0..1
+     * @returns {number} veh/h
+     */
+    getCapacity(routeKey, elapsed, demandShare) {
+        const movement = this.movements[routeKey];
+        if (elapsed <= 0 || demandShare <= 0) return 0;
+
+        const effectiveGreen = Math.max(
+            movement.greenTime + movement.yellowTime - movement.greenStarts * CONFIG.HCM.LOST_TIME, 0
+        );
+        return this.getSaturationFlow(movement) * (effectiveGreen / elapsed) * demandShare;
+    }
+
+    /**
+     * Arrival demand of each movement: vehicles that entered its approach plus the growth of
+     * the queue held outside the network, which is split by the approach's turning shares
+     * @returns {Object} { ROUTE_xx: vehicles }
+     */
+    getDemandCounts() {
+        const approachArrivals = {};
+        Object.values(this.movements).forEach(movement => {
+            approachArrivals[movement.direction] = (approachArrivals[movement.direction] || 0) + movement.arrivals;
+        });
+
+        const counts = {};
+        Object.entries(this.movements).forEach(([routeKey, movement]) => {
+            const arrivals = approachArrivals[movement.direction];
+            const held = Math.max(
+                (this.waiting[movement.direction] || 0) - ((this.waitingAtStart || {})[movement.direction] || 0), 0
+            );
+            counts[routeKey] = movement.arrivals + (arrivals > 0 ? held * movement.arrivals / arrivals : 0);
+        });
+        return counts;
+    }
+
+    /**
+     * HCM critical v/c: X_c = sum of critical flow ratios * C / (C - L). Each pair of opposing
+     * approaches is one critical phase; its flow ratio is that of its busier approach (the sum of
+     * demand over saturation flow across the approach's movements). C is the mean cycle run and
+     * L one lost time per critical phase.
+     * @param {Object} demands - { ROUTE_xx: veh/h }
+     * @param {number} elapsed - measurement period (ms)
+     * @returns {number} critical v/c, 0 before a full cycle has run
+     */
+    getCriticalVc(demands, elapsed) {
+        const pairs = [
+            [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.SOUTH],
+            [CONFIG.DIRECTIONS.EAST, CONFIG.DIRECTIONS.WEST]
+        ];
+        const flowRatio = direction => Object.entries(this.movements)
+            .filter(([, movement]) => movement.direction === direction)
+            .reduce((sum, [routeKey, movement]) => sum + demands[routeKey] / this.getSaturationFlow(movement), 0);
+        const throughGreens = direction => Object.values(this.movements)
+            .filter(movement => movement.direction === direction && movement.turn === CONFIG.TURN_TYPES.STRAIGHT)
+            .reduce((sum, movement) => sum + movement.greenStarts, 0);
+
+        // Every cycle serves each pair once
+        const cycles = Math.min(...pairs.map(pair => Math.max(...pair.map(throughGreens))));
+        const cycleLength = cycles > 0 ? elapsed / cycles : 0;
+        const lostTime = pairs.length * CONFIG.HCM.LOST_TIME;
+        if (cycleLength <= lostTime) return 0;
+
+        const criticalFlowRatio = pairs.reduce((sum, pair) => sum + Math.max(...pair.map(flowRatio)), 0);
+        return criticalFlowRatio * cycleLength / (cycleLength - lostTime);
+    }
+
+    /**
+     * Performance measures per movement, approach and for the whole intersection
+     * Delays are in s/veh, volumes and capacities in veh/h, queues in vehicles.
+     */
+    getResults() {
+        const elapsed = this.clock.now() - this.startTime;
+        const hourly = (count) => elapsed > 0 ? count * 3600000 / elapsed : 0;
+
+        const demandCounts = this.getDemandCounts();
+        const demands = {};
+        const approachDemands = {};
+        Object.entries(this.movements).forEach(([routeKey, movement]) => {
+            demands[routeKey] = hourly(demandCounts[routeKey]);
+            approachDemands[movement.direction] = (approachDemands[movement.direction] || 0) + demands[routeKey];
+        });
+
+        const movements = {};
+        Object.entries(this.movements).forEach(([routeKey, movement]) => {
+            const demand = demands[routeKey];
+            const approachDemand = approachDemands[movement.direction];
+            const capacity = this.getCapacity(routeKey, elapsed, approachDemand > 0 ? demand / approachDemand : 0);
+            const delay = movement.vehicles > 0 ? movement.totalDelay / movement.vehicles / 1000 : 0;
+            const vc = capacity > 0 ? demand / capacity : 0;
+
+            movements[routeKey] = {
+                direction: movement.direction,
+                turn: movement.turn,
+                vehicles: movement.vehicles,
+                volume: hourly(movement.vehicles),  // Served
+                demand,                             // Arrived
+                pceVolume: hourly(movement.pce),    // pc/h
+                heavyVehicleFactor: this.getHeavyVehicleFactor(movement),
+                capacity,
+                vc,
+                controlDelay: delay,
+                stopsPerVehicle: movement.vehicles > 0 ? movement.totalStops / movement.vehicles : 0,
+                queue95: getHistogramPercentile(movement.queueHistogram, 0.95),
+                los: getLevelOfService(delay, vc, this.getLosThresholds())
+            };
+        });
+
+        const approaches = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const group = Object.values(movements).filter(movement => movement.direction === direction);
+            approaches[direction] = {
+                ...this.aggregate(group),
+                queue95: getHistogramPercentile(this.approachQueues[direction], 0.95)
+            };
+        });
+
+        // Signalized: the HCM critical v/c; a roundabout is as loaded as its busiest entry
+        const intersection = {
+            ...this.aggregate(Object.values(movements)),
+            vc: this.intersection.isSignalized()
+                ? this.getCriticalVc(demands, elapsed)
+                : Math.max(...Object.values(approaches).map(approach => approach.vc), 0),
+            queue95: Math.max(...Object.values(approaches).map(approach => approach.queue95), 0),
+            currentQueue: this.currentQueue
+        };
+
+        // Control delay of scheduled buses vs. general traffic
+        const vehicleClasses = {};
+        Object.entries(this.vehicleClasses).forEach(([name, vehicleClass]) => {
+            vehicleClasses[name] = {
+                vehicles: vehicleClass.vehicles,
+                late: vehicleClass.late,
+                controlDelay: vehicleClass.vehicles > 0 ? vehicleClass.totalDelay / vehicleClass.vehicles / 1000 : 0
+            };
+        });
+
+        return { movements, approaches, intersection, vehicleClasses };
+    }
+
+    // Roundabouts are graded on the shorter unsignalized delay scale
+    getLosThresholds() {
+        return this.intersection.isSignalized() ? CONFIG.HCM.LOS_THRESHOLDS : CONFIG.HCM.UNSIGNALIZED_LOS_THRESHOLDS;
+    }
+
+    // Volume-weighted delay and stops over a group of movements
+    aggregate(group) {
+        const vehicles = group.reduce((sum, movement) => sum + movement.vehicles, 0);
+        const volume = group.reduce((sum, movement) => sum + movement.volume, 0);
+        const demand = group.reduce((sum, movement) => sum + movement.demand, 0);
+        const pceVolume = group.reduce((sum, movement) => sum + movement.pceVolume, 0);
+        const capacity = group.reduce((sum, movement) => sum + movement.capacity, 0);
+        const delay = vehicles > 0
+            ? group.reduce((sum, movement) => sum + movement.controlDelay * movement.vehicles, 0) / vehicles
+            : 0;
+        const stops = vehicles > 0
+            ? group.reduce((sum, movement) => sum + movement.stopsPerVehicle * movement.vehicles, 0) / vehicles
+            : 0;
+
+        return {
+            vehicles,
+            volume,
+            demand,
+            pceVolume,
+            capacity,
+            vc: capacity > 0 ? demand / capacity : 0,
+            heavyVehicleFactor: pceVolume > 0 ? volume / pceVolume : 1,
+            controlDelay: delay,
+            stopsPerVehicle: stops,
+            los: getLevelOfService(delay, 0, this.getLosThresholds())
+        };
+    }
+}
@@ -0,0 +1,331 @@
+// Corridors and grids of signalized junctions
+// Each junction is a complete GameEngine with its own Intersection, signal controller, sensors
+// and clock; all of them advance in lockstep. A vehicle leaving a junction continues on the
+// neighbouring junction's approach in the same travel direction, so platoons arrive downstream
+// and a full downstream entrance holds vehicles at the upstream exit (spillback).
+
+import { CONFIG } from './config.js';
+import { planGreenWave } from './coordination.js';
+
+// Grid offset of the neighbouring junction reached by travelling in each direction
+// (north is up the canvas, so it decreases the row)
+const NEIGHBOUR_OFFSETS = {
+    [CONFIG.DIRECTIONS.EAST]: { row: 0, column: 1 },
+    [CONFIG.DIRECTIONS.WEST]: { row: 0, column: -1 },
+    [CONFIG.DIRECTIONS.NORTH]: { row: -1, column: 0 },
+    [CONFIG.DIRECTIONS.SOUTH]: { row: 1, column: 0 }
+};
+
+export class TrafficNetwork {
+    /**
+     * @param {Function} createEngine - factory returning a new, uninitialized GameEngine
+     * @param {Object} layout - { label, rows, columns }, e.g. CONFIG.NETWORK.LAYOUTS.corridor
+     */
+    constructor(createEngine, layout) {
+        this.layout = layout;
+        this.junctions = [];
+        for (let row = 0; row < layout.rows; row++) {
+            for (let column = 0; column < layout.columns; column++) {
+                this.junctions.push({
+                    id: this.junctions.length + 1,
+                    row,
+                    column,
+                    engine: createEngine()
+                });
+            }
+        }
+
+        // Links: upstream junction and travel direction -> downstream junction
+        this.links = new Map();
+        this.junctions.forEach(junction => {
+            this.links.set(junction.id, {});
+            Object.entries(NEIGHBOUR_OFFSETS).forEach(([direction, offset]) => {
+                const downstream = this.getJunction(junction.row + offset.row, junction.column + offset.column);
+                if (downstream) {
+                    this.links.get(junction.id)[direction] = downstream;
+                }
+            });
+        });
+
+        this.mode = null;
+        this.coordination = null;  // Last green-wave plan, see applyGreenWave()
+        this.resetTransfers();
+    }
+
+    getJunction(row, column) {
+        return this.junctions.find(junction => junction.row === row && junction.column === column) || null;
+    }
+
+    /**
+     * Start every junction in the same mode and settings
+     * @param {string} mode - control mode run at every junction
+     * @param {Object} settings - that mode's settings
+     */
+    initialize(mode, settings) {
+        this.mode = mode;
+        this.junctions.forEach(junction => {
+            const engine = junction.engine;
+            engine.initialize();
+            engine.updateMode(mode);
+            Object.entries(settings).forEach(([key, value]) => {
+                engine.updateSetting(key, value, mode);
+            });
+            this.connectJunction(junction);
+            engine.reset();
+        });
+        this.resetTransfers();
+
+        console.log(`Network initialized: ${this.layout.label}, ${this.junctions.length} junctions in ${mode} mode`);
+    }
+
+    /**
+     * Outside demand enters only on approaches without an upstream junction, and every
+     * vehicle leaving towards a downstream junction is handed over to it
+     */
+    connectJunction(junction) {
+        const carManager = junction.engine.getModeComponents(this.mode).carManager;
+        const entries = Object.values(CONFIG.DIRECTIONS).filter(direction => !this.getUpstream(junction, direction));
+        carManager.setEntryDirections(entries);
+
+        const recordCompletion = carManager.onCarCompleted;
+        carManager.onCarCompleted = (car) => {
+            if (recordCompletion) recordCompletion(car);
+            this.handleExit(junction, car);
+        };
+    }
+
+    // Junction whose exit in this travel direction feeds the given junction's approach
+    getUpstream(junction, direction) {
+        const offset = NEIGHBOUR_OFFSETS[direction];
+        return this.getJunction(junction.row - offset.row, junction.column - offset.column);
+    }
+
+    resetTransfers() {
+        this.pendingTransfers = []; // Vehicles that left a junction while the next entrance was full
+        this.transferred = 0;
+        this.exitedNetwork = 0;
+    }
+
+    handleExit(junction, car) {
+        const downstream = this.links.get(junction.id)[car.toDirection];
+        if (!downstream) {
+            this.exitedNetwork++;
+            return;
+        }
+
+        this.pendingTransfers.push({
+            junction: downstream,
+            direction: car.toDirection,
+            lane: car.lane,
+            vehicleType: car.vehicleType,
+            speed: car.speed,
+            transit: this.getTransferredTransit(junction, car)
+        });
+    }
+
+    /**
+     * Timetable entry a bus carries to the next junction: its schedule runs on over the roads
+     * it just travelled, and it checks in again at the downstream priority detector
+     * @returns {Object|null} Car.transit for the downstream car, null for other vehicles
+     */
+    getTransferredTransit(junction, car) {
+        if (!car.transit) return null;
+
+        const roads = junction.engine.intersection.network;
+        const routeLength = car.route.reduce((sum, roadID) => sum + roads[roadID].roadLen, 0);
+        const runningTime = (routeLength - CONFIG.GEOMETRIC.SPAWN_POSITION) / CONFIG.TRANSIT.SCHEDULE_SPEED * 1000;
+        return {
+            ...car.transit,
+            scheduledDeparture: car.transit.scheduledDeparture + runningTime,
+            lateness: null,
+            late: false
+        };
+    }
+
+    /**
+     * Hand waiting vehicles to their downstream junctions; per entrance lane in arrival order
+     */
+    processTransfers() {
+        const blockedLanes = new Set();
+        this.pendingTransfers = this.pendingTransfers.filter(transfer => {
+            const key = `${transfer.junction.id}:${transfer.direction}:${transfer.lane}`;
+            if (blockedLanes.has(key)) return true;
+
+            const carManager = transfer.junction.engine.getModeComponents(this.mode).carManager;
+            if (carManager.spawnTransferredVehicle(transfer.direction, transfer.lane, transfer.vehicleType, transfer.speed, transfer.transit)) {
+                this.transferred++;
+                return false;
+            }
+            blockedLanes.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Flag vehicles heading for a downstream entrance lane that cannot take another vehicle;
+     * the road system holds them at the exit (Road.getExitBlockU)
+     */
+    updateSpillback() {
+        this.junctions.forEach(junction => {
+            const carManager = junction.engine.getModeComponents(this.mode).carManager;
+            carManager.getCars().forEach(car => {
+                const downstream = this.links.get(junction.id)[car.toDirection];
+                car.vehicle.exitBlocked = Boolean(downstream) && !this.canEnter(downstream, car.toDirection, car.vehicle.lane);
+            });
+        });
+    }
+
+    canEnter(junction, direction, lane) {
+        const intersection = junction.engine.intersection;
+        const road = intersection.network[intersection.approachRoads[direction]];
+        const entranceLane = road.getEntryLane(lane);
+        const waiting = this.pendingTransfers.some(transfer =>
+            transfer.junction === junction && transfer.direction === direction && transfer.lane === lane
+        );
+        return !waiting && road.canSpawnVehicle({ lane: entranceLane, u: CONFIG.GEOMETRIC.SPAWN_POSITION });
+    }
+
+    update() {
+        this.processTransfers();
+        this.updateSpillback();
+        this.junctions.forEach(junction => junction.engine.update());
+    }
+
+    reset() {
+        this.junctions.forEach(junction => junction.engine.reset());
+        this.resetTransfers();
+        console.log('Network reset');
+    }
+
+    updateSetting(key, value) {
+        this.junctions.forEach(junction => junction.engine.updateSetting(key, value, this.mode));
+    }
+
+    updateSettings(settings) {
+        this.junctions.forEach(junction => junction.engine.updateSettings(settings));
+    }
+
+    /**
+     * Time fixed-time signals for a green wave along the east-west arterials
+     * Every junction runs the common cycle with the east-west green as reference phase; junctions
+     * in the same column share an offset.
+     * @param {number} speed - progression speed (m/s)
+     * @param {string} direction - 'east', 'west' or 'both'
+     * @returns {Object} { speed, direction, cycleLength, offsets (ms, per column), bandwidth: { east, west } (ms) }
+     */
+    applyGreenWave(speed, direction = 'both') {
+        this.updateSetting('REFERENCE_PHASE', 'WE');
+
+        const controllers = this.junctions.map(junction => junction.engine.getModeComponents(this.mode).trafficLights);
+        const cycleLength = controllers[0].getCycleLength();
+        if (controllers.some(controller => controller.getCycleLength() !== cycleLength)) {
+            throw new Error('A green wave needs a common cycle length at every junction');
+        }
+
+        const spacing = this.getJunctionSpacing();
+        const greenPhase = controllers[0].getFixedPhases().find(phase =>
+            phase.pair === 'WE' && phase.through === CONFIG.LIGHT_STATES.GREEN
+        );
+        const corridor = {
+            positions: Array.from({ length: this.layout.columns }, (_, column) => column * spacing),
+            greens: Array.from({ length: this.layout.columns }, () => greenPhase.duration),
+            cycleLength
+        };
+        const plan = planGreenWave(corridor, speed, direction);
+
+        this.junctions.forEach(junction => {
+            junction.engine.updateSetting('CYCLE_OFFSET', plan.offsets[junction.column], this.mode);
+        });
+        this.coordination = { speed, direction, cycleLength, ...plan };
+
+        if (this.mode !== CONFIG.MODES.FIXED) {
+            console.log('Green wave offsets take effect in fixed mode');
+        }
+        console.log(`Green wave at ${(speed * 3.6).toFixed(0)} km/h: offsets ${plan.offsets.map(offset => (offset / 1000).toFixed(0)).join('/')}s, ` +
+            `bandwidth east ${(plan.bandwidth.east / 1000).toFixed(1)}s, west ${(plan.bandwidth.west / 1000).toFixed(1)}s of ${(cycleLength / 1000).toFixed(0)}s`);
+        return this.coordination;
+    }
+
+    // Distance between neighbouring junction centres along the east-west arterial (m)
+    getJunctionSpacing() {
+        const intersection = this.getPrimaryEngine().intersection;
+        const road = intersection.network[intersection.approachRoads[CONFIG.DIRECTIONS.EAST]];
+        return (road.getExitU() - road.centerU) + (road.centerU - CONFIG.GEOMETRIC.SPAWN_POSITION);
+    }
+
+    /**
+     * Send an emergency vehicle into the network at the first junction
+     * @param {string|null} direction - approach; null = any of the junction's entrances
+     */
+    dispatchEmergencyVehicle(direction = null) {
+        return this.getPrimaryEngine().dispatchEmergencyVehicle(direction);
+    }
+
+    /**
+     * Draw the junctions in their grid positions, each scaled into its own cell
+     */
+    render(ctx, canvas) {
+        const cellWidth = canvas.width / this.layout.columns;
+        const cellHeight = canvas.height / this.layout.rows;
+        const scale = Math.min(cellWidth / canvas.width, cellHeight / canvas.height);
+
+        this.junctions.forEach(junction => {
+            const left = junction.column * cellWidth;
+            const top = junction.row * cellHeight;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, top, cellWidth, cellHeight);
+            ctx.clip();
+            ctx.translate(left + (cellWidth - canvas.width * scale) / 2, top + (cellHeight - canvas.height * scale) / 2);
+            ctx.scale(scale, scale);
+            junction.engine.renderScene(ctx);
+            ctx.restore();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 18px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(`J${junction.id}`, left + 10, top + 24);
+        });
+    }
+
+    getPrimaryEngine() {
+        return this.junctions[0].engine;
+    }
+
+    /**
+     * Live performance of every junction and vehicle counts for the network
+     * @returns {Object} { simulatedSeconds, junctions: [...], transferred, exitedNetwork, pendingTransfers, heldAtExits, coordination }
+     */
+    getReport() {
+        let heldAtExits = 0;
+        const junctions = this.junctions.map(junction => {
+            const engine = junction.engine;
+            const stats = engine.getStatistics();
+            const intersection = engine.getMovementReport().intersection;
+            const cars = engine.getModeComponents(this.mode).carManager.getCars();
+            heldAtExits += cars.filter(car => car.vehicle.exitBlocked).length;
+            return {
+                id: junction.id,
+                row: junction.row,
+                column: junction.column,
+                offset: engine.getModeComponents(this.mode).settings.CYCLE_OFFSET,   // ms
+                currentCars: cars.length,
+                throughput: stats.throughput,               // veh/h
+                controlDelay: stats.controlDelay,           // s/veh
+                levelOfService: stats.levelOfService,
+                queue: intersection.currentQueue            // vehicles queued now
+            };
+        });
+
+        return {
+            simulatedSeconds: this.getPrimaryEngine().clock.getSeconds(),
+            junctions,
+            transferred: this.transferred,
+            exitedNetwork: this.exitedNetwork,
+            pendingTransfers: this.pendingTransfers.length,
+            heldAtExits,
+            coordination: this.coordination
+        };
+    }
+}
@@ -0,0 +1,212 @@
+// Origin-destination demand over the twelve CONFIG.ROUTE_MOVEMENTS
+// Flows (veh/h per route) vary over fixed profile intervals, e.g. 15-minute counts for a peak hour.
+// Each approach is one arrival stream whose headways follow the chosen distribution at the
+// current interval's flow; every arrival then picks its route in proportion to the current
+// route flows of that approach.
+// Arrivals draw from their own generator, seeded once from the shared one, and carry a seed
+// for the vehicle's own attributes: the same seed gives the same arrivals under any control.
+
+import { CONFIG } from './config.js';
+import { random, SeededRandom } from './random.js';
+
+export class OriginDestinationDemand {
+    /**
+     * @param {Object} definition - either
+     *   { matrix: { ROUTE_xx: veh/h }, profile: [factor per interval] } or
+     *   { intervals: [{ ROUTE_xx: vehicles counted in the interval }] },
+     *   plus optional intervalMinutes, headway (CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS) and minHeadway (s)
+     * @param {SimulationClock} clock - simulation clock; profiles start at time 0
+     */
+    constructor(definition, clock) {
+        this.clock = clock;
+        this.intervalMinutes = definition.intervalMinutes || CONFIG.DEMAND.INTERVAL_MINUTES;
+        this.intervalMs = this.intervalMinutes * 60000;
+        this.headway = definition.headway || CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS.POISSON;
+        this.minHeadway = definition.minHeadway !== undefined ? definition.minHeadway : CONFIG.DEMAND.MIN_HEADWAY;
+
+        // Normalize to one veh/h matrix per interval
+        if (definition.intervals) {
+            const toHourly = 60 / this.intervalMinutes;
+            this.intervals = definition.intervals.map(counts => this.scaleMatrix(counts, toHourly));
+        } else {
+            const profile = definition.profile || [1];
+            this.intervals = profile.map(factor => this.scaleMatrix(definition.matrix || {}, factor));
+        }
+
+        if (!Object.values(CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS).includes(this.headway)) {
+            throw new Error(`Unknown headway distribution: ${this.headway}`);
+        }
+
+        this.reset();
+    }
+
+    scaleMatrix(matrix, factor) {
+        const scaled = {};
+        Object.entries(matrix).forEach(([routeKey, flow]) => {
+            if (!CONFIG.ROUTE_MOVEMENTS[routeKey]) {
+                throw new Error(`Unknown route in demand matrix: ${routeKey}`);
+            }
+            scaled[routeKey] = flow * factor;
+        });
+        return scaled;
+    }
+
+    /**
+     * Build a demand from approach volumes and turn shares
+     * @param {Object} volumes - { east, west, north, south } in veh/h
+     * @param {Object} turnProbabilities - { STRAIGHT, RIGHT, LEFT }
+     */
+    static fromApproachVolumes(volumes, turnProbabilities = CONFIG.TURN_PROBABILITIES, options = {}) {
+        const shares = {
+            straight: turnProbabilities.STRAIGHT,
+            right: turnProbabilities.RIGHT,
+            left: turnProbabilities.LEFT
+        };
+        const matrix = {};
+        Object.entries(CONFIG.ROUTE_MOVEMENTS).forEach(([routeKey, movement]) => {
+            matrix[routeKey] = (volumes[movement.direction] || 0) * shares[movement.turn];
+        });
+        return { ...options, matrix };
+    }
+
+    reset() {
+        this.nextArrival = {};  // Next arrival time per approach (ms)
+        this.pending = {};      // Arrivals waiting for room at the road entrance, per approach
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.nextArrival[direction] = null;
+            this.pending[direction] = [];
+        });
+        this.totalArrivals = 0;
+        this.rng = null; // Seeded from the shared generator on the first update
+    }
+
+    getIntervalIndex(time) {
+        return Math.min(Math.floor(time / this.intervalMs), this.intervals.length - 1);
+    }
+
+    /**
+     * Route flows in effect at a given time
+     * @returns {Object} { ROUTE_xx: veh/h }
+     */
+    getRouteFlows(time) {
+        return this.intervals[this.getIntervalIndex(time)];
+    }
+
+    getApproachFlow(direction, time) {
+        return Object.entries(this.getRouteFlows(time))
+            .filter(([routeKey]) => CONFIG.ROUTE_MOVEMENTS[routeKey].direction === direction)
+            .reduce((sum, [, flow]) => sum + flow, 0);
+    }
+
+    // Draw one headway (s) with the given mean
+    drawHeadway(meanHeadway) {
+        const minHeadway = Math.min(this.minHeadway, meanHeadway);
+        const u = this.rng.next();
+
+        switch (this.headway) {
+            case CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS.SHIFTED_EXPONENTIAL:
+                return minHeadway - Math.log(1 - u) * (meanHeadway - minHeadway);
+            case CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS.UNIFORM:
+                return minHeadway + u * 2 * (meanHeadway - minHeadway);
+            case CONFIG.DEMAND.HEADWAY_DISTRIBUTIONS.POISSON:
+            default:
+                return -Math.log(1 - u) * meanHeadway;
+        }
+    }
+
+    // Next arrival on an approach after time `from`, skipping intervals without demand
+    scheduleArrival(direction, from) {
+        let time = from;
+        while (true) {
+            const index = Math.floor(time / this.intervalMs);
+            const isLastInterval = index >= this.intervals.length - 1;
+            const flow = this.getApproachFlow(direction, time);
+            if (flow > 0) {
+                // A headway reaching into the next interval is drawn again there at that interval's flow
+                const arrival = time + this.drawHeadway(3600 / flow) * 1000;
+                if (isLastInterval || arrival < (index + 1) * this.intervalMs) return arrival;
+            } else if (isLastInterval) {
+                return Infinity; // No demand for the rest of the run
+            }
+            time = (index + 1) * this.intervalMs;
+        }
+    }
+
+    chooseRoute(direction, time) {
+        const candidates = Object.entries(this.getRouteFlows(time))
+            .filter(([routeKey, flow]) => flow > 0 && CONFIG.ROUTE_MOVEMENTS[routeKey].direction === direction);
+        const total = candidates.reduce((sum, [, flow]) => sum + flow, 0);
+
+        let pick = this.rng.next() * total;
+        for (const [routeKey, flow] of candidates) {
+            pick -= flow;
+            if (pick < 0) return routeKey;
+        }
+        return candidates[candidates.length - 1][0];
+    }
+
+    /**
+     * Generate every arrival up to the current simulation time
+     */
+    update() {
+        const now = this.clock.now();
+        if (!this.rng) {
+            this.rng = new SeededRandom(Math.floor(random() * 4294967296));
+        }
+
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            if (this.nextArrival[direction] === null) {
+                this.nextArrival[direction] = this.scheduleArrival(direction, 0);
+            }
+
+            while (this.nextArrival[direction] <= now) {
+                const time = this.nextArrival[direction];
+                const routeKey = this.chooseRoute(direction, time);
+                this.pending[direction].push({
+                    routeKey,
+                    direction,
+                    turnType: CONFIG.ROUTE_MOVEMENTS[routeKey].turn,
+                    laneShare: this.rng.next(),     // Position across the approach's entry lanes, 0..1
+                    vehicleSeed: Math.floor(this.rng.next() * 4294967296),
+                    time
+                });
+                this.totalArrivals++;
+                this.nextArrival[direction] = this.scheduleArrival(direction, time);
+            }
+        });
+    }
+
+    // Oldest arrival still waiting to enter an approach, or null
+    peekArrival(direction) {
+        return this.pending[direction][0] || null;
+    }
+
+    shiftArrival(direction) {
+        return this.pending[direction].shift();
+    }
+
+    // Arrivals queued outside the network (entrance blocked)
+    getPendingCount() {
+        return Object.values(this.pending).reduce((sum, queue) => sum + queue.length, 0);
+    }
+
+    getSnapshot() {
+        return {
+            nextArrival: this.nextArrival,
+            pending: this.pending,
+            totalArrivals: this.totalArrivals,
+            rng: this.rng ? this.rng.getState() : null
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.nextArrival = snapshot.nextArrival;
+        this.pending = snapshot.pending;
+        this.totalArrivals = snapshot.totalArrivals;
+        this.rng = null;
+        if (snapshot.rng) {
+            this.rng = new SeededRandom();
+            this.rng.setState(snapshot.rng);
+        }
+    }
+}
@@ -0,0 +1,528 @@
+// OpenStreetMap import: one signalized junction node of a local .osm extract as a road network
+// file (see roadNetworkFile.js)
+// Every leg of the junction is a highway way leaving the node, projected onto a local plane around
+// it and cut or extended to LEG_LENGTH. As in the built-in network, each approach road runs from
+// its leg straight through the junction onto the leg ahead. Lane counts come from lanes=* (and
+// :forward/:backward), turn lanes from turn:lanes=*, speed limits from maxspeed=*. Turn paths
+// follow the legs' real angles: a circular arc tangent to the approach and to the exit lane,
+// with straight pieces where one leg needs a longer run to the arc.
+
+import { CONFIG } from './config.js';
+import { parseRoadNetwork, createPath, dedupePoints, polylineLength, offsetPolyline } from './roadNetworkFile.js';
+import { parseXml, childrenOf } from './xmlReader.js';
+
+const EARTH_RADIUS = 6378137;       // m
+const LEG_LENGTH = 100;             // Each leg is cut or extended to this distance from the node (m)
+const BEARING_DISTANCE = 20;        // A leg's bearing is taken this far from the node (m)
+const SIGNAL_SEARCH_DISTANCE = 30;  // Signals mapped on the approaches count this close to the node (m)
+
+const VEHICLE_HIGHWAYS = [
+    'motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified', 'residential',
+    'living_street', 'service', 'road',
+    'motorway_link', 'trunk_link', 'primary_link', 'secondary_link', 'tertiary_link'
+];
+const TURN_LANE_VALUES = {
+    left: ['left', 'slight_left', 'sharp_left'],
+    right: ['right', 'slight_right', 'sharp_right']
+};
+const APPROACH_ORDER = ['east', 'west', 'north', 'south'];  // Road IDs as in the built-in network
+const DEG = Math.PI / 180;
+
+/**
+ * Build a road network from a junction node of an OSM extract
+ * @param {string} osmXml - .osm text
+ * @param {Object} options - { node (id, needed when the extract has several signalized junctions) }
+ * @returns {Object} { name, roadNetwork (from parseRoadNetwork()), warnings: [...] }
+ */
+export function importOsmIntersection(osmXml, options = {}) {
+    const warnings = [];
+    const map = readMap(parseXml(osmXml));
+    const node = findJunctionNode(map, options.node ? String(options.node) : null, warnings);
+    const legs = getLegs(map, node, warnings);
+    const roadNetwork = parseRoadNetwork(buildRoadNetwork(map, node, legs, warnings));
+
+    const uniqueWarnings = [...new Set(warnings)];    // Both directions of a way report its tags
+    uniqueWarnings.forEach(warning => console.log(`OSM import: ${warning}`));
+    console.log(`OSM import: node ${node.id} with ${roadNetwork.roads.length} roads and ${roadNetwork.connections.length} turns`);
+    return { name: roadNetwork.name, roadNetwork, warnings: uniqueWarnings };
+}
+
+// MAP
+
+function readMap(root) {
+    if (root.name !== 'osm') throw new Error(`OSM import: expected an <osm> file, found <${root.name}>`);
+
+    const readTags = (element) => {
+        const tags = {};
+        childrenOf(element, 'tag').forEach(tag => {
+            tags[tag.attributes.k] = tag.attributes.v;
+        });
+        return tags;
+    };
+
+    const nodes = new Map();
+    childrenOf(root, 'node').forEach(element => {
+        nodes.set(element.attributes.id, {
+            id: element.attributes.id,
+            lat: Number(element.attributes.lat),
+            lon: Number(element.attributes.lon),
+            tags: readTags(element)
+        });
+    });
+
+    const ways = childrenOf(root, 'way')
+        .map(element => ({
+            id: element.attributes.id,
+            nodes: childrenOf(element, 'nd').map(nd => nd.attributes.ref),
+            tags: readTags(element)
+        }))
+        .filter(way => VEHICLE_HIGHWAYS.includes(way.tags.highway) && way.nodes.every(id => nodes.has(id)));
+
+    return { nodes, ways };
+}
+
+// Number of legs meeting at each node
+function countLegs(map) {
+    const legs = new Map();
+    map.ways.forEach(way => {
+        way.nodes.forEach((id, index) => {
+            const count = (index > 0 ? 1 : 0) + (index < way.nodes.length - 1 ? 1 : 0);
+            legs.set(id, (legs.get(id) || 0) + count);
+        });
+    });
+    return legs;
+}
+
+function isSignalized(map, node) {
+    if (node.tags.highway === 'traffic_signals') return true;
+
+    // Signals are often mapped on each approach just before the junction
+    const project = createProjection(node);
+    return map.ways.some(way => way.nodes.includes(node.id) && way.nodes.some(id => {
+        const candidate = map.nodes.get(id);
+        const [x, y] = project(candidate);
+        return candidate.tags.highway === 'traffic_signals' && Math.hypot(x, y) <= SIGNAL_SEARCH_DISTANCE;
+    }));
+}
+
+function findJunctionNode(map, id, warnings) {
+    const legCounts = countLegs(map);
+    if (id) {
+        const node = map.nodes.get(id);
+        if (!node) throw new Error(`OSM import: no node ${id}`);
+        if ((legCounts.get(id) || 0) < 3) throw new Error(`OSM import: node ${id} is not a junction of highways`);
+        if (!isSignalized(map, node)) warnings.push(`node ${id} has no traffic signals mapped; it is imported as signalized`);
+        return node;
+    }
+
+    const junctions = [...map.nodes.values()].filter(node => (legCounts.get(node.id) || 0) >= 3 && isSignalized(map, node));
+    if (junctions.length === 0) throw new Error('OSM import: the extract has no signalized junction');
+    if (junctions.length > 1) {
+        throw new Error(`OSM import: choose one of the signalized junction nodes ${junctions.map(node => node.id).join(', ')}`);
+    }
+    return junctions[0];
+}
+
+// Equirectangular projection around a node: [x east, y north] in m
+function createProjection(origin) {
+    const cosLat = Math.cos(origin.lat * DEG);
+    return (node) => [
+        (node.lon - origin.lon) * DEG * EARTH_RADIUS * cosLat,
+        (node.lat - origin.lat) * DEG * EARTH_RADIUS
+    ];
+}
+
+// LEGS
+
+/**
+ * Every way leaving the node, in each direction it leaves
+ * @returns {Array} [{ way, points (outward from the node), bearing (rad), width, incoming, outgoing }]
+ *   where incoming/outgoing are { lanes, turnLanes, speedLimit } of the traffic towards/away from the node
+ */
+function getLegs(map, node, warnings) {
+    const project = createProjection(node);
+    const legs = [];
+    map.ways.forEach(way => {
+        const index = way.nodes.indexOf(node.id);
+        if (index < 0) return;
+
+        const lanes = getWayLanes(way, warnings);
+        const width = way.tags.width && parseFloat(way.tags.width) > 0
+            ? parseFloat(way.tags.width) / (lanes.forward + lanes.backward)
+            : CONFIG.LANE_WIDTH;
+        const forward = { lanes: lanes.forward, turnLanes: lanes.turnForward, speedLimit: getSpeedLimit(way, 'forward', warnings) };
+        const backward = { lanes: lanes.backward, turnLanes: lanes.turnBackward, speedLimit: getSpeedLimit(way, 'backward', warnings) };
+
+        // Along the way the node's traffic leaves forward; against it, backward
+        const outwards = [];
+        if (index < way.nodes.length - 1) outwards.push({ ids: way.nodes.slice(index), outgoing: forward, incoming: backward });
+        if (index > 0) outwards.push({ ids: way.nodes.slice(0, index + 1).reverse(), outgoing: backward, incoming: forward });
+
+        outwards.forEach(({ ids, outgoing, incoming }) => {
+            const points = fitLength(dedupePoints(ids.map(id => project(map.nodes.get(id)))), LEG_LENGTH);
+            const [x, y] = pointAlong(points, BEARING_DISTANCE);
+            legs.push({ way, points, bearing: Math.atan2(y, x), width, incoming, outgoing });
+        });
+    });
+    return legs;
+}
+
+// Lanes per direction of a way and their turn:lanes (left to right in the travel direction)
+function getWayLanes(way, warnings) {
+    const tags = way.tags;
+    const onewayTag = tags.oneway || (tags.junction === 'roundabout' || tags.highway === 'motorway' ? 'yes' : 'no');
+    const oneway = ['yes', 'true', '1'].includes(onewayTag) ? 1 : ['-1', 'reverse'].includes(onewayTag) ? -1 : 0;
+
+    const splitTurns = (value) => value ? value.split('|').map(lane => lane.split(';')) : null;
+    let turnForward = splitTurns(tags['turn:lanes:forward'] || (oneway === 1 ? tags['turn:lanes'] : null));
+    let turnBackward = splitTurns(tags['turn:lanes:backward'] || (oneway === -1 ? tags['turn:lanes'] : null));
+    const count = (value) => value !== undefined && Number(value) >= 1 ? Math.floor(Number(value)) : null;
+    const total = count(tags.lanes);
+    let forward = count(tags['lanes:forward']) ?? turnForward?.length ?? null;
+    let backward = count(tags['lanes:backward']) ?? turnBackward?.length ?? null;
+
+    if (oneway === 1) {
+        forward = forward ?? total ?? 1;
+        backward = 0;
+    } else if (oneway === -1) {
+        backward = backward ?? total ?? 1;
+        forward = 0;
+    } else {
+        if (total === null && forward === null && backward === null) {
+            warnings.push(`way ${way.id} has no lanes tag; one lane each way assumed`);
+        }
+        if (forward === null && backward === null) {
+            backward = Math.max(Math.floor((total ?? 2) / 2), 1);
+            forward = Math.max((total ?? 2) - backward, 1);
+        } else if (forward === null) {
+            forward = Math.max((total ?? backward + 1) - backward, 1);
+        } else if (backward === null) {
+            backward = Math.max((total ?? forward + 1) - forward, 1);
+        }
+    }
+
+    if (turnForward && turnForward.length !== forward) {
+        warnings.push(`way ${way.id}: turn lanes ${tags['turn:lanes:forward'] || tags['turn:lanes']} do not match ${forward} lanes; ignored`);
+        turnForward = null;
+    }
+    if (turnBackward && turnBackward.length !== backward) {
+        warnings.push(`way ${way.id}: turn lanes ${tags['turn:lanes:backward'] || tags['turn:lanes']} do not match ${backward} lanes; ignored`);
+        turnBackward = null;
+    }
+    return { forward, backward, turnForward, turnBackward };
+}
+
+// maxspeed in m/s, null without a numeric limit
+function getSpeedLimit(way, direction, warnings) {
+    const value = way.tags[`maxspeed:${direction}`] || way.tags.maxspeed;
+    if (!value) return null;
+
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(mph|knots|km\/h|kmh|kph)?$/i);
+    if (!match) {
+        warnings.push(`way ${way.id}: maxspeed '${value}' is not a number; no speed limit`);
+        return null;
+    }
+    const speed = Number(match[1]);
+    const unit = (match[2] || 'km/h').toLowerCase();
+    if (unit === 'mph') return speed * 0.44704;
+    if (unit === 'knots') return speed * 0.514444;
+    return speed / 3.6;
+}
+
+// Cut a polyline at a length, or continue its last piece up to it
+function fitLength(points, length) {
+    const fitted = [points[0]];
+    let travelled = 0;
+    for (let i = 1; i < points.length; i++) {
+        const piece = Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        if (travelled + piece >= length) {
+            fitted.push(pointAlong([points[i - 1], points[i]], length - travelled));
+            return fitted;
+        }
+        fitted.push(points[i]);
+        travelled += piece;
+    }
+    fitted[fitted.length - 1] = pointAlong(points.slice(-2), length - travelled + polylineLength(points.slice(-2)));
+    return fitted;
+}
+
+// Point a distance along a polyline, continuing its last piece beyond the end
+function pointAlong(points, distance) {
+    let remaining = distance;
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        const piece = Math.hypot(x1 - x0, y1 - y0);
+        if (remaining <= piece || i === points.length - 1) {
+            const share = remaining / piece;
+            return [x0 + (x1 - x0) * share, y0 + (y1 - y0) * share];
+        }
+        remaining -= piece;
+    }
+    return points[points.length - 1];
+}
+
+function getAngleDifference(from, to) {
+    return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+}
+
+// Travel direction (CONFIG.DIRECTIONS) of a heading
+function getCompassDirection(heading) {
+    const quadrant = Math.round(heading / (Math.PI / 2));
+    return ['east', 'north', 'west', 'south'][((quadrant % 4) + 4) % 4];
+}
+
+// ROAD NETWORK
+
+function buildRoadNetwork(map, node, legs, warnings) {
+    // One approach per travel direction, from the leg the traffic arrives on
+    const approaches = {};
+    legs.filter(leg => leg.incoming.lanes > 0).forEach(leg => {
+        const heading = leg.bearing + Math.PI;
+        const direction = getCompassDirection(heading);
+        if (approaches[direction]) {
+            throw new Error(`OSM import: ways ${approaches[direction].leg.way.id} and ${leg.way.id} both approach node ${node.id} travelling ${direction}`);
+        }
+        approaches[direction] = { leg, heading };
+    });
+    const missing = APPROACH_ORDER.filter(direction => !approaches[direction]);
+    if (missing.length > 0) {
+        throw new Error(`OSM import: node ${node.id} has no approach travelling ${missing.join(', ')}; four approaches are needed`);
+    }
+
+    // Exit legs by turn, relative to each approach's heading
+    APPROACH_ORDER.forEach(direction => {
+        const approach = approaches[direction];
+        approach.exits = {};
+        legs.filter(leg => leg !== approach.leg && leg.outgoing.lanes > 0).forEach(leg => {
+            const angle = getAngleDifference(approach.heading, leg.bearing);
+            const turn = Math.abs(angle) < Math.PI / 4 ? CONFIG.TURN_TYPES.STRAIGHT
+                : Math.abs(angle) > Math.PI * 5 / 6 ? null
+                    : angle > 0 ? CONFIG.TURN_TYPES.LEFT : CONFIG.TURN_TYPES.RIGHT;
+            if (!turn) return;
+
+            const current = approach.exits[turn];
+            const ideal = { straight: 0, left: Math.PI / 2, right: -Math.PI / 2 }[turn];
+            if (current) {
+                warnings.push(`${direction} approach has two ${turn} exits (ways ${current.way.id}, ${leg.way.id}); the one nearest ${turn === 'straight' ? 'straight ahead' : 'a right angle'} is used`);
+                if (Math.abs(angle - ideal) >= Math.abs(getAngleDifference(approach.heading, current.bearing) - ideal)) return;
+            }
+            approach.exits[turn] = leg;
+        });
+        if (!approach.exits.straight) {
+            throw new Error(`OSM import: the ${direction} approach (way ${approach.leg.way.id}) has no exit straight ahead`);
+        }
+    });
+
+    // How far from the node a leg's carriageway clears those of the legs across it
+    const getHalfWidth = (leg) => (leg.incoming.lanes + leg.outgoing.lanes) * leg.width / 2;
+    const getJunctionDepth = (leg) => Math.max(getHalfWidth(leg), ...legs.map(other => {
+        const angle = getAngleDifference(leg.bearing, other.bearing);
+        if (Math.abs(Math.sin(angle)) < 0.5) return 0;   // The same leg, or roughly in line with it
+        return (getHalfWidth(other) + getHalfWidth(leg) * Math.abs(Math.cos(angle))) / Math.abs(Math.sin(angle));
+    }));
+
+    // Approach roads: arriving leg, through the node, on along the leg ahead; lanes right of the way
+    const roads = [];
+    const roadOfExit = new Map();
+    const exitStarts = [];              // Where each road leaves the node
+    const definitions = {};
+    APPROACH_ORDER.forEach(direction => {
+        const { leg, exits } = approaches[direction];
+        const straight = exits.straight;
+        const incoming = offsetPolyline([...leg.points].reverse(), -leg.outgoing.lanes * leg.width / 2);
+        const outgoing = offsetPolyline(straight.points, -straight.incoming.lanes * straight.width / 2);
+        const center = polylineLength(incoming);
+        const boxEntry = center - getJunctionDepth(leg);
+
+        roadOfExit.set(straight, roads.length);
+        exitStarts.push(center);
+        definitions[direction] = {
+            road: roads.length,
+            stopLine: round(boxEntry - CONFIG.PEDESTRIANS.CROSSWALK_WIDTH - CONFIG.GEOMETRIC.STOP_LINE_SETBACK),
+            center: round(center),
+            boxEntry
+        };
+        roads.push({
+            id: roads.length,
+            name: `${leg.way.tags.name || `way ${leg.way.id}`} (${direction}-bound)`,
+            lanes: leg.incoming.lanes,
+            laneWidth: round(leg.width),
+            speedLimit: leg.incoming.speedLimit === null ? null : round(leg.incoming.speedLimit),
+            geometry: [{ type: 'polyline', points: joinAtNode(incoming, outgoing).map(point => point.map(round)) }]
+        });
+    });
+
+    // Exit legs no approach continues onto get a road of their own
+    APPROACH_ORDER.forEach(direction => {
+        Object.values(approaches[direction].exits).forEach(leg => {
+            if (roadOfExit.has(leg)) return;
+            roadOfExit.set(leg, roads.length);
+            exitStarts.push(0);
+            roads.push({
+                id: roads.length,
+                name: `${leg.way.tags.name || `way ${leg.way.id}`} (exit)`,
+                lanes: leg.outgoing.lanes,
+                laneWidth: round(leg.width),
+                speedLimit: leg.outgoing.speedLimit === null ? null : round(leg.outgoing.speedLimit),
+                geometry: [{ type: 'polyline', points: offsetPolyline(leg.points, -leg.incoming.lanes * leg.width / 2).map(point => point.map(round)) }]
+            });
+        });
+    });
+
+    const paths = roads.map(road => createPath(road.geometry));
+    const connections = [];
+    const movements = [];
+    APPROACH_ORDER.forEach(direction => {
+        const { leg, exits } = approaches[direction];
+        const definition = definitions[direction];
+        movements.push({ approach: direction, turn: CONFIG.TURN_TYPES.STRAIGHT, route: [definition.road] });
+
+        [CONFIG.TURN_TYPES.LEFT, CONFIG.TURN_TYPES.RIGHT].forEach(turn => {
+            const exit = exits[turn];
+            if (!exit) return;
+
+            const fromLanes = getTurnLanes(leg.incoming, turn);
+            if (fromLanes.length === 0) {
+                warnings.push(`no lane of the ${direction} approach (way ${leg.way.id}) turns ${turn}`);
+                return;
+            }
+
+            // The turn leaves at the junction edge and joins the exit road where it leaves the junction
+            const target = roadOfExit.get(exit);
+            const start = paths[definition.road].getPose(definition.boxEntry);
+            const end = paths[target].getPose(exitStarts[target] + getJunctionDepth(exit));
+            const targetLanes = roads[target].lanes;
+            connections.push({
+                from: definition.road,
+                to: target,
+                turn,
+                uSource: round(definition.boxEntry),
+                lanes: fromLanes.map((lane, index) => [
+                    lane,
+                    turn === CONFIG.TURN_TYPES.LEFT ? Math.min(index, targetLanes - 1) : Math.max(targetLanes - 1 - index, 0)
+                ]),
+                geometry: getTurnGeometry(start, end)
+            });
+            movements.push({ approach: direction, turn, route: [definition.road, target] });
+        });
+    });
+
+    // Opposing traffic arrives on the leg ahead; each leg's crosswalk spans the road leaving on it
+    const approachOnLeg = (leg) => APPROACH_ORDER.find(direction => approaches[direction].leg === leg);
+    const approachDefinitions = {};
+    APPROACH_ORDER.forEach(direction => {
+        const { leg, exits } = approaches[direction];
+        const definition = definitions[direction];
+        const leaving = APPROACH_ORDER.find(other => approaches[other].exits.straight === leg);
+        approachDefinitions[direction] = {
+            road: definition.road,
+            stopLine: definition.stopLine,
+            center: definition.center,
+            opposing: approachOnLeg(exits.straight) || null,
+            crosswalk: leaving ? { exitRoad: definitions[leaving].road } : null,
+            laneUse: getLaneUse(leg.incoming)
+        };
+    });
+
+    const names = [...new Set(legs.map(leg => leg.way.tags.name).filter(Boolean))];
+    return {
+        name: `OSM node ${node.id}${names.length > 0 ? ` (${names.join(' / ')})` : ''}`,
+        roads,
+        connections,
+        approaches: approachDefinitions,
+        movements
+    };
+}
+
+// Join the offset halves of an approach road where their pieces at the node cross, or halfway
+// between their ends where the legs are (nearly) in line
+function joinAtNode(incoming, outgoing) {
+    const [[x0, y0], [x1, y1]] = incoming.slice(-2);
+    const [[x2, y2], [x3, y3]] = outgoing.slice(0, 2);
+    const first = [x1 - x0, y1 - y0];
+    const second = [x3 - x2, y3 - y2];
+    const cross = first[0] * second[1] - first[1] * second[0];
+
+    let joint = [(x1 + x2) / 2, (y1 + y2) / 2];
+    if (Math.abs(cross) > 0.05 * Math.hypot(...first) * Math.hypot(...second)) {
+        const share = ((x2 - x0) * second[1] - (y2 - y0) * second[0]) / cross;
+        joint = [x0 + first[0] * share, y0 + first[1] * share];
+    }
+    return dedupePoints([...incoming.slice(0, -1), joint, ...outgoing.slice(1)]);
+}
+
+// Lanes (0 = leftmost) a turn may be made from: turn:lanes, else the outermost lane on that side
+function getTurnLanes(traffic, turn) {
+    if (!traffic.turnLanes) {
+        return [turn === CONFIG.TURN_TYPES.LEFT ? 0 : traffic.lanes - 1];
+    }
+    const lanes = [];
+    traffic.turnLanes.forEach((values, lane) => {
+        if (values.some(value => TURN_LANE_VALUES[turn].includes(value))) lanes.push(lane);
+    });
+    return turn === CONFIG.TURN_TYPES.LEFT ? lanes : lanes.reverse();
+}
+
+// Lane use (CONFIG.LANE_USE letters) from turn:lanes, unmarked lanes going straight on;
+// undefined without turn:lanes, leaving it to the turn connections
+function getLaneUse(traffic) {
+    if (!traffic.turnLanes) return undefined;
+
+    return traffic.turnLanes.map(values => {
+        const use = [CONFIG.TURN_TYPES.LEFT, CONFIG.TURN_TYPES.STRAIGHT, CONFIG.TURN_TYPES.RIGHT]
+            .filter(turn => turn === CONFIG.TURN_TYPES.STRAIGHT
+                ? values.includes('through')
+                : values.some(value => TURN_LANE_VALUES[turn].includes(value)))
+            .map(turn => CONFIG.LANE_USE[turn])
+            .join('');
+        return use || CONFIG.LANE_USE.straight;
+    });
+}
+
+/**
+ * Turn path between two poses: an arc tangent to both headings, with a straight run on the
+ * side whose tangent point lies further out
+ * @param {Object} start - { x, y, heading (rad) } where the turn leaves the approach
+ * @param {Object} end - { x, y, heading (rad) } where it joins the exit road
+ * @returns {Array} road network geometry segments
+ */
+function getTurnGeometry(start, end) {
+    const angle = getAngleDifference(start.heading, end.heading);
+    const startDirection = [Math.cos(start.heading), Math.sin(start.heading)];
+    const endDirection = [Math.cos(end.heading), Math.sin(end.heading)];
+    const cross = (a, b) => a[0] * b[1] - a[1] * b[0];
+    const offset = [end.x - start.x, end.y - start.y];
+    const chord = [{ type: 'polyline', points: [[start.x, start.y], [end.x, end.y]].map(point => point.map(round)) }];
+    if (Math.abs(Math.sin(angle)) < 0.05) return chord;
+
+    // Distances from each pose to where the two tangent lines meet
+    const toCorner = cross(offset, endDirection) / cross(startDirection, endDirection);
+    const fromCorner = cross(startDirection, offset) / cross(startDirection, endDirection);
+    if (toCorner <= 0 || fromCorner <= 0) return chord;
+
+    const tangent = Math.min(toCorner, fromCorner);
+    const radius = tangent / Math.tan(Math.abs(angle) / 2);
+    const arcStart = [start.x + startDirection[0] * (toCorner - tangent), start.y + startDirection[1] * (toCorner - tangent)];
+    const arcEnd = [end.x - endDirection[0] * (fromCorner - tangent), end.y - endDirection[1] * (fromCorner - tangent)];
+
+    const geometry = [];
+    if (toCorner - tangent > 0.01) {
+        geometry.push({ type: 'polyline', points: [[start.x, start.y], arcStart].map(point => point.map(round)) });
+    }
+    geometry.push({
+        type: 'arc',
+        radius: round(radius),
+        angle: Math.round(angle / DEG * 10) / 10,
+        start: arcStart.map(round),
+        heading: Math.round(start.heading / DEG * 10) / 10
+    });
+    if (fromCorner - tangent > 0.01) {
+        geometry.push({ type: 'polyline', points: [arcEnd, [end.x, end.y]].map(point => point.map(round)) });
+    }
+    return geometry;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
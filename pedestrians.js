@@ -0,0 +1,199 @@
+// Pedestrians on the four crosswalks (Intersection.crosswalks)
+// Pedestrians arrive at either curb as a Poisson stream, push the button unless WALK is showing,
+// and step off only on WALK. Once on the crosswalk they finish crossing whatever the signal shows;
+// turning vehicles yield while anyone is on it.
+
+import { CONFIG } from './config.js';
+import { random, SeededRandom } from './random.js';
+
+export class PedestrianSystem {
+    constructor(intersection, clock) {
+        this.intersection = intersection;
+        this.clock = clock; // Simulation clock shared with the game engine
+        this.rate = CONFIG.DEFAULT_SETTINGS.PEDESTRIAN_RATE;
+        this.reset();
+    }
+
+    initialize(settings) {
+        if (settings.PEDESTRIAN_RATE !== this.rate) {
+            this.rate = settings.PEDESTRIAN_RATE;
+            this.resetArrivals();
+        }
+    }
+
+    reset() {
+        this.pedestrians = [];
+        this.nextId = 1;
+        this.calls = {};            // Direction -> push button pressed and not yet served
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.calls[direction] = false;
+        });
+        this.crossed = 0;
+        this.totalDelay = 0;        // Curb waits of everyone who has started crossing (ms)
+        this.maxDelay = 0;
+        this.started = 0;
+        this.rng = null;
+        this.resetArrivals();
+    }
+
+    resetArrivals() {
+        this.nextArrival = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            this.nextArrival[direction] = null;
+        });
+    }
+
+    /**
+     * Generate every arrival up to the current simulation time
+     * Arrivals draw from their own generator, seeded from the shared one on first use, so
+     * they do not depend on the signals and match across the sides of a comparison.
+     */
+    spawnPedestrians() {
+        if (!this.rate) return;
+        if (!this.rng) {
+            this.rng = new SeededRandom(Math.floor(random() * 4294967296));
+        }
+
+        const now = this.clock.now();
+        Object.values(this.intersection.crosswalks).forEach(crosswalk => {
+            const direction = crosswalk.direction;
+            if (this.nextArrival[direction] === null) {
+                this.nextArrival[direction] = now + this.drawHeadway();
+            }
+
+            while (this.nextArrival[direction] <= now) {
+                const fromStart = this.rng.next() < 0.5;
+                const speedRange = CONFIG.PEDESTRIANS.SPEED_RANGE;
+                this.pedestrians.push({
+                    id: this.nextId++,
+                    crosswalk: direction,
+                    position: fromStart ? 0 : crosswalk.length,    // m from the crosswalk's first end
+                    heading: fromStart ? 1 : -1,
+                    speed: speedRange.MIN + this.rng.next() * (speedRange.MAX - speedRange.MIN),
+                    state: 'waiting',
+                    arrivalTime: this.nextArrival[direction]
+                });
+                this.nextArrival[direction] += this.drawHeadway();
+            }
+        });
+    }
+
+    // Exponential headway for the per-crosswalk rate (ms)
+    drawHeadway() {
+        return -Math.log(1 - this.rng.next()) * 3600000 / this.rate;
+    }
+
+    /**
+     * Push buttons, step off on WALK and walk
+     * @param {number} deltaTime - step length (ms)
+     * @param {Object} signals - { direction: CONFIG.PEDESTRIAN_STATES value }
+     */
+    update(deltaTime, signals) {
+        const now = this.clock.now();
+        const WALK = CONFIG.PEDESTRIAN_STATES.WALK;
+
+        Object.keys(this.calls).forEach(direction => {
+            if (signals[direction] === WALK) this.calls[direction] = false;
+        });
+
+        this.pedestrians.forEach(pedestrian => {
+            if (pedestrian.state === 'waiting') {
+                if (signals[pedestrian.crosswalk] === WALK) {
+                    pedestrian.state = 'crossing';
+                    const delay = now - pedestrian.arrivalTime;
+                    this.started++;
+                    this.totalDelay += delay;
+                    this.maxDelay = Math.max(this.maxDelay, delay);
+                } else {
+                    this.calls[pedestrian.crosswalk] = true;
+                }
+            } else {
+                pedestrian.position += pedestrian.heading * pedestrian.speed * deltaTime / 1000;
+            }
+        });
+
+        const remaining = this.pedestrians.filter(pedestrian => {
+            const length = this.intersection.crosswalks[pedestrian.crosswalk].length;
+            return pedestrian.position >= 0 && pedestrian.position <= length;
+        });
+        this.crossed += this.pedestrians.length - remaining.length;
+        this.pedestrians = remaining;
+    }
+
+    // Crosswalks whose push button has been pressed since their last WALK
+    getCalls() {
+        return Object.keys(this.calls).filter(direction => this.calls[direction]);
+    }
+
+    getOccupiedCrosswalks() {
+        const occupied = {};
+        this.pedestrians.forEach(pedestrian => {
+            if (pedestrian.state === 'crossing') occupied[pedestrian.crosswalk] = true;
+        });
+        return occupied;
+    }
+
+    getStats() {
+        return {
+            waiting: this.pedestrians.filter(pedestrian => pedestrian.state === 'waiting').length,
+            crossing: this.pedestrians.filter(pedestrian => pedestrian.state === 'crossing').length,
+            crossed: this.crossed,
+            averageDelay: this.started > 0 ? this.totalDelay / this.started / 1000 : 0,  // s
+            maxDelay: this.maxDelay / 1000
+        };
+    }
+
+    render(ctx) {
+        this.pedestrians.forEach(pedestrian => {
+            const crosswalk = this.intersection.crosswalks[pedestrian.crosswalk];
+            const position = this.intersection.getCrosswalkPosition(pedestrian.crosswalk);
+            const fraction = pedestrian.position / crosswalk.length;
+
+            // Waiting pedestrians stand on the curb, just off the roadway
+            const dx = position.x2 - position.x1;
+            const dy = position.y2 - position.y1;
+            const length = Math.hypot(dx, dy);
+            const curbOffset = pedestrian.state === 'waiting' ? -pedestrian.heading * 6 : 0;
+            const x = position.x1 + dx * fraction + dx / length * curbOffset;
+            const y = position.y1 + dy * fraction + dy / length * curbOffset;
+
+            ctx.fillStyle = pedestrian.state === 'waiting' ? '#FFD54F' : '#4FC3F7';
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#222';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+    }
+
+    getSnapshot() {
+        return {
+            pedestrians: this.pedestrians,
+            nextId: this.nextId,
+            calls: this.calls,
+            nextArrival: this.nextArrival,
+            crossed: this.crossed,
+            started: this.started,
+            totalDelay: this.totalDelay,
+            maxDelay: this.maxDelay,
+            rng: this.rng ? this.rng.getState() : null
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.pedestrians = snapshot.pedestrians;
+        this.nextId = snapshot.nextId;
+        this.calls = snapshot.calls;
+        this.nextArrival = snapshot.nextArrival;
+        this.crossed = snapshot.crossed;
+        this.started = snapshot.started;
+        this.totalDelay = snapshot.totalDelay;
+        this.maxDelay = snapshot.maxDelay;
+        this.rng = null;
+        if (snapshot.rng) {
+            this.rng = new SeededRandom();
+            this.rng.setState(snapshot.rng);
+        }
+    }
+}
@@ -0,0 +1,77 @@
+// Seeded pseudo-random number generation shared by the whole simulation
+// Every module draws from the same generator so runs with the same seed are identical. Demand
+// arrivals come from their own SeededRandom streams, seeded from it, so vehicle attributes and
+// controller draws never shift the arrival sequence.
+
+export class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to a seed
+     * @param {number} seed - any integer; reduced to 32 bits
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next value in [0, 1) using the mulberry32 algorithm
+     * @returns {number} uniform random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
+
+// Active generator; any object with next(), setSeed(), getState() and setState() can be plugged in
+let generator = new SeededRandom(1);
+
+/**
+ * Draw the next uniform random number in [0, 1) from the active generator
+ * @returns {number} uniform random number
+ */
+export function random() {
+    return generator.next();
+}
+
+/**
+ * Seed the active generator. A null or undefined seed picks a fresh one.
+ * @param {number|null} seed - seed value
+ * @returns {number} the seed actually used
+ */
+export function setRandomSeed(seed) {
+    const usedSeed = (seed === null || seed === undefined)
+        ? Math.floor(Math.random() * 4294967296)
+        : seed;
+    generator.setSeed(usedSeed);
+    console.log(`Random generator seeded with ${usedSeed >>> 0}`);
+    return usedSeed >>> 0;
+}
+
+/**
+ * Replace the active generator (e.g. with a different PRNG algorithm)
+ * @param {Object} newGenerator - object implementing next(), setSeed(), getState(), setState()
+ */
+export function setRandomGenerator(newGenerator) {
+    generator = newGenerator;
+}
+
+export function getRandomGenerator() {
+    return generator;
+}
@@ -0,0 +1,127 @@
+// Replay of a TrajectoryRecorder buffer with scrubbing, single steps and playback speeds
+// Recorded vehicles are drawn through Car.render and recorded signals through
+// TrafficLightController.render, so a replay looks exactly like the live view.
+
+import { CONFIG } from './config.js';
+import { Car } from './cars.js';
+import { TrafficLightController } from './trafficLights.js';
+
+export class ReplayPlayer {
+    constructor(recorder, intersection, clock) {
+        this.recorder = recorder;
+        this.intersection = intersection;
+        this.trafficLights = new TrafficLightController(clock); // Display only, never updated
+        this.frameIndex = Math.max(recorder.getFrameCount() - 1, 0); // Open at the latest step
+        this.playing = false;
+        this.speed = 1;             // Recorded steps per simulation step
+        this.progress = 0;          // Fractional steps carried between updates
+    }
+
+    /**
+     * Advance playback; called once per simulation step while replaying
+     */
+    update() {
+        if (!this.playing) return;
+
+        this.progress += this.speed;
+        const steps = Math.floor(this.progress);
+        this.progress -= steps;
+        this.seek(this.frameIndex + steps);
+
+        if (this.frameIndex >= this.recorder.getFrameCount() - 1) {
+            this.playing = false;
+        }
+    }
+
+    play() {
+        // Playing from the last frame starts over from the oldest one
+        if (this.frameIndex >= this.recorder.getFrameCount() - 1) {
+            this.frameIndex = 0;
+        }
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+        this.progress = 0;
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.playing;
+    }
+
+    /**
+     * Pause and move by whole steps (negative = back)
+     */
+    step(steps) {
+        this.pause();
+        this.seek(this.frameIndex + steps);
+    }
+
+    seek(index) {
+        this.frameIndex = Math.max(0, Math.min(Math.round(index), this.recorder.getFrameCount() - 1));
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        console.log(`Replay speed: ${speed}x`);
+    }
+
+    render(ctx) {
+        this.intersection.render(ctx);
+
+        const frame = this.recorder.getFrame(this.frameIndex);
+        if (!frame) return;
+
+        frame.vehicles.forEach(record => this.createCarView(record, frame.time).render(ctx));
+
+        this.trafficLights.setRecordedStates(frame.lightStates, frame.leftTurnStates, frame.pedestrianStates);
+        this.trafficLights.render(ctx, this.intersection);
+    }
+
+    // A Car carrying only what Car.render and updatePixelPosition read
+    createCarView(record, time) {
+        const car = Object.create(Car.prototype);
+        Object.assign(car, {
+            id: record.id,
+            intersection: this.intersection,
+            clock: { now: () => time },     // Recorded time drives the emergency light bar
+            roadId: record.roadId,
+            u: record.u,
+            v: record.v,
+            speed: record.speed,
+            acc: record.acc,
+            dvdt: record.dvdt,
+            vehicleType: record.vehicleType,
+            len: record.len,
+            width: record.width,
+            color: record.color,
+            state: record.state,
+            mandatoryLaneChange: record.mandatoryLaneChange,
+            dt_LC: CONFIG.PHYSICS.DT_LC,
+            dt_afterLC: record.changingLane ? 0 : CONFIG.PHYSICS.DT_LC,
+            isHidden: false,
+            vehicle: { route: record.route, u: record.u }   // Road.getTraj() picks the turn path from these
+        });
+        car.updatePixelPosition();
+        return car;
+    }
+
+    getState() {
+        const frameCount = this.recorder.getFrameCount();
+        return {
+            frameIndex: this.frameIndex,
+            frameCount,
+            time: this.recorder.getFrameTime(this.frameIndex) ?? 0,
+            startTime: this.recorder.getFrameTime(0) ?? 0,
+            endTime: this.recorder.getFrameTime(frameCount - 1) ?? 0,
+            playing: this.playing,
+            speed: this.speed
+        };
+    }
+}
@@ -0,0 +1,243 @@
+// NEMA dual-ring, eight-phase (ring-barrier) signal controller
+// Ring 1 runs phases 1-2 | 3-4 and ring 2 runs phases 5-6 | 7-8; the barrier separates
+// the main-street group (1, 2, 5, 6) from the side-street group (3, 4, 7, 8).
+// Each ring times its own phases; both rings must reach the barrier before either crosses.
+
+import { CONFIG } from './config.js';
+
+export class RingBarrierController {
+    constructor(phases = CONFIG.NEMA.PHASES) {
+        this.rings = CONFIG.NEMA.RINGS;
+        this.barrierGroups = CONFIG.NEMA.BARRIER_GROUPS;
+        this.phases = {};
+        this.setPhaseTimings(phases);
+
+        // Extension points: demand for a phase, early termination of a green, termination report,
+        // priority control (hold a green past gap-out/max, force a green off early), and
+        // pedestrian timing (no termination at all while a green is held)
+        // Defaults give pretimed operation (every phase called, each green runs to max)
+        this.hasCall = (phaseNumber) => true;
+        this.shouldGapOut = (phaseNumber, greenTime) => false;
+        this.extendGreen = (phaseNumber, overrun) => false;
+        this.shouldForceOff = (phaseNumber, greenTime, maxGreen) => false;
+        this.holdGreen = (phaseNumber, greenTime) => false;
+        this.onPhaseTerminated = (phaseNumber, reason, greenTime) => {
+            console.log(`Ring-Barrier: phase ${phaseNumber} terminated (${reason})`);
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Set per-phase timings (ms); missing values keep their defaults
+     * @param {Object} phases - { [phaseNumber]: { minGreen, maxGreen, yellow, redClearance } }
+     */
+    setPhaseTimings(phases = {}) {
+        Object.entries(CONFIG.NEMA.PHASES).forEach(([number, defaults]) => {
+            this.phases[number] = { ...defaults, ...this.phases[number], ...phases[number] };
+        });
+    }
+
+    reset() {
+        this.groupIndex = 0;
+        this.ringStates = this.rings.map(() => ({
+            phase: null,            // Active phase number, null while resting at the barrier
+            interval: 'barrier',    // 'green', 'yellow', 'redClearance' or 'barrier'
+            timer: 0,               // Time in the current interval (ms)
+            lastTermination: null   // Why the last green ended
+        }));
+        this.startGroup(0);
+    }
+
+    getSnapshot() {
+        return {
+            phases: this.phases,
+            groupIndex: this.groupIndex,
+            ringStates: this.ringStates
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.phases = snapshot.phases;
+        this.groupIndex = snapshot.groupIndex;
+        this.ringStates = snapshot.ringStates;
+    }
+
+    update(deltaTime) {
+        // Rings whose next phase lies across the barrier and are ready to leave green
+        const readyAtBarrier = this.ringStates.map(() => false);
+
+        this.ringStates.forEach((ringState, ringIndex) => {
+            ringState.timer += deltaTime;
+
+            switch (ringState.interval) {
+                case 'green': {
+                    const phase = this.phases[ringState.phase];
+                    const reason = this.getTerminationReason(ringState.phase, ringState.timer);
+                    if (!reason) break;
+
+                    if (this.getNextPhaseInGroup(ringIndex, ringState.phase) !== null || reason === 'max-out' || reason === 'force-off') {
+                        this.terminateGreen(ringState, reason);
+                    } else {
+                        readyAtBarrier[ringIndex] = true;
+                    }
+                    break;
+                }
+                case 'yellow':
+                    if (ringState.timer >= this.phases[ringState.phase].yellow) {
+                        ringState.interval = 'redClearance';
+                        ringState.timer = 0;
+                    }
+                    break;
+                case 'redClearance':
+                    if (ringState.timer >= this.phases[ringState.phase].redClearance) {
+                        const nextPhase = this.getNextPhaseInGroup(ringIndex, ringState.phase);
+                        if (nextPhase !== null) {
+                            this.startGreen(ringState, nextPhase);
+                        } else {
+                            ringState.interval = 'barrier';
+                            ringState.phase = null;
+                            ringState.timer = 0;
+                        }
+                    }
+                    break;
+            }
+        });
+
+        // Barrier rule: the last phases before the barrier terminate together
+        const allReady = this.ringStates.every((ringState, ringIndex) =>
+            readyAtBarrier[ringIndex] || ringState.interval !== 'green'
+        );
+        if (allReady) {
+            this.ringStates.forEach((ringState, ringIndex) => {
+                if (readyAtBarrier[ringIndex]) {
+                    this.terminateGreen(ringState, this.getTerminationReason(ringState.phase, ringState.timer));
+                }
+            });
+        }
+
+        // Cross the barrier once every ring has cleared
+        if (this.ringStates.every(ringState => ringState.interval === 'barrier')) {
+            const nextGroup = (this.groupIndex + 1) % this.barrierGroups.length;
+            if (!this.startGroup(nextGroup)) {
+                this.startGroup(this.groupIndex); // No demand across the barrier: serve this side again
+            }
+        }
+    }
+
+    getTerminationReason(phaseNumber, greenTime) {
+        const phase = this.phases[phaseNumber];
+        if (greenTime < phase.minGreen) return null;
+        if (this.holdGreen(phaseNumber, greenTime)) return null;
+        if (!this.hasConflictingCall(phaseNumber)) return null; // Rest in green
+        if (this.shouldForceOff(phaseNumber, greenTime, phase.maxGreen)) return 'force-off';
+        if (greenTime >= phase.maxGreen) {
+            return this.extendGreen(phaseNumber, greenTime - phase.maxGreen) ? null : 'max-out';
+        }
+        if (this.shouldGapOut(phaseNumber, greenTime) && !this.extendGreen(phaseNumber, 0)) return 'gap-out';
+        return null;
+    }
+
+    hasConflictingCall(phaseNumber) {
+        return Object.keys(this.phases).some(number =>
+            Number(number) !== phaseNumber &&
+            this.getPhaseState(Number(number)) !== CONFIG.LIGHT_STATES.GREEN &&
+            this.hasCall(Number(number))
+        );
+    }
+
+    terminateGreen(ringState, reason) {
+        this.onPhaseTerminated(ringState.phase, reason, ringState.timer);
+        ringState.lastTermination = reason;
+        ringState.interval = 'yellow';
+        ringState.timer = 0;
+    }
+
+    startGreen(ringState, phaseNumber) {
+        ringState.phase = phaseNumber;
+        ringState.interval = 'green';
+        ringState.timer = 0;
+    }
+
+    /**
+     * Start the first called phase of each ring in a barrier group
+     * @returns {boolean} false if no phase in the group has a call
+     */
+    startGroup(groupIndex) {
+        const firstPhases = this.rings.map((ring, ringIndex) => this.getNextPhaseInGroup(ringIndex, null, groupIndex));
+        if (firstPhases.every(phase => phase === null)) return false;
+
+        this.groupIndex = groupIndex;
+        firstPhases.forEach((phaseNumber, ringIndex) => {
+            if (phaseNumber !== null) {
+                this.startGreen(this.ringStates[ringIndex], phaseNumber);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Next called phase of a ring within a barrier group, after the given phase
+     * @returns {number|null} phase number, or null if the ring has to go to the barrier
+     */
+    getNextPhaseInGroup(ringIndex, afterPhase, groupIndex = this.groupIndex) {
+        const group = this.barrierGroups[groupIndex];
+        const groupPhases = this.rings[ringIndex].filter(phase => group.includes(phase));
+        const startIndex = afterPhase === null ? 0 : groupPhases.indexOf(afterPhase) + 1;
+
+        for (let i = startIndex; i < groupPhases.length; i++) {
+            if (this.hasCall(groupPhases[i])) return groupPhases[i];
+        }
+        return null;
+    }
+
+    /**
+     * Display state of a phase
+     * @returns {string} one of CONFIG.LIGHT_STATES
+     */
+    getPhaseState(phaseNumber) {
+        const ringState = this.ringStates.find(state => state.phase === phaseNumber);
+        if (!ringState) return CONFIG.LIGHT_STATES.RED;
+        if (ringState.interval === 'green') return CONFIG.LIGHT_STATES.GREEN;
+        if (ringState.interval === 'yellow') return CONFIG.LIGHT_STATES.YELLOW;
+        return CONFIG.LIGHT_STATES.RED;
+    }
+
+    /**
+     * Per-movement signal heads for every approach
+     * Left turns are protected-permissive: permitted (yield) whenever no arrow is shown.
+     * @returns {Object} { [direction]: { through, left } }
+     */
+    getMovementStates() {
+        const states = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            states[direction] = {
+                through: CONFIG.LIGHT_STATES.RED,
+                left: CONFIG.LEFT_TURN_STATES.PERMITTED
+            };
+        });
+
+        Object.entries(this.phases).forEach(([number, phase]) => {
+            const state = this.getPhaseState(Number(number));
+            if (phase.movement === 'through') {
+                states[phase.direction].through = state;
+            } else if (state === CONFIG.LIGHT_STATES.GREEN) {
+                states[phase.direction].left = CONFIG.LEFT_TURN_STATES.PROTECTED;
+            } else if (state === CONFIG.LIGHT_STATES.YELLOW) {
+                states[phase.direction].left = CONFIG.LEFT_TURN_STATES.YELLOW;
+            }
+        });
+
+        return states;
+    }
+
+    getDebugInfo() {
+        return this.ringStates.map((ringState, ringIndex) => ({
+            ring: ringIndex + 1,
+            phase: ringState.phase,
+            interval: ringState.interval,
+            timer: (ringState.timer / 1000).toFixed(1) + 's',
+            lastTermination: ringState.lastTermination
+        }));
+    }
+}
@@ -0,0 +1,172 @@
+// Ring road of a roundabout: a closed Road whose vehicles circulate
+// Positions wrap at the ring's length, so the frontmost vehicle of each lane follows the
+// rearmost one. Vehicles keep their lane on the ring and leave it by the connection to the
+// next road of their route the first time they reach its uSource.
+
+import { CONFIG } from './config.js';
+import { Road } from './roadSystem.js';
+
+export class RingRoad extends Road {
+    constructor(roadID, roadLen, laneWidth, nLanes, traj, density = 0.02) {
+        // The trajectory repeats every lap, so positions just behind the start draw at the end
+        const wrap = (u) => ((u % roadLen) + roadLen) % roadLen;
+        super(roadID, roadLen, laneWidth, nLanes, [
+            (u) => traj[0](wrap(u)),
+            (u) => traj[1](wrap(u))
+        ], density);
+        this.entries = [];  // Yield-controlled approach roads feeding the ring
+    }
+
+    addEntry(road) {
+        this.entries.push(road);
+    }
+
+    wrap(u) {
+        return ((u % this.roadLen) + this.roadLen) % this.roadLen;
+    }
+
+    // Distance driven around the ring from position u to position target (m)
+    getDistance(u, target) {
+        return this.wrap(target - u);
+    }
+
+    /**
+     * Distance a vehicle still drives before it leaves the ring
+     * Taken from its position on the first step it spends here, then counted down (veh.ringDistance).
+     * @param {Object} veh - road vehicle on this ring
+     * @returns {number} meters; Infinity when no connection leads to its next road
+     */
+    getRemainingDistance(veh) {
+        if (veh.ringDistance === undefined || veh.ringDistance === null) {
+            const connection = this.connects.find(candidate => this.shouldUseConnection(veh, candidate));
+            veh.ringDistance = connection ? this.getDistance(veh.u, connection.uSource) : Infinity;
+        }
+        return veh.ringDistance;
+    }
+
+    /**
+     * Earliest time a vehicle can drive a distance: accelerating at IDM_A up to the circulating
+     * speed, or keeping its speed when it is already faster
+     * @param {number} distance - meters
+     * @param {number} speed - current speed (m/s)
+     * @returns {number} seconds
+     */
+    getArrivalTime(distance, speed) {
+        const maxSpeed = Math.max(speed, this.speedLimit ?? Infinity);
+        const a = CONFIG.PHYSICS.IDM_A;
+        const accelerationDistance = (maxSpeed * maxSpeed - speed * speed) / (2 * a);
+        if (distance <= accelerationDistance) {
+            return (Math.sqrt(speed * speed + 2 * a * distance) - speed) / a;
+        }
+        return (maxSpeed - speed) / a + (distance - accelerationDistance) / maxSpeed;
+    }
+
+    /**
+     * Vehicles that will pass a merge point: circulating vehicles that do not leave the ring
+     * before it, and vehicles committed to entering the ring upstream of it
+     * @param {number} mergeU - position on the ring (m)
+     * @param {number} lane - ring lane joined; vehicles in it and the lanes outside it count
+     * @returns {Array} [{ veh, distance }] with each vehicle's distance to the merge point (m)
+     */
+    getApproachingVehicles(mergeU, lane) {
+        const approaching = [];
+        for (let veh of this.veh) {
+            const distance = this.getDistance(veh.u, mergeU);
+            if (veh.lane >= lane && this.getRemainingDistance(veh) >= distance) {
+                approaching.push({ veh, distance });
+            }
+        }
+
+        for (let entry of this.entries) {
+            if (entry.yieldU === mergeU) continue;
+
+            const distanceOnRing = this.getDistance(entry.yieldU, mergeU);
+            for (let veh of entry.veh) {
+                if (!veh.gapAccepted && veh.u <= entry.stopLineU) continue;    // Still yielding
+                if (entry.getEntryRingLane(veh) < lane) continue;
+
+                const exit = this.connects.find(connection => connection.targetRoad.roadID === veh.route[2]);
+                if (exit && this.getDistance(entry.yieldU, exit.uSource) < distanceOnRing) continue;
+
+                // Approach roads hand their vehicles to the ring at their end
+                approaching.push({ veh, distance: entry.roadLen - veh.u + distanceOnRing });
+            }
+        }
+        return approaching;
+    }
+
+    /**
+     * Whether a vehicle in the lane or a lane outside it is still alongside a merge point
+     * @param {number} mergeU - position on the ring (m)
+     * @param {number} lane - ring lane joined
+     */
+    isMergeOccupied(mergeU, lane) {
+        return this.veh.some(veh =>
+            veh.lane >= lane &&
+            this.getDistance(mergeU, veh.u) < veh.len + CONFIG.ROUNDABOUT.MERGE_CLEARANCE
+        );
+    }
+
+    /**
+     * IDM accelerations as on any road, then the frontmost vehicle of each lane
+     * follows the rearmost one across the end of the ring
+     */
+    calcAccelerations() {
+        super.calcAccelerations();
+
+        for (let lane = 0; lane < this.nLanes; lane++) {
+            const laneVehicles = this.veh.filter(v => v.lane === lane).sort((a, b) => a.u - b.u);
+            if (laneVehicles.length < 2) continue;
+
+            const veh = laneVehicles[laneVehicles.length - 1];
+            const leader = laneVehicles[0];
+            const gap = leader.u + this.roadLen - veh.u - leader.len;
+            const accLeader = veh.idmModel.calcAccDet(Math.max(0.1, gap), veh.speed, leader.speed, leader.acc);
+            veh.acc = Math.max(-6.0, Math.min(veh.acc, accLeader));
+        }
+    }
+
+    /**
+     * No lane changes on the ring; lane changes begun on the approach finish drawing
+     */
+    changeLanes() {
+        for (let veh of this.veh) {
+            if (veh.dt_afterLC !== undefined) {
+                veh.dt_afterLC += CONFIG.PHYSICS.DT;
+            }
+            this.update_v_dvdt_optical(veh);
+        }
+    }
+
+    updateSpeedPositions() {
+        const previousU = this.veh.map(veh => {
+            this.getRemainingDistance(veh);
+            return veh.u;
+        });
+
+        super.updateSpeedPositions();
+
+        this.veh.forEach((veh, index) => {
+            veh.ringDistance -= veh.u - previousU[index];
+            veh.u = this.wrap(veh.u);
+        });
+    }
+
+    /**
+     * Vehicles leave once they have driven round to their exit
+     */
+    processConnections() {
+        for (let i = this.veh.length - 1; i >= 0; i--) {
+            const veh = this.veh[i];
+            if (this.getRemainingDistance(veh) > 0) continue;
+
+            const connection = this.connects.find(candidate => this.shouldUseConnection(veh, candidate));
+            this.transferVehicle(veh, connection, i);
+        }
+    }
+
+    transferVehicle(veh, connection, index) {
+        veh.ringDistance = null;
+        super.transferVehicle(veh, connection, index);
+    }
+}
@@ -0,0 +1,360 @@
+// Declarative road network files: the geometry and topology an Intersection is built from
+// Coordinates are meters relative to the intersection center, x east and y north; headings and
+// arc angles are degrees counterclockwise from east. A file is a JSON object (the built-in
+// FOUR_LEG_INTERSECTION below has the same form) with:
+//   roads:       [{ id, name, lanes, laneWidth, speedLimit (m/s, null = none), geometry, closed? }]
+//                ids run 0..n-1 in file order; a road's length is the length of its geometry.
+//                A closed road is a ring ending where it starts: vehicles circulate on it
+//   connections: [{ from, to, uSource, lanes: [[fromLane, toLane], ...], turn?, uTarget?, geometry? }]
+//                without a turn, vehicles move onto the target road at uSource, arriving at uTarget;
+//                a 'left'/'right' turn path leaves the source road at uSource, tangent to it;
+//                vehicles on a closed road leave it the first time they reach uSource
+//   approaches:  { direction: { road, stopLine (u), center (u), opposing?, crosswalk?: { exitRoad },
+//                  laneUse?: ['L', 'T', 'TR'], bays?: { left?, right? }, yieldTo?: { road, u } } }
+//                One approach for each of east, west, north and south (the light directions).
+//                An approach with yieldTo has no signal: its stop line is a yield line where vehicles
+//                wait for a gap in the traffic on the closed road reaching u, where they join it.
+//                laneUse lists the movements each lane serves, lane 0 first (CONFIG.LANE_USE letters);
+//                without it every lane goes straight on and turns use their connections' lanes.
+//                A bay is the run of 'L' lanes on the left or of 'R' lanes on the right, open only
+//                for its storage length (m) before the stop line
+//   movements:   [{ approach, turn, route: [roadID, ...] }]
+//                a left or right movement follows its approach road's turn path to route[1]
+// Geometry is a list of segments, each continuing from the end of the previous one:
+//   { type: 'polyline', points: [[x, y], ...] }
+//   { type: 'arc', radius, angle, start?: [x, y], heading? }   (angle > 0 turns left)
+
+import { CONFIG } from './config.js';
+
+// The four-leg intersection: two-lane roads; turns leave their approach at the stop line and
+// end on the exit road's line (north-south stop lines sit 24 m before the turns' arcs)
+const FOUR_LEG_INTERSECTION = {
+    name: 'Four-leg intersection',
+    roads: [
+        { id: 0, name: 'east-bound', lanes: 2, laneWidth: 3.0, speedLimit: null, geometry: [{ type: 'polyline', points: [[-100, -3], [100, -3]] }] },
+        { id: 1, name: 'west-bound', lanes: 2, laneWidth: 3.0, speedLimit: null, geometry: [{ type: 'polyline', points: [[100, 3], [-100, 3]] }] },
+        { id: 2, name: 'north-bound', lanes: 2, laneWidth: 3.0, speedLimit: null, geometry: [{ type: 'polyline', points: [[3, -212], [3, -12]] }] },
+        { id: 3, name: 'north-exit', lanes: 2, laneWidth: 3.0, speedLimit: null, geometry: [{ type: 'polyline', points: [[3, 12], [3, 212]] }] },
+        { id: 4, name: 'south-bound', lanes: 2, laneWidth: 3.0, speedLimit: null, geometry: [{ type: 'polyline', points: [[-3, 212], [-3, 12]] }] },
+        { id: 5, name: 'south-exit', lanes: 2, laneWidth: 3.0, speedLimit: null, geometry: [{ type: 'polyline', points: [[-3, -12], [-3, -212]] }] }
+    ],
+    connections: [
+        { from: 2, to: 3, uSource: 190, uTarget: 10, lanes: [[0, 0], [1, 1]] },
+        { from: 4, to: 5, uSource: 190, uTarget: 10, lanes: [[0, 0], [1, 1]] },
+
+        { from: 0, to: 5, turn: 'right', uSource: 90, lanes: [[1, 1]], geometry: [{ type: 'arc', radius: 7, angle: -90 }] },
+        { from: 1, to: 3, turn: 'right', uSource: 90, lanes: [[1, 1]], geometry: [{ type: 'arc', radius: 7, angle: -90 }] },
+        { from: 2, to: 0, turn: 'right', uSource: 178, lanes: [[1, 1]], geometry: [{ type: 'polyline', points: [[3, -34], [3, -10]] }, { type: 'arc', radius: 7, angle: -90 }] },
+        { from: 4, to: 1, turn: 'right', uSource: 178, lanes: [[1, 1]], geometry: [{ type: 'polyline', points: [[-3, 34], [-3, 10]] }, { type: 'arc', radius: 7, angle: -90 }] },
+
+        { from: 0, to: 3, turn: 'left', uSource: 90, lanes: [[0, 0]], geometry: [{ type: 'arc', radius: 13, angle: 90 }] },
+        { from: 1, to: 5, turn: 'left', uSource: 90, lanes: [[0, 0]], geometry: [{ type: 'arc', radius: 13, angle: 90 }] },
+        { from: 2, to: 1, turn: 'left', uSource: 178, lanes: [[0, 0]], geometry: [{ type: 'polyline', points: [[3, -34], [3, -10]] }, { type: 'arc', radius: 13, angle: 90 }] },
+        { from: 4, to: 0, turn: 'left', uSource: 178, lanes: [[0, 0]], geometry: [{ type: 'polyline', points: [[-3, 34], [-3, 10]] }, { type: 'arc', radius: 13, angle: 90 }] }
+    ],
+    approaches: {
+        east: { road: 0, stopLine: 90, center: 100, opposing: 'west', crosswalk: { exitRoad: 1 }, laneUse: ['LT', 'TR'] },
+        west: { road: 1, stopLine: 90, center: 100, opposing: 'east', crosswalk: { exitRoad: 0 }, laneUse: ['LT', 'TR'] },
+        north: { road: 2, stopLine: 178, center: 188, opposing: 'south', crosswalk: { exitRoad: 5 }, laneUse: ['LT', 'TR'] },
+        south: { road: 4, stopLine: 178, center: 188, opposing: 'north', crosswalk: { exitRoad: 3 }, laneUse: ['LT', 'TR'] }
+    },
+    movements: [
+        { approach: 'east', turn: 'straight', route: [0] },
+        { approach: 'east', turn: 'right', route: [0, 5] },
+        { approach: 'east', turn: 'left', route: [0, 3] },
+        { approach: 'west', turn: 'straight', route: [1] },
+        { approach: 'west', turn: 'right', route: [1, 3] },
+        { approach: 'west', turn: 'left', route: [1, 5] },
+        { approach: 'north', turn: 'straight', route: [2, 3] },
+        { approach: 'north', turn: 'right', route: [2, 0] },
+        { approach: 'north', turn: 'left', route: [2, 1] },
+        { approach: 'south', turn: 'straight', route: [4, 5] },
+        { approach: 'south', turn: 'right', route: [4, 1] },
+        { approach: 'south', turn: 'left', route: [4, 0] }
+    ]
+};
+
+const TURNS = [CONFIG.TURN_TYPES.LEFT, CONFIG.TURN_TYPES.RIGHT];
+const LANE_USE_ORDER = [CONFIG.TURN_TYPES.LEFT, CONFIG.TURN_TYPES.STRAIGHT, CONFIG.TURN_TYPES.RIGHT];
+const DEG = Math.PI / 180;
+
+/**
+ * Check a road network file and fill in defaults
+ * @param {Object|string} file - parsed file or its JSON text
+ * @returns {Object} the network definition Intersection is built from
+ */
+export function parseRoadNetwork(file) {
+    const definition = typeof file === 'string' ? JSON.parse(file) : file;
+    const fail = (message) => {
+        throw new Error(`Road network${definition.name ? ` "${definition.name}"` : ''}: ${message}`);
+    };
+
+    if (!Array.isArray(definition.roads) || definition.roads.length === 0) fail('no roads');
+    const roads = definition.roads.map((road, index) => {
+        if (road.id !== index) fail(`road ids must run 0..${definition.roads.length - 1} in file order (found ${road.id} at ${index})`);
+        if (!(road.lanes >= 1)) fail(`road ${road.id} needs at least one lane`);
+        return {
+            id: road.id,
+            name: road.name || `road ${road.id}`,
+            lanes: road.lanes,
+            laneWidth: road.laneWidth ?? CONFIG.LANE_WIDTH,
+            speedLimit: road.speedLimit ?? null,
+            geometry: road.geometry,
+            closed: !!road.closed
+        };
+    });
+    const lengths = roads.map(road => createPath(road.geometry).length);
+    roads.filter(road => road.closed).forEach(road => {
+        const path = createPath(road.geometry);
+        const start = path.getPose(0);
+        const end = path.getPose(path.length);
+        if (Math.hypot(end.x - start.x, end.y - start.y) > 0.5) fail(`closed road ${road.id} does not end where it starts`);
+    });
+
+    const checkRoad = (id, context) => {
+        if (!roads[id]) fail(`${context} refers to unknown road ${id}`);
+        return roads[id];
+    };
+
+    const connections = (definition.connections || []).map(connection => {
+        const context = `connection ${connection.from}→${connection.to}`;
+        const source = checkRoad(connection.from, context);
+        const target = checkRoad(connection.to, context);
+        if (connection.turn && !TURNS.includes(connection.turn)) fail(`${context} has unknown turn '${connection.turn}'`);
+        if (!(connection.uSource >= 0 && connection.uSource <= lengths[source.id])) fail(`${context} leaves its road at u=${connection.uSource}`);
+        if (!Array.isArray(connection.lanes) || connection.lanes.length === 0) fail(`${context} maps no lanes`);
+        connection.lanes.forEach(([fromLane, toLane]) => {
+            if (!(fromLane >= 0 && fromLane < source.lanes && toLane >= 0 && toLane < target.lanes)) {
+                fail(`${context} maps lane ${fromLane} to ${toLane}`);
+            }
+        });
+        if (connection.turn && !connection.geometry) fail(`${context} is a turn without a path`);
+        if (!connection.turn && connection.lanes.some(([fromLane, toLane]) => toLane - fromLane !== connection.lanes[0][1] - connection.lanes[0][0])) {
+            fail(`${context} must shift every lane by the same number of lanes`);
+        }
+        return { ...connection, turn: connection.turn || null, uTarget: connection.uTarget ?? 0 };
+    });
+
+    const approaches = {};
+    Object.entries(definition.approaches || {}).forEach(([direction, approach]) => {
+        const context = `${direction} approach`;
+        if (!Object.values(CONFIG.DIRECTIONS).includes(direction)) fail(`unknown approach direction '${direction}'`);
+        const road = checkRoad(approach.road, context);
+        if (!(approach.stopLine >= 0 && approach.stopLine <= lengths[road.id])) fail(`${context} has its stop line at u=${approach.stopLine}`);
+        if (approach.opposing && !definition.approaches[approach.opposing]) fail(`${context} opposes missing ${approach.opposing} approach`);
+        if (approach.crosswalk) checkRoad(approach.crosswalk.exitRoad, `${context} crosswalk`);
+        if (approach.yieldTo) {
+            const ring = checkRoad(approach.yieldTo.road, `${context} yield`);
+            if (!ring.closed) fail(`${context} yields to road ${ring.id}, which is not closed`);
+            if (!(approach.yieldTo.u >= 0 && approach.yieldTo.u <= lengths[ring.id])) fail(`${context} joins road ${ring.id} at u=${approach.yieldTo.u}`);
+        }
+        approaches[direction] = {
+            road: approach.road,
+            stopLine: approach.stopLine,
+            center: approach.center ?? approach.stopLine,
+            opposing: approach.opposing || null,
+            crosswalk: approach.crosswalk || null,
+            yieldTo: approach.yieldTo ? { road: approach.yieldTo.road, u: approach.yieldTo.u } : null
+        };
+    });
+    // Signals, detectors, statistics and spawning all run per direction
+    const missing = Object.values(CONFIG.DIRECTIONS).filter(direction => !approaches[direction]);
+    if (missing.length > 0) fail(`no ${missing.join(', ')} approach; four approaches are needed`);
+
+    const movements = (definition.movements || []).map(movement => {
+        const context = `${movement.approach} ${movement.turn} movement`;
+        if (!approaches[movement.approach]) fail(`${context} has no approach`);
+        if (!Object.values(CONFIG.TURN_TYPES).includes(movement.turn)) fail(`${context} has unknown turn`);
+        if (movement.route[0] !== approaches[movement.approach].road) fail(`${context} does not start on its approach road`);
+        movement.route.forEach(id => checkRoad(id, context));
+        // Turning vehicles follow the turn path to the next road of their route
+        const turnPaths = connections.filter(connection => connection.from === movement.route[0] && connection.turn);
+        if (turnPaths.length > 0 && movement.turn !== CONFIG.TURN_TYPES.STRAIGHT &&
+            !turnPaths.some(connection => connection.turn === movement.turn && connection.to === movement.route[1])) {
+            fail(`${context} has no ${movement.turn} turn path from road ${movement.route[0]} to road ${movement.route[1]}`);
+        }
+        return { approach: movement.approach, turn: movement.turn, route: movement.route };
+    });
+
+    Object.entries(approaches).forEach(([direction, approach]) => {
+        const context = `${direction} approach`;
+        const road = roads[approach.road];
+        const { laneUse, bays } = definition.approaches[direction];
+        const turns = connections.filter(connection => connection.from === road.id && connection.turn);
+
+        if (laneUse === undefined) {
+            const hasStraight = movements.some(movement => movement.approach === direction && movement.turn === CONFIG.TURN_TYPES.STRAIGHT);
+            approach.laneUse = [...Array(road.lanes).keys()].map(lane => LANE_USE_ORDER
+                .filter(turn => turn === CONFIG.TURN_TYPES.STRAIGHT
+                    ? hasStraight
+                    : turns.some(connection => connection.turn === turn && connection.lanes.some(([fromLane]) => fromLane === lane)))
+                .map(turn => CONFIG.LANE_USE[turn])
+                .join(''));
+        } else {
+            if (!Array.isArray(laneUse) || laneUse.length !== road.lanes) fail(`${context} needs a lane use for each of its ${road.lanes} lanes`);
+            laneUse.forEach((use, lane) => {
+                if (typeof use !== 'string' || !/^[LTR]+$/.test(use)) fail(`${context} lane ${lane} has lane use '${use}' (letters L, T, R)`);
+            });
+            turns.forEach(connection => connection.lanes.forEach(([fromLane]) => {
+                if (!laneUse[fromLane].includes(CONFIG.LANE_USE[connection.turn])) {
+                    fail(`${context} turns ${connection.turn} from lane ${fromLane}, whose lane use is '${laneUse[fromLane]}'`);
+                }
+            }));
+            approach.laneUse = [...laneUse];
+        }
+
+        approach.bays = { left: bays?.left ?? null, right: bays?.right ?? null };
+        TURNS.forEach(turn => {
+            const storage = approach.bays[turn];
+            if (storage === null) return;
+            if (!(storage > 0 && storage <= approach.stopLine)) fail(`${context} has a ${turn} bay of ${storage} m`);
+            if (getBayLanes(approach, turn).length === 0) fail(`${context} has a ${turn} bay but its ${turn}most lane is not '${CONFIG.LANE_USE[turn]}' only`);
+        });
+        if (getBayLanes(approach, 'left').length + getBayLanes(approach, 'right').length >= road.lanes) {
+            fail(`${context} needs a lane that is not a turn bay`);
+        }
+    });
+
+    return { name: definition.name || 'Unnamed network', roads, connections, approaches, movements };
+}
+
+/**
+ * Lanes of an approach's turn bay
+ * @param {Object} approach - parsed approach
+ * @param {string} turn - 'left' or 'right'
+ * @returns {Array} lane indices of the run of turn-only lanes on that side, none without a bay
+ */
+export function getBayLanes(approach, turn) {
+    if (approach.bays[turn] === null) return [];
+
+    const lanes = [...approach.laneUse.keys()];
+    const fromSide = turn === CONFIG.TURN_TYPES.LEFT ? lanes : lanes.reverse();
+    const end = fromSide.findIndex(lane => approach.laneUse[lane] !== CONFIG.LANE_USE[turn]);
+    return fromSide.slice(0, end < 0 ? fromSide.length : end);
+}
+
+/**
+ * Build a path from geometry segments
+ * Positions before the start and past the end continue along the end tangents.
+ * @param {Array} geometry - polyline and arc segments
+ * @param {Object|null} start - { x, y, heading (rad) } the first segment continues from, if any
+ * @returns {Object} { length, getPose(s), x(s, offset), y(s, offset) }; offset is to the left (m)
+ */
+export function createPath(geometry, start = null) {
+    if (!Array.isArray(geometry) || geometry.length === 0) {
+        throw new Error('Road network: empty geometry');
+    }
+
+    const pieces = [];
+    let pose = start;
+    let length = 0;
+    const addPiece = (pieceLength, getPose) => {
+        pieces.push({ start: length, length: pieceLength, getPose });
+        length += pieceLength;
+        pose = getPose(pieceLength);
+    };
+
+    geometry.forEach(segment => {
+        if (segment.type === 'polyline') {
+            for (let i = 1; i < segment.points.length; i++) {
+                const [x0, y0] = segment.points[i - 1];
+                const [x1, y1] = segment.points[i];
+                const pieceLength = Math.hypot(x1 - x0, y1 - y0);
+                const heading = Math.atan2(y1 - y0, x1 - x0);
+                const cos = (x1 - x0) / pieceLength;
+                const sin = (y1 - y0) / pieceLength;
+                addPiece(pieceLength, s => ({ x: x0 + cos * s, y: y0 + sin * s, heading }));
+            }
+        } else if (segment.type === 'arc') {
+            const [x0, y0] = segment.start || [pose?.x, pose?.y];
+            const heading0 = segment.heading !== undefined ? segment.heading * DEG : pose?.heading;
+            if (x0 === undefined || heading0 === undefined) {
+                throw new Error('Road network: an arc needs a start and heading or a segment before it');
+            }
+            const turn = Math.sign(segment.angle);
+            const radius = segment.radius;
+            const centerX = x0 - turn * radius * Math.sin(heading0);
+            const centerY = y0 + turn * radius * Math.cos(heading0);
+            addPiece(radius * Math.abs(segment.angle) * DEG, s => {
+                const heading = heading0 + turn * s / radius;
+                return {
+                    x: centerX + turn * radius * Math.sin(heading),
+                    y: centerY - turn * radius * Math.cos(heading),
+                    heading
+                };
+            });
+        } else {
+            throw new Error(`Road network: unknown geometry segment '${segment.type}'`);
+        }
+    });
+
+    const getPose = (s) => {
+        const first = pieces[0];
+        const last = pieces[pieces.length - 1];
+        if (s < 0) {
+            const p = first.getPose(0);
+            return { x: p.x + s * Math.cos(p.heading), y: p.y + s * Math.sin(p.heading), heading: p.heading };
+        }
+        if (s > length) {
+            const p = last.getPose(last.length);
+            const beyond = s - length;
+            return { x: p.x + beyond * Math.cos(p.heading), y: p.y + beyond * Math.sin(p.heading), heading: p.heading };
+        }
+        const piece = pieces.find(candidate => s <= candidate.start + candidate.length) || last;
+        return piece.getPose(s - piece.start);
+    };
+
+    return {
+        length,
+        getPose,
+        x: (s, offset = 0) => {
+            const p = getPose(s);
+            return p.x - offset * Math.sin(p.heading);
+        },
+        y: (s, offset = 0) => {
+            const p = getPose(s);
+            return p.y + offset * Math.cos(p.heading);
+        }
+    };
+}
+
+// POLYLINE HELPERS for importers building geometry from map data ([x, y] points in m)
+
+// Drop repeated points (zero-length pieces have no heading)
+export function dedupePoints(points) {
+    return points.filter((point, index) =>
+        index === 0 || Math.hypot(point[0] - points[index - 1][0], point[1] - points[index - 1][1]) > 0.01
+    );
+}
+
+export function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+}
+
+// Parallel polyline, offset to the left (m, negative = right); corners are mitred
+export function offsetPolyline(points, offset) {
+    if (offset === 0) return points;
+    const normals = [];
+    for (let i = 1; i < points.length; i++) {
+        const dx = points[i][0] - points[i - 1][0];
+        const dy = points[i][1] - points[i - 1][1];
+        const length = Math.hypot(dx, dy);
+        normals.push([-dy / length, dx / length]);
+    }
+
+    return points.map((point, index) => {
+        const before = normals[Math.max(index - 1, 0)];
+        const after = normals[Math.min(index, normals.length - 1)];
+        const mitre = [before[0] + after[0], before[1] + after[1]];
+        const mitreLength = Math.hypot(...mitre);
+        const scale = offset / Math.max(mitreLength * mitreLength / 2, 0.1);
+        return [point[0] + mitre[0] * scale, point[1] + mitre[1] * scale];
+    });
+}
+
+// Every engine is built on the four-leg intersection unless given another network
+export const DEFAULT_ROAD_NETWORK = parseRoadNetwork(FOUR_LEG_INTERSECTION);
@@ -31,17 +31,26 @@ export class Road {
         this.LCModelTactical = new MOBILModel(0.3, 0.3, 0.2);       // Moderate for tactical
         this.LCModelNormal = new MOBILModel(0.5, 0.5, 0.1);        // Polite for normal
         
-        // Traffic flow control
-        this.inVehBuffer = 0;           // Fractional vehicle buffer for spawning
-        this.nVehBuffer = 0;            // Vehicle count buffer
-        
         // Speed and flow settings
         this.speedInit = 15;            // Initial speed (m/s)
         this.speedmax = 25;             // Maximum speed (m/s)
+        this.speedLimit = null;         // Posted speed limit (m/s), null = none
         
         // Connection parameters
         this.connects = [];             // Array of connection objects
         
+        // Signal control (approach roads only)
+        this.stopLineU = null;          // Stop line position in meters, null = unsignalized
+        this.centerU = null;            // Position where the road crosses the intersection center (m)
+        this.signalState = null;        // Current CONFIG.LIGHT_STATES value for this approach
+        this.leftTurnSignal = null;     // Current CONFIG.LEFT_TURN_STATES value for left turns
+        this.opposingRoad = null;       // Approach whose through traffic permitted lefts yield to
+        this.yieldRoad = null;          // Ring road this approach enters at its yield line, null = none
+        this.yieldU = null;             // Position on the ring road where entering vehicles join it (m)
+        this.pedestrianConflicts = new Map();  // Turn path -> { crosswalk, yieldU, occupied }
+        this.laneUse = null;            // Movements each lane serves (CONFIG.LANE_USE letters), null = any
+        this.laneStartU = null;         // Where each lane begins (m); turn bay lanes begin before the stop line
+        
         // Note: precomputeDrawingArrays() will be called after trajectories are set up
     }
 
@@ -93,30 +102,427 @@ export class Road {
         this.trajAlt.push(trajAlt);
     }
 
+    /**
+     * Turn path a vehicle follows to the next road of its route
+     * @param {Object} veh - road vehicle
+     * @returns {Object|null} the trajAlt entry, or null when the vehicle does not turn here
+     */
+    getTurnPath(veh) {
+        if (!veh.route || veh.route.length < 2) return null;
+        return this.trajAlt.find(trajAlt => trajAlt.roadID === veh.route[1]) || null;
+    }
+
     /**
      * Get appropriate trajectory for vehicle based on route
+     * A turning vehicle follows its turn path from umin on; past umax the path runs on along the exit road.
      */
     getTraj(veh) {
-        let usedTraj = this.traj;  // Default straight trajectory
-        
-        if (this.trajAlt.length > 0) {
-            for (let itr = 0; itr < this.trajAlt.length; itr++) {
-                // Check if vehicle route matches turning trajectory
-                if (veh.route.indexOf(this.trajAlt[itr].roadID) >= 0) {
-                    // Check if vehicle is in turning zone
-                    if ((veh.u >= this.trajAlt[itr].umin) && 
-                        (veh.u <= this.trajAlt[itr].umax)) {
-                        usedTraj = [this.trajAlt[itr].x, this.trajAlt[itr].y];
-                        break;
-                    }
-                }
+        const turnPath = this.getTurnPath(veh);
+        if (turnPath && veh.u >= turnPath.umin) {
+            return [turnPath.x, turnPath.y];
+        }
+        return this.traj;  // Default straight trajectory
+    }
+
+    /**
+     * Attach a signal stop line to this road
+     * @param {number} stopLineU - longitudinal position of the stop line (m)
+     * @param {number} centerU - longitudinal position of the intersection center (m)
+     */
+    setStopLine(stopLineU, centerU) {
+        this.stopLineU = stopLineU;
+        this.centerU = centerU;
+    }
+
+    /**
+     * Set the approach whose through vehicles conflict with left turns from this road
+     * @param {Road} opposingRoad - opposing approach road
+     */
+    setOpposingRoad(opposingRoad) {
+        this.opposingRoad = opposingRoad;
+    }
+
+    /**
+     * Make this approach a roundabout entry: its stop line becomes a yield line
+     * @param {Road} yieldRoad - ring road (RingRoad) the approach feeds
+     * @param {number} yieldU - position on the ring where entering vehicles join it (m)
+     */
+    setYieldControl(yieldRoad, yieldU) {
+        this.yieldRoad = yieldRoad;
+        this.yieldU = yieldU;
+        yieldRoad.addEntry(this);
+    }
+
+    // Ring lane a vehicle on this approach joins
+    getEntryRingLane(veh) {
+        const entry = this.connects.find(connection => connection.targetRoad === this.yieldRoad);
+        return Math.max(0, Math.min(this.yieldRoad.nLanes - 1, veh.lane + (entry ? entry.offsetLane : 0)));
+    }
+
+    /**
+     * Make vehicles on a turn path yield to pedestrians in the crosswalk it crosses
+     * @param {Object} turnPath - entry of this.trajAlt
+     * @param {string} crosswalk - crosswalk key (light direction of the approach it crosses)
+     * @param {number} yieldU - position where a yielding vehicle stops (m)
+     */
+    setPedestrianConflict(turnPath, crosswalk, yieldU) {
+        this.pedestrianConflicts.set(turnPath, { crosswalk, yieldU, occupied: false });
+    }
+
+    /**
+     * Assign the movements each lane serves and where each lane begins
+     * @param {Array} laneUse - lane-use letters per lane, e.g. ['L', 'T', 'TR']
+     * @param {Array} laneStartU - position where each lane begins (m), 0 for full-length lanes
+     */
+    setLaneLayout(laneUse, laneStartU) {
+        this.laneUse = laneUse;
+        this.laneStartU = laneStartU;
+    }
+
+    isLaneOpen(lane, u) {
+        return !this.laneStartU || u >= this.laneStartU[lane];
+    }
+
+    /**
+     * Lanes a movement may be made from
+     * @param {string} turnType - 'left', 'straight' or 'right'
+     * @returns {Array} lane indices; every lane when none is assigned to the movement
+     */
+    getAllowedLanes(turnType) {
+        const lanes = [...Array(this.nLanes).keys()];
+        if (!this.laneUse) return lanes;
+
+        const allowed = lanes.filter(lane => this.laneUse[lane].includes(CONFIG.LANE_USE[turnType]));
+        return allowed.length > 0 ? allowed : lanes;
+    }
+
+    /**
+     * Lane a vehicle enters the road in: the open lane at the entry nearest to the one asked for
+     * @param {number} lane - preferred lane
+     * @returns {number} lane index
+     */
+    getEntryLane(lane) {
+        return this.getEntryLanes().reduce((best, candidate) =>
+            Math.abs(candidate - lane) < Math.abs(best - lane) ? candidate : best);
+    }
+
+    // Lanes already open where vehicles enter the road (turn bays are not)
+    getEntryLanes() {
+        return [...Array(this.nLanes).keys()].filter(lane => this.isLaneOpen(lane, CONFIG.GEOMETRIC.SPAWN_POSITION));
+    }
+
+    /**
+     * Lanes a vehicle may make its movement from: its turn path's lanes (laneMin..laneMax),
+     * or the lanes whose lane use serves its movement when it does not turn here
+     * @param {Object} veh - road vehicle
+     * @returns {Array} lane indices
+     */
+    getMovementLanes(veh) {
+        const turnPath = this.getTurnPath(veh);
+        if (!turnPath) return this.getAllowedLanes(this.getTurnType(veh));
+        return [...Array(turnPath.laneMax - turnPath.laneMin + 1).keys()].map(offset => turnPath.laneMin + offset);
+    }
+
+    /**
+     * Mandatory lane change of a vehicle whose lane does not serve its movement
+     * It steps one lane at a time toward the nearest lane that does, starting LANE_CHANGE_DISTANCE
+     * per lane to cross before the point that lane has to be reached by: BAY_MERGE_LENGTH past
+     * the entry of a turn bay, the stop line for any other lane. A vehicle that has not made it
+     * by then waits there (holdU) for a gap, blocking its lane; no movement is made from a lane
+     * that does not serve it.
+     * @param {Object} veh - road vehicle
+     * @returns {Object|null} { lane (next lane), holdU (m) }, or null when no change is due
+     */
+    getRequiredLaneChange(veh) {
+        if (this.stopLineU === null || veh.u > this.stopLineU) return null;
+
+        const allowed = this.getMovementLanes(veh);
+        if (allowed.includes(veh.lane)) return null;
+
+        const nearest = allowed.reduce((best, lane) => Math.abs(lane - veh.lane) < Math.abs(best - veh.lane) ? lane : best);
+        const reachU = this.laneStartU && this.laneStartU[nearest] > 0
+            ? Math.min(this.laneStartU[nearest] + CONFIG.GEOMETRIC.BAY_MERGE_LENGTH, this.stopLineU)
+            : this.stopLineU;
+        const holdU = veh.u < reachU ? reachU : this.stopLineU;
+        if (veh.u < holdU - CONFIG.GEOMETRIC.LANE_CHANGE_DISTANCE * Math.abs(nearest - veh.lane)) return null;
+
+        return { lane: veh.lane + Math.sign(nearest - veh.lane), holdU };
+    }
+
+    /**
+     * Update the signal state governing this approach
+     * @param {string} state - one of CONFIG.LIGHT_STATES
+     * @param {string} leftTurnSignal - one of CONFIG.LEFT_TURN_STATES
+     */
+    setSignalState(state, leftTurnSignal = CONFIG.LEFT_TURN_STATES.PERMITTED) {
+        this.signalState = state;
+        this.leftTurnSignal = leftTurnSignal;
+    }
+
+    /**
+     * Turn type of the vehicle's next movement on this road
+     * @param {Object} veh - road vehicle
+     * @returns {string} 'left', 'right' or 'straight'
+     */
+    getTurnType(veh) {
+        const turnPath = this.getTurnPath(veh);
+        return turnPath ? turnPath.turnType : 'straight';
+    }
+
+    /**
+     * Speed limit of a turning vehicle, from the approach zone before its turn to the end of the turn
+     * @param {Object} veh - road vehicle
+     * @returns {number|null} the vehicle type's turn speed (m/s), or null when not turning here
+     */
+    getTurnSpeedLimit(veh) {
+        const turnPath = veh.turnSpeeds ? this.getTurnPath(veh) : null;
+        if (turnPath &&
+            veh.u >= turnPath.umin - CONFIG.GEOMETRIC.APPROACH_ZONE &&
+            veh.u <= turnPath.umax) {
+            return veh.turnSpeeds[turnPath.turnType] ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * Time an unimpeded vehicle takes between two positions on this road: at its desired speed
+     * within the posted limit, and at its turn speed or the ring's limit where calcAccelerations()
+     * holds it to them
+     * @param {Object} veh - road vehicle
+     * @param {number} fromU - start position (m)
+     * @param {number} toU - end position (m)
+     * @returns {number} seconds
+     */
+    getFreeFlowTime(veh, fromU, toU) {
+        let cruiseSpeed = veh.idmModel.getDesiredSpeed();
+        if (this.speedLimit !== null && veh.type !== 'emergency') {
+            cruiseSpeed = Math.min(cruiseSpeed, this.speedLimit);
+        }
+
+        // Stretches held to a lower speed: [start, end, speed]
+        const slowZones = [];
+        const turnPath = veh.turnSpeeds ? this.getTurnPath(veh) : null;
+        const turnSpeed = turnPath ? veh.turnSpeeds[turnPath.turnType] ?? null : null;
+        if (turnSpeed !== null) {
+            slowZones.push([turnPath.umin - CONFIG.GEOMETRIC.APPROACH_ZONE, turnPath.umax, turnSpeed]);
+        }
+        if (this.yieldRoad && this.yieldRoad.speedLimit !== null) {
+            slowZones.push([this.stopLineU - CONFIG.GEOMETRIC.APPROACH_ZONE, Infinity, this.yieldRoad.speedLimit]);
+        }
+
+        // Walk the distance in pieces between zone boundaries, each at its slowest applicable speed
+        const bounds = [fromU, toU, ...slowZones.flatMap(([start, end]) => [start, end])]
+            .filter(u => u >= fromU && u <= toU)
+            .sort((a, b) => a - b);
+        let time = 0;
+        for (let i = 1; i < bounds.length; i++) {
+            const midU = (bounds[i - 1] + bounds[i]) / 2;
+            const speed = slowZones
+                .filter(([start, end]) => midU >= start && midU <= end)
+                .reduce((slowest, [, , zoneSpeed]) => Math.min(slowest, zoneSpeed), cruiseSpeed);
+            time += (bounds[i] - bounds[i - 1]) / speed;
+        }
+        return time;
+    }
+
+    /**
+     * Signal indication that applies to a vehicle
+     * Left turners follow the arrow when one is shown, otherwise the ball.
+     * @param {Object} veh - road vehicle
+     * @returns {string} one of CONFIG.LIGHT_STATES
+     */
+    getSignalStateFor(veh) {
+        return this.getMovementSignalState(this.getTurnType(veh));
+    }
+
+    /**
+     * Signal indication governing a movement on this approach
+     * @param {string} turnType - 'left', 'straight' or 'right'
+     * @returns {string|null} one of CONFIG.LIGHT_STATES, null if unsignalized
+     */
+    getMovementSignalState(turnType) {
+        if (turnType !== 'left') return this.signalState;
+
+        switch (this.leftTurnSignal) {
+            case CONFIG.LEFT_TURN_STATES.PROTECTED: return CONFIG.LIGHT_STATES.GREEN;
+            case CONFIG.LEFT_TURN_STATES.YELLOW: return CONFIG.LIGHT_STATES.YELLOW;
+            case CONFIG.LEFT_TURN_STATES.RED: return CONFIG.LIGHT_STATES.RED;
+            default: return this.signalState;
+        }
+    }
+
+    /**
+     * Decide whether a vehicle must treat the stop line as a stopped obstacle
+     * Red: stop unless already committed during yellow or physically unable to stop.
+     * Yellow: stop if the stop line can be reached with comfortable deceleration (IDM_B).
+     * @param {Object} veh - road vehicle
+     * @returns {boolean} true if the vehicle has to stop at the stop line
+     */
+    mustStopAtSignal(veh) {
+        if (this.stopLineU === null || this.signalState === null) return false;
+
+        const signalState = this.getSignalStateFor(veh);
+        if (signalState === CONFIG.LIGHT_STATES.GREEN) {
+            veh.signalDecision = null; // A new yellow needs a fresh stop-or-go decision
+            return false;
+        }
+
+        const distance = this.stopLineU - veh.u;
+        if (distance < 0) {
+            veh.signalDecision = null; // Already past the stop line
+            return false;
+        }
+
+        if (!veh.signalDecision) {
+            const decel = signalState === CONFIG.LIGHT_STATES.YELLOW
+                ? CONFIG.PHYSICS.IDM_B
+                : CONFIG.PHYSICS.IDM_BMAX;
+            const stoppingDistance = veh.speed * veh.speed / (2 * decel);
+            veh.signalDecision = distance >= stoppingDistance ? 'stop' : 'go';
+        }
+
+        return veh.signalDecision === 'stop';
+    }
+
+    /**
+     * Permitted left turns: decide whether the vehicle must wait at the stop line
+     * for a gap in opposing through traffic (critical-gap acceptance)
+     * @param {Object} veh - road vehicle
+     * @returns {boolean} true if the vehicle has to yield at the stop line
+     */
+    mustYieldForLeftTurn(veh) {
+        if (this.stopLineU === null || !this.opposingRoad) return false;
+        if (this.getTurnType(veh) !== 'left') return false;
+        if (this.leftTurnSignal !== CONFIG.LEFT_TURN_STATES.PERMITTED) return false;
+
+        const distance = this.stopLineU - veh.u;
+        if (distance < 0) {
+            veh.gapAccepted = false; // Past the stop line: the decision is spent
+            return false;
+        }
+        if (veh.gapAccepted) return false;
+
+        // Time until this vehicle reaches the stop line (0 when already waiting there)
+        const tOwn = veh.speed > 1.0 ? distance / veh.speed : 0;
+
+        // Smallest lag to an opposing through vehicle arriving at the conflict point
+        const opposing = this.opposingRoad;
+        let minLag = Infinity;
+        for (let other of opposing.veh) {
+            if (opposing.getTurnType(other) === 'left') continue;  // Opposing lefts pass left of each other
+            if (other.signalDecision === 'stop') continue;         // Held by its own signal
+
+            const dOther = opposing.centerU - other.u;
+            if (dOther < 0) continue;                              // Already through the conflict point
+
+            const tOther = other.speed > 1.0
+                ? dOther / other.speed
+                : Math.sqrt(2 * dOther / CONFIG.PHYSICS.IDM_A);    // Starting from (near) standstill
+            minLag = Math.min(minLag, tOther - tOwn);
+        }
+
+        if (minLag >= CONFIG.PHYSICS.LEFT_TURN_CRITICAL_GAP) {
+            // Commit once the vehicle can no longer stop comfortably
+            const stoppingDistance = veh.speed * veh.speed / (2 * CONFIG.PHYSICS.IDM_B);
+            if (distance <= stoppingDistance + veh.idmModel.s0) {
+                veh.gapAccepted = true;
             }
+            return false;
         }
-        return usedTraj;
+
+        return true;
+    }
+
+    /**
+     * Roundabout entries: decide whether the vehicle must wait at the yield line for a gap
+     * in circulating traffic (critical-gap acceptance, as for permitted left turns)
+     * It yields to vehicles in the ring lane it joins and the lanes outside it that will pass
+     * the merge point, including those already committed to entering upstream.
+     * @param {Object} veh - road vehicle
+     * @returns {boolean} true if the vehicle has to yield at the yield line
+     */
+    mustYieldAtEntry(veh) {
+        if (this.stopLineU === null || !this.yieldRoad) return false;
+
+        const distance = this.stopLineU - veh.u;
+        if (distance < 0) {
+            veh.gapAccepted = false; // Past the yield line: the decision is spent
+            return false;
+        }
+        if (veh.gapAccepted) return false;
+
+        const ring = this.yieldRoad;
+        const entryLane = this.getEntryRingLane(veh);
+        if (ring.isMergeOccupied(this.yieldU, entryLane)) return true;
+
+        // Time until this vehicle reaches the yield line (0 when already waiting there)
+        const tOwn = veh.speed > 1.0 ? distance / veh.speed : 0;
+
+        // Smallest lag to a vehicle arriving at the merge point; slow vehicles speed up to
+        // circulating speed, so they are taken to arrive as early as they can
+        let minLag = Infinity;
+        for (let { veh: other, distance: dOther } of ring.getApproachingVehicles(this.yieldU, entryLane)) {
+            minLag = Math.min(minLag, ring.getArrivalTime(dOther, other.speed) - tOwn);
+        }
+
+        if (minLag >= CONFIG.ROUNDABOUT.CRITICAL_GAP) {
+            // Commit once the vehicle can no longer stop comfortably
+            const stoppingDistance = veh.speed * veh.speed / (2 * CONFIG.PHYSICS.IDM_B);
+            if (distance <= stoppingDistance + veh.idmModel.s0) {
+                veh.gapAccepted = true;
+            }
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Turning vehicles: decide whether to stop for pedestrians in the crosswalk on the exit leg
+     * A vehicle that can no longer stop with maximum deceleration proceeds.
+     * @param {Object} veh - road vehicle
+     * @returns {Object|null} the conflict to stop for, or null
+     */
+    getPedestrianYield(veh) {
+        const turnPath = this.getTurnPath(veh);
+        const conflict = turnPath && this.pedestrianConflicts.get(turnPath);
+        if (!conflict || !conflict.occupied) return null;
+
+        // Drivers react from the final approach to the turn
+        const distance = conflict.yieldU - veh.u;
+        if (distance < 0 || distance > CONFIG.GEOMETRIC.APPROACH_ZONE) return null;
+
+        const stoppingDistance = veh.speed * veh.speed / (2 * CONFIG.PHYSICS.IDM_BMAX);
+        return distance >= stoppingDistance ? conflict : null;
+    }
+
+    /**
+     * Vehicles leaving the junction for a downstream one whose entrance lane is full
+     * (veh.exitBlocked, set by TrafficNetwork) stop at the end of their last road
+     * @param {Object} veh - road vehicle
+     * @returns {number|null} position to stop at (m), or null
+     */
+    getExitBlockU(veh) {
+        if (!veh.exitBlocked) return null;
+
+        // A vehicle still to cross onto another road stops on that road instead
+        if (this.connects.some(connection => veh.u < connection.uSource && this.shouldUseConnection(veh, connection))) {
+            return null;
+        }
+
+        const distance = this.getExitU(veh) - veh.u;
+        return distance <= CONFIG.NETWORK.EXIT_BLOCK_DISTANCE ? this.getExitU(veh) : null;
+    }
+
+    // Vehicles past this position have left the junction; a turning vehicle first finishes its turn
+    getExitU(veh = null) {
+        const turnPath = veh ? this.getTurnPath(veh) : null;
+        return Math.max(this.roadLen, turnPath ? turnPath.umax : 0) + 10;
     }
 
     /**
      * Calculate accelerations for all vehicles using IDM model
+     * Red and yellow signals are modeled as a virtual stopped vehicle at the stop line.
      */
     calcAccelerations() {
         const dt = CONFIG.PHYSICS.DT;
@@ -164,6 +570,74 @@ export class Road {
                     veh.acc = veh.idmModel.calcAccDet(1000, veh.speed, veh.speed, 0);
                 }
                 
+                // Virtual stopped obstacle at the stop line (signal, left-turn or roundabout yield)
+                if (this.mustStopAtSignal(veh) || this.mustYieldForLeftTurn(veh) || this.mustYieldAtEntry(veh)) {
+                    const accSignal = veh.idmModel.calcAccDet(
+                        Math.max(0.1, this.stopLineU - veh.u),
+                        veh.speed,
+                        0,
+                        0
+                    );
+                    veh.acc = Math.min(veh.acc, accSignal);
+                }
+
+                // Turning vehicles stop short of an occupied crosswalk on their exit leg
+                const pedestrianYield = this.getPedestrianYield(veh);
+                if (pedestrianYield) {
+                    const accYield = veh.idmModel.calcAccDet(
+                        Math.max(0.1, pedestrianYield.yieldU - veh.u),
+                        veh.speed,
+                        0,
+                        0
+                    );
+                    veh.acc = Math.min(veh.acc, accYield);
+                }
+                
+                // Spillback from the downstream junction holds the vehicle at the exit
+                const exitBlockU = this.getExitBlockU(veh);
+                if (exitBlockU !== null) {
+                    const accBlock = veh.idmModel.calcAccDet(
+                        Math.max(0.1, exitBlockU - veh.u),
+                        veh.speed,
+                        0,
+                        0
+                    );
+                    veh.acc = Math.min(veh.acc, accBlock);
+                }
+                
+                // A vehicle still to reach a lane serving its movement waits where it has to be in it
+                const laneChange = this.getRequiredLaneChange(veh);
+                if (laneChange) {
+                    const accHold = veh.idmModel.calcAccDet(
+                        Math.max(0.1, laneChange.holdU - veh.u),
+                        veh.speed,
+                        0,
+                        0
+                    );
+                    veh.acc = Math.min(veh.acc, accHold);
+                }
+                
+                // Vehicles keep to the posted speed limit; emergency vehicles may exceed it
+                if (this.speedLimit !== null && veh.type !== 'emergency') {
+                    veh.acc = Math.min(veh.acc, veh.idmModel.calcAccFree(veh.speed, this.speedLimit));
+                }
+                
+                // Turning vehicles slow to their type's turn speed, reaching it where the turn begins
+                const turnSpeed = this.getTurnSpeedLimit(veh);
+                if (turnSpeed !== null) {
+                    veh.acc = Math.min(veh.acc, veh.idmModel.calcAccFree(veh.speed, turnSpeed));
+                    const distance = this.getTurnPath(veh).umin - veh.u;
+                    if (distance > 0 && veh.speed > turnSpeed) {
+                        veh.acc = Math.min(veh.acc, (turnSpeed * turnSpeed - veh.speed * veh.speed) / (2 * distance));
+                    }
+                }
+                
+                // Vehicles about to enter a ring slow to its speed limit
+                if (this.yieldRoad && this.yieldRoad.speedLimit !== null &&
+                    this.stopLineU - veh.u <= CONFIG.GEOMETRIC.APPROACH_ZONE) {
+                    veh.acc = Math.min(veh.acc, veh.idmModel.calcAccFree(veh.speed, this.yieldRoad.speedLimit));
+                }
+                
                 // Apply speed limits and constraints
                 veh.acc = Math.max(-6.0, Math.min(3.0, veh.acc)); // Reasonable limits
             }
@@ -195,14 +669,20 @@ export class Road {
             // Check for lane change opportunities
             const targetLane = this.evaluateLaneChangeNeed(veh);
             
-            if (targetLane !== veh.lane && targetLane >= 0 && targetLane < this.nLanes) {
+            if (targetLane !== veh.lane && targetLane >= 0 && targetLane < this.nLanes && this.isLaneOpen(targetLane, veh.u)) {
                 const currentLaneVehicles = this.veh.filter(v => v.lane === veh.lane);
+
+                // Staying in its lane means stopping where it has to have changed
+                const laneChange = this.getRequiredLaneChange(veh);
+                if (laneChange && laneChange.lane === targetLane) {
+                    currentLaneVehicles.push({ id: null, u: laneChange.holdU, speed: 0, acc: 0, len: 0 });
+                }
                 const targetLaneVehicles = this.veh.filter(v => v.lane === targetLane);
                 const direction = targetLane > veh.lane ? 1 : -1;
                 
                 // Get appropriate MOBIL model
                 let mobilModel = this.LCModelNormal;
-                if (veh.mandatoryLaneChange) {
+                if (veh.mandatoryLaneChange || veh.yieldingToEmergency) {
                     mobilModel = direction > 0 ? this.LCModelMandatoryRight : this.LCModelMandatoryLeft;
                 } else if (veh.tacticalLaneChange) {
                     mobilModel = this.LCModelTactical;
@@ -226,33 +706,46 @@ export class Road {
      * Evaluate if vehicle needs to change lanes
      */
     evaluateLaneChangeNeed(veh) {
-        // Mandatory lane changes for turns
-        if (veh.route && veh.route.length > 1) {
-            const targetRoadID = veh.route[veh.route.length - 1];
-            
-            // Check if approaching turning zone
-            const turningZoneStart = this.roadLen - 50; // 50m before end
-            
-            if (veh.u > turningZoneStart) {
-                // Find required lane for this turn
-                for (let trajAlt of this.trajAlt) {
-                    if (trajAlt.roadID === targetRoadID) {
-                        if (trajAlt.laneMin === 0 && veh.lane !== 0) {
-                            veh.mandatoryLaneChange = true;
-                            return 0; // Need left lane
-                        } else if (trajAlt.laneMax === this.nLanes - 1 && veh.lane !== this.nLanes - 1) {
-                            veh.mandatoryLaneChange = true;
-                            return this.nLanes - 1; // Need right lane
-                        }
-                    }
-                }
-            }
+        // Move aside for an emergency vehicle closing in from behind
+        const yieldLane = this.getYieldLane(veh);
+        veh.yieldingToEmergency = yieldLane !== null;
+        if (yieldLane !== null) return yieldLane;
+        
+        // Mandatory lane changes toward a lane serving the vehicle's movement (lane use)
+        const laneChange = this.getRequiredLaneChange(veh);
+        if (laneChange) {
+            veh.mandatoryLaneChange = true;
+            return laneChange.lane;
         }
         
         // Stay in current lane if no specific need
         return veh.lane;
     }
 
+    /**
+     * Lane to clear into when an emergency vehicle is close behind in the same lane
+     * Vehicles past the stop line keep their lane and finish their movement
+     * @returns {number|null} target lane, or null when there is nothing to yield to
+     */
+    getYieldLane(veh) {
+        if (veh.type === 'emergency' || this.nLanes < 2) return null;
+        if (this.stopLineU !== null && veh.u > this.stopLineU) return null;
+        
+        const emergencyBehind = this.veh.some(other =>
+            other.type === 'emergency' &&
+            other.lane === veh.lane &&
+            other.u < veh.u &&
+            veh.u - other.u <= CONFIG.PREEMPTION.YIELD_DISTANCE
+        );
+        if (!emergencyBehind) return null;
+        
+        // Pull over to the right where possible, otherwise to the left
+        const right = veh.lane + 1;
+        if (right < this.nLanes && this.isLaneOpen(right, veh.u)) return right;
+        const left = veh.lane - 1;
+        return left >= 0 && this.isLaneOpen(left, veh.u) ? left : null;
+    }
+
     /**
      * Execute lane change
      */
@@ -318,9 +811,21 @@ export class Road {
                 this.update_v_dvdt_optical(veh);
             }
         }
-        
-        // Remove vehicles that have exited the road
-        this.veh = this.veh.filter(veh => veh.u <= this.roadLen + 10);
+    }
+
+    /**
+     * Remove vehicles that drove past the end of the road without a connection
+     * @returns {Array} the removed vehicles, flagged as exited
+     */
+    removeExitedVehicles() {
+        const exited = this.veh.filter(veh => veh.u > this.getExitU(veh));
+        if (exited.length === 0) return exited;
+
+        this.veh = this.veh.filter(veh => veh.u <= this.getExitU(veh));
+        for (let veh of exited) {
+            veh.exited = true;
+        }
+        return exited;
     }
 
     /**
@@ -337,66 +842,6 @@ export class Road {
         });
     }
 
-    /**
-     * Handle vehicle inflow with route assignment
-     */
-    updateBCup(flow, dt, possibleRoutes) {
-        this.inVehBuffer += flow * dt / 3600; // Convert from veh/h to veh/s
-        
-        if (this.inVehBuffer >= 1.0) {
-            // Select random route
-            const selectedRoute = possibleRoutes[Math.floor(Math.random() * possibleRoutes.length)];
-            
-            // Create new vehicle
-            const newVeh = this.createVehicle(selectedRoute);
-            
-            if (newVeh && this.canSpawnVehicle(newVeh)) {
-                this.veh.push(newVeh);
-                this.inVehBuffer -= 1.0;
-            }
-        }
-    }
-
-    /**
-     * Create new vehicle with physics
-     */
-    createVehicle(route, vehType = 'car') {
-        const vehParams = {
-            id: Math.floor(Math.random() * 1000000),
-            route: route,
-            u: 5.0, // Start 5m from beginning
-            lane: Math.floor(Math.random() * this.nLanes), // Random initial lane
-            v: 0, // Will be set to lane value
-            speed: Math.max(0, this.speedInit + (Math.random() - 0.5) * 5),
-            acc: 0,
-            len: vehType === 'truck' ? 10 : 5,
-            width: vehType === 'truck' ? 3 : 2.5,
-            type: vehType,
-            
-            // Lane change parameters
-            dt_LC: 4.0,
-            dt_afterLC: 10.0,
-            fracLaneOptical: 1.0,
-            laneOld: 0,
-            dvdt: 0,
-            
-            // Physics model
-            idmModel: new IDMModel(),
-            
-            // Flags
-            mandatoryLaneChange: false,
-            tacticalLaneChange: false,
-            
-            // Helper methods
-            isRegularVeh: function() { return this.type === 'car' || this.type === 'truck'; }
-        };
-        
-        vehParams.v = vehParams.lane;
-        vehParams.laneOld = vehParams.lane;
-        
-        return vehParams;
-    }
-
     /**
      * Check if vehicle can be spawned without collision
      */
@@ -454,6 +899,14 @@ export class Road {
         // Add to target road
         veh.u = connection.uTarget;
         veh.roadID = connection.targetRoad.roadID;
+
+        // Lane-to-lane mapping of the connection
+        const lane = Math.max(0, Math.min(connection.targetRoad.nLanes - 1, veh.lane + connection.offsetLane));
+        if (lane !== veh.lane) {
+            veh.lane = lane;
+            veh.laneOld = lane;
+            veh.v = lane;
+        }
         
         // Update route (remove completed segment)
         if (veh.route && veh.route.length > 1) {
@@ -502,7 +955,5 @@ export class Road {
      */
     reset() {
         this.veh = [];
-        this.inVehBuffer = 0;
-        this.nVehBuffer = 0;
     }
 }
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Roundabout junctions as road network files (see roadNetworkFile.js)
+// The four legs meet a closed ring road circulating counterclockwise. Each leg has an approach
+// road ending at a yield line, where vehicles wait for a gap in circulating traffic, and an exit
+// road on the other side of its splitter island. Every movement drives approach → ring → exit:
+// right turns leave at the next leg, through traffic at the second and left turns at the third.
+// On a two-lane roundabout the left approach lane feeds the inner ring lane (left and through)
+// and the right one the outer lane (through and right); vehicles keep their ring lane to the exit.
+
+import { CONFIG } from './config.js';
+import { parseRoadNetwork } from './roadNetworkFile.js';
+
+// Approaches in road ID order, as in the built-in network, and the leg each comes in on
+// (degrees counterclockwise from east: eastbound traffic arrives on the west leg)
+const APPROACH_LEGS = { east: 180, west: 0, north: 270, south: 90 };
+const LEG_NAMES = { 0: 'east', 90: 'north', 180: 'west', 270: 'south' };
+
+// Legs counterclockwise from the approach leg at which each movement leaves the ring
+const EXIT_QUARTERS = { right: 1, straight: 2, left: 3 };
+
+const DEG = Math.PI / 180;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build a roundabout road network
+ * @param {string} layout - key of CONFIG.ROUNDABOUT.LAYOUTS
+ * @returns {Object} the network definition Intersection is built from (from parseRoadNetwork())
+ */
+export function createRoundabout(layout) {
+    const definition = CONFIG.ROUNDABOUT.LAYOUTS[layout];
+    if (!definition) {
+        throw new Error(`Unknown roundabout layout: ${layout}`);
+    }
+    return parseRoadNetwork(buildRoundaboutFile(definition));
+}
+
+function buildRoundaboutFile({ label, lanes, radius, laneWidth }) {
+    const legLength = CONFIG.ROUNDABOUT.LEG_LENGTH;
+    const outerRadius = radius + lanes * laneWidth / 2;
+
+    // Entry and exit roads run this far to either side of the leg's axis
+    const legOffset = lanes * CONFIG.LANE_WIDTH / 2 + CONFIG.ROUNDABOUT.SPLITTER_WIDTH / 2;
+    const edgeDistance = Math.sqrt(outerRadius * outerRadius - legOffset * legOffset);
+    const mergeAngle = Math.asin(legOffset / radius);
+
+    // Ring positions: the ring starts at its southernmost point, heading east
+    const circumference = 2 * Math.PI * radius;
+    const ringU = (angle) => round((((angle + Math.PI / 2) * radius) % circumference + circumference) % circumference);
+
+    const point = (angle, along, across) => [
+        round(Math.cos(angle) * along - Math.sin(angle) * across),
+        round(Math.sin(angle) * along + Math.cos(angle) * across)
+    ];
+
+    const directions = Object.keys(APPROACH_LEGS);
+    const ringID = 2 * directions.length;
+    const exitIDs = {};
+    const roads = [];
+    const connections = [];
+    const approaches = {};
+    const movements = [];
+    const laneMapping = [...Array(lanes).keys()].map(lane => [lane, lane]);
+
+    // Approach roads end at the ring's outer edge, to the right of their leg's axis
+    directions.forEach((direction, index) => {
+        const leg = APPROACH_LEGS[direction] * DEG;
+        roads.push({
+            id: index,
+            name: `${direction}-bound`,
+            lanes,
+            laneWidth: CONFIG.LANE_WIDTH,
+            speedLimit: null,
+            geometry: [{ type: 'polyline', points: [point(leg, edgeDistance + legLength, legOffset), point(leg, edgeDistance, legOffset)] }]
+        });
+    });
+
+    // Exit roads leave the ring's outer edge on the other side of the splitter island
+    directions.forEach((direction, index) => {
+        const legDegrees = APPROACH_LEGS[direction];
+        const leg = legDegrees * DEG;
+        exitIDs[legDegrees] = directions.length + index;
+        roads.push({
+            id: directions.length + index,
+            name: `${LEG_NAMES[legDegrees]}-exit`,
+            lanes,
+            laneWidth: CONFIG.LANE_WIDTH,
+            speedLimit: null,
+            geometry: [{ type: 'polyline', points: [point(leg, edgeDistance, -legOffset), point(leg, edgeDistance + legLength, -legOffset)] }]
+        });
+        connections.push({ from: ringID, to: exitIDs[legDegrees], uSource: ringU(leg - mergeAngle), uTarget: 0, lanes: laneMapping });
+    });
+
+    roads.push({
+        id: ringID,
+        name: 'ring',
+        lanes,
+        laneWidth,
+        speedLimit: CONFIG.ROUNDABOUT.CIRCULATING_SPEED,
+        closed: true,
+        geometry: [{ type: 'arc', radius, angle: 360, start: [0, -radius], heading: 0 }]
+    });
+
+    directions.forEach((direction, index) => {
+        const legDegrees = APPROACH_LEGS[direction];
+        const mergeU = ringU(legDegrees * DEG + mergeAngle);
+        connections.push({ from: index, to: ringID, uSource: legLength, uTarget: mergeU, lanes: laneMapping });
+
+        const stopLine = legLength - CONFIG.ROUNDABOUT.YIELD_SETBACK;
+        approaches[direction] = {
+            road: index,
+            stopLine,
+            center: stopLine,
+            laneUse: lanes === 1 ? ['LTR'] : ['LT', ...Array(lanes - 2).fill('T'), 'TR'],
+            yieldTo: { road: ringID, u: mergeU }
+        };
+
+        Object.entries(EXIT_QUARTERS).forEach(([turn, quarters]) => {
+            const exitLeg = (legDegrees + quarters * 90) % 360;
+            movements.push({ approach: direction, turn, route: [index, ringID, exitIDs[exitLeg]] });
+        });
+    });
+
+    return { name: label, roads, connections, approaches, movements };
+}
@@ -1,46 +1,51 @@
 import { CONFIG } from "./config.js";
+import { LoopDetectorSystem } from "./loopDetectors.js";
 
 export class SensorSystem {
-    constructor(intersection) {
+    constructor(intersection, clock) {
         this.intersection = intersection;
+        this.clock = clock;
         this.detectorDistance = CONFIG.DEFAULT_SETTINGS.DETECTOR_DISTANCE;
+        this.loopDetectors = new LoopDetectorSystem(intersection, clock);
         this.sensorData = {};
         this.carCounts = {};
-        this.waitingCars = {};
         this.totalCarsDetected = {};
         
         this.initializeSensors();
     }
 
     initializeSensors() {
+        // Stop-bar and advance loops on every approach lane
+        this.loopDetectors.createDefaultLayout(this.detectorDistance);
+
         // Initialize sensor data for each direction
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.sensorData[direction] = {
                 carsWaiting: 0,
                 waitTime: 0,
-                detectedCars: [],
                 firstCarWaitStart: null,
                 totalCarsDetected: 0
             };
             this.carCounts[direction] = 0;
-            this.waitingCars[direction] = null;
             this.totalCarsDetected[direction] = 0;
         });
     }
 
-    initialize(detectorDistance) {
+    initialize(detectorDistance, aggregationInterval = CONFIG.DETECTORS.AGGREGATION_INTERVAL) {
         this.detectorDistance = detectorDistance;
+        this.loopDetectors.setAggregationInterval(aggregationInterval);
         this.initializeSensors();
     }
 
-    update(cars, lightStates, prevLightStates) {
+    update(deltaTime, lightStates, prevLightStates) {
+        // Sample every loop for this step
+        this.loopDetectors.update(deltaTime);
+
         // Reset detection data but keep total counts
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.sensorData[direction].carsWaiting = 0;
             this.sensorData[direction].waitTime = 0;
-            this.sensorData[direction].detectedCars = [];
             this.sensorData[direction].firstCarWaitStart = null;
-            this.waitingCars[direction] = null;
         });
 
         // Adaptive mode: reset car counts and wait times on light cycle change
@@ -48,8 +53,6 @@ export class SensorSystem {
             Object.values(CONFIG.DIRECTIONS).forEach(direction => {
                 if (lightStates[direction] !== prevLightStates[direction]) {
                     this.resetCarCount(direction);
-                    this.sensorData[direction].waitTime = 0;
-                    this.sensorData[direction].carsWaiting = 0;
                 }
             });
         }
@@ -60,138 +63,59 @@ export class SensorSystem {
             this.shouldResetCounts = false;
         }
 
-        // Process each car
-        cars.forEach(car => {
-            const direction = car.getDirection();
-            const detectionZone = this.getDetectionZone(direction);
+        const now = this.clock.now();
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const advanceLoops = this.loopDetectors.getDetectors({ direction, type: 'advance' });
+            const stopBarLoops = this.loopDetectors.getDetectors({ direction, type: 'stopbar' });
+
+            // Vehicles stored between the advance loops and the stop bar (input-output count)
+            const arrived = advanceLoops.reduce((sum, loop) => sum + loop.totalCount, 0);
+            const departed = stopBarLoops.reduce((sum, loop) => sum + loop.totalCount, 0);
+            this.carCounts[direction] = Math.max(arrived - departed, 0);
 
             // Only count cars if light is red in adaptive mode
             if (lightStates && lightStates[direction] === CONFIG.LIGHT_STATES.RED) {
-                const inZone = this.isCarInDetectionZone(car, detectionZone);
-                if (!car._countedInDetector && inZone) {
-                    car._countedInDetector = true;
-                    this.totalCarsDetected[direction]++;
-                    this.sensorData[direction].totalCarsDetected = this.totalCarsDetected[direction];
-                }
-                if (!inZone && car._countedInDetector) {
-                    car._countedInDetector = false;
+                this.totalCarsDetected[direction] += advanceLoops.reduce((sum, loop) => sum + loop.stepCount, 0);
+                this.sensorData[direction].totalCarsDetected = this.totalCarsDetected[direction];
+                this.sensorData[direction].carsWaiting = this.carCounts[direction];
+
+                // The head of the queue has been sitting on the stop bar this long
+                const waitTime = Math.max(...stopBarLoops.map(loop => loop.getOccupiedDuration(now)), 0);
+                if (waitTime > 0) {
+                    this.sensorData[direction].waitTime = waitTime;
+                    this.sensorData[direction].firstCarWaitStart = now - waitTime;
                 }
-                if (inZone) {
-                    this.sensorData[direction].detectedCars.push(car);
-                }
-                if (car.isWaiting() && inZone) {
-                    this.sensorData[direction].carsWaiting++;
-                    if (!this.waitingCars[direction] || this.isCarCloserToStopLine(car, this.waitingCars[direction], direction)) {
-                        this.waitingCars[direction] = car;
-                    }
-                    if (!this.sensorData[direction].firstCarWaitStart) {
-                        this.sensorData[direction].firstCarWaitStart = Date.now() - car.getWaitTime();
-                    }
-                }
-            }
-        });
-
-        // Calculate wait times for first waiting car in each direction
-        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
-            if (this.waitingCars[direction]) {
-                this.sensorData[direction].waitTime = this.waitingCars[direction].getWaitTime();
             }
         });
 
         return this.sensorData;
     }
 
-    isCarCloserToStopLine(car1, car2, direction) {
-        const stopLine = this.intersection.getStopLinePosition(direction);
-        
-        switch (direction) {
-            case CONFIG.DIRECTIONS.NORTH:
-                return Math.abs(car1.y - stopLine.y1) < Math.abs(car2.y - stopLine.y1);
-            case CONFIG.DIRECTIONS.EAST:
-                return Math.abs(car1.x - stopLine.x1) < Math.abs(car2.x - stopLine.x1);
-            case CONFIG.DIRECTIONS.SOUTH:
-                return Math.abs(car1.y - stopLine.y1) < Math.abs(car2.y - stopLine.y1);
-            case CONFIG.DIRECTIONS.WEST:
-                return Math.abs(car1.x - stopLine.x1) < Math.abs(car2.x - stopLine.x1);
-            default:
-                return false;
-        }
-    }
-
-    getDetectionZone(direction) {
-        const stopLine = this.intersection.getStopLinePosition(direction);
-        const roadWidth = CONFIG.ROAD_WIDTH;
-        
-        switch (direction) {
-            case CONFIG.DIRECTIONS.NORTH:
-                return {
-                    x1: this.intersection.centerX - roadWidth / 2,
-                    y1: stopLine.y1 - this.detectorDistance,
-                    x2: this.intersection.centerX + roadWidth / 2,
-                    y2: stopLine.y1
-                };
-            case CONFIG.DIRECTIONS.EAST:
-                return {
-                    x1: stopLine.x1,
-                    y1: this.intersection.centerY - roadWidth / 2,
-                    x2: stopLine.x1 + this.detectorDistance,
-                    y2: this.intersection.centerY + roadWidth / 2
-                };
-            case CONFIG.DIRECTIONS.SOUTH:
-                return {
-                    x1: this.intersection.centerX - roadWidth / 2,
-                    y1: stopLine.y1,
-                    x2: this.intersection.centerX + roadWidth / 2,
-                    y2: stopLine.y1 + this.detectorDistance
-                };
-            case CONFIG.DIRECTIONS.WEST:
-                return {
-                    x1: stopLine.x1 - this.detectorDistance,
-                    y1: this.intersection.centerY - roadWidth / 2,
-                    x2: stopLine.x1,
-                    y2: this.intersection.centerY + roadWidth / 2
-                };
-            default:
-                return { x1: 0, y1: 0, x2: 0, y2: 0 };
-        }
-    }
-
-    isCarInDetectionZone(car, zone) {
-        return (
-            car.x >= zone.x1 &&
-            car.x <= zone.x2 &&
-            car.y >= zone.y1 &&
-            car.y <= zone.y2
-        );
+    getApproachPosition(direction) {
+        // Pixel position of the approach's advance loops, for labels
+        const roadID = this.intersection.approachRoads[direction];
+        const loop = this.loopDetectors.getDetectors({ direction, type: 'advance' })[0];
+        if (!loop) return null;
+        return this.intersection.getVehiclePosition(roadID, loop.u, 0);
     }
 
     render(ctx) {
         // Only render in adaptive mode
         if (!this.shouldRenderSensors()) return;
 
-        // Render detection zones with translucent overlay
-        ctx.strokeStyle = 'rgba(255, 165, 0, 0.8)';
-        ctx.fillStyle = 'rgba(255, 165, 0, 0.1)';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
+        // Render loop detectors; occupied loops are highlighted
+        this.loopDetectors.render(ctx);
 
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
-            const zone = this.getDetectionZone(direction);
-            
-            // Fill detection zone
-            ctx.fillRect(zone.x1, zone.y1, zone.x2 - zone.x1, zone.y2 - zone.y1);
-            
-            // Stroke detection zone border
-            ctx.strokeRect(zone.x1, zone.y1, zone.x2 - zone.x1, zone.y2 - zone.y1);
+            const position = this.getApproachPosition(direction);
+            if (!position) return;
             
             // Show total cars detected (white box)
-            this.renderCarCount(ctx, direction, zone);
+            this.renderCarCount(ctx, direction, position);
             
             // Show wait time for first waiting car (red box)
-            this.renderWaitTime(ctx, direction, zone);
+            this.renderWaitTime(ctx, direction, position);
         });
-        
-        ctx.setLineDash([]);
     }
 
     shouldRenderSensors() {
@@ -200,7 +124,7 @@ export class SensorSystem {
         return true; // For now, always render when called
     }
 
-    renderCarCount(ctx, direction, zone) {
+    renderCarCount(ctx, direction, position) {
         const count = this.totalCarsDetected[direction] || 0;
         
         ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
@@ -209,26 +133,8 @@ export class SensorSystem {
         ctx.font = 'bold 14px Arial';
         ctx.textAlign = 'center';
         
-        let textX, textY;
-        
-        switch (direction) {
-            case CONFIG.DIRECTIONS.NORTH:
-                textX = zone.x1 - 40;
-                textY = (zone.y1 + zone.y2) / 2;
-                break;
-            case CONFIG.DIRECTIONS.SOUTH:
-                textX = zone.x2 + 40;
-                textY = (zone.y1 + zone.y2) / 2;
-                break;
-            case CONFIG.DIRECTIONS.EAST:
-                textX = (zone.x1 + zone.x2) / 2;
-                textY = zone.y1 - 20;
-                break;
-            case CONFIG.DIRECTIONS.WEST:
-                textX = (zone.x1 + zone.x2) / 2;
-                textY = zone.y2 + 30;
-                break;
-        }
+        const textX = position.x;
+        const textY = position.y - 30;
         
         // Draw background box
         const text = count.toString();
@@ -248,11 +154,11 @@ export class SensorSystem {
         ctx.fillText(direction.charAt(0).toUpperCase(), textX, textY - 15);
     }
 
-    renderWaitTime(ctx, direction, zone) {
-        const waitingCar = this.waitingCars[direction];
-        if (!waitingCar) return;
+    renderWaitTime(ctx, direction, position) {
+        const waitTimeMs = this.sensorData[direction].waitTime;
+        if (!waitTimeMs) return;
         
-        const waitTime = (waitingCar.getWaitTime() / 1000).toFixed(1);
+        const waitTime = (waitTimeMs / 1000).toFixed(1);
         
         ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
         ctx.strokeStyle = '#ff4444';
@@ -260,26 +166,8 @@ export class SensorSystem {
         ctx.font = 'bold 12px Arial';
         ctx.textAlign = 'center';
         
-        let textX, textY;
-        
-        switch (direction) {
-            case CONFIG.DIRECTIONS.NORTH:
-                textX = zone.x2 + 50;
-                textY = (zone.y1 + zone.y2) / 2;
-                break;
-            case CONFIG.DIRECTIONS.SOUTH:
-                textX = zone.x1 - 50;
-                textY = (zone.y1 + zone.y2) / 2;
-                break;
-            case CONFIG.DIRECTIONS.EAST:
-                textX = (zone.x1 + zone.x2) / 2;
-                textY = zone.y2 + 50;
-                break;
-            case CONFIG.DIRECTIONS.WEST:
-                textX = (zone.x1 + zone.x2) / 2;
-                textY = zone.y1 - 40;
-                break;
-        }
+        const textX = position.x;
+        const textY = position.y + 30;
         
         // Draw background box
         const text = `${waitTime}s`;
@@ -296,7 +184,13 @@ export class SensorSystem {
     }
 
     updateDetectorDistance(distance) {
+        // Moving the advance loops restarts their counts
         this.detectorDistance = distance;
+        this.loopDetectors.createDefaultLayout(distance);
+    }
+
+    updateAggregationInterval(interval) {
+        this.loopDetectors.setAggregationInterval(interval);
     }
 
     getSensorData() {
@@ -311,6 +205,14 @@ export class SensorSystem {
         return { ...this.totalCarsDetected };
     }
 
+    getLoopDetectors() {
+        return this.loopDetectors;
+    }
+
+    getDetectorReport() {
+        return this.loopDetectors.getReport();
+    }
+
     resetCarCount(direction) {
         this.totalCarsDetected[direction] = 0;
     }
@@ -327,6 +229,27 @@ export class SensorSystem {
     }
 
     reset() {
+        this.loopDetectors.reset();
         this.initializeSensors();
     }
+
+    getSnapshot() {
+        return {
+            detectorDistance: this.detectorDistance,
+            sensorData: this.sensorData,
+            carCounts: this.carCounts,
+            totalCarsDetected: this.totalCarsDetected,
+            shouldResetCounts: this.shouldResetCounts || false,
+            loopDetectors: this.loopDetectors.getSnapshot()
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.detectorDistance = snapshot.detectorDistance;
+        this.sensorData = snapshot.sensorData;
+        this.carCounts = snapshot.carCounts;
+        this.totalCarsDetected = snapshot.totalCarsDetected;
+        this.shouldResetCounts = snapshot.shouldResetCounts;
+        this.loopDetectors.restoreSnapshot(snapshot.loopDetectors);
+    }
 }
\ No newline at end of file
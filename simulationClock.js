@@ -0,0 +1,50 @@
+// Simulation clock shared by every component of a GameEngine
+// Advances by the fixed physics timestep, never by wall-clock time, so waits,
+// phase timers and statistics are independent of frame rate, pausing and throttling
+
+import { CONFIG } from './config.js';
+
+export class SimulationClock {
+    constructor(stepMs = CONFIG.PHYSICS.DT * 1000) {
+        this.stepMs = stepMs;   // Simulated milliseconds per step
+        this.time = 0;          // Simulated milliseconds since start
+        this.steps = 0;
+    }
+
+    /**
+     * Advance the clock by one simulation step
+     * @returns {number} the step size in simulated milliseconds
+     */
+    tick() {
+        this.time += this.stepMs;
+        this.steps++;
+        return this.stepMs;
+    }
+
+    /**
+     * Current simulation time
+     * @returns {number} simulated milliseconds since start
+     */
+    now() {
+        return this.time;
+    }
+
+    getSeconds() {
+        return this.time / 1000;
+    }
+
+    reset() {
+        this.time = 0;
+        this.steps = 0;
+    }
+
+    getSnapshot() {
+        return { stepMs: this.stepMs, time: this.time, steps: this.steps };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.stepMs = snapshot.stepMs;
+        this.time = snapshot.time;
+        this.steps = snapshot.steps;
+    }
+}
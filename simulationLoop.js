@@ -1,18 +1,23 @@
 // Main simulation loop for 4-lanes-per-direction traffic intersection
-// Integrates IDM physics, MOBIL lane changing, and realistic vehicle movements
+// Drives GameEngine.update() - the single simulation step - at a fixed timestep
+// from requestAnimationFrame, and renders once per frame
 
 import { CONFIG } from './config.js';
+import { OriginDestinationDemand } from './odDemand.js';
 
 export class SimulationLoop {
-    constructor(intersection) {
-        this.intersection = intersection;
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.intersection = gameEngine.intersection;
         this.isRunning = false;
+        this.isPaused = false;
         this.animationFrameId = null;
         this.lastTimestamp = 0;
-        this.totalSimulationTime = 0;
+        this.beforeStep = null; // Optional hook run before each simulation step
         
         // Physics timing
         this.physicsDt = CONFIG.PHYSICS.DT; // 0.117 seconds (3.5/30)
+        this.timewarp = CONFIG.PHYSICS.TIMEWARP; // Simulated seconds per real second
         this.accumulator = 0;
         this.maxFrameTime = 50; // Max 50ms per frame to prevent spiral of death
         
@@ -49,6 +54,14 @@ export class SimulationLoop {
         console.log("Simulation stopped");
     }
 
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
     gameLoop(currentTimestamp) {
         if (!this.isRunning) return;
 
@@ -56,8 +69,10 @@ export class SimulationLoop {
         const frameTime = Math.min((currentTimestamp - this.lastTimestamp) / 1000, this.maxFrameTime / 1000);
         this.lastTimestamp = currentTimestamp;
 
-        // Accumulate time for fixed timestep physics
-        this.accumulator += frameTime;
+        // Accumulate simulated time for fixed timestep physics
+        if (!this.isPaused) {
+            this.accumulator += frameTime * this.timewarp;
+        }
 
         // Performance monitoring
         const physicsStart = performance.now();
@@ -65,17 +80,19 @@ export class SimulationLoop {
         // Update physics with fixed timestep for stability
         let physicsIterations = 0;
         while (this.accumulator >= this.physicsDt && physicsIterations < 5) { // Max 5 iterations per frame
-            this.updatePhysics(this.physicsDt);
+            this.updatePhysics();
             this.accumulator -= this.physicsDt;
-            this.totalSimulationTime += this.physicsDt;
             physicsIterations++;
         }
 
+        // Drop time we could not catch up on instead of carrying it forever
+        if (physicsIterations === 5) {
+            this.accumulator = 0;
+        }
+
         const physicsTime = performance.now() - physicsStart;
 
-        // Render with interpolation for smooth visuals
-        const alpha = this.accumulator / this.physicsDt;
-        this.render(alpha);
+        this.render();
 
         // Update performance stats
         this.updatePerformanceStats(frameTime * 1000, physicsTime);
@@ -84,122 +101,17 @@ export class SimulationLoop {
         this.animationFrameId = requestAnimationFrame(this.gameLoop.bind(this));
     }
 
-    updatePhysics(dt) {
-        // 1. Calculate accelerations using IDM model for all roads
-        for (let ir = 0; ir < this.intersection.network.length; ir++) {
-            this.intersection.network[ir].calcAccelerations();
+    updatePhysics() {
+        if (this.beforeStep) {
+            this.beforeStep();
         }
-        
-        // 2. Handle vehicle inflow with probabilistic route assignment
-        this.updateVehicleInflow(dt);
-        
-        // 3. Handle intersection connections (vehicle transfers between roads)
-        for (let ir = 0; ir < this.intersection.network.length; ir++) {
-            this.intersection.network[ir].processConnections();
-        }
-        
-        // 4. Enforce mandatory lane assignments for turns
-        this.enforceLaneAssignments();
-        
-        // 5. Execute lane changes using MOBIL model
-        for (let ir = 0; ir < this.intersection.network.length; ir++) {
-            this.intersection.network[ir].changeLanes();
-        }
-        
-        // 6. Update vehicle speeds and positions
-        for (let ir = 0; ir < this.intersection.network.length; ir++) {
-            this.intersection.network[ir].updateSpeedPositions();
-        }
-        
-        // 7. Clean up completed vehicles
-        this.cleanupVehicles();
-    }
 
-    updateVehicleInflow(dt) {
-        // Define all 12 possible routes through intersection
-        const routes = {
-            east: [CONFIG.ROUTES.ROUTE_00, CONFIG.ROUTES.ROUTE_05, CONFIG.ROUTES.ROUTE_03],  // Straight, Right, Left
-            west: [CONFIG.ROUTES.ROUTE_11, CONFIG.ROUTES.ROUTE_13, CONFIG.ROUTES.ROUTE_15],  
-            north: [CONFIG.ROUTES.ROUTE_23, CONFIG.ROUTES.ROUTE_20, CONFIG.ROUTES.ROUTE_21], 
-            south: [CONFIG.ROUTES.ROUTE_45, CONFIG.ROUTES.ROUTE_41, CONFIG.ROUTES.ROUTE_40]  
-        };
-        
-        // Traffic flows (vehicles per hour) - realistic values
-        const flows = {
-            qEastbound: 1200,   // Peak hour eastbound flow
-            qWestbound: 1000,   // Counter-peak westbound flow  
-            qNorthbound: 800,   // Moderate north-south flows
-            qSouthbound: 800
-        };
-        
-        // Probabilistic route selection
-        const selectRoute = (routeOptions) => {
-            const r = Math.random();
-            if (r < CONFIG.TURN_PROBABILITIES.STRAIGHT) {
-                return routeOptions[0]; // Straight through
-            } else if (r < CONFIG.TURN_PROBABILITIES.STRAIGHT + CONFIG.TURN_PROBABILITIES.RIGHT) {
-                return routeOptions[1]; // Right turn
-            } else {
-                return routeOptions[2]; // Left turn
-            }
-        };
-        
-        // Update inflow for each entrance road
-        this.intersection.network[0].updateBCup(flows.qEastbound, dt, [selectRoute(routes.east)]);
-        this.intersection.network[1].updateBCup(flows.qWestbound, dt, [selectRoute(routes.west)]);
-        this.intersection.network[2].updateBCup(flows.qNorthbound, dt, [selectRoute(routes.north)]);
-        this.intersection.network[4].updateBCup(flows.qSouthbound, dt, [selectRoute(routes.south)]);
-    }
-
-    enforceLaneAssignments() {
-        for (let ir = 0; ir < this.intersection.network.length; ir++) {
-            const road = this.intersection.network[ir];
-            
-            for (let i = 0; i < road.veh.length; i++) {
-                const veh = road.veh[i];
-                
-                // Check if vehicle needs specific lane for upcoming turn
-                if (veh.route && veh.route.length > 1) {
-                    const targetRoadID = veh.route[1];
-                    
-                    // Find matching alternative trajectory
-                    for (let trajAlt of road.trajAlt) {
-                        if (trajAlt.roadID === targetRoadID) {
-                            // Check if vehicle is approaching turning zone
-                            const distanceToTurn = trajAlt.umin - veh.u;
-                            
-                            if (distanceToTurn < CONFIG.GEOMETRIC.LANE_CHANGE_DISTANCE && distanceToTurn > 0) {
-                                // Assign appropriate mandatory lane change
-                                if (trajAlt.turnType === 'left' && veh.lane !== 0) {
-                                    veh.mandatoryLaneChange = true;
-                                } else if (trajAlt.turnType === 'right' && veh.lane !== road.nLanes - 1) {
-                                    veh.mandatoryLaneChange = true;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    cleanupVehicles() {
-        for (let ir = 0; ir < this.intersection.network.length; ir++) {
-            const road = this.intersection.network[ir];
-            
-            // Remove vehicles that have exited the road
-            road.veh = road.veh.filter(veh => veh.u <= road.roadLen + 10);
-        }
+        // The whole step pipeline (demand, signals, sensors, physics, cleanup) lives in GameEngine
+        this.gameEngine.update();
     }
 
-    render(alpha) {
-        // This will be called by the main rendering system
-        // Alpha parameter can be used for interpolation between physics steps
-        
-        // For now, just trigger intersection rendering
-        if (this.intersection && this.intersection.render) {
-            // The intersection.render() method will handle all road and vehicle rendering
-        }
+    render() {
+        this.gameEngine.render();
     }
 
     updatePerformanceStats(frameTime, physicsTime) {
@@ -271,17 +183,14 @@ export class SimulationLoop {
     }
 
     getCurrentSimulationTime() {
-        return this.totalSimulationTime;
+        return this.gameEngine.clock.getSeconds();
     }
 
     reset() {
-        // Reset all roads and vehicles
-        for (let road of this.intersection.network) {
-            road.reset();
-        }
+        // Reset all roads, vehicles and the simulation clock
+        this.gameEngine.reset();
         
         // Reset timing
-        this.totalSimulationTime = 0;
         this.accumulator = 0;
         this.frameCount = 0;
         
@@ -299,7 +208,7 @@ export class SimulationLoop {
     // Advanced features
 
     setTrafficDemand(eastbound, westbound, northbound, southbound) {
-        // Allow dynamic adjustment of traffic demands
+        // Allow dynamic adjustment of traffic demands: approach volumes split by the turn probabilities
         this.trafficDemand = {
             eastbound: eastbound,
             westbound: westbound, 
@@ -307,9 +216,21 @@ export class SimulationLoop {
             southbound: southbound
         };
         
+        this.loadDemand(OriginDestinationDemand.fromApproachVolumes({
+            east: eastbound,
+            west: westbound,
+            north: northbound,
+            south: southbound
+        }));
+        
         console.log(`Traffic demand updated: E:${eastbound}, W:${westbound}, N:${northbound}, S:${southbound} veh/h`);
     }
 
+    loadDemand(definition) {
+        // OD matrix with optional time profile, e.g. CONFIG.DEMAND_PROFILES.AM_PEAK; null = uniform spawning
+        this.gameEngine.updateSetting('DEMAND', definition);
+    }
+
     setTurnProbabilities(straight, right, left) {
         // Allow dynamic adjustment of turn probabilities
         if (Math.abs(straight + right + left - 1.0) < 0.01) {
@@ -327,7 +248,7 @@ export class SimulationLoop {
 
     analyzeTrafficFlow() {
         const analysis = {
-            timestamp: this.totalSimulationTime,
+            timestamp: this.getCurrentSimulationTime(),
             vehicleDistribution: {},
             speedDistribution: {},
             laneChangeActivity: {},
@@ -395,10 +316,13 @@ export class SimulationLoop {
     exportTrafficData() {
         // Export current traffic state for analysis
         const data = {
-            timestamp: this.totalSimulationTime,
+            timestamp: this.getCurrentSimulationTime(),
             statistics: this.getTrafficStatistics(),
             analysis: this.analyzeTrafficFlow(),
             performance: this.performanceStats,
+            detectors: this.gameEngine.getSensorSystem().getDetectorReport(),
+            movements: this.gameEngine.getMovementReport(),
+            comparison: this.gameEngine.getComparisonReport(),
             config: {
                 physics: CONFIG.PHYSICS,
                 geometric: CONFIG.GEOMETRIC,
@@ -411,10 +335,12 @@ export class SimulationLoop {
 }
 
 // Utility function for creating and managing the main simulation
-export function createSimulation(intersection) {
-    const simulation = new SimulationLoop(intersection);
+export function createSimulation(gameEngine) {
+    const simulation = new SimulationLoop(gameEngine);
     
-    // Add some debugging capabilities
+    // Add some debugging capabilities (browser only)
+    if (typeof window === 'undefined') return simulation;
+
     window.trafficSim = {
         start: () => simulation.start(),
         stop: () => simulation.stop(),
@@ -423,11 +349,15 @@ export function createSimulation(intersection) {
         analyze: () => simulation.analyzeTrafficFlow(),
         export: () => simulation.exportTrafficData(),
         setDemand: (e, w, n, s) => simulation.setTrafficDemand(e, w, n, s),
-        setTurns: (s, r, l) => simulation.setTurnProbabilities(s, r, l)
+        loadDemand: (definition) => simulation.loadDemand(definition),
+        setTurns: (s, r, l) => simulation.setTurnProbabilities(s, r, l),
+        saveSnapshot: () => gameEngine.saveSnapshot(),
+        restoreSnapshot: (json) => gameEngine.restoreSnapshot(json),
+        dispatchEmergency: (direction) => gameEngine.dispatchEmergencyVehicle(direction)
     };
     
     console.log("Traffic simulation created. Use window.trafficSim for debugging.");
-    console.log("Commands: start(), stop(), reset(), stats(), analyze(), export()");
+    console.log("Commands: start(), stop(), reset(), stats(), analyze(), export(), saveSnapshot(), restoreSnapshot(json), dispatchEmergency(direction)");
     
     return simulation;
 }
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Helpers for simulation snapshots
+// Snapshots are plain JSON. JSON has no Infinity, so non-finite numbers (e.g. a loop that
+// was never occupied) are stored as strings and turned back into numbers on restore.
+
+export const SNAPSHOT_VERSION = 1;
+
+export function encodeNumber(value) {
+    return Number.isFinite(value) ? value : String(value);
+}
+
+export function decodeNumber(value) {
+    return typeof value === 'string' ? Number(value) : value;
+}
+
+/**
+ * Independent deep copy through JSON, so a snapshot never shares objects with live state
+ * @param {Object} value - JSON-safe value
+ */
+export function cloneSnapshot(value) {
+    return JSON.parse(JSON.stringify(value));
+}
@@ -1,5 +1,9 @@
+import { MovementStatistics } from './movementStatistics.js';
+
 export class Statistics {
-    constructor() {
+    constructor(clock, intersection) {
+        this.clock = clock; // Simulation clock; throughput is measured in simulated time
+        this.movements = new MovementStatistics(intersection, clock); // Per-movement HCM measures
         this.reset();
     }
 
@@ -9,17 +13,23 @@ export class Statistics {
 
     reset() {
         this.totalCarsPassed = 0;
+        this.totalPcePassed = 0; // Passenger car equivalents
         this.totalWaitTime = 0;
         this.currentCars = 0;
         this.waitTimes = [];
+        this.startTime = this.clock.now();
+        this.movements.reset();
     }
 
-    update(cars, deltaTime) {
+    update(cars, deltaTime, waitingArrivals = null) {
         this.currentCars = cars.length;
+        this.movements.update(cars, deltaTime, waitingArrivals);
     }
 
     recordCarCompletion(car) {
         this.totalCarsPassed++;
+        this.totalPcePassed += car.pce || 1;
+        this.movements.forgetCar(car);
         const waitTime = car.getWaitTime();
         
         if (waitTime > 0) {
@@ -33,10 +43,50 @@ export class Statistics {
             ? this.waitTimes.reduce((sum, time) => sum + time, 0) / this.waitTimes.length 
             : 0;
 
+        const elapsedHours = (this.clock.now() - this.startTime) / 3600000;
+        const { intersection, vehicleClasses } = this.movements.getResults();
+
         return {
             totalCarsPassed: this.totalCarsPassed,
             averageWaitTime: avgWaitTime / 1000, // Convert to seconds
-            currentCars: this.currentCars
+            currentCars: this.currentCars,
+            throughput: elapsedHours > 0 ? this.totalCarsPassed / elapsedHours : 0, // veh/h
+            pceThroughput: elapsedHours > 0 ? this.totalPcePassed / elapsedHours : 0, // pc/h
+            heavyVehicleFactor: intersection.heavyVehicleFactor,
+            simulationTime: this.clock.getSeconds(),
+            controlDelay: intersection.controlDelay, // s/veh
+            levelOfService: intersection.los,
+            busDelay: vehicleClasses.transit.controlDelay,       // s/veh, scheduled buses
+            generalDelay: vehicleClasses.general.controlDelay,   // s/veh, all other vehicles
+            busesServed: vehicleClasses.transit.vehicles,
+            lateBuses: vehicleClasses.transit.late
         };
     }
+
+    // Delay, stops, queues, v/c and LOS per movement, approach and intersection
+    getMovementReport() {
+        return this.movements.getResults();
+    }
+
+    getSnapshot() {
+        return {
+            totalCarsPassed: this.totalCarsPassed,
+            totalPcePassed: this.totalPcePassed,
+            totalWaitTime: this.totalWaitTime,
+            currentCars: this.currentCars,
+            waitTimes: this.waitTimes,
+            startTime: this.startTime,
+            movements: this.movements.getSnapshot()
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.totalCarsPassed = snapshot.totalCarsPassed;
+        this.totalPcePassed = snapshot.totalPcePassed;
+        this.totalWaitTime = snapshot.totalWaitTime;
+        this.currentCars = snapshot.currentCars;
+        this.waitTimes = snapshot.waitTimes;
+        this.startTime = snapshot.startTime;
+        this.movements.restoreSnapshot(snapshot.movements);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,641 @@
+// SUMO scenario import: one signalized junction of a .net.xml network, its tlLogic and the
+// routes/flows of .rou.xml files
+// The junction becomes a road network file (see roadNetworkFile.js) laid out like the built-in
+// one: each approach road runs from its incoming edge straight through the junction onto the
+// outgoing edge opposite, and turns leave it at the stop line along SUMO's internal lanes. The
+// signal program becomes an explicit fixed-time plan (FIXED_PHASES) and the vehicles that pass
+// the junction become an OD demand counted per interval. Arrivals then follow the demand's
+// headway distribution, not SUMO's exact departure times.
+
+import { CONFIG } from './config.js';
+import { parseRoadNetwork, dedupePoints, polylineLength, offsetPolyline } from './roadNetworkFile.js';
+import { parseXml, childrenOf } from './xmlReader.js';
+import { cycleModulo } from './coordination.js';
+
+const SUMO_LANE_WIDTH = 3.2;        // netconvert's default lane width (m)
+const DEFAULT_FLOW_DURATION = 3600; // Flows without an end or a number run this long (s)
+
+// SUMO connection directions -> CONFIG.TURN_TYPES; turnarounds ('t') are not imported
+const TURN_DIRECTIONS = { s: 'straight', l: 'left', L: 'left', r: 'right', R: 'right' };
+
+// SUMO vehicle classes -> CONFIG.VEHICLE_TYPES; any other class drives as a car
+const VEHICLE_CLASSES = {
+    truck: 'truck', trailer: 'truck', delivery: 'truck',
+    bus: 'bus', coach: 'bus',
+    motorcycle: 'motorcycle', moped: 'motorcycle'
+};
+const NON_VEHICLE_CLASSES = ['pedestrian', 'bicycle', 'tram', 'rail_urban', 'rail', 'rail_electric', 'rail_fast', 'ship'];
+
+const SIGNALIZED_JUNCTIONS = ['traffic_light', 'traffic_light_unregulated', 'traffic_light_right_on_red'];
+const APPROACH_ORDER = ['east', 'west', 'north', 'south'];  // Road IDs as in the built-in network
+const OPPOSITE = { east: 'west', west: 'east', north: 'south', south: 'north' };
+
+/**
+ * Import a SUMO junction, its signal program and demand
+ * @param {string} netXml - .net.xml text
+ * @param {string|Array} routeXml - .rou.xml text, or several
+ * @param {Object} options - { junction (id, needed when the net has several signalized junctions),
+ *   programID, intervalMinutes (demand counting interval) }
+ * @returns {Object} { name, roadNetwork (from parseRoadNetwork()), settings: { FIXED_PHASES,
+ *   CYCLE_LENGTH, CYCLE_OFFSET, REFERENCE_PHASE, DEMAND?, VEHICLE_MIX? }, warnings: [...] }
+ */
+export function importSumoScenario(netXml, routeXml = [], options = {}) {
+    const warnings = [];
+    const net = readNetwork(parseXml(netXml));
+    const junction = findJunction(net, options.junction);
+    const layout = buildRoadNetwork(net, junction, warnings);
+    const roadNetwork = parseRoadNetwork(layout.definition);
+
+    const settings = convertSignalProgram(net, junction, layout, options.programID, warnings);
+
+    const routeFiles = (Array.isArray(routeXml) ? routeXml : [routeXml]).filter(Boolean);
+    if (routeFiles.length > 0) {
+        const intervalMinutes = options.intervalMinutes || CONFIG.DEMAND.INTERVAL_MINUTES;
+        const demand = convertDemand(net, layout, routeFiles.map(parseXml), intervalMinutes, warnings);
+        if (demand) {
+            settings.DEMAND = demand.definition;
+            settings.VEHICLE_MIX = demand.vehicleMix;
+        }
+    }
+
+    warnings.forEach(warning => console.log(`SUMO import: ${warning}`));
+    console.log(`SUMO import: junction ${junction.id} with ${roadNetwork.roads.length} roads, ` +
+        `${settings.FIXED_PHASES.length} signal phases${settings.DEMAND ? ` and ${settings.DEMAND.intervals.length} demand intervals` : ''}`);
+    return { name: roadNetwork.name, roadNetwork, settings, warnings };
+}
+
+// NETWORK
+
+function readNetwork(root) {
+    if (root.name !== 'net') throw new Error(`SUMO import: expected a <net> file, found <${root.name}>`);
+
+    const edges = new Map();
+    const lanes = new Map();
+    childrenOf(root, 'edge').forEach(element => {
+        const edgeFunction = element.attributes.function || 'normal';
+        if (edgeFunction !== 'normal' && edgeFunction !== 'internal') return;
+
+        const edge = {
+            id: element.attributes.id,
+            from: element.attributes.from,
+            to: element.attributes.to,
+            internal: edgeFunction === 'internal',
+            lanes: childrenOf(element, 'lane').map(laneElement => ({
+                id: laneElement.attributes.id,
+                index: Number(laneElement.attributes.index),
+                speed: Number(laneElement.attributes.speed),
+                width: laneElement.attributes.width ? Number(laneElement.attributes.width) : SUMO_LANE_WIDTH,
+                shape: parseShape(laneElement.attributes.shape),
+                vehicles: isVehicleLane(laneElement.attributes)
+            })).sort((a, b) => a.index - b.index)
+        };
+        // Lanes cars may use, rightmost first
+        edge.vehicleLanes = edge.lanes.filter(lane => lane.vehicles);
+        edges.set(edge.id, edge);
+        edge.lanes.forEach(lane => lanes.set(lane.id, lane));
+    });
+
+    const junctions = new Map();
+    childrenOf(root, 'junction').forEach(element => {
+        junctions.set(element.attributes.id, {
+            id: element.attributes.id,
+            type: element.attributes.type,
+            x: Number(element.attributes.x),
+            y: Number(element.attributes.y)
+        });
+    });
+
+    const connections = childrenOf(root, 'connection').map(element => ({
+        from: element.attributes.from,
+        to: element.attributes.to,
+        fromLane: Number(element.attributes.fromLane),
+        toLane: Number(element.attributes.toLane),
+        via: element.attributes.via || null,
+        dir: element.attributes.dir,
+        tl: element.attributes.tl || null,
+        linkIndex: element.attributes.linkIndex !== undefined ? Number(element.attributes.linkIndex) : null
+    }));
+
+    const tlLogics = childrenOf(root, 'tlLogic').map(element => ({
+        id: element.attributes.id,
+        type: element.attributes.type || 'static',
+        programID: element.attributes.programID,
+        offset: Number(element.attributes.offset || 0),
+        phases: childrenOf(element, 'phase').map(phase => ({
+            duration: Number(phase.attributes.duration),
+            state: phase.attributes.state
+        }))
+    }));
+
+    return { edges, lanes, junctions, connections, tlLogics };
+}
+
+function parseShape(shape) {
+    if (!shape) return [];
+    return shape.trim().split(/\s+/).map(point => point.split(',').slice(0, 2).map(Number));
+}
+
+function isVehicleLane(attributes) {
+    if (attributes.allow) {
+        return attributes.allow.split(/\s+/).some(vClass => vClass === 'all' || !NON_VEHICLE_CLASSES.includes(vClass));
+    }
+    if (attributes.disallow) {
+        const disallowed = attributes.disallow.split(/\s+/);
+        return !disallowed.includes('all') && !disallowed.includes('passenger');
+    }
+    return true;
+}
+
+function findJunction(net, id) {
+    if (id) {
+        const junction = net.junctions.get(id);
+        if (!junction) throw new Error(`SUMO import: no junction '${id}'`);
+        return junction;
+    }
+
+    const signalized = [...net.junctions.values()].filter(junction => SIGNALIZED_JUNCTIONS.includes(junction.type));
+    if (signalized.length === 0) throw new Error('SUMO import: the network has no signalized junction');
+    if (signalized.length > 1) {
+        throw new Error(`SUMO import: choose one of the signalized junctions ${signalized.map(junction => junction.id).join(', ')}`);
+    }
+    return signalized[0];
+}
+
+// Travel direction (CONFIG.DIRECTIONS) of the last stretch of a lane
+function getTravelDirection(shape) {
+    const [x0, y0] = shape[shape.length - 2];
+    const [x1, y1] = shape[shape.length - 1];
+    const quadrant = Math.round(Math.atan2(y1 - y0, x1 - x0) / (Math.PI / 2));
+    return ['east', 'north', 'west', 'south'][(quadrant + 4) % 4];
+}
+
+/**
+ * Lay the junction out as a road network file
+ * @returns {Object} { definition, approaches: { direction: edge }, roadOfEdge: Map (outgoing edge id -> road id),
+ *   movementOf: Map ('from>to' edge ids -> { direction, turn }) }
+ */
+function buildRoadNetwork(net, junction, warnings) {
+    const origin = [junction.x, junction.y];
+    const connections = net.connections.filter(connection => {
+        const from = net.edges.get(connection.from);
+        return from && !from.internal && from.to === junction.id && TURN_DIRECTIONS[connection.dir] &&
+            getLanePosition(from, connection.fromLane) >= 0;
+    });
+
+    // One incoming edge per travel direction
+    const approaches = {};
+    [...net.edges.values()]
+        .filter(edge => !edge.internal && edge.to === junction.id && edge.vehicleLanes.length > 0)
+        .forEach(edge => {
+            const direction = getTravelDirection(edge.vehicleLanes[0].shape);
+            if (approaches[direction]) {
+                throw new Error(`SUMO import: edges ${approaches[direction].id} and ${edge.id} both enter junction ${junction.id} travelling ${direction}`);
+            }
+            approaches[direction] = edge;
+        });
+    const missing = APPROACH_ORDER.filter(direction => !approaches[direction]);
+    if (missing.length > 0) {
+        throw new Error(`SUMO import: junction ${junction.id} has no incoming edge travelling ${missing.join(', ')}; four approaches are needed`);
+    }
+
+    const roads = [];
+    const roadOfEdge = new Map();
+    const approachDefinitions = {};
+    APPROACH_ORDER.forEach(direction => {
+        const edge = approaches[direction];
+        const straight = connections.filter(connection => connection.from === edge.id && connection.dir === 's')
+            .sort((a, b) => a.fromLane - b.fromLane)[0];
+        if (!straight) throw new Error(`SUMO import: edge ${edge.id} has no straight movement to continue on`);
+
+        // Follow the lane of the straight movement and shift it onto the road's centerline
+        const fromLane = net.lanes.get(`${edge.id}_${straight.fromLane}`);
+        const exitEdge = net.edges.get(straight.to);
+        const toLane = net.lanes.get(`${exitEdge.id}_${straight.toLane}`);
+        const incoming = dedupePoints(relativeTo(fromLane.shape, origin));
+        const through = getViaShape(net, straight, origin);
+        const points = dedupePoints([...incoming, ...through, ...relativeTo(toLane.shape, origin)]);
+        const offset = ((edge.vehicleLanes.length - 1) / 2 - getLanePosition(edge, straight.fromLane)) * fromLane.width;
+        const centerline = offsetPolyline(points, offset);
+        const stopLine = polylineLength(centerline.slice(0, incoming.length));
+
+        roadOfEdge.set(exitEdge.id, roads.length);
+        approachDefinitions[direction] = {
+            road: roads.length,
+            stopLine: round(stopLine),
+            center: round(stopLine + polylineLength(through) / 2),
+            opposing: OPPOSITE[direction]
+        };
+        roads.push({
+            id: roads.length,
+            name: `${edge.id} → ${exitEdge.id}`,
+            lanes: edge.vehicleLanes.length,
+            laneWidth: fromLane.width,
+            speedLimit: Math.max(...edge.vehicleLanes.map(lane => lane.speed)),
+            geometry: [{ type: 'polyline', points: centerline.map(point => point.map(round)) }]
+        });
+    });
+
+    // The crosswalk on each leg spans the approach road and the road leaving on that leg
+    Object.entries(approachDefinitions).forEach(([direction, approach]) => {
+        approach.crosswalk = { exitRoad: approachDefinitions[OPPOSITE[direction]].road };
+    });
+
+    // Outgoing edges reached only by turning get a road of their own
+    connections.forEach(connection => {
+        if (roadOfEdge.has(connection.to)) return;
+        const edge = net.edges.get(connection.to);
+        const lane = edge.vehicleLanes[0];
+        if (!lane) return;
+        const offset = (edge.vehicleLanes.length - 1) / 2 * lane.width;
+        roadOfEdge.set(edge.id, roads.length);
+        roads.push({
+            id: roads.length,
+            name: edge.id,
+            lanes: edge.vehicleLanes.length,
+            laneWidth: lane.width,
+            speedLimit: Math.max(...edge.vehicleLanes.map(vehicleLane => vehicleLane.speed)),
+            geometry: [{ type: 'polyline', points: offsetPolyline(dedupePoints(relativeTo(lane.shape, origin)), offset).map(point => point.map(round)) }]
+        });
+    });
+
+    // Turns, one connection per approach and outgoing edge
+    const connectionDefinitions = [];
+    const movements = [];
+    const movementOf = new Map();
+    APPROACH_ORDER.forEach(direction => {
+        const edge = approaches[direction];
+        const approach = approachDefinitions[direction];
+        const turns = new Set();
+        movements.push({ approach: direction, turn: CONFIG.TURN_TYPES.STRAIGHT, route: [approach.road] });
+
+        const byExit = new Map();
+        connections.filter(connection => connection.from === edge.id).forEach(connection => {
+            if (!byExit.has(connection.to)) byExit.set(connection.to, []);
+            byExit.get(connection.to).push(connection);
+        });
+
+        byExit.forEach((group, exitId) => {
+            const turn = TURN_DIRECTIONS[group[0].dir];
+            const target = roadOfEdge.get(exitId);
+            if (turn === CONFIG.TURN_TYPES.STRAIGHT) {
+                if (target !== approach.road) warnings.push(`second straight movement ${edge.id} → ${exitId} drives on to ${roads[approach.road].name}`);
+                movementOf.set(`${edge.id}>${exitId}`, { direction, turn });
+                return;
+            }
+            if (turns.has(turn)) {
+                warnings.push(`${edge.id} has a second ${turn} turn, to ${exitId}; it is imported as the first`);
+                movementOf.set(`${edge.id}>${exitId}`, { direction, turn });
+                return;
+            }
+            turns.add(turn);
+
+            const exitEdge = net.edges.get(exitId);
+            const targetLanes = roads[target].lanes;
+            const lanes = group.map(connection => {
+                const toPosition = exitEdge.vehicleLanes.length - 1 - getLanePosition(exitEdge, connection.toLane);
+                return [
+                    edge.vehicleLanes.length - 1 - getLanePosition(edge, connection.fromLane),
+                    Math.max(0, Math.min(toPosition, targetLanes - 1))
+                ];
+            });
+
+            const path = group[Math.floor(group.length / 2)];
+            let points = dedupePoints(getViaShape(net, path, origin));
+            if (points.length < 2) {
+                // Networks built without internal links: a chord across the junction
+                const fromShape = net.lanes.get(`${edge.id}_${path.fromLane}`).shape;
+                const toShape = net.lanes.get(`${exitId}_${path.toLane}`).shape;
+                points = relativeTo([fromShape[fromShape.length - 1], toShape[0]], origin);
+            }
+
+            connectionDefinitions.push({
+                from: approach.road,
+                to: target,
+                turn,
+                uSource: approach.stopLine,
+                lanes,
+                geometry: [{ type: 'polyline', points: points.map(point => point.map(round)) }]
+            });
+            movements.push({ approach: direction, turn, route: [approach.road, target] });
+            movementOf.set(`${edge.id}>${exitId}`, { direction, turn });
+        });
+    });
+
+    return {
+        definition: {
+            name: `SUMO junction ${junction.id}`,
+            roads,
+            connections: connectionDefinitions,
+            approaches: approachDefinitions,
+            movements
+        },
+        approaches,
+        roadOfEdge,
+        movementOf
+    };
+}
+
+// Position of a SUMO lane among the edge's vehicle lanes, rightmost first (-1 = not a vehicle lane)
+function getLanePosition(edge, laneIndex) {
+    return edge.vehicleLanes.findIndex(lane => lane.index === laneIndex);
+}
+
+// Shape of a connection's internal lanes, following internal junctions
+function getViaShape(net, connection, origin) {
+    const points = [];
+    let via = connection.via;
+    while (via && net.lanes.has(via)) {
+        points.push(...relativeTo(net.lanes.get(via).shape, origin));
+        const edgeId = via.replace(/_\d+$/, '');
+        const laneIndex = Number(via.slice(edgeId.length + 1));
+        const next = net.connections.find(candidate => candidate.from === edgeId && candidate.fromLane === laneIndex);
+        via = next ? next.via : null;
+    }
+    return points;
+}
+
+function relativeTo(shape, [x0, y0]) {
+    return shape.map(([x, y]) => [x - x0, y - y0]);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// SIGNALS
+
+// SUMO signal characters ranked: protected green, permissive green, yellow, red
+function getSignalRank(character) {
+    if (character === 'G') return 3;
+    if (character === 'g' || character === 'O' || character === 'o') return 2;
+    if (character === 'y' || character === 'Y') return 1;
+    return 0;
+}
+
+/**
+ * Turn the junction's tlLogic into an explicit fixed-time plan
+ * Each SUMO phase serves the direction pair ('NS' or 'WE') whose through or left links it lights;
+ * phases lighting neither keep the pair before them (clearances). Consecutive phases that look
+ * the same here are merged.
+ */
+function convertSignalProgram(net, junction, layout, programID, warnings) {
+    const links = net.connections.filter(connection => connection.tl && connection.linkIndex !== null &&
+        layout.movementOf.has(`${connection.from}>${connection.to}`));
+    const tlId = links[0]?.tl;
+    const programs = net.tlLogics.filter(program => program.id === tlId);
+    const program = programID !== undefined
+        ? programs.find(candidate => candidate.programID === String(programID))
+        : programs[0];
+    if (!program) throw new Error(`SUMO import: no signal program${programID !== undefined ? ` '${programID}'` : ''} for junction ${junction.id}`);
+    if (programs.length > 1 && programID === undefined) warnings.push(`signal program ${program.programID} used of ${programs.length}`);
+    if (program.type !== 'static') warnings.push(`${program.type} signal program run as fixed time with its phase durations`);
+
+    const { GREEN, YELLOW, RED } = CONFIG.LIGHT_STATES;
+    const LEFT = CONFIG.LEFT_TURN_STATES;
+    const PAIRS = { NS: ['north', 'south'], WE: ['west', 'east'] };
+
+    const phases = program.phases.map((phase, index) => {
+        // Best indication each pair shows its through and left links
+        const ranks = {};
+        Object.entries(PAIRS).forEach(([pair, directions]) => {
+            ranks[pair] = { straight: -1, left: -1, lit: 0 };
+            links.forEach(link => {
+                const movement = layout.movementOf.get(`${link.from}>${link.to}`);
+                if (!directions.includes(movement.direction) || movement.turn === CONFIG.TURN_TYPES.RIGHT) return;
+                const rank = getSignalRank(phase.state[link.linkIndex]);
+                ranks[pair][movement.turn] = Math.max(ranks[pair][movement.turn], rank);
+                if (rank > 0) ranks[pair].lit++;
+            });
+        });
+
+        let pair = null;
+        if (ranks.NS.lit > 0 || ranks.WE.lit > 0) {
+            pair = ranks.NS.lit >= ranks.WE.lit ? 'NS' : 'WE';
+            if (ranks.NS.lit > 0 && ranks.WE.lit > 0) {
+                warnings.push(`phase ${index} lights both direction pairs; only its ${pair} movements are kept`);
+            }
+        }
+
+        const straight = ranks[pair || 'NS'].straight;
+        const left = ranks[pair || 'NS'].left;
+        const through = !pair || straight <= 0 ? RED : straight === 1 ? YELLOW : GREEN;
+        let leftState = LEFT.PERMITTED;
+        if (pair && left === 3) leftState = LEFT.PROTECTED;
+        else if (pair && left === 1 && through !== YELLOW) leftState = LEFT.YELLOW;
+        else if (pair && left === 0 && through !== RED) leftState = LEFT.RED;
+
+        return { pair, through, left: leftState, duration: Math.round(phase.duration * 1000) };
+    });
+
+    // Clearance phases keep the pair they clear
+    const lastPair = [...phases].reverse().find(phase => phase.pair)?.pair || 'NS';
+    phases.reduce((previousPair, phase) => {
+        phase.pair = phase.pair || previousPair;
+        return phase.pair;
+    }, lastPair);
+
+    const merged = phases.reduce((plan, phase) => {
+        const previous = plan[plan.length - 1];
+        if (previous && previous.pair === phase.pair && previous.through === phase.through && previous.left === phase.left) {
+            previous.duration += phase.duration;
+        } else {
+            plan.push({ ...phase });
+        }
+        return plan;
+    }, []);
+
+    const referencePair = ['NS', 'WE'].find(pair => merged.some(phase => phase.pair === pair && phase.through === GREEN));
+    if (!referencePair) throw new Error(`SUMO import: signal program ${program.programID} never shows a through green`);
+
+    // SUMO starts the program's first phase at its offset; ours counts from the reference green
+    const cycleLength = merged.reduce((sum, phase) => sum + phase.duration, 0);
+    const referenceIndex = merged.findIndex(phase => phase.pair === referencePair && phase.through === GREEN);
+    const referenceStart = merged.slice(0, referenceIndex).reduce((sum, phase) => sum + phase.duration, 0);
+
+    return {
+        FIXED_PHASES: merged,
+        CYCLE_LENGTH: 0,
+        CYCLE_OFFSET: cycleModulo(program.offset * 1000 + referenceStart, cycleLength),
+        REFERENCE_PHASE: referencePair
+    };
+}
+
+// DEMAND
+
+/**
+ * Count the vehicles of the route files that pass the junction per movement and interval
+ * @returns {Object|null} { definition (OriginDestinationDemand intervals), vehicleMix }, null without vehicles
+ */
+function convertDemand(net, layout, routeRoots, intervalMinutes, warnings) {
+    const intervalSeconds = intervalMinutes * 60;
+    const intervals = [];
+    const typeCounts = { car: 0, truck: 0, bus: 0, motorcycle: 0 };
+    const vehicleTypes = new Map();
+    const routes = new Map();   // id -> [{ edges, probability }]
+    let skipped = 0;
+
+    // Add `count` vehicles spread evenly over [begin, end) (a single departure when end = begin)
+    const addVehicles = (edges, typeId, begin, end, count) => {
+        const movement = getMovement(layout, edges);
+        if (!movement) {
+            skipped += count;
+            return;
+        }
+
+        const routeKey = Object.keys(CONFIG.ROUTE_MOVEMENTS).find(key =>
+            CONFIG.ROUTE_MOVEMENTS[key].direction === movement.direction && CONFIG.ROUTE_MOVEMENTS[key].turn === movement.turn
+        );
+        const first = Math.floor(begin / intervalSeconds);
+        const last = end > begin ? Math.ceil(end / intervalSeconds) - 1 : first;
+        for (let index = first; index <= last; index++) {
+            const share = end > begin
+                ? (Math.min(end, (index + 1) * intervalSeconds) - Math.max(begin, index * intervalSeconds)) / (end - begin)
+                : 1;
+            while (intervals.length <= index) intervals.push({});
+            intervals[index][routeKey] = (intervals[index][routeKey] || 0) + count * share;
+        }
+        typeCounts[vehicleTypes.get(typeId) || 'car'] += count;
+    };
+
+    // Route choices of a vehicle, trip or flow
+    const getRouteChoices = (element) => {
+        const inline = childrenOf(element, 'route')[0];
+        if (inline) return [{ edges: inline.attributes.edges.trim().split(/\s+/), probability: 1 }];
+        if (element.attributes.route) {
+            const choices = routes.get(element.attributes.route);
+            if (!choices) warnings.push(`unknown route '${element.attributes.route}'`);
+            return choices || [];
+        }
+        if (element.attributes.from && element.attributes.to) {
+            const edges = findEdgeRoute(net, element.attributes.from, element.attributes.to);
+            if (!edges) warnings.push(`no path from ${element.attributes.from} to ${element.attributes.to}`);
+            return edges ? [{ edges, probability: 1 }] : [];
+        }
+        return [];
+    };
+
+    // Types and routes first: vehicles may refer to them from another file
+    routeRoots.forEach(root => {
+        if (root.name !== 'routes') throw new Error(`SUMO import: expected a <routes> file, found <${root.name}>`);
+
+        root.children.forEach(element => {
+            const attributes = element.attributes;
+            if (element.name === 'vType') {
+                vehicleTypes.set(attributes.id, VEHICLE_CLASSES[attributes.vClass] || 'car');
+            } else if (element.name === 'route') {
+                routes.set(attributes.id, [{ edges: attributes.edges.trim().split(/\s+/), probability: 1 }]);
+            } else if (element.name === 'routeDistribution') {
+                const choices = childrenOf(element, 'route').map(route => ({
+                    edges: route.attributes.edges.trim().split(/\s+/),
+                    probability: Number(route.attributes.probability ?? 1)
+                }));
+                const total = choices.reduce((sum, choice) => sum + choice.probability, 0);
+                routes.set(attributes.id, choices.map(choice => ({ ...choice, probability: choice.probability / total })));
+            }
+        });
+    });
+
+    routeRoots.forEach(root => {
+        root.children.forEach(element => {
+            const attributes = element.attributes;
+            if (element.name === 'vehicle' || element.name === 'trip') {
+                const depart = Number(attributes.depart);
+                if (!Number.isFinite(depart)) {
+                    warnings.push(`${element.name} ${attributes.id} departs '${attributes.depart}'; skipped`);
+                    return;
+                }
+                getRouteChoices(element).forEach(choice =>
+                    addVehicles(choice.edges, attributes.type, depart, depart, choice.probability)
+                );
+            } else if (element.name === 'flow') {
+                const flow = getFlowTimes(attributes, warnings);
+                if (!flow) return;
+                getRouteChoices(element).forEach(choice =>
+                    addVehicles(choice.edges, attributes.type, flow.begin, flow.end, flow.count * choice.probability)
+                );
+            }
+        });
+    });
+
+    if (skipped > 0) warnings.push(`${Math.round(skipped)} vehicles do not pass the junction`);
+    const total = Object.values(typeCounts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        warnings.push('no vehicles in the route files pass the junction; the demand is unchanged');
+        return null;
+    }
+
+    const vehicleMix = {};
+    Object.entries(typeCounts).forEach(([type, count]) => {
+        vehicleMix[type] = count / total;
+    });
+    return {
+        definition: { intervalMinutes, intervals },
+        vehicleMix
+    };
+}
+
+// Begin, end (s) and vehicle count of a flow
+function getFlowTimes(attributes, warnings) {
+    const begin = Number(attributes.begin || 0);
+    let rate = null;    // veh/s
+    if (attributes.vehsPerHour) rate = Number(attributes.vehsPerHour) / 3600;
+    else if (attributes.period) {
+        const exponential = attributes.period.match(/^exp\((.*)\)$/);
+        rate = exponential ? Number(exponential[1]) : 1 / Number(attributes.period);
+    } else if (attributes.probability) rate = Number(attributes.probability);
+
+    const number = attributes.number ? Number(attributes.number) : null;
+    let end = attributes.end ? Number(attributes.end) : null;
+    if (end === null) {
+        if (number !== null && rate) {
+            end = begin + number / rate;
+        } else {
+            end = begin + DEFAULT_FLOW_DURATION;
+            warnings.push(`flow ${attributes.id} has no end; counted for ${DEFAULT_FLOW_DURATION}s`);
+        }
+    }
+    if (!(end > begin) || (rate === null && number === null)) {
+        warnings.push(`flow ${attributes.id} has no rate or duration; skipped`);
+        return null;
+    }
+
+    const count = number !== null && rate === null ? number : Math.min(rate * (end - begin), number ?? Infinity);
+    return { begin, end, count };
+}
+
+// The movement of the first pair of consecutive route edges that crosses the junction
+function getMovement(layout, edges) {
+    for (let i = 0; i < edges.length - 1; i++) {
+        const movement = layout.movementOf.get(`${edges[i]}>${edges[i + 1]}`);
+        if (movement) return movement;
+    }
+    return null;
+}
+
+// Fewest-edges route between two edges over the network's connections
+function findEdgeRoute(net, from, to) {
+    const next = new Map();
+    net.connections.forEach(connection => {
+        if (connection.from.startsWith(':')) return;
+        if (!next.has(connection.from)) next.set(connection.from, new Set());
+        next.get(connection.from).add(connection.to);
+    });
+
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0) {
+        const edge = queue.shift();
+        if (edge === to) {
+            const route = [];
+            for (let step = to; step !== null; step = previous.get(step)) route.unshift(step);
+            return route;
+        }
+        (next.get(edge) || []).forEach(candidate => {
+            if (!previous.has(candidate)) {
+                previous.set(candidate, edge);
+                queue.push(candidate);
+            }
+        });
+    }
+    return null;
+}
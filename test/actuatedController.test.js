@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActuatedController } from '../actuatedController.js';
+import { SimulationClock } from '../simulationClock.js';
+import { CONFIG } from '../config.js';
+
+const STEP = 100;
+
+/**
+ * Stop-bar loops for every phase, occupied as the callback says
+ * @param {Function} isOccupied - (phaseNumber, time) => boolean
+ * @returns {Object} the subset of LoopDetectorSystem the controller reads
+ */
+function createLoops(isOccupied, clock) {
+    const phaseOf = (direction, movement) => Number(Object.entries(CONFIG.NEMA.PHASES)
+        .find(([, phase]) => phase.direction === direction && phase.movement === movement)[0]);
+
+    return {
+        getDetectors: ({ direction }) => ['through', 'left'].map(movement => {
+            const presence = isOccupied(phaseOf(direction, movement), clock.now());
+            return { movement, presence, stepCount: presence ? 1 : 0 };
+        }),
+        servesMovement: (loop, turnType) => (turnType === CONFIG.TURN_TYPES.LEFT) === (loop.movement === 'left')
+    };
+}
+
+/**
+ * Run an actuated controller against scripted detector occupancy
+ * @returns {ActuatedController} the controller, with its terminations recorded
+ */
+function runActuated(isOccupied, seconds) {
+    const clock = new SimulationClock(STEP);
+    const controller = new ActuatedController(clock);
+    controller.setSettings({ ...CONFIG.DEFAULT_SETTINGS, MIN_GREEN_TIME: 5000, MAX_GREEN_TIME: 30000, PASSAGE_TIME: 3000 });
+    controller.recordTermination = (phase, reason, greenTime) => controller.terminations.push({ phase, reason, greenTime });
+    const loops = createLoops(isOccupied, clock);
+
+    while (clock.now() < seconds * 1000) {
+        clock.tick();
+        controller.updateDetectors(loops);
+        controller.update(STEP);
+    }
+    return controller;
+}
+
+test('a through green gaps out once the passage time passes without a vehicle', () => {
+    const controller = runActuated((phase, time) =>
+        phase === 2 || ((phase === 4 || phase === 8) && time < 12000), 40);
+
+    const first = controller.terminations.find(termination => termination.phase === 4);
+    assert.equal(first.reason, 'gap-out');
+    assert.ok(first.greenTime >= 14000 && first.greenTime <= 15500, `gapped out after ${first.greenTime} ms`);
+});
+
+test('a through green with continuous demand maxes out against a conflicting call', () => {
+    const controller = runActuated(phase => phase === 4 || phase === 8 || phase === 2, 60);
+
+    const first = controller.terminations.find(termination => termination.phase === 4);
+    assert.equal(first.reason, 'max-out');
+    assert.ok(Math.abs(first.greenTime - 30000) <= STEP);
+});
+
+test('a green with no conflicting demand rests and an uncalled phase is never served', () => {
+    const controller = runActuated(phase => phase === 2, 90);
+
+    assert.equal(controller.ringBarrier.getPhaseState(2), CONFIG.LIGHT_STATES.GREEN);
+    assert.equal(controller.terminations.length, 0);
+    assert.equal(controller.ringBarrier.getPhaseState(4), CONFIG.LIGHT_STATES.RED);
+});
+
+test('a call placed during red is kept until its phase is served', () => {
+    const controller = runActuated((phase, time) =>
+        phase === 4 || phase === 8 || (phase === 2 && time > 1000 && time < 2000), 45);
+
+    assert.equal(controller.terminations.find(termination => termination.phase === 4).reason, 'max-out');
+    // Served after the conflicting max-out, then gapped out at minimum green with no vehicle left
+    const served = controller.terminations.find(termination => termination.phase === 2);
+    assert.equal(served.reason, 'gap-out');
+    assert.ok(Math.abs(served.greenTime - 5000) <= STEP);
+});
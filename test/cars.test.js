@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Run a fixed-time junction and collect every car that entered
+ * @returns {Object} { runner, cars: Map id -> Car }
+ */
+function collectCars(settings, seconds, onStep = () => {}) {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 6, ...settings } });
+    runner.initialize();
+    const carManager = runner.gameEngine.getCurrentModeComponents().carManager;
+    const cars = new Map();
+    const steps = Math.ceil(seconds * 1000 / runner.clock.stepMs);
+    runner.withConsole(() => {
+        for (let step = 0; step < steps; step++) {
+            runner.step();
+            carManager.getCars().forEach(car => cars.set(car.id, car));
+            onStep(runner.gameEngine);
+        }
+    });
+    return { runner, cars };
+}
+
+test('vehicle types are drawn in proportion to the vehicle mix', () => {
+    const { cars } = collectCars({ CAR_SPAWN_RATE: 1, VEHICLE_MIX: { car: 0.5, truck: 0.5, bus: 0, motorcycle: 0 } }, 300);
+    const types = [...cars.values()].map(car => car.vehicleType);
+    const trucks = types.filter(type => type === 'truck').length;
+
+    assert.ok(types.length > 100);
+    assert.deepEqual([...new Set(types)].sort(), ['car', 'truck']);
+    assert.ok(Math.abs(trucks / types.length - 0.5) < 0.12, `${trucks} trucks of ${types.length}`);
+});
+
+test('every vehicle carries the dimensions, IDM parameters and PCE of its type', () => {
+    const { cars } = collectCars({ CAR_SPAWN_RATE: 1, VEHICLE_MIX: { car: 0.25, truck: 0.25, bus: 0.25, motorcycle: 0.25 } }, 120);
+
+    assert.equal(new Set([...cars.values()].map(car => car.vehicleType)).size, 4);
+    cars.forEach(car => {
+        const type = CONFIG.VEHICLE_TYPES[car.vehicleType];
+        assert.equal(car.vehicle.len, type.length);
+        assert.equal(car.vehicle.width, type.width);
+        assert.equal(car.vehicle.pce, type.pce);
+        assert.equal(car.idmModel.T, type.idm.T);
+        assert.equal(car.idmModel.s0, type.idm.s0);
+    });
+});
+
+test('heavy vehicles count by their passenger car equivalents', () => {
+    const { runner } = collectCars({ CAR_SPAWN_RATE: 0.3, VEHICLE_MIX: { truck: 1 } }, 400);
+    const { intersection, movements } = runner.getResults().movements;
+
+    assert.ok(intersection.vehicles > 20);
+    assert.ok(Math.abs(intersection.pceVolume - CONFIG.VEHICLE_TYPES.truck.pce * intersection.volume) < 1e-6);
+    Object.values(movements).forEach(movement => {
+        if (movement.vehicles > 0) assert.ok(movement.heavyVehicleFactor < 1);
+    });
+});
+
+test('turning vehicles keep to the turn speed of their type', () => {
+    let checked = 0;
+    collectCars({ CAR_SPAWN_RATE: 0.5, VEHICLE_MIX: { truck: 0.5, motorcycle: 0.5 } }, 300, engine => {
+        engine.intersection.network.forEach(road => {
+            road.veh.forEach(veh => {
+                const turnPath = road.getTurnPath(veh);
+                if (!turnPath || veh.u < turnPath.umin || veh.u > turnPath.umax) return;
+                assert.ok(veh.speed <= veh.turnSpeeds[turnPath.turnType] + 0.2,
+                    `${veh.type} at ${veh.speed.toFixed(1)} m/s in a ${turnPath.turnType} turn`);
+                checked++;
+            });
+        });
+    });
+    assert.ok(checked > 100);
+});
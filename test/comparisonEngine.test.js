@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComparisonEngine } from '../comparisonEngine.js';
+import { GameEngine } from '../gameEngine.js';
+import { HeadlessRunner, silently } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Run a comparison of two sides quietly
+ * @param {Array} sides - [{ mode, label }]
+ * @param {number} seconds - simulated time (s)
+ * @returns {ComparisonEngine}
+ */
+function runComparison(sides, seconds, settings = {}) {
+    return silently(() => {
+        const comparison = new ComparisonEngine(() => new GameEngine(null, null), sides);
+        const shared = { ...CONFIG.DEFAULT_SETTINGS, RANDOM_SEED: 17, CAR_SPAWN_RATE: 0.5, ...settings };
+        comparison.initialize(sides.map(() => shared));
+        const steps = Math.ceil(seconds * 1000 / comparison.getPrimaryEngine().clock.stepMs);
+        for (let step = 0; step < steps; step++) comparison.update();
+        return comparison;
+    });
+}
+
+test('two sides running the same mode produce identical results', () => {
+    const comparison = runComparison([{ mode: 'fixed', label: 'A' }, { mode: 'fixed', label: 'B' }], 180);
+    const [left, right] = comparison.getReport().sides;
+
+    assert.ok(left.totalCarsPassed > 20);
+    assert.deepEqual({ ...right, label: 'A' }, left);
+    Object.values(comparison.getReport().delta).forEach(delta => assert.equal(delta, 0));
+});
+
+test('fixed and adaptive sides are fed the same arrivals and the delta is right minus left', () => {
+    const comparison = runComparison(CONFIG.COMPARISON.SCENARIOS.controllers.sides, 180);
+    const [fixed, adaptive] = comparison.sides.map(side => side.engine.getCurrentModeComponents().carManager.demand);
+    assert.ok(fixed.totalArrivals > 50);
+    assert.equal(adaptive.totalArrivals, fixed.totalArrivals);
+
+    const report = comparison.getReport();
+    assert.deepEqual(report.sides.map(side => side.mode), [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE]);
+    assert.ok(report.simulatedSeconds >= 180);
+    for (const [measure, delta] of Object.entries(report.delta)) {
+        assert.equal(delta, report.sides[1][measure] - report.sides[0][measure]);
+    }
+});
+
+test('a setting aimed at one mode only changes that side', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.COMPARISON });
+    runner.run(5);
+    runner.withConsole(() => runner.gameEngine.updateSetting('GREEN_DURATION', 12345, CONFIG.MODES.FIXED));
+
+    const [fixed, adaptive] = runner.gameEngine.comparison.sides
+        .map(side => side.engine.getCurrentModeComponents().settings.GREEN_DURATION);
+    assert.equal(fixed, 12345);
+    assert.notEqual(adaptive, 12345);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBandwidth, cycleModulo, planGreenWave } from '../coordination.js';
+import { TrafficLightController } from '../trafficLights.js';
+import { SimulationClock } from '../simulationClock.js';
+import { HeadlessRunner, silently } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+const { EAST, WEST } = CONFIG.DIRECTIONS;
+const STEP = 100;
+const COORDINATED = { GREEN_DURATION: 20000, CYCLE_LENGTH: 60000, CYCLE_OFFSET: 0, REFERENCE_PHASE: 'WE' };
+
+/**
+ * Run a fixed-time controller on its own clock and note when the east approach turns green
+ * @param {Object} settings - setting overrides
+ * @param {Function} atTime - time (ms) -> setting overrides to apply from then on, or null
+ * @returns {Array} times (ms) the east-west green started
+ */
+function recordEastGreenStarts(settings, seconds, atTime = () => null) {
+    return silently(() => {
+        const clock = new SimulationClock(STEP);
+        const trafficLights = new TrafficLightController(clock);
+        let current = { ...CONFIG.DEFAULT_SETTINGS, ...settings };
+        trafficLights.initialize(CONFIG.MODES.FIXED, current);
+        const starts = [];
+        let previous = trafficLights.getLightStates().east;
+        while (clock.now() < seconds * 1000) {
+            const deltaTime = clock.tick();
+            const changes = atTime(clock.now());
+            if (changes) {
+                current = { ...current, ...changes };
+                trafficLights.updateSettings(current);
+            }
+            trafficLights.update(deltaTime, CONFIG.MODES.FIXED, current);
+            const east = trafficLights.getLightStates().east;
+            if (east === CONFIG.LIGHT_STATES.GREEN && previous !== CONFIG.LIGHT_STATES.GREEN) {
+                starts.push(clock.now());
+            }
+            previous = east;
+        }
+        return starts;
+    });
+}
+
+test('bandwidth is the widest band a platoon at the progression speed passes on green', () => {
+    // 300 m apart at 10 m/s: 30 s of travel on an 80 s cycle with 30 s greens
+    const plan = { positions: [0, 300], greens: [30000, 30000], cycleLength: 80000, offsets: [0, 30000] };
+
+    assert.equal(computeBandwidth(plan, 10, EAST), 30000);
+    assert.equal(computeBandwidth(plan, 10, WEST), 10000);
+    assert.equal(computeBandwidth({ ...plan, offsets: [0, 70000] }, 10, EAST), 0);
+    assert.equal(computeBandwidth({ ...plan, greens: [30000, 20000] }, 10, EAST), 20000);
+});
+
+test('a one-way green wave starts each green as the platoon arrives', () => {
+    const corridor = { positions: [0, 250, 500], greens: [25000, 25000, 25000], cycleLength: 60000 };
+
+    const east = planGreenWave(corridor, 12.5, EAST);
+    assert.deepEqual(east.offsets, [0, 20000, 40000]);
+    assert.equal(east.bandwidth.east, 25000);
+
+    const west = planGreenWave(corridor, 12.5, WEST);
+    assert.deepEqual(west.offsets, [40000, 20000, 0]);
+    assert.equal(west.bandwidth.west, 25000);
+});
+
+test('a two-way green wave cannot be widened by moving any single offset', () => {
+    const corridor = { positions: [0, 230, 410], greens: [30000, 24000, 30000], cycleLength: 70000 };
+    const speed = 11;
+    const { offsets, bandwidth } = planGreenWave(corridor, speed, 'both');
+    const bandwidthOf = candidate => {
+        const plan = { ...corridor, offsets: candidate };
+        return { east: computeBandwidth(plan, speed, EAST), west: computeBandwidth(plan, speed, WEST) };
+    };
+
+    assert.equal(offsets[0], 0);
+    assert.deepEqual(bandwidth, bandwidthOf(offsets));
+    assert.ok(bandwidth.east > 0 && bandwidth.west > 0);
+
+    const oneWay = planGreenWave(corridor, speed, EAST).bandwidth;
+    assert.ok(Math.min(bandwidth.east, bandwidth.west) >= Math.min(oneWay.east, oneWay.west));
+
+    for (let index = 1; index < offsets.length; index++) {
+        for (let offset = 0; offset < corridor.cycleLength; offset += 1000) {
+            const candidate = [...offsets];
+            candidate[index] = offset;
+            const moved = bandwidthOf(candidate);
+            assert.ok(Math.min(moved.east, moved.west) <= Math.min(bandwidth.east, bandwidth.west),
+                `offset ${offset} at junction ${index + 1} widens the narrower band`);
+        }
+    }
+});
+
+test('fixed-time signals follow the common cycle clock from their offset', () => {
+    const starts = recordEastGreenStarts({ ...COORDINATED, CYCLE_OFFSET: 17000 }, 200);
+
+    assert.ok(starts.length >= 3);
+    starts.forEach(start => assert.ok(cycleModulo(start - 17000, 60000) <= STEP, `green started at ${start} ms`));
+});
+
+test('a new offset is picked up within two cycles without restarting the controller', () => {
+    const starts = recordEastGreenStarts(COORDINATED, 400, time => (time === 95000 ? { CYCLE_OFFSET: 25000 } : null));
+
+    const late = starts.filter(start => start > 95000 + 2 * 60000);
+    assert.ok(late.length >= 2);
+    late.forEach(start => assert.ok(cycleModulo(start - 25000, 60000) <= STEP, `green started at ${start} ms`));
+});
+
+test('a corridor green wave starts the east-west green at each junction as the platoon arrives', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 7, CAR_SPAWN_RATE: 0.2, GREEN_DURATION: 20000 } });
+    runner.initialize();
+    const engine = runner.gameEngine;
+    const coordination = runner.withConsole(() => {
+        engine.setNetworkLayout('corridor');
+        return engine.network.applyGreenWave(13, EAST);
+    });
+    const junctions = engine.network.junctions;
+
+    assert.deepEqual(engine.getNetworkReport().junctions.map(junction => junction.offset), coordination.offsets);
+    const green = junctions[0].engine.getCurrentModeComponents().trafficLights.getFixedPhases()
+        .find(phase => phase.pair === 'WE' && phase.through === CONFIG.LIGHT_STATES.GREEN).duration;
+    assert.ok(Math.abs(coordination.bandwidth.east - green) < 1, 'offsets are rounded to whole milliseconds');
+
+    const greenStarts = junctions.map(() => []);
+    let previous = junctions.map(() => null);
+    runner.withConsole(() => {
+        while (runner.gameEngine.getSimulationTime() < 3 * coordination.cycleLength) {
+            runner.step();
+            const east = junctions.map(junction => junction.engine.getLightStates().east);
+            east.forEach((state, index) => {
+                if (state === CONFIG.LIGHT_STATES.GREEN && previous[index] !== CONFIG.LIGHT_STATES.GREEN) {
+                    greenStarts[index].push(junctions[index].engine.clock.now());
+                }
+            });
+            previous = east;
+        }
+    });
+
+    // The first cycle is the transition onto the new offsets; each later phase change comes on the
+    // first step past its end, so a green may start a few steps after its slot
+    const spacing = engine.network.getJunctionSpacing();
+    greenStarts.map(starts => starts.filter(start => start > coordination.cycleLength)).forEach((starts, index) => {
+        const travel = index * spacing / 13 * 1000;
+        assert.ok(starts.length > 0, `junction ${index + 1} never turned green`);
+        starts.forEach(start => assert.ok(cycleModulo(start - travel, coordination.cycleLength) < 1000,
+            `junction ${index + 1} turned green ${start} ms, platoon due ${travel.toFixed(0)} ms into the cycle`));
+    });
+});
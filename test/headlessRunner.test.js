@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner, runHeadless } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+test('runs in Node without a DOM, canvas or animation frame', () => {
+    assert.equal(typeof globalThis.document, 'undefined');
+    assert.equal(typeof globalThis.requestAnimationFrame, 'undefined');
+
+    const result = runHeadless({ mode: CONFIG.MODES.ADAPTIVE, durationSeconds: 60 });
+
+    assert.equal(result.mode, CONFIG.MODES.ADAPTIVE);
+    assert.ok(result.statistics.totalCarsPassed > 0);
+    assert.ok(result.traffic.totalVehicles >= 0);
+    assert.ok(Array.isArray(result.detectors.detectors));
+});
+
+test('the UI module can be imported without touching the DOM', async () => {
+    const { UIController } = await import('../ui.js');
+    assert.equal(typeof UIController, 'function');
+});
+
+test('run() advances the simulation by the requested simulated time', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED });
+    const first = runner.run(30);
+    const second = runner.run(30);
+
+    const stepSeconds = runner.clock.stepMs / 1000;
+    assert.ok(first.simulatedSeconds >= 30 && first.simulatedSeconds < 30 + stepSeconds);
+    assert.ok(second.simulatedSeconds >= 60 && second.simulatedSeconds < 60 + 2 * stepSeconds);
+    assert.equal(second.steps, Math.round(second.simulatedSeconds * 1000 / runner.clock.stepMs));
+});
+
+test('silent runs restore console.log afterwards', () => {
+    const log = console.log;
+    runHeadless({ durationSeconds: 5 });
+    assert.equal(console.log, log);
+});
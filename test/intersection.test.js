@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+test('every managed car is exactly one vehicle on the road it reports', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.ADAPTIVE, settings: { RANDOM_SEED: 9 } });
+    runner.initialize();
+    const engine = runner.gameEngine;
+    let checked = 0;
+
+    runner.withConsole(() => {
+        for (let step = 0; step < 1500; step++) {
+            runner.step();
+            if (step % 10 !== 0) continue;
+
+            const cars = engine.getCurrentModeComponents().carManager.getCars();
+            const owners = new Map(cars.map(car => [car.vehicle, car]));
+            const onRoads = new Set();
+
+            engine.intersection.network.forEach((road, index) => {
+                for (const veh of road.veh) {
+                    const car = owners.get(veh);
+                    assert.ok(car, `road ${index} holds a vehicle no car owns`);
+                    assert.equal(car.roadId, index);
+                    assert.ok(!onRoads.has(veh), 'a vehicle is on two roads');
+                    onRoads.add(veh);
+                }
+            });
+
+            for (const car of cars) {
+                assert.notEqual(car.state, 'completed');
+                assert.ok(onRoads.has(car.vehicle), `car ${car.id} has left the roads but is still managed`);
+                checked++;
+            }
+        }
+    });
+
+    assert.ok(checked > 1000);
+});
+
+test('vehicles that leave the network are counted once as passed', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 9, CAR_SPAWN_RATE: 0.5 } });
+    runner.initialize();
+    const carManager = runner.gameEngine.getCurrentModeComponents().carManager;
+    const spawned = new Set();
+
+    runner.withConsole(() => {
+        for (let step = 0; step < 2000; step++) {
+            runner.step();
+            carManager.getCars().forEach(car => spawned.add(car.id));
+        }
+    });
+
+    const active = carManager.getCars().length;
+    const passed = runner.gameEngine.getStatistics().totalCarsPassed;
+    assert.ok(passed > 0);
+    assert.equal(passed + active, spawned.size);
+});
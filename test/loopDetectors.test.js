@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoopDetector } from '../loopDetectors.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+const STEP = 100;
+
+/**
+ * Drive one vehicle at constant speed along a lane over a loop
+ * @returns {Object} { detector, occupiedSteps }
+ */
+function passOver(detector, { lane = 0, speed = 10, len = 5, fromU = 0, toU = 60 } = {}) {
+    const veh = { id: 1, lane, speed, len, u: fromU };
+    const road = { veh: [veh] };
+    let now = 0;
+    let occupiedSteps = 0;
+    while (veh.u < toU) {
+        veh.u += speed * STEP / 1000;
+        now += STEP;
+        detector.update(road, STEP, now);
+        if (detector.presence) occupiedSteps++;
+    }
+    detector.closeInterval(now, 10);
+    return { detector, occupiedSteps, now };
+}
+
+test('a vehicle crossing a loop is counted once and occupies it for its length plus the loop', () => {
+    const { detector, occupiedSteps, now } = passOver(new LoopDetector({ id: 'a', roadID: 0, lane: 0, u: 20, length: 2 }));
+
+    assert.equal(detector.totalCount, 1);
+    assert.equal(detector.spotSpeed, 10);
+    // (5 m vehicle + 2 m loop) / 10 m/s = 0.7 s
+    assert.ok(Math.abs(occupiedSteps * STEP - 700) <= STEP);
+
+    const [interval] = detector.intervals;
+    assert.equal(interval.count, 1);
+    assert.ok(Math.abs(interval.flow - 3600000 / now) < 1e-9);
+    assert.ok(Math.abs(interval.occupancy - occupiedSteps * STEP / now) < 1e-9);
+});
+
+test('a loop only sees its own lane', () => {
+    const { detector } = passOver(new LoopDetector({ id: 'b', roadID: 0, lane: 1, u: 20, length: 2 }));
+    assert.equal(detector.totalCount, 0);
+});
+
+test('the default layout has stop-bar and advance loops on every approach lane', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.ACTUATED });
+    runner.initialize();
+    const intersection = runner.gameEngine.intersection;
+    const loops = runner.gameEngine.getSensorSystem().getLoopDetectors();
+
+    Object.entries(intersection.approachRoads).forEach(([direction, roadID]) => {
+        const road = intersection.network[roadID];
+        const stopBars = loops.getDetectors({ direction, type: 'stopbar' });
+        assert.equal(stopBars.length, road.nLanes);
+        stopBars.forEach(loop => assert.equal(loop.u + loop.length, road.stopLineU));
+        assert.ok(loops.getDetectors({ direction, type: 'advance' }).length > 0);
+    });
+});
+
+test('the detector distance setting moves the advance loops and stays in force', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.ACTUATED, settings: { DETECTOR_DISTANCE: 40 } });
+    runner.run(30);
+    const intersection = runner.gameEngine.intersection;
+    const loops = runner.gameEngine.getSensorSystem().getLoopDetectors();
+
+    const advance = loops.getDetectors({ type: 'advance' });
+    assert.ok(advance.length > 0);
+    advance.forEach(loop => {
+        assert.equal(loop.u, intersection.network[loop.roadID].stopLineU - 40);
+    });
+    assert.ok(loops.getDetectors({ type: 'stopbar' }).some(loop => loop.totalCount > 0));
+});
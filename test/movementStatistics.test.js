@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLevelOfService } from '../movementStatistics.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { DEFAULT_ROAD_NETWORK, parseRoadNetwork } from '../roadNetworkFile.js';
+import { CONFIG } from '../config.js';
+
+const runFixed = (rate, seconds) => new HeadlessRunner({
+    mode: CONFIG.MODES.FIXED,
+    settings: { RANDOM_SEED: 3, GREEN_DURATION: 30000, CAR_SPAWN_RATE: rate }
+}).run(seconds).movements;
+
+test('level of service follows the HCM delay thresholds and fails over capacity', () => {
+    assert.equal(getLevelOfService(5), 'A');
+    assert.equal(getLevelOfService(30), 'C');
+    assert.equal(getLevelOfService(79), 'E');
+    assert.equal(getLevelOfService(90), 'F');
+    assert.equal(getLevelOfService(5, 1.2), 'F');
+    assert.equal(getLevelOfService(12, 0, CONFIG.HCM.UNSIGNALIZED_LOS_THRESHOLDS), 'B');
+});
+
+test('under light demand every movement is reported, served volume meets demand and v/c stays below 1', () => {
+    const report = runFixed(0.3, 600);
+
+    assert.deepEqual(Object.keys(report.movements).sort(), Object.keys(CONFIG.ROUTE_MOVEMENTS).sort());
+    Object.values(report.movements).forEach(movement => {
+        assert.ok(movement.vehicles > 0, `${movement.direction} ${movement.turn} served no vehicle`);
+        assert.ok(movement.controlDelay >= 0);
+        assert.ok(movement.capacity > 0);
+    });
+
+    const { intersection } = report;
+    assert.ok(intersection.vc > 0 && intersection.vc < 1, `critical v/c ${intersection.vc}`);
+    assert.ok(Math.abs(intersection.volume - intersection.demand) < 0.15 * intersection.demand);
+    assert.notEqual(intersection.los, 'F');
+});
+
+test('oversaturated demand shows v/c above 1 and LOS F even though served volume is capped', () => {
+    const report = runFixed(4, 600);
+    const { intersection, approaches } = report;
+
+    assert.ok(intersection.vc > 1, `critical v/c ${intersection.vc}`);
+    assert.ok(intersection.demand > 2 * intersection.volume);
+    assert.equal(intersection.los, 'F');
+    Object.values(approaches).forEach(approach => assert.ok(approach.vc > 1));
+});
+
+test('free-flow travel time follows the posted speed limit, so an unimpeded vehicle has no control delay', () => {
+    // East-bound traffic alone, posted at 8 m/s (below every driver's desired speed), on a green that never ends
+    const file = structuredClone(DEFAULT_ROAD_NETWORK);
+    file.roads[0].speedLimit = 8;
+    const runner = new HeadlessRunner({
+        mode: CONFIG.MODES.FIXED,
+        settings: {
+            RANDOM_SEED: 4,
+            GREEN_DURATION: 900000,
+            REFERENCE_PHASE: 'WE',
+            DEMAND: { matrix: { ROUTE_00: 120, ROUTE_05: 60, ROUTE_03: 60 } }
+        },
+        roadNetwork: parseRoadNetwork(file)
+    });
+    const { movements } = runner.run(600).movements;
+
+    ['ROUTE_00', 'ROUTE_05', 'ROUTE_03'].forEach(key => {
+        assert.ok(movements[key].vehicles > 5);
+        assert.ok(movements[key].controlDelay < 1, `${key} control delay ${movements[key].controlDelay.toFixed(2)} s`);
+    });
+});
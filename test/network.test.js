@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Start a fixed-time network of the given layout
+ * @returns {Object} { runner, network }
+ */
+function startNetwork(layout, settings) {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 7, ...settings } });
+    runner.initialize();
+    runner.withConsole(() => runner.gameEngine.setNetworkLayout(layout));
+    return { runner, network: runner.gameEngine.network };
+}
+
+function carManagerOf(junction) {
+    return junction.engine.getCurrentModeComponents().carManager;
+}
+
+test('every junction runs its own controller and sensors and takes outside demand only at the edge', () => {
+    const { network } = startNetwork('corridor', {});
+    const { NORTH, SOUTH, EAST, WEST } = CONFIG.DIRECTIONS;
+
+    assert.equal(network.junctions.length, 3);
+    const components = network.junctions.map(junction => junction.engine.getCurrentModeComponents());
+    assert.equal(new Set(components.map(parts => parts.trafficLights)).size, 3);
+    assert.equal(new Set(components.map(parts => parts.sensorSystem)).size, 3);
+
+    assert.deepEqual(network.junctions.map(junction => carManagerOf(junction).entryDirections.slice().sort()), [
+        [NORTH, SOUTH, EAST].sort(),
+        [NORTH, SOUTH].sort(),
+        [NORTH, SOUTH, WEST].sort()
+    ]);
+});
+
+test('vehicles leaving a junction continue downstream and every exit is accounted for', () => {
+    const { runner, network } = startNetwork('corridor', { CAR_SPAWN_RATE: 1 });
+    const middle = network.junctions[1];
+    const fedFromUpstream = new Set();
+    const heldFrom = new Map();     // car -> { distance, speed } to its exit when first held
+    const leftWhileHeld = [];
+    let maxHeld = 0;
+
+    network.junctions.forEach(junction => {
+        const carManager = carManagerOf(junction);
+        const recordCompletion = carManager.onCarCompleted;
+        carManager.onCarCompleted = (car) => {
+            if (car.vehicle.exitBlocked) leftWhileHeld.push(heldFrom.get(car));
+            recordCompletion(car);
+        };
+    });
+
+    const steps = Math.ceil(300 * 1000 / runner.clock.stepMs);
+    runner.withConsole(() => {
+        for (let step = 0; step < steps; step++) {
+            runner.step();
+            carManagerOf(middle).getCars()
+                .filter(car => car.fromDirection === CONFIG.DIRECTIONS.EAST || car.fromDirection === CONFIG.DIRECTIONS.WEST)
+                .forEach(car => fedFromUpstream.add(car.id));
+            maxHeld = Math.max(maxHeld, network.getReport().heldAtExits);
+            network.junctions.forEach(junction => {
+                const roads = junction.engine.intersection.network;
+                carManagerOf(junction).getCars().forEach(car => {
+                    if (!car.vehicle.exitBlocked) {
+                        heldFrom.delete(car);
+                    } else if (!heldFrom.has(car)) {
+                        const distance = roads[car.roadId].getExitU(car.vehicle) - car.vehicle.u;
+                        heldFrom.set(car, { distance, speed: car.vehicle.speed });
+                    }
+                });
+            });
+        }
+    });
+
+    const report = network.getReport();
+    const passed = network.junctions.reduce((sum, junction) => sum + junction.engine.getStatistics().totalCarsPassed, 0);
+
+    assert.ok(report.transferred > 0);
+    assert.ok(fedFromUpstream.size > 0, 'the middle junction saw no through traffic');
+    assert.ok(fedFromUpstream.size <= report.transferred);
+    assert.equal(passed, report.transferred + report.exitedNetwork + report.pendingTransfers);
+
+    // A full downstream entrance holds vehicles at the upstream exit; only a vehicle too close to
+    // stop still leaves (one held only in the step it left was within a step's travel of the exit)
+    assert.ok(maxHeld > 0, 'no spillback at this demand');
+    leftWhileHeld.filter(Boolean).forEach(held => {
+        const stoppingDistance = held.speed * held.speed / (2 * CONFIG.PHYSICS.IDM_BMAX);
+        assert.ok(held.distance < stoppingDistance, `left ${held.distance.toFixed(1)} m ahead of the exit at ${held.speed.toFixed(1)} m/s`);
+    });
+});
+
+test('a bus handed to the next junction keeps its timetable, shifted by the running time', () => {
+    const { network } = startNetwork('corridor', {});
+    const upstream = network.junctions[0];
+    const roads = upstream.engine.intersection.network;
+    const route = [upstream.engine.intersection.approachRoads[CONFIG.DIRECTIONS.EAST], 3];
+    const bus = {
+        route,
+        transit: { routeId: 'A', trip: 2, scheduledDeparture: 60000, lateness: 4000, late: true }
+    };
+
+    const transit = network.getTransferredTransit(upstream, bus);
+    const routeLength = route.reduce((sum, roadID) => sum + roads[roadID].roadLen, 0);
+    const runningTime = (routeLength - CONFIG.GEOMETRIC.SPAWN_POSITION) / CONFIG.TRANSIT.SCHEDULE_SPEED * 1000;
+
+    assert.equal(transit.routeId, 'A');
+    assert.equal(transit.trip, 2);
+    assert.ok(Math.abs(transit.scheduledDeparture - (60000 + runningTime)) < 1e-6);
+    assert.equal(transit.lateness, null);
+    assert.equal(transit.late, false);
+    assert.equal(network.getTransferredTransit(upstream, { route, transit: null }), null);
+});
+
+test('a grid advances every junction in lockstep and reports the shared simulated time', () => {
+    const { runner, network } = startNetwork('grid', { CAR_SPAWN_RATE: 0.3 });
+    runner.run(30);
+
+    const times = network.junctions.map(junction => junction.engine.clock.getSeconds());
+    assert.equal(network.junctions.length, 4);
+    assert.equal(new Set(times).size, 1);
+    assert.ok(Math.abs(runner.getResults().simulatedSeconds - times[0]) < 1e-9);
+    assert.ok(times[0] >= 30 && times[0] < 30 + runner.clock.stepMs / 1000);
+});
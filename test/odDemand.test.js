@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OriginDestinationDemand } from '../odDemand.js';
+import { getRandomGenerator, random } from '../random.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Generate every arrival of a demand definition up to a time
+ * @param {Object} definition - OD demand definition
+ * @param {number} seconds - generation horizon (s)
+ * @param {number} seed - seed for the shared generator the demand seeds its stream from
+ * @returns {Array} arrivals in order of generation
+ */
+function generateArrivals(definition, seconds, seed = 1) {
+    getRandomGenerator().setSeed(seed);
+    const clock = { time: 0, now() { return this.time; } };
+    const demand = new OriginDestinationDemand(definition, clock);
+    for (clock.time = 0; clock.time <= seconds * 1000; clock.time += 1000) {
+        demand.update();
+        random(); // Other draws from the shared generator must not shift the arrivals
+    }
+    return Object.values(demand.pending).flat().sort((a, b) => a.time - b.time);
+}
+
+test('route volumes follow the matrix and routes stay on their approach', () => {
+    const arrivals = generateArrivals({ matrix: { ROUTE_00: 600, ROUTE_03: 200, ROUTE_23: 400 } }, 3600);
+    const count = routeKey => arrivals.filter(arrival => arrival.routeKey === routeKey).length;
+
+    assert.ok(Math.abs(count('ROUTE_00') - 600) < 100, `ROUTE_00: ${count('ROUTE_00')}`);
+    assert.ok(Math.abs(count('ROUTE_03') - 200) < 60, `ROUTE_03: ${count('ROUTE_03')}`);
+    assert.ok(Math.abs(count('ROUTE_23') - 400) < 80, `ROUTE_23: ${count('ROUTE_23')}`);
+    arrivals.forEach(arrival => {
+        const movement = CONFIG.ROUTE_MOVEMENTS[arrival.routeKey];
+        assert.equal(arrival.direction, movement.direction);
+        assert.equal(arrival.turnType, movement.turn);
+    });
+});
+
+test('a time-varying profile scales each interval and an empty interval has no arrivals', () => {
+    const arrivals = generateArrivals({ matrix: { ROUTE_11: 720 }, profile: [1, 0, 2], intervalMinutes: 10 }, 1800);
+    const inInterval = index => arrivals.filter(arrival => Math.floor(arrival.time / 600000) === index).length;
+
+    assert.ok(Math.abs(inInterval(0) - 120) < 45, `interval 0: ${inInterval(0)}`);
+    assert.equal(inInterval(1), 0);
+    assert.ok(Math.abs(inInterval(2) - 240) < 60, `interval 2: ${inInterval(2)}`);
+});
+
+test('counted intervals are converted to hourly flows', () => {
+    const demand = new OriginDestinationDemand({ intervals: [{ ROUTE_45: 50 }, { ROUTE_45: 100 }] }, { now: () => 0 });
+    assert.equal(demand.getApproachFlow('south', 0), 200);
+    assert.equal(demand.getApproachFlow('south', 15 * 60000), 400);
+    assert.equal(demand.getApproachFlow('north', 0), 0);
+});
+
+test('shifted exponential and uniform headways respect the minimum headway', () => {
+    for (const headway of ['shifted-exponential', 'uniform']) {
+        const arrivals = generateArrivals({ matrix: { ROUTE_00: 900 }, headway, minHeadway: 2 }, 1800);
+        const headways = arrivals.slice(1).map((arrival, index) => arrival.time - arrivals[index].time);
+        assert.ok(Math.min(...headways) >= 2000 - 1e-6, `${headway}: ${Math.min(...headways)} ms`);
+        const mean = headways.reduce((sum, value) => sum + value, 0) / headways.length;
+        assert.ok(Math.abs(mean - 4000) < 400, `${headway}: mean ${mean} ms`);
+    }
+});
+
+test('the same seed gives the same arrivals and another seed different ones', () => {
+    const definition = CONFIG.DEMAND_PROFILES.AM_PEAK;
+    assert.deepEqual(generateArrivals(definition, 600, 3), generateArrivals(definition, 600, 3));
+    assert.notDeepEqual(generateArrivals(definition, 600, 3), generateArrivals(definition, 600, 4));
+});
+
+test('arrivals are the same under every controller', () => {
+    const arrivalsUnder = mode => {
+        const runner = new HeadlessRunner({ mode, settings: { RANDOM_SEED: 21, DEMAND: CONFIG.DEMAND_PROFILES.AM_PEAK } });
+        runner.initialize();
+        const demand = runner.gameEngine.getCurrentModeComponents().carManager.demand;
+        const entered = [];
+        const shiftArrival = demand.shiftArrival.bind(demand);
+        demand.shiftArrival = direction => {
+            const arrival = shiftArrival(direction);
+            entered.push(arrival);
+            return arrival;
+        };
+        runner.run(240);
+        const all = [...entered, ...Object.values(demand.pending).flat()];
+        return Object.values(CONFIG.DIRECTIONS)
+            .map(direction => all.filter(arrival => arrival.direction === direction));
+    };
+
+    const fixed = arrivalsUnder(CONFIG.MODES.FIXED);
+    assert.ok(fixed.flat().length > 50);
+    assert.deepEqual(arrivalsUnder(CONFIG.MODES.ACTUATED), fixed);
+});
+
+test('unknown routes and headway distributions are rejected', () => {
+    assert.throws(() => new OriginDestinationDemand({ matrix: { ROUTE_99: 100 } }, { now: () => 0 }), /Unknown route/);
+    assert.throws(() => new OriginDestinationDemand({ matrix: {}, headway: 'gamma' }, { now: () => 0 }), /Unknown headway/);
+});
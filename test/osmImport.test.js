@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { importOsmIntersection } from '../osmImport.js';
+import { createPath } from '../roadNetworkFile.js';
+import { HeadlessRunner, silently } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+// Node 1 (traffic signals) where Main Street (way 100, east-west, two lanes each way with
+// turn:lanes) crosses Oak Avenue at a skew: way 200 from the south-west with 2 + 1 lanes and
+// way 201 to the north without lanes tags; plus a building and a footway to be ignored
+const OSM_XML = readFileSync(new URL('./fixtures/junction.osm', import.meta.url), 'utf8');
+
+const importQuietly = (osmXml, options) => silently(() => importOsmIntersection(osmXml, options));
+
+const angleBetween = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+
+test('each way at the signalized node becomes approach and exit roads with its lanes and limits', () => {
+    const { name, roadNetwork, warnings } = importQuietly(OSM_XML);
+
+    assert.equal(name, 'OSM node 1 (Main Street / Oak Avenue / Oak Avenue & Co)');
+    assert.deepEqual(roadNetwork.roads.map(road => [road.name, road.lanes, road.speedLimit]), [
+        ['Main Street (east-bound)', 2, 13.89],
+        ['Main Street (west-bound)', 2, 13.89],
+        ['Oak Avenue (north-bound)', 2, 13.41],
+        ['Oak Avenue & Co (south-bound)', 1, null]
+    ]);
+    assert.deepEqual(
+        ['east', 'west', 'north', 'south'].map(direction => roadNetwork.approaches[direction].laneUse),
+        [['L', 'TR'], ['LT', 'R'], ['L', 'TR'], ['LTR']]
+    );
+    assert.deepEqual(warnings, [
+        'way 201 has no lanes tag; one lane each way assumed',
+        "way 201: maxspeed 'signals' is not a number; no speed limit"
+    ]);
+    assert.equal(roadNetwork.movements.length, 12);
+});
+
+test('turn paths leave the approach along it and join their exit road along that road', () => {
+    const { roadNetwork } = importQuietly(OSM_XML);
+    const paths = roadNetwork.roads.map(road => createPath(road.geometry));
+
+    assert.equal(roadNetwork.connections.length, 8);
+    roadNetwork.connections.forEach(connection => {
+        const context = `${connection.turn} turn ${connection.from}→${connection.to}`;
+        const start = paths[connection.from].getPose(connection.uSource);
+        const turn = createPath(connection.geometry, start);
+        const first = turn.getPose(0);
+        const last = turn.getPose(turn.length);
+
+        assert.ok(Math.hypot(first.x - start.x, first.y - start.y) < 0.05, `${context} starts off its approach`);
+        assert.ok(angleBetween(first.heading, start.heading) < 0.01, `${context} starts at an angle`);
+
+        // The nearest point of the exit road, and its heading there
+        const target = paths[connection.to];
+        let nearest = null;
+        for (let u = 0; u <= target.length; u += 0.05) {
+            const pose = target.getPose(u);
+            const distance = Math.hypot(pose.x - last.x, pose.y - last.y);
+            if (!nearest || distance < nearest.distance) nearest = { distance, pose };
+        }
+        assert.ok(nearest.distance < 0.05, `${context} ends ${nearest.distance.toFixed(2)} m off its exit road`);
+        assert.ok(angleBetween(last.heading, nearest.pose.heading) < 0.01, `${context} joins at an angle`);
+
+        const sign = connection.turn === CONFIG.TURN_TYPES.LEFT ? 1 : -1;
+        assert.ok(Math.sin(last.heading - first.heading) * sign > 0, `${context} turns the wrong way`);
+    });
+});
+
+test('extracts without a usable junction are rejected', () => {
+    const withoutSignals = OSM_XML.replace('<tag k="highway" v="traffic_signals"/>', '');
+    assert.throws(() => importQuietly('<osm/>'), /no signalized junction/);
+    assert.throws(() => importQuietly('<nodes/>'), /expected an <osm> file, found <nodes>/);
+    assert.throws(() => importQuietly(withoutSignals), /the extract has no signalized junction/);
+    assert.throws(() => importQuietly(OSM_XML, { node: 99 }), /no node 99/);
+    assert.throws(() => importQuietly(OSM_XML, { node: 2 }), /node 2 is not a junction of highways/);
+
+    const threeLegs = OSM_XML.replace(/<way id="201">[\s\S]*?<\/way>/, '');
+    assert.throws(() => importQuietly(threeLegs), /node 1 has no approach travelling south; four approaches are needed/);
+
+    // A junction picked by hand without mapped signals is still imported, as a signalized one
+    const { warnings } = importQuietly(withoutSignals, { node: 1 });
+    assert.ok(warnings.includes('node 1 has no traffic signals mapped; it is imported as signalized'));
+});
+
+test('an imported junction runs every movement', () => {
+    const { roadNetwork } = importQuietly(OSM_XML);
+    const runner = new HeadlessRunner({
+        mode: CONFIG.MODES.FIXED,
+        settings: { RANDOM_SEED: 8, CAR_SPAWN_RATE: 1, GREEN_DURATION: 30000 },
+        roadNetwork
+    });
+    runner.run(600);
+
+    const movements = runner.gameEngine.getMovementReport().movements;
+    Object.entries(CONFIG.ROUTE_MOVEMENTS).forEach(([key, movement]) => {
+        assert.ok(movements[key].vehicles > 0, `no ${movement.direction} ${movement.turn} vehicle passed`);
+    });
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+const { WALK } = CONFIG.PEDESTRIAN_STATES;
+
+/**
+ * Run a fixed-time junction with pedestrians and call back after every step
+ * @returns {HeadlessRunner}
+ */
+function runWithPedestrians(settings, seconds, onStep) {
+    const runner = new HeadlessRunner({
+        mode: CONFIG.MODES.FIXED,
+        settings: { RANDOM_SEED: 5, GREEN_DURATION: 30000, PEDESTRIAN_RATE: 200, CAR_SPAWN_RATE: 1, ...settings }
+    });
+    runner.initialize();
+    const steps = Math.ceil(seconds * 1000 / runner.clock.stepMs);
+    runner.withConsole(() => {
+        for (let step = 0; step < steps; step++) {
+            runner.step();
+            onStep(runner.gameEngine);
+        }
+    });
+    return runner;
+}
+
+test('WALK runs only with the green of the parallel through movement and pedestrians start on it', () => {
+    let walkSteps = 0;
+    const runner = runWithPedestrians({}, 400, engine => {
+        const { trafficLights, pedestrians } = engine.getCurrentModeComponents();
+        const walks = trafficLights.getPedestrianStates();
+        const lights = trafficLights.getLightStates();
+
+        Object.entries(walks).forEach(([direction, state]) => {
+            if (state !== WALK) return;
+            walkSteps++;
+            const parallel = engine.intersection.crosswalks[direction].parallel;
+            assert.equal(lights[parallel], CONFIG.LIGHT_STATES.GREEN, `WALK on ${direction} while ${parallel} is ${lights[parallel]}`);
+        });
+        pedestrians.pedestrians.forEach(pedestrian => {
+            if (pedestrian.state === 'waiting') assert.notEqual(walks[pedestrian.crosswalk], WALK);
+        });
+    });
+
+    assert.ok(walkSteps > 0);
+    assert.ok(runner.gameEngine.getStatistics().pedestrians.crossed > 50);
+});
+
+test('without a push-button call the WALK is never shown', () => {
+    runWithPedestrians({ PEDESTRIAN_RATE: 0 }, 150, engine => {
+        const walks = engine.getCurrentModeComponents().trafficLights.getPedestrianStates();
+        assert.ok(!Object.values(walks).includes(WALK));
+    });
+});
+
+test('a leading pedestrian interval holds the parallel vehicles red at the start of WALK', () => {
+    const ledWalks = [];
+    const previousWalks = {};
+    let previousLights = {};
+    runWithPedestrians({ LEADING_PEDESTRIAN_INTERVAL: 3000 }, 300, engine => {
+        const { trafficLights } = engine.getCurrentModeComponents();
+        const walks = trafficLights.getPedestrianStates();
+        const lights = trafficLights.getLightStates();
+        Object.entries(walks).forEach(([direction, state]) => {
+            const parallel = engine.intersection.crosswalks[direction].parallel;
+            // A WALK called during a running green is never led; only one starting with the green is
+            if (state === WALK && previousWalks[direction] !== WALK && previousLights[parallel] !== CONFIG.LIGHT_STATES.GREEN) {
+                ledWalks.push({ direction, parallel, start: engine.clock.now() });
+            }
+            previousWalks[direction] = state;
+        });
+        ledWalks.forEach(walk => {
+            if (engine.clock.now() - walk.start < 2900) assert.equal(lights[walk.parallel], CONFIG.LIGHT_STATES.RED);
+        });
+        previousLights = lights;
+    });
+
+    assert.ok(ledWalks.length > 0);
+});
+
+test('turning vehicles hold at the yield point while their crosswalk is occupied', () => {
+    const previousU = new Map();
+    let passedOccupied = 0;
+    let passedClear = 0;
+    let held = 0;
+
+    runWithPedestrians({}, 400, engine => {
+        engine.intersection.network.forEach(road => road.veh.forEach(veh => {
+            const turnPath = road.getTurnPath(veh);
+            const conflict = turnPath && road.pedestrianConflicts.get(turnPath);
+            if (!conflict) return;
+
+            const before = previousU.get(veh.id);
+            if (before !== undefined && before < conflict.yieldU && veh.u >= conflict.yieldU) {
+                if (conflict.occupied) passedOccupied++;
+                else passedClear++;
+            }
+            if (conflict.occupied && conflict.yieldU - veh.u < 3 && veh.speed < 0.5) held++;
+            previousU.set(veh.id, veh.u);
+        }));
+    });
+
+    assert.equal(passedOccupied, 0);
+    assert.ok(passedClear > 50);
+    assert.ok(held > 0, 'no turning vehicle ever waited for a pedestrian');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom, random, setRandomGenerator, getRandomGenerator } from '../random.js';
+import { HeadlessRunner, runHeadless } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+test('a seeded generator repeats its sequence and resumes from a saved state', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const first = Array.from({ length: 5 }, () => a.next());
+    assert.deepEqual(Array.from({ length: 5 }, () => b.next()), first);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+
+    const state = a.getState();
+    const expected = [a.next(), a.next()];
+    const resumed = new SeededRandom();
+    resumed.setState(state);
+    assert.deepEqual([resumed.next(), resumed.next()], expected);
+});
+
+test('the active generator can be replaced', () => {
+    const original = getRandomGenerator();
+    const fixed = { next: () => 0.25, setSeed() {}, getState: () => ({}), setState() {} };
+    try {
+        setRandomGenerator(fixed);
+        assert.equal(random(), 0.25);
+    } finally {
+        setRandomGenerator(original);
+    }
+});
+
+test('runs with the same seed are identical and a different seed changes them', () => {
+    const run = seed => JSON.stringify(runHeadless({
+        mode: CONFIG.MODES.FIXED, durationSeconds: 60, settings: { RANDOM_SEED: seed }
+    }).statistics);
+
+    assert.equal(run(7), run(7));
+    assert.notEqual(run(7), run(8));
+});
+
+test('uniform arrivals do not depend on the controller or on other random draws', () => {
+    const arrivals = (mode, settings = {}) => {
+        const runner = new HeadlessRunner({ mode, settings: { RANDOM_SEED: 11, CAR_SPAWN_RATE: 0.5, ...settings } });
+        runner.initialize();
+        const carManager = runner.gameEngine.getCurrentModeComponents().carManager;
+        const drawn = [];
+        const draw = carManager.drawUniformArrival.bind(carManager);
+        carManager.drawUniformArrival = () => {
+            const arrival = draw();
+            drawn.push(arrival);
+            return arrival;
+        };
+        runner.run(120);
+        return drawn;
+    };
+
+    const fixed = arrivals(CONFIG.MODES.FIXED);
+    assert.ok(fixed.length > 20);
+    assert.deepEqual(arrivals(CONFIG.MODES.ACTUATED, { EMERGENCY_SPAWN_RATE: 120 }), fixed);
+});
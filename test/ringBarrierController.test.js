@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RingBarrierController } from '../ringBarrierController.js';
+import { CONFIG } from '../config.js';
+
+const STEP = 100;
+
+/**
+ * Pretimed controller with termination logging switched off
+ * @param {Function} hasCall - demand per phase number
+ * @returns {RingBarrierController}
+ */
+function createController(hasCall = () => true) {
+    const controller = new RingBarrierController();
+    controller.onPhaseTerminated = () => {};
+    controller.hasCall = hasCall;
+    controller.reset();
+    return controller;
+}
+
+/**
+ * Run a controller and collect the green intervals of every phase
+ * @returns {Array} [{ phase, start, duration }] in order of their end
+ */
+function runGreens(controller, seconds, onStep = () => {}) {
+    const greens = [];
+    const started = {};
+    for (let time = 0; time < seconds * 1000; time += STEP) {
+        const before = new Set(greenPhases(controller));
+        before.forEach(phase => { started[phase] ??= time; });
+        controller.update(STEP);
+        const after = new Set(greenPhases(controller));
+        before.forEach(phase => {
+            if (!after.has(phase)) {
+                greens.push({ phase, start: started[phase], duration: time + STEP - started[phase] });
+                delete started[phase];
+            }
+        });
+        onStep(controller);
+    }
+    return greens;
+}
+
+function greenPhases(controller) {
+    return Object.keys(controller.phases).map(Number)
+        .filter(phase => controller.getPhaseState(phase) === CONFIG.LIGHT_STATES.GREEN);
+}
+
+test('greens never span the barrier and each ring shows one phase at a time', () => {
+    const controller = createController();
+    runGreens(controller, 300, () => {
+        const greens = greenPhases(controller);
+        assert.ok(CONFIG.NEMA.BARRIER_GROUPS.some(group => greens.every(phase => group.includes(phase))),
+            `phases ${greens} are green across the barrier`);
+        CONFIG.NEMA.RINGS.forEach(ring => {
+            assert.ok(greens.filter(phase => ring.includes(phase)).length <= 1);
+        });
+    });
+});
+
+test('pretimed operation serves every phase in ring order for its maximum green', () => {
+    const controller = createController();
+    const greens = runGreens(controller, 300);
+
+    const ringOne = greens.filter(green => CONFIG.NEMA.RINGS[0].includes(green.phase)).map(green => green.phase);
+    assert.deepEqual(ringOne.slice(0, 8), [1, 2, 3, 4, 1, 2, 3, 4]);
+
+    greens.forEach(green => {
+        assert.ok(Math.abs(green.duration - CONFIG.NEMA.PHASES[green.phase].maxGreen) <= STEP,
+            `phase ${green.phase} was green for ${green.duration} ms`);
+    });
+});
+
+test('uncalled phases are skipped and an uncontested green rests', () => {
+    const skipping = createController(phase => phase !== 1);
+    assert.deepEqual(greenPhases(skipping).sort(), [2, 5]);
+
+    const resting = createController(phase => phase === 2 || phase === 6);
+    assert.deepEqual(greenPhases(resting).sort(), [2, 6]);
+    runGreens(resting, 120);
+    assert.deepEqual(greenPhases(resting).sort(), [2, 6]);
+});
+
+test('a ring that reaches the barrier early waits for the other ring', () => {
+    const controller = createController();
+    controller.setPhaseTimings({ 6: { minGreen: 10000, maxGreen: 45000 } });
+    const greens = runGreens(controller, 120);
+
+    const sideStreetStart = Math.min(...greens.filter(green => green.phase === 3 || green.phase === 7)
+        .map(green => green.start));
+    const phase6 = greens.find(green => green.phase === 6);
+    assert.ok(sideStreetStart >= phase6.start + phase6.duration);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROAD_NETWORK, createPath, getBayLanes, parseRoadNetwork } from '../roadNetworkFile.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+// A copy of the built-in four-leg file to vary; a parsed network is a valid file itself
+const fourLeg = () => structuredClone(DEFAULT_ROAD_NETWORK);
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+test('polylines and arcs chain into one path that continues past its ends', () => {
+    const path = createPath([
+        { type: 'polyline', points: [[0, 0], [10, 0]] },
+        { type: 'arc', radius: 5, angle: 90 }
+    ]);
+
+    near(path.length, 10 + 5 * Math.PI / 2, 'length');
+    const end = path.getPose(path.length);
+    near(end.x, 15, 'arc end x');
+    near(end.y, 5, 'arc end y');
+    near(end.heading, Math.PI / 2, 'arc end heading');
+
+    // Offsets are to the left of the direction of travel; positions past the ends follow the tangents
+    near(path.y(4, 1.5), 1.5, 'left offset');
+    near(path.x(-3), -3, 'before the start');
+    near(path.y(path.length + 2), 7, 'past the end');
+
+    const right = createPath([{ type: 'arc', radius: 7, angle: -90 }], { x: 0, y: 0, heading: 0 });
+    near(right.getPose(right.length).x, 7, 'right turn end x');
+    near(right.getPose(right.length).y, -7, 'right turn end y');
+});
+
+test('a road network file is read from JSON text with its defaults filled in', () => {
+    const file = fourLeg();
+    delete file.name;
+    delete file.roads[0].laneWidth;
+    delete file.roads[0].name;
+    delete file.approaches.east.center;
+    delete file.approaches.north.laneUse;
+
+    const network = parseRoadNetwork(JSON.stringify(file));
+
+    assert.equal(network.name, 'Unnamed network');
+    assert.equal(network.roads[0].name, 'road 0');
+    assert.equal(network.roads[0].laneWidth, CONFIG.LANE_WIDTH);
+    assert.equal(network.approaches.east.center, network.approaches.east.stopLine);
+    assert.deepEqual(network.approaches.east.bays, { left: null, right: null });
+    // Without a lane use, lanes serve the turns their connections leave from
+    assert.deepEqual(network.approaches.north.laneUse, ['LT', 'TR']);
+    assert.equal(network.connections.find(connection => !connection.turn).turn, null);
+});
+
+test('mistakes in a road network file are reported with the network name', () => {
+    const broken = (change) => {
+        const file = fourLeg();
+        change(file);
+        return () => parseRoadNetwork(file);
+    };
+
+    assert.throws(broken(file => { file.roads[1].id = 7; }), /Four-leg intersection.*road ids must run 0\.\.5/);
+    assert.throws(broken(file => { file.roads[2].lanes = 0; }), /road 2 needs at least one lane/);
+    assert.throws(broken(file => { file.connections[0].to = 9; }), /connection 2→9 refers to unknown road 9/);
+    assert.throws(broken(file => { file.connections[0].lanes = [[0, 3]]; }), /maps lane 0 to 3/);
+    assert.throws(broken(file => { file.connections[0].uSource = 500; }), /leaves its road at u=500/);
+    assert.throws(broken(file => { delete file.connections[2].geometry; }), /is a turn without a path/);
+    assert.throws(broken(file => { delete file.approaches.south; delete file.approaches.north.opposing; }), /no south approach/);
+    assert.throws(broken(file => { file.approaches.east.stopLine = -1; }), /east approach has its stop line at u=-1/);
+    assert.throws(broken(file => { file.approaches.east.laneUse = ['T', 'TR']; }), /turns left from lane 0, whose lane use is 'T'/);
+    assert.throws(broken(file => { file.movements[2].route = [0, 1]; }), /east left movement has no left turn path from road 0 to road 1/);
+    assert.throws(broken(file => { file.roads[0].geometry = [{ type: 'spline' }]; }), /unknown geometry segment 'spline'/);
+});
+
+test('turn bays are the runs of turn-only lanes at the edge of an approach', () => {
+    const approach = { laneUse: ['L', 'L', 'T', 'TR'], bays: { left: 40, right: null } };
+
+    assert.deepEqual(getBayLanes(approach, 'left'), [0, 1]);
+    assert.deepEqual(getBayLanes(approach, 'right'), []);
+    assert.deepEqual(getBayLanes({ laneUse: ['LT', 'R'], bays: { left: null, right: 30 } }, 'right'), [1]);
+});
+
+test('an intersection is built from the file: road lengths, stop lines and speed limits follow it', () => {
+    const file = fourLeg();
+    file.name = 'Slow east approach';
+    file.roads[0].speedLimit = 8;
+    file.roads[0].geometry = [{ type: 'polyline', points: [[-160, -3], [100, -3]] }];
+    file.approaches.east.stopLine = 150;
+    file.approaches.east.center = 160;
+    file.connections.filter(connection => connection.from === 0).forEach(connection => { connection.uSource = 150; });
+
+    const runner = new HeadlessRunner({
+        mode: CONFIG.MODES.FIXED,
+        settings: { RANDOM_SEED: 2, CAR_SPAWN_RATE: 0.5 },
+        roadNetwork: parseRoadNetwork(file)
+    });
+    runner.initialize();
+    const road = runner.gameEngine.intersection.network[0];
+
+    assert.equal(road.roadLen, 260);
+    assert.equal(road.stopLineU, 150);
+    assert.equal(road.speedLimit, 8);
+
+    let fastest = 0;
+    let seen = 0;
+    runner.withConsole(() => {
+        for (let step = 0; step < 1500; step++) {
+            runner.step();
+            road.veh.filter(veh => veh.type !== 'emergency').forEach(veh => {
+                fastest = Math.max(fastest, veh.speed);
+                seen++;
+            });
+        }
+    });
+
+    assert.ok(seen > 0);
+    assert.ok(fastest <= 8 + 1e-9, `east-bound vehicle at ${fastest.toFixed(2)} m/s`);
+});
@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { DEFAULT_ROAD_NETWORK, parseRoadNetwork } from '../roadNetworkFile.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * North approach of a freshly built intersection with its opposing south approach, both empty
+ * @returns {Object} { road, opposing, leftExit }
+ */
+function emptyNorthApproach() {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED });
+    runner.initialize();
+    const intersection = runner.gameEngine.intersection;
+    const road = intersection.network[intersection.approachRoads[CONFIG.DIRECTIONS.NORTH]];
+    const opposing = road.opposingRoad;
+    road.veh = [];
+    opposing.veh = [];
+    road.setSignalState(CONFIG.LIGHT_STATES.GREEN, CONFIG.LEFT_TURN_STATES.PERMITTED);
+    opposing.setSignalState(CONFIG.LIGHT_STATES.GREEN, CONFIG.LEFT_TURN_STATES.PERMITTED);
+    const leftExit = road.trajAlt.find(path => path.turnType === 'left').roadID;
+    return { road, opposing, leftExit };
+}
+
+/**
+ * Step a fixed-time run and call back once per physics step with each approach road
+ * @param {HeadlessRunner} runner
+ * @param {number} seconds - simulated time to run (s)
+ * @param {Function} fn - called with (road, previousU, statesBefore); previousU maps vehicle id -> u
+ *   and statesBefore holds the through and left indications shown before the step
+ */
+function forEachApproachStep(runner, seconds, fn) {
+    runner.initialize();
+    const previous = new Map();
+    const endTime = runner.gameEngine.getSimulationTime() + seconds * 1000;
+
+    runner.withConsole(() => {
+        while (runner.gameEngine.getSimulationTime() < endTime) {
+            const signals = runner.gameEngine.intersection.network
+                .map(road => ({ road, states: { straight: road.signalState, left: road.getMovementSignalState('left') } }));
+            runner.step();
+            for (const { road, states } of signals) {
+                const previousU = previous.get(road) ?? new Map();
+                fn(road, previousU, states);
+                previous.set(road, new Map(road.veh.map(veh => [veh.id, veh.u])));
+            }
+        }
+    });
+}
+
+test('vehicles never cross a stop line that was red for the whole step', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 3 } });
+    let crossings = 0;
+    let redRunners = 0;
+
+    forEachApproachStep(runner, 300, (road, previousU, statesBefore) => {
+        if (road.stopLineU === null) return;
+        for (const veh of road.veh) {
+            const u = previousU.get(veh.id);
+            if (u === undefined || u >= road.stopLineU || veh.u < road.stopLineU) continue;
+            crossings++;
+            const turnType = road.getTurnType(veh) === 'left' ? 'left' : 'straight';
+            if (statesBefore[turnType] === CONFIG.LIGHT_STATES.RED &&
+                road.getMovementSignalState(turnType) === CONFIG.LIGHT_STATES.RED) {
+                redRunners++;
+            }
+        }
+    });
+
+    assert.ok(crossings > 50, `expected traffic to be served, saw ${crossings} crossings`);
+    assert.equal(redRunners, 0);
+});
+
+test('a queue forms behind the stop line while the approach is red', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 3 } });
+    let stoppedAtRed = 0;
+
+    forEachApproachStep(runner, 120, (road) => {
+        if (road.stopLineU === null || road.signalState !== CONFIG.LIGHT_STATES.RED) return;
+        for (const veh of road.veh) {
+            const distance = road.stopLineU - veh.u;
+            if (veh.speed < 0.1 && distance >= 0 && distance < 15) stoppedAtRed++;
+        }
+    });
+
+    assert.ok(stoppedAtRed > 0, 'no vehicle ever waited at a red stop line');
+});
+
+test('a permitted left turn waits for a gap in opposing through traffic', () => {
+    const { road, opposing, leftExit } = emptyNorthApproach();
+    const leftTurner = () => ({ u: road.stopLineU - 1, speed: 0, route: [road.roadID, leftExit], idmModel: { s0: 2 } });
+    const oncoming = secondsAway => ({ u: opposing.centerU - 15 * secondsAway, speed: 15, route: [opposing.roadID] });
+
+    opposing.veh = [oncoming(2)];
+    assert.equal(road.mustYieldForLeftTurn(leftTurner()), true);
+
+    opposing.veh = [oncoming(CONFIG.PHYSICS.LEFT_TURN_CRITICAL_GAP + 2)];
+    assert.equal(road.mustYieldForLeftTurn(leftTurner()), false);
+
+    // Oncoming traffic held by its own signal leaves the gap open
+    opposing.veh = [{ ...oncoming(2), signalDecision: 'stop' }];
+    assert.equal(road.mustYieldForLeftTurn(leftTurner()), false);
+});
+
+test('a protected arrow or a through movement never yields to opposing traffic', () => {
+    const { road, opposing, leftExit } = emptyNorthApproach();
+    opposing.veh = [{ u: opposing.centerU - 20, speed: 15, route: [opposing.roadID] }];
+    const waiting = route => ({ u: road.stopLineU - 1, speed: 0, route, idmModel: { s0: 2 } });
+
+    assert.equal(road.mustYieldForLeftTurn(waiting([road.roadID])), false);
+
+    road.setSignalState(CONFIG.LIGHT_STATES.RED, CONFIG.LEFT_TURN_STATES.PROTECTED);
+    assert.equal(road.mustYieldForLeftTurn(waiting([road.roadID, leftExit])), false);
+    assert.equal(road.getSignalStateFor(waiting([road.roadID, leftExit])), CONFIG.LIGHT_STATES.GREEN);
+    assert.equal(road.getSignalStateFor(waiting([road.roadID])), CONFIG.LIGHT_STATES.RED);
+});
+
+/**
+ * Run the four-leg intersection with a three-lane east approach: a 40 m left-turn bay, a through
+ * lane and a shared through/right lane, and heavy east-bound demand
+ * @param {Function} onStep - called after each step with the east approach road
+ * @returns {HeadlessRunner}
+ */
+function runWithLeftBay(seconds, onStep) {
+    const file = structuredClone(DEFAULT_ROAD_NETWORK);
+    file.roads[0].lanes = 3;
+    file.approaches.east.laneUse = ['L', 'T', 'TR'];
+    file.approaches.east.bays = { left: 40, right: null };
+    file.connections.find(connection => connection.from === 0 && connection.turn === 'right').lanes = [[2, 1]];
+
+    const runner = new HeadlessRunner({
+        mode: CONFIG.MODES.FIXED,
+        settings: {
+            RANDOM_SEED: 5,
+            GREEN_DURATION: 30000,
+            DEMAND: { matrix: { ROUTE_00: 500, ROUTE_03: 400, ROUTE_05: 100, ROUTE_11: 600 } }
+        },
+        roadNetwork: parseRoadNetwork(file)
+    });
+    runner.initialize();
+    const road = runner.gameEngine.intersection.network[0];
+    const steps = Math.ceil(seconds * 1000 / runner.clock.stepMs);
+    runner.withConsole(() => {
+        for (let step = 0; step < steps; step++) {
+            runner.step();
+            onStep(road);
+        }
+    });
+    return runner;
+}
+
+test('each movement crosses the stop line only in a lane whose lane use serves it', () => {
+    const lanesUsed = { left: new Set(), straight: new Set(), right: new Set() };
+    const previousU = new Map();
+    let bayEntries = 0;
+
+    runWithLeftBay(300, road => {
+        assert.deepEqual(road.getEntryLanes(), [1, 2]);
+        road.veh.forEach(veh => {
+            // The bay lane only exists for its storage length before the stop line
+            if (veh.lane === 0) {
+                assert.ok(veh.u >= road.stopLineU - 40, `vehicle ${veh.id} in the bay at u=${veh.u.toFixed(1)}`);
+                if (previousU.has(veh.id) && previousU.get(veh.id).lane !== 0) bayEntries++;
+            }
+            const before = previousU.get(veh.id);
+            if (before && before.u <= road.stopLineU && veh.u > road.stopLineU) {
+                lanesUsed[road.getTurnType(veh)].add(before.lane);
+            }
+            previousU.set(veh.id, { u: veh.u, lane: veh.lane });
+        });
+    });
+
+    assert.deepEqual([...lanesUsed.left].sort(), [0]);
+    assert.deepEqual([...lanesUsed.straight].sort(), [1, 2]);
+    assert.deepEqual([...lanesUsed.right].sort(), [2]);
+    assert.ok(bayEntries > 10);
+});
+
+test('a left turner finding the bay full waits at its entry and holds up the through lane', () => {
+    let heldBehindFullBay = 0;
+
+    runWithLeftBay(400, road => {
+        const bayEntry = road.laneStartU[0];
+        const waiting = road.veh.find(veh => veh.lane === 1 && road.getTurnType(veh) === 'left' &&
+            veh.speed < 0.5 && veh.u < bayEntry + CONFIG.GEOMETRIC.BAY_MERGE_LENGTH + 1);
+        if (!waiting) return;
+
+        // It gets no further than the point it must have merged by
+        assert.ok(waiting.u <= bayEntry + CONFIG.GEOMETRIC.BAY_MERGE_LENGTH + 0.5);
+        if (road.signalState !== CONFIG.LIGHT_STATES.GREEN) return;
+        const bayVehicles = road.veh.filter(veh => veh.lane === 0 && veh.u <= road.stopLineU);
+        const stuckBehind = road.veh.some(veh => veh.lane === 1 && veh.u < waiting.u && waiting.u - veh.u < 25 &&
+            veh.speed < 0.5 && road.getTurnType(veh) === CONFIG.TURN_TYPES.STRAIGHT);
+        if (stuckBehind && bayVehicles.length >= 4) heldBehindFullBay++;
+    });
+
+    assert.ok(heldBehindFullBay > 50, `through traffic held behind a full bay for ${heldBehindFullBay} steps`);
+});
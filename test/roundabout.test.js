@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoundabout } from '../roundabout.js';
+import { RingRoad } from '../ringRoad.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+const APPROACHES = ['east', 'west', 'north', 'south'];
+
+/**
+ * Start a yield-controlled roundabout of the given layout
+ * @returns {Object} { runner, ring, approaches } with the ring road and the approach roads by direction
+ */
+function startRoundabout(layout, settings) {
+    const roadNetwork = createRoundabout(layout);
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.YIELD, settings: { RANDOM_SEED: 5, ...settings }, roadNetwork });
+    runner.initialize();
+    const roads = runner.gameEngine.intersection.network;
+    const approaches = {};
+    APPROACHES.forEach(direction => { approaches[direction] = roads[roadNetwork.approaches[direction].road]; });
+    return { runner, ring: roads.find(road => road instanceof RingRoad), approaches };
+}
+
+/**
+ * Run a roundabout and note, for each vehicle joining the ring, how far ahead of the next
+ * circulating vehicle due at its merge point it enters
+ * @returns {Object} { lags (s), stoppedAtYield: vehicles that came to a halt at a yield line }
+ */
+function recordEntries(layout, spawnRate, seconds) {
+    const { runner, ring, approaches } = startRoundabout(layout, { CAR_SPAWN_RATE: spawnRate });
+    const onRing = new Set();
+    const stoppedAtYield = new Set();
+    const lags = [];
+
+    const steps = Math.ceil(seconds * 1000 / runner.clock.stepMs);
+    runner.withConsole(() => {
+        for (let step = 0; step < steps; step++) {
+            const entryOf = new Map();
+            Object.values(approaches).forEach(road => road.veh.forEach(veh => entryOf.set(veh, road)));
+            runner.step();
+
+            ring.veh.filter(veh => !onRing.has(veh)).forEach(veh => {
+                onRing.add(veh);
+                const entry = entryOf.get(veh);
+                // Circulating vehicles that will pass the merge point; side by side entries from one approach are not
+                ring.veh.filter(other => other !== veh && other.lane >= veh.lane && entryOf.get(other) !== entry).forEach(other => {
+                    const distance = ring.getDistance(other.u, entry.yieldU);
+                    if (distance < ring.roadLen / 2 && ring.getRemainingDistance(other) >= distance) {
+                        lags.push({ lag: distance / Math.max(other.speed, 0.1), distance, speed: other.speed });
+                    }
+                });
+            });
+            Object.values(approaches).forEach(road => road.veh.forEach(veh => {
+                const distance = road.stopLineU - veh.u;
+                if (distance >= 0 && distance < veh.idmModel.s0 + 1 && veh.speed < 0.1) stoppedAtYield.add(veh);
+            }));
+        }
+    });
+    return { runner, lags, stoppedAtYield, entered: onRing.size };
+}
+
+test('a roundabout is a closed ring fed by four yield-controlled approaches', () => {
+    [['single', 1, 16], ['double', 2, 22]].forEach(([layout, lanes, radius]) => {
+        const network = createRoundabout(layout);
+        const ring = network.roads.find(road => road.closed);
+        const names = Object.fromEntries(network.roads.map(road => [road.id, road.name]));
+
+        assert.equal(network.roads.length, 9);
+        assert.equal(ring.lanes, lanes);
+        assert.equal(ring.speedLimit, CONFIG.ROUNDABOUT.CIRCULATING_SPEED);
+        assert.deepEqual(ring.geometry, [{ type: 'arc', radius, angle: 360, start: [0, -radius], heading: 0 }]);
+
+        APPROACHES.forEach(direction => {
+            const approach = network.approaches[direction];
+            assert.equal(approach.yieldTo.road, ring.id);
+            assert.equal(approach.stopLine, CONFIG.ROUNDABOUT.LEG_LENGTH - CONFIG.ROUNDABOUT.YIELD_SETBACK);
+            assert.equal(approach.laneUse.length, lanes);
+        });
+
+        // Driving counterclockwise, east-bound traffic leaves right to the south, straight on to the east, left to the north
+        assert.deepEqual(
+            network.movements.filter(movement => movement.approach === 'east').map(movement => [movement.turn, names[movement.route[2]]]),
+            [['right', 'south-exit'], ['straight', 'east-exit'], ['left', 'north-exit']]
+        );
+        network.movements.forEach(movement => assert.equal(movement.route[1], ring.id));
+    });
+    assert.deepEqual(createRoundabout('double').approaches.north.laneUse, ['LT', 'TR']);
+    assert.throws(() => createRoundabout('turbo'), /Unknown roundabout layout: turbo/);
+});
+
+test('arrivals at a merge point are estimated as early as the vehicle can make it', () => {
+    const { ring } = startRoundabout('single', {});
+
+    // Up to the circulating speed of 8 m/s at IDM_A, then at that speed; faster vehicles keep theirs
+    assert.equal(ring.getArrivalTime(16, 0), 4);
+    assert.equal(ring.getArrivalTime(32, 0), 6);
+    assert.equal(ring.getArrivalTime(12, 4), 2);
+    assert.equal(ring.getArrivalTime(30, 10), 3);
+});
+
+test('entering vehicles wait at the yield line for a gap and never cut in just ahead of circulating traffic', () => {
+    [['single', 0.5], ['double', 1.0]].forEach(([layout, spawnRate]) => {
+        const { runner, lags, stoppedAtYield, entered } = recordEntries(layout, spawnRate, 600);
+
+        assert.ok(entered > 250, `${layout}: only ${entered} vehicles entered the ring`);
+        assert.ok(stoppedAtYield.size > 20, `${layout}: only ${stoppedAtYield.size} vehicles waited at a yield line`);
+        assert.ok(lags.length > 0);
+        // The critical gap is measured from the yield line; a circulating vehicle is never closer than its own headway
+        lags.forEach(({ lag, distance, speed }) => assert.ok(lag > 1,
+            `${layout}: entered ${distance.toFixed(1)} m ahead of a circulating vehicle at ${speed.toFixed(1)} m/s`));
+
+        // Yield control has no signals, and every movement gets through
+        Object.values(runner.gameEngine.intersection.network).forEach(road => assert.equal(road.signalState, null));
+        const movements = runner.gameEngine.getMovementReport().movements;
+        Object.entries(CONFIG.ROUTE_MOVEMENTS).forEach(([key, movement]) => {
+            assert.ok(movements[key].vehicles > 0, `${layout}: no ${movement.direction} ${movement.turn} vehicle passed`);
+        });
+    });
+});
+
+test('the roundabout comparison runs a signalized junction and a roundabout on the same arrivals', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.COMPARISON, settings: { RANDOM_SEED: 11, CAR_SPAWN_RATE: 0.5 } });
+    runner.initialize();
+    runner.withConsole(() => runner.gameEngine.setComparisonScenario('roundabout'));
+    runner.run(300);
+
+    const comparison = runner.gameEngine.comparison;
+    const [signalized, roundabout] = comparison.sides.map(side => side.engine);
+    assert.equal(signalized.intersection.network.some(road => road instanceof RingRoad), false);
+    assert.equal(roundabout.intersection.network.filter(road => road instanceof RingRoad).length, 1);
+
+    const [left, right] = comparison.sides.map(side => side.engine.getCurrentModeComponents().carManager.demand);
+    assert.ok(left.totalArrivals > 100);
+    assert.equal(right.totalArrivals, left.totalArrivals);
+
+    const report = comparison.getReport();
+    assert.deepEqual(report.sides.map(side => side.mode), [CONFIG.MODES.ACTUATED, CONFIG.MODES.YIELD]);
+    report.sides.forEach(side => assert.ok(side.totalCarsPassed > 80, `${side.label} passed ${side.totalCarsPassed} vehicles`));
+    assert.throws(() => runner.gameEngine.setComparisonScenario('diamond'), /Unknown comparison scenario: diamond/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationClock } from '../simulationClock.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Simulated times at which the signal display changed during a fixed-time run
+ * @param {number} seconds - simulated time to run (s)
+ * @returns {Array} [{ time, states }] in order
+ */
+function recordSignalChanges(seconds) {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 5, GREEN_DURATION: 20000 } });
+    runner.initialize();
+    const changes = [];
+    let last = '';
+    runner.withConsole(() => {
+        while (runner.clock.now() < seconds * 1000) {
+            runner.step();
+            const states = JSON.stringify(runner.gameEngine.getLightStates());
+            if (states !== last) {
+                changes.push({ time: runner.clock.now(), states });
+                last = states;
+            }
+        }
+    });
+    return changes;
+}
+
+test('the clock advances by whole steps and survives a snapshot', () => {
+    const clock = new SimulationClock(100);
+    clock.tick();
+    clock.tick();
+    assert.equal(clock.now(), 200);
+    assert.equal(clock.getSeconds(), 0.2);
+
+    const restored = new SimulationClock();
+    restored.restoreSnapshot(clock.getSnapshot());
+    assert.equal(restored.now(), 200);
+    assert.equal(restored.steps, 2);
+
+    clock.reset();
+    assert.equal(clock.now(), 0);
+});
+
+test('fixed-time phases last their configured simulated durations', () => {
+    const changes = recordSignalChanges(60);
+    const stepMs = CONFIG.PHYSICS.DT * 1000;
+    const [green, yellow, allRed] = changes;
+
+    assert.ok(Math.abs(yellow.time - green.time - 20000) <= stepMs);
+    assert.ok(Math.abs(allRed.time - yellow.time - CONFIG.DEFAULT_SETTINGS.YELLOW_DURATION) <= stepMs);
+});
+
+test('wall-clock time has no effect on the simulation', () => {
+    const expected = recordSignalChanges(120);
+
+    const dateNow = Date.now;
+    const performanceNow = performance.now;
+    let wallClock = 0;
+    Date.now = () => (wallClock += 7919);
+    performance.now = () => wallClock;
+    try {
+        assert.deepEqual(recordSignalChanges(120), expected);
+    } finally {
+        Date.now = dateNow;
+        performance.now = performanceNow;
+    }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeNumber, decodeNumber } from '../snapshot.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+// Busy junction: every vehicle class, transit priority, preemption and pedestrians
+const SETTINGS = {
+    RANDOM_SEED: 31,
+    GREEN_DURATION: 30000,
+    TRANSIT_SERVICE: true,
+    EMERGENCY_SPAWN_RATE: 20,
+    PEDESTRIAN_RATE: 150,
+    LEADING_PEDESTRIAN_INTERVAL: 3000
+};
+
+// Everything a continuation can differ in
+const fingerprint = (runner, result) => JSON.stringify({
+    statistics: result.statistics,
+    movements: result.movements,
+    detectors: result.detectors,
+    snapshot: runner.withConsole(() => runner.gameEngine.saveSnapshot())
+});
+
+test('non-finite numbers survive JSON', () => {
+    assert.equal(decodeNumber(JSON.parse(JSON.stringify(encodeNumber(-Infinity)))), -Infinity);
+    assert.equal(decodeNumber(JSON.parse(JSON.stringify(encodeNumber(2.5)))), 2.5);
+});
+
+for (const mode of [CONFIG.MODES.FIXED, CONFIG.MODES.ADAPTIVE, CONFIG.MODES.RING_BARRIER, CONFIG.MODES.ACTUATED]) {
+    test(`a restored ${mode} run continues exactly as the original`, () => {
+        const runner = new HeadlessRunner({ mode, settings: SETTINGS });
+        runner.run(90);
+        const snapshot = runner.withConsole(() => runner.gameEngine.saveSnapshot());
+
+        const original = fingerprint(runner, runner.run(60));
+        runner.withConsole(() => runner.gameEngine.restoreSnapshot(snapshot));
+        const restored = fingerprint(runner, runner.run(60));
+
+        assert.equal(restored, original);
+    });
+}
+
+test('a snapshot restores into a fresh engine', () => {
+    const source = new HeadlessRunner({ mode: CONFIG.MODES.ACTUATED, settings: SETTINGS });
+    source.run(90);
+    const snapshot = source.withConsole(() => source.gameEngine.saveSnapshot());
+    const original = fingerprint(source, source.run(60));
+
+    const target = new HeadlessRunner({ mode: CONFIG.MODES.FIXED });
+    target.initialize();
+    target.withConsole(() => target.gameEngine.restoreSnapshot(snapshot));
+    assert.equal(target.gameEngine.mode, CONFIG.MODES.ACTUATED);
+    assert.equal(fingerprint(target, target.run(60)), original);
+});
+
+test('snapshots of another version are refused', () => {
+    const runner = new HeadlessRunner();
+    runner.run(1);
+    const snapshot = JSON.parse(runner.withConsole(() => runner.gameEngine.saveSnapshot()));
+    assert.throws(() => runner.gameEngine.restoreSnapshot({ ...snapshot, version: 99 }), /Unsupported snapshot version/);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { importSumoScenario } from '../sumoImport.js';
+import { HeadlessRunner, silently } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+// A four-arm junction 'C' with edges WC, EC, SC, NC into it and CE, CW, CN, CS out of it, one tlLogic, and a route file
+// with flows, a route distribution, single vehicles, trips and a pedestrian
+const NET_XML = readFileSync(new URL('./fixtures/cross.net.xml', import.meta.url), 'utf8');
+const ROUTE_XML = readFileSync(new URL('./fixtures/cross.rou.xml', import.meta.url), 'utf8');
+
+const importQuietly = (...args) => silently(() => importSumoScenario(...args));
+
+test('each incoming edge becomes an approach road continuing onto the edge opposite', () => {
+    const { roadNetwork } = importQuietly(NET_XML);
+
+    assert.deepEqual(roadNetwork.roads.map(road => road.name), ['WC → CE', 'EC → CW', 'SC → CN', 'NC → CS']);
+    // The sidewalk lane of WC is not a vehicle lane
+    roadNetwork.roads.forEach(road => {
+        assert.equal(road.lanes, 2);
+        assert.equal(road.speedLimit, 13.89);
+    });
+    Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+        const approach = roadNetwork.approaches[direction];
+        assert.equal(approach.stopLine, 100, `${direction} stop line at the end of its 100 m edge`);
+        assert.deepEqual(approach.laneUse, ['LT', 'TR']);
+    });
+    assert.deepEqual(
+        roadNetwork.movements.filter(movement => movement.approach === 'north').map(movement => [movement.turn, movement.route]),
+        [['straight', [2]], ['right', [2, 0]], ['left', [2, 1]]]
+    );
+});
+
+test('the tlLogic becomes a fixed-time plan with its protected lefts, clearances and offset', () => {
+    const { settings, warnings } = importQuietly(NET_XML);
+
+    assert.deepEqual(settings.FIXED_PHASES.map(phase => [phase.pair, phase.through, phase.left, phase.duration]), [
+        ['NS', 'green', 'permitted', 31000],
+        ['NS', 'yellow', 'permitted', 3000],
+        ['NS', 'red', 'protected', 6000],
+        ['NS', 'red', 'yellow', 3000],
+        ['NS', 'red', 'permitted', 2000],
+        ['WE', 'green', 'permitted', 31000],
+        ['WE', 'yellow', 'permitted', 3000],
+        ['WE', 'red', 'permitted', 2000]
+    ]);
+    assert.equal(settings.REFERENCE_PHASE, 'NS');
+    assert.equal(settings.CYCLE_OFFSET, 10000);
+    assert.equal(settings.DEMAND, undefined);
+    assert.deepEqual(warnings, []);
+});
+
+test('vehicles, trips and flows passing the junction are counted per movement and interval', () => {
+    const { settings, warnings } = importQuietly(NET_XML, ROUTE_XML);
+
+    // f1 400 veh/h + f2 trucks every 90 s until 1800 s; f3 0.08 veh/s + v1; f4 200 over 900-2700 s
+    // split 3:1 straight/right; f5 100 veh/h turning left; v2 and t1 are single left turns
+    assert.equal(settings.DEMAND.intervalMinutes, CONFIG.DEMAND.INTERVAL_MINUTES);
+    assert.deepEqual(settings.DEMAND.intervals, [
+        { ROUTE_00: 110, ROUTE_11: 73, ROUTE_40: 25, ROUTE_03: 1, ROUTE_21: 1 },
+        { ROUTE_00: 110, ROUTE_11: 72, ROUTE_23: 75, ROUTE_20: 25, ROUTE_40: 25 },
+        { ROUTE_00: 100, ROUTE_11: 72, ROUTE_23: 75, ROUTE_20: 25, ROUTE_40: 25 },
+        { ROUTE_00: 100, ROUTE_11: 72, ROUTE_40: 25 }
+    ]);
+
+    const total = settings.DEMAND.intervals.reduce((sum, interval) =>
+        sum + Object.values(interval).reduce((intervalSum, count) => intervalSum + count, 0), 0);
+    assert.ok(Math.abs(settings.VEHICLE_MIX.truck - 20 / total) < 1e-12);
+    assert.equal(settings.VEHICLE_MIX.bus, 0);
+    // The trip from CE back to CE never crosses the junction
+    assert.deepEqual(warnings, ['1 vehicles do not pass the junction']);
+});
+
+test('files that are not a usable SUMO scenario are rejected', () => {
+    assert.throws(() => importQuietly('<routes/>'), /expected a <net> file, found <routes>/);
+    assert.throws(() => importQuietly(NET_XML.replace('type="traffic_light"', 'type="priority"')), /no signalized junction/);
+    assert.throws(() => importQuietly(NET_XML, [], { junction: 'Q' }), /no junction 'Q'/);
+    assert.throws(() => importQuietly(NET_XML, [], { programID: 'night' }), /no signal program 'night' for junction C/);
+    assert.throws(() => importQuietly(NET_XML, '<net/>'), /expected a <routes> file, found <net>/);
+});
+
+test('an imported scenario runs its signal plan and demand', () => {
+    const scenario = importQuietly(NET_XML, ROUTE_XML);
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 3 } });
+    runner.initialize();
+    runner.withConsole(() => runner.gameEngine.loadScenario(scenario));
+
+    const greenStarts = [];
+    let previous = null;
+    runner.withConsole(() => {
+        while (runner.clock.now() < 200000) {
+            runner.step();
+            const north = runner.gameEngine.getLightStates().north;
+            if (north === CONFIG.LIGHT_STATES.GREEN && previous !== null && previous !== north) {
+                greenStarts.push(runner.clock.now());
+            }
+            previous = north;
+        }
+    });
+
+    // The 81 s cycle starts its north-south green at the program offset
+    assert.ok(greenStarts.length >= 2);
+    greenStarts.forEach(start => assert.ok((start - 10000) % 81000 < 1000, `north green at ${start} ms`));
+
+    // About 210 vehicles per 15 minutes arrive in the first interval
+    const statistics = runner.gameEngine.getStatistics();
+    assert.ok(statistics.totalCarsPassed + statistics.currentCars > 35);
+    assert.ok(statistics.totalCarsPassed > 25);
+    assert.equal(runner.gameEngine.intersection.network[0].speedLimit, 13.89);
+});
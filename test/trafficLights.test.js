@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * North-approach indications, one entry per change, over a run
+ * @param {string} mode - one of CONFIG.MODES
+ * @param {Object} settings - setting overrides
+ * @param {number} seconds - simulated time to run (s)
+ * @returns {Array} [{ time, through, left }] in order
+ */
+function recordNorthIndications(mode, settings, seconds) {
+    const runner = new HeadlessRunner({ mode, settings: { RANDOM_SEED: 4, ...settings } });
+    runner.initialize();
+    const changes = [];
+    runner.withConsole(() => {
+        while (runner.clock.now() < seconds * 1000) {
+            runner.step();
+            const trafficLights = runner.gameEngine.getCurrentModeComponents().trafficLights;
+            const through = trafficLights.getLightStates().north;
+            const left = trafficLights.getLeftTurnStates().north;
+            const last = changes[changes.length - 1];
+            if (!last || last.through !== through || last.left !== left) {
+                changes.push({ time: runner.clock.now(), through, left });
+            }
+        }
+    });
+    return changes;
+}
+
+const describeChange = change => `${change.through}/${change.left}`;
+
+test('leading protected lefts run their arrow and its yellow right before the through green', () => {
+    const changes = recordNorthIndications(CONFIG.MODES.FIXED, {
+        GREEN_DURATION: 20000, LEFT_TURN_PHASING: CONFIG.LEFT_TURN_PHASING.LEADING
+    }, 150).map(describeChange);
+
+    const arrow = changes.indexOf('red/protected');
+    assert.ok(arrow > 0, 'no protected arrow was shown');
+    assert.deepEqual(changes.slice(arrow, arrow + 3), ['red/protected', 'red/yellow', 'green/permitted']);
+    changes.forEach((change, index) => {
+        if (change === 'red/yellow') assert.equal(changes[index - 1], 'red/protected');
+    });
+});
+
+test('lagging protected lefts run their arrow and its yellow right after the through yellow', () => {
+    const changes = recordNorthIndications(CONFIG.MODES.FIXED, {
+        GREEN_DURATION: 20000, LEFT_TURN_PHASING: CONFIG.LEFT_TURN_PHASING.LAGGING
+    }, 60).map(describeChange);
+
+    assert.deepEqual(changes.slice(0, 5), [
+        'green/permitted', 'yellow/permitted', 'red/protected', 'red/yellow', 'red/permitted'
+    ]);
+});
+
+test('an emergency vehicle preempts the signals, gets its green and normal operation resumes', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 4, CAR_SPAWN_RATE: 1 } });
+    runner.run(35);
+    const engine = runner.gameEngine;
+    const trafficLights = engine.getCurrentModeComponents().trafficLights;
+    const road = engine.intersection.network[engine.intersection.approachRoads.east];
+    assert.equal(trafficLights.getLightStates().east, CONFIG.LIGHT_STATES.RED);
+
+    const emergency = runner.withConsole(() => engine.dispatchEmergencyVehicle('east'));
+    assert.ok(emergency);
+    const stages = [];
+    let crossedOn = null;
+    let yielding = 0;
+    runner.withConsole(() => {
+        for (let step = 0; step < 400; step++) {
+            const before = emergency.vehicle.u;
+            runner.step();
+            const { stage } = trafficLights.preemptionState;
+            if (stage && stages[stages.length - 1] !== stage) stages.push(stage);
+            if (stage === 'serving') {
+                const lights = trafficLights.getLightStates();
+                assert.equal(lights.north, CONFIG.LIGHT_STATES.RED);
+                assert.equal(lights.south, CONFIG.LIGHT_STATES.RED);
+            }
+            if (crossedOn === null && before < road.stopLineU && emergency.vehicle.u >= road.stopLineU) {
+                crossedOn = trafficLights.getLightStates().east;
+            }
+            yielding += road.veh.filter(veh => veh.yieldingToEmergency).length;
+        }
+    });
+
+    assert.deepEqual(stages, ['clearing', 'allRed', 'serving', 'exiting', 'exitRed']);
+    assert.equal(crossedOn, CONFIG.LIGHT_STATES.GREEN);
+    assert.ok(yielding > 0, 'no vehicle moved aside for the emergency vehicle');
+    assert.equal(trafficLights.preemptionState.count, 1);
+    assert.equal(trafficLights.preemptionState.isActive, false);
+});
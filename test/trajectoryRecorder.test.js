@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrajectoryRecorder } from '../trajectoryRecorder.js';
+import { HeadlessRunner } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+const SIGNALS = Object.fromEntries(Object.values(CONFIG.DIRECTIONS).map(direction => [direction, CONFIG.LIGHT_STATES.RED]));
+const ARROWS = Object.fromEntries(Object.values(CONFIG.DIRECTIONS).map(direction => [direction, CONFIG.LEFT_TURN_STATES.PERMITTED]));
+const WALKS = Object.fromEntries(Object.values(CONFIG.DIRECTIONS).map(direction => [direction, CONFIG.PEDESTRIAN_STATES.DONT_WALK]));
+
+// Minimal live car with the fields the recorder reads
+const car = (id, u) => ({
+    id, roadId: 0, u, v: 0, speed: 10, acc: 0, dvdt: 0, state: 'approaching',
+    vehicleType: 'car', color: 'red', len: 5, width: 2.5, vehicle: { route: [0] }
+});
+
+test('a full buffer overwrites its oldest step and forgets vehicles no frame holds any more', () => {
+    const clock = { time: 0, now() { return this.time; } };
+    const recorder = new TrajectoryRecorder(clock, 3);
+    const steps = [[car(1, 0)], [car(1, 1), car(2, 0)], [car(2, 1)], [car(2, 2)], [car(3, 0)]];
+
+    steps.forEach(cars => {
+        clock.time += 100;
+        recorder.record(cars, SIGNALS, ARROWS, WALKS);
+    });
+
+    assert.equal(recorder.getFrameCount(), 3);
+    assert.deepEqual([0, 1, 2].map(index => recorder.getFrameTime(index)), [300, 400, 500]);
+    assert.deepEqual([...recorder.vehicles.keys()].sort(), [2, 3]);
+    assert.equal(recorder.getFrame(3), null);
+
+    const [vehicle] = recorder.getFrame(1).vehicles;
+    assert.equal(vehicle.id, 2);
+    assert.equal(vehicle.u, 2);
+    assert.equal(vehicle.vehicleType, 'car');
+    assert.equal(vehicle.state, 'approaching');
+});
+
+test('recorded steps match the live simulation and the replay scrubs through them', () => {
+    const runner = new HeadlessRunner({ mode: CONFIG.MODES.FIXED, settings: { RANDOM_SEED: 2, CAR_SPAWN_RATE: 0.5 } });
+    runner.run(60);
+    const engine = runner.gameEngine;
+    const recorder = engine.recorder;
+
+    const latest = recorder.getFrame(recorder.getFrameCount() - 1);
+    const cars = engine.getCurrentModeComponents().carManager.getCars();
+    assert.equal(latest.time, engine.clock.now());
+    assert.deepEqual(latest.lightStates, engine.getLightStates());
+    assert.equal(latest.vehicles.length, cars.length);
+    cars.forEach((live, index) => {
+        const recorded = latest.vehicles[index];
+        assert.equal(recorded.id, live.id);
+        assert.ok(Math.abs(recorded.u - live.u) < 1e-3);
+    });
+
+    const replay = runner.withConsole(() => engine.startReplay());
+    const time = engine.clock.now();
+    replay.seek(0);
+    assert.equal(replay.getState().time, recorder.getFrameTime(0));
+    replay.play();
+    runner.withConsole(() => { for (let step = 0; step < 10; step++) engine.update(); });
+    assert.equal(replay.getState().frameIndex, 10);
+    assert.equal(engine.clock.now(), time, 'the live simulation must stay frozen during a replay');
+});
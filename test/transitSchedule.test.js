@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransitSchedule } from '../transitSchedule.js';
+import { TrafficLightController } from '../trafficLights.js';
+import { SimulationClock } from '../simulationClock.js';
+import { getRandomGenerator } from '../random.js';
+import { silently } from '../headlessRunner.js';
+import { CONFIG } from '../config.js';
+
+const STEP = 100;
+const SETTINGS = { ...CONFIG.DEFAULT_SETTINGS, GREEN_DURATION: 20000, MIN_GREEN_TIME: 5000 };
+
+/**
+ * Run a fixed-time controller with late-bus requests scripted over time
+ * @param {Function} requestsAt - time (ms) -> requests for setPriorityRequests
+ * @returns {Object} { trafficLights, yellowAt } with the first time the north-south yellow showed
+ */
+function runFixedWithRequests(requestsAt, seconds) {
+    return silently(() => {
+        const clock = new SimulationClock(STEP);
+        const trafficLights = new TrafficLightController(clock);
+        trafficLights.initialize(CONFIG.MODES.FIXED, SETTINGS);
+        let yellowAt = null;
+        while (clock.now() < seconds * 1000) {
+            const deltaTime = clock.tick();
+            trafficLights.setPriorityRequests(requestsAt(clock.now()));
+            trafficLights.update(deltaTime, CONFIG.MODES.FIXED, SETTINGS);
+            if (yellowAt === null && trafficLights.getLightStates().north === CONFIG.LIGHT_STATES.YELLOW) {
+                yellowAt = clock.now();
+            }
+        }
+        return { trafficLights, yellowAt };
+    });
+}
+
+const lateBus = direction => ({ direction, turn: CONFIG.TURN_TYPES.STRAIGHT, busId: 7, lateness: 90 });
+
+test('buses are dispatched every headway, off the timetable by at most the allowed deviation', () => {
+    getRandomGenerator().setSeed(5);
+    const clock = new SimulationClock(1000);
+    const route = { id: 'T', direction: 'east', turn: 'straight', headway: 120, offset: 10 };
+    const schedule = new TransitSchedule(clock, [route]);
+    const trips = [];
+
+    while (clock.now() < 1200000) {
+        clock.tick();
+        schedule.getDueTrips().forEach(trip => {
+            trips.push({ ...trip, enteredAt: clock.now() });
+            schedule.completeDispatch(trip);
+        });
+    }
+
+    assert.equal(schedule.dispatched, trips.length);
+    trips.forEach((trip, index) => {
+        assert.equal(trip.scheduledDeparture, (route.offset + index * route.headway) * 1000);
+        const deviation = (trip.dispatchTime - trip.scheduledDeparture) / 1000;
+        assert.ok(deviation <= CONFIG.TRANSIT.DISPATCH_DEVIATION.LATE);
+        assert.ok(deviation >= -CONFIG.TRANSIT.DISPATCH_DEVIATION.EARLY || trip.dispatchTime === 0);
+    });
+    assert.ok(trips.length >= 8);
+});
+
+test('lateness is measured against the timetable running time to the check-in point', () => {
+    const clock = new SimulationClock(1000);
+    const schedule = new TransitSchedule(clock, []);
+    for (let step = 0; step < 100; step++) clock.tick();
+
+    const transit = { scheduledDeparture: 20000 };
+    const u = CONFIG.GEOMETRIC.SPAWN_POSITION + 10 * CONFIG.TRANSIT.SCHEDULE_SPEED;
+    assert.equal(schedule.getLateness(transit, u), 100 - 20 - 10);
+});
+
+test('a late bus on the green approach extends its green, once', () => {
+    const { trafficLights, yellowAt } = runFixedWithRequests(time => time > 15000 ? [lateBus('north')] : [], 60);
+
+    assert.ok(Math.abs(yellowAt - (20000 + CONFIG.TRANSIT.MAX_EXTENSION)) <= STEP, `yellow at ${yellowAt} ms`);
+    assert.equal(trafficLights.priorityState.extensions, 1);
+});
+
+test('a late bus on the red approach ends the conflicting green early', () => {
+    const { trafficLights, yellowAt } = runFixedWithRequests(() => [lateBus('east')], 10);
+
+    const earlyEnd = Math.max(20000 - CONFIG.TRANSIT.MAX_EARLY_GREEN, SETTINGS.MIN_GREEN_TIME);
+    assert.ok(Math.abs(yellowAt - earlyEnd) <= STEP, `yellow at ${yellowAt} ms`);
+    assert.equal(trafficLights.priorityState.earlyGreens, 1);
+});
+
+test('grants are forgotten once the bus stops requesting', () => {
+    const { trafficLights } = runFixedWithRequests(time => time > 15000 && time < 40000 ? [lateBus('north')] : [], 45);
+
+    assert.equal(trafficLights.priorityState.extensions, 1);
+    assert.deepEqual(trafficLights.priorityState.grants, []);
+});
+
+test('a late bus forces off conflicting actuated greens and the termination summary counts them', () => {
+    const trafficLights = silently(() => {
+        const clock = new SimulationClock(STEP);
+        const controller = new TrafficLightController(clock);
+        const settings = { ...SETTINGS, MAX_GREEN_TIME: 30000, PASSAGE_TIME: 3000 };
+        controller.initialize(CONFIG.MODES.ACTUATED, settings);
+        // Every stop-bar loop stays occupied, so greens only end at max-out or when forced off
+        const loops = {
+            getDetectors: () => ['through', 'left'].map(movement => ({ movement, presence: true, stepCount: 1 })),
+            servesMovement: (loop, turnType) => (turnType === CONFIG.TURN_TYPES.LEFT) === (loop.movement === 'left')
+        };
+        while (clock.now() < 300000) {
+            const deltaTime = clock.tick();
+            controller.setPriorityRequests([lateBus('east')]);
+            controller.updateActuatedLogic(loops);
+            controller.update(deltaTime, CONFIG.MODES.ACTUATED, settings);
+        }
+        return controller;
+    });
+
+    const terminations = trafficLights.getDebugInfo().terminations;
+    const counts = Object.values(terminations).flatMap(reasons => Object.values(reasons));
+    counts.forEach(count => assert.ok(Number.isInteger(count), `termination count ${count}`));
+    const forcedOff = Object.values(terminations).reduce((sum, reasons) => sum + reasons['force-off'], 0);
+    assert.ok(forcedOff > 0);
+    assert.ok(trafficLights.priorityState.earlyGreens >= 1);
+});
@@ -1,4 +1,7 @@
 import { CONFIG } from "./config.js";
+import { RingBarrierController } from "./ringBarrierController.js";
+import { ActuatedController } from "./actuatedController.js";
+import { cycleModulo } from "./coordination.js";
 
 
 export class TrafficLightController {
@@ -9,9 +12,15 @@ export class TrafficLightController {
             this.initializeFixedMode();
         } else if (mode === CONFIG.MODES.ADAPTIVE) {
             this.initializeAdaptiveMode();
+        } else if (mode === CONFIG.MODES.RING_BARRIER) {
+            this.initializeRingBarrierMode();
+        } else if (mode === CONFIG.MODES.ACTUATED) {
+            this.initializeActuatedMode();
         }
+        // Yield control has no signal logic: the lights stay red and no approach obeys them
     }
-    constructor() {
+    constructor(clock) {
+        this.clock = clock; // Simulation clock shared with the game engine
         this.lights = {};
         this.mode = CONFIG.MODES.FIXED;
         this.settings = { ...CONFIG.DEFAULT_SETTINGS };
@@ -34,6 +43,39 @@ export class TrafficLightController {
             lastSwitchTime: 0,
             firstCarTriggered: false
         };
+
+        // Ring-barrier mode state - NEMA phases 1-8 timed by their own controller
+        this.ringBarrier = new RingBarrierController();
+        this.ringBarrierState = {
+            isActive: false
+        };
+
+        // Actuated mode state - ring-barrier phases extended by stop-line detectors
+        this.actuated = new ActuatedController(clock);
+        this.actuatedState = {
+            isActive: false
+        };
+
+        // Emergency vehicle preemption - overrides whichever mode is running
+        this.preemptionState = this.createPreemptionState();
+
+        // Transit signal priority - adjusts the running mode's greens for late buses
+        this.priorityState = this.createPriorityState();
+        [this.ringBarrier, this.actuated.ringBarrier].forEach(controller => {
+            controller.extendGreen = (phaseNumber, overrun) => this.extendPriorityGreen(phaseNumber, overrun);
+            controller.shouldForceOff = (phaseNumber, greenTime, maxGreen) =>
+                this.shouldForceOffForPriority(phaseNumber, greenTime, maxGreen);
+        });
+
+        // Pedestrian signals - WALK and clearance run with the parallel through green and hold it
+        this.crosswalks = {};       // Direction -> Intersection crosswalk, set by setCrosswalks()
+        this.pedestrianState = this.createPedestrianState();
+        [this.ringBarrier, this.actuated.ringBarrier].forEach(controller => {
+            controller.holdGreen = (phaseNumber) => this.holdGreenForPedestrians(phaseNumber);
+        });
+        const detectorCall = this.actuated.ringBarrier.hasCall;
+        this.actuated.ringBarrier.hasCall = (phaseNumber) =>
+            detectorCall(phaseNumber) || this.hasPedestrianCall(phaseNumber);
        
         this.initializeLights();
 
@@ -44,6 +86,7 @@ export class TrafficLightController {
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.lights[direction] = {
                 state: CONFIG.LIGHT_STATES.RED,
+                leftArrow: CONFIG.LEFT_TURN_STATES.PERMITTED, // Left turns follow the ball and yield
                 timer: 0
             };
         });
@@ -55,9 +98,24 @@ export class TrafficLightController {
 
     initializeFixedMode() {
         console.log('Initializing Fixed Mode');
+
+        // Join the common cycle wherever it is now (at time 0 without an offset: North-South green)
+        const schedule = this.getFixedSchedule();
+        const cycleLength = this.getCycleLength();
+        const position = this.getCyclePosition();
+        let currentPhase = schedule.findIndex(phase => cycleModulo(position - phase.start, cycleLength) < phase.duration);
+        let phaseTimer = cycleModulo(position - schedule[currentPhase].start, cycleLength);
+
+        // Never join part-way through a yellow: start the following phase instead
+        const phase = schedule[currentPhase];
+        if (phase.through === CONFIG.LIGHT_STATES.YELLOW || phase.left === CONFIG.LEFT_TURN_STATES.YELLOW) {
+            currentPhase = (currentPhase + 1) % schedule.length;
+            phaseTimer = 0;
+        }
+
         this.fixedState = {
-            currentPhase: 0, // Start with North-South green
-            phaseTimer: 0,
+            currentPhase,
+            phaseTimer,
             isActive: true
         };
         this.setFixedLightState();
@@ -80,11 +138,44 @@ export class TrafficLightController {
     }
 
 
+    initializeRingBarrierMode() {
+        console.log('Initializing Ring-Barrier Mode');
+        this.ringBarrier.setPhaseTimings(this.settings.RING_BARRIER_PHASES);
+        this.ringBarrier.reset();
+        this.ringBarrierState = {
+            isActive: true
+        };
+        this.setRingBarrierLightState();
+    }
+
+
+    initializeActuatedMode() {
+        console.log('Initializing Actuated Mode');
+        this.actuated.setSettings(this.settings);
+        this.actuated.reset();
+        this.actuatedState = {
+            isActive: true
+        };
+        this.setActuatedLightState();
+    }
+
+
     update(deltaTime, mode, settings) {
         this.mode = mode;
         this.settings = { ...settings };
+        this.trackGreens();
+        this.releasePedestrianHolds();
+
+        // The mode's own timing is frozen while an emergency vehicle is being served
+        if (!this.updatePreemption(deltaTime)) {
+            this.updateModeLogic(deltaTime, mode);
+        }
+
+        this.updatePedestrianSignals(deltaTime);
+    }
 
 
+    updateModeLogic(deltaTime, mode) {
         if (mode === CONFIG.MODES.FIXED) {
             if (!this.fixedState.isActive) {
                 this.initializeFixedMode();
@@ -95,55 +186,177 @@ export class TrafficLightController {
                 this.initializeAdaptiveMode();
             }
             this.updateAdaptiveMode(deltaTime);
+        } else if (mode === CONFIG.MODES.RING_BARRIER) {
+            if (!this.ringBarrierState.isActive) {
+                this.initializeRingBarrierMode();
+            }
+            this.updateRingBarrierMode(deltaTime);
+        } else if (mode === CONFIG.MODES.ACTUATED) {
+            if (!this.actuatedState.isActive) {
+                this.initializeActuatedMode();
+            }
+            this.updateActuatedMode(deltaTime);
         }
     }
 
 
     // FIXED MODE LOGIC - Simple timer-based cycling
+    // Without protected lefts the cycle is:
+    // 0: NS green, 1: NS yellow, 2: NS red (wait), 3: WE green, 4: WE yellow, 5: WE red (wait)
+    // Leading/lagging left arrows insert a protected phase and its yellow before/after each green
+    // An explicit FIXED_PHASES plan (e.g. imported from SUMO) replaces the generated cycle
+    getFixedPhases() {
+        const GREEN = CONFIG.LIGHT_STATES.GREEN;
+        const YELLOW = CONFIG.LIGHT_STATES.YELLOW;
+        const RED = CONFIG.LIGHT_STATES.RED;
+        const LEFT = CONFIG.LEFT_TURN_STATES;
+        const phasing = this.settings.LEFT_TURN_PHASING || CONFIG.LEFT_TURN_PHASING.PERMITTED;
+        const arrowDuration = this.settings.LEFT_ARROW_DURATION;
+
+        const phases = [];
+        if (this.settings.FIXED_PHASES) {
+            this.settings.FIXED_PHASES.forEach(phase => phases.push({ ...phase }));
+        } else {
+            ['NS', 'WE'].forEach(pair => {
+                if (phasing === CONFIG.LEFT_TURN_PHASING.LEADING) {
+                    phases.push({ pair, through: RED, left: LEFT.PROTECTED, duration: arrowDuration });
+                    phases.push({ pair, through: RED, left: LEFT.YELLOW, duration: this.settings.YELLOW_DURATION });
+                }
+
+                phases.push({ pair, through: GREEN, left: LEFT.PERMITTED, duration: this.settings.GREEN_DURATION });
+                phases.push({ pair, through: YELLOW, left: LEFT.PERMITTED, duration: this.settings.YELLOW_DURATION });
+
+                if (phasing === CONFIG.LEFT_TURN_PHASING.LAGGING) {
+                    phases.push({ pair, through: RED, left: LEFT.PROTECTED, duration: arrowDuration });
+                    phases.push({ pair, through: RED, left: LEFT.YELLOW, duration: this.settings.YELLOW_DURATION });
+                }
+
+                phases.push({ pair, through: RED, left: LEFT.PERMITTED, duration: 3000 }); // 3 seconds all-red wait
+            });
+        }
+
+        // A set cycle length gives the reference pair's green whatever the other phases leave
+        const reference = phases.find(phase => phase.pair === this.getReferencePair() && phase.through === GREEN);
+        if (this.settings.CYCLE_LENGTH && reference) {
+            const others = phases.reduce((sum, phase) => sum + (phase === reference ? 0 : phase.duration), 0);
+            reference.duration = Math.max(this.settings.CYCLE_LENGTH - others, this.settings.MIN_GREEN_TIME);
+        }
+
+        return phases;
+    }
+
+
+    // COORDINATION - every fixed-time controller follows the common cycle clock
+    // The cycle starts when the reference pair's green starts, CYCLE_OFFSET after simulation time 0.
+    getReferencePair() {
+        return this.settings.REFERENCE_PHASE || 'NS';
+    }
+
+
+    getCycleLength() {
+        return this.getFixedPhases().reduce((sum, phase) => sum + phase.duration, 0);
+    }
+
+
+    // Position in the common cycle (ms)
+    getCyclePosition() {
+        return cycleModulo(this.clock.now() - (this.settings.CYCLE_OFFSET || 0), this.getCycleLength());
+    }
+
+
+    // Fixed phases with their scheduled start in the cycle (ms)
+    getFixedSchedule() {
+        const phases = this.getFixedPhases();
+        const cycleLength = phases.reduce((sum, phase) => sum + phase.duration, 0);
+        const starts = [];
+        phases.reduce((start, phase) => {
+            starts.push(start);
+            return start + phase.duration;
+        }, 0);
+
+        const referenceIndex = phases.findIndex(phase =>
+            phase.pair === this.getReferencePair() && phase.through === CONFIG.LIGHT_STATES.GREEN
+        );
+        return phases.map((phase, index) => ({
+            ...phase,
+            start: cycleModulo(starts[index] - starts[referenceIndex], cycleLength)
+        }));
+    }
+
+
+    // Time until the phase's scheduled end; negative while it runs late
+    getTimeToScheduledEnd(phaseIndex) {
+        const phase = this.getFixedSchedule()[phaseIndex];
+        const cycleLength = this.getCycleLength();
+        const elapsed = cycleModulo(this.getCyclePosition() - phase.start, cycleLength);
+        if (elapsed <= phase.duration) return phase.duration - elapsed;
+
+        // Outside its slot: running late past its end, or started ahead of its start
+        const late = elapsed - phase.duration;
+        const early = cycleLength - elapsed;
+        return late <= early ? -late : early + phase.duration;
+    }
+
+
+    // Greens end at their scheduled point in the cycle, so a green that started late (after a
+    // priority extension, pedestrian clearance or preemption) is shortened to catch up, never
+    // below the minimum green; yellows, all-reds and arrows always run their full duration
+    getScheduledDuration(phase) {
+        if (phase.through !== CONFIG.LIGHT_STATES.GREEN) return phase.duration;
+
+        const scheduled = this.fixedState.phaseTimer + this.getTimeToScheduledEnd(this.fixedState.currentPhase);
+        return Math.max(scheduled, Math.min(this.settings.MIN_GREEN_TIME, phase.duration));
+    }
+
+
     updateFixedMode(deltaTime) {
         this.fixedState.phaseTimer += deltaTime;
 
+        const phases = this.getFixedPhases();
 
-        switch (this.fixedState.currentPhase) {
-            case 0: // NS green
-                if (this.fixedState.phaseTimer >= this.settings.GREEN_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 1: // NS yellow
-                if (this.fixedState.phaseTimer >= this.settings.YELLOW_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 2: // NS red (wait)
-                if (this.fixedState.phaseTimer >= 3000) { // 3 seconds wait
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 3: // WE green
-                if (this.fixedState.phaseTimer >= this.settings.GREEN_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 4: // WE yellow
-                if (this.fixedState.phaseTimer >= this.settings.YELLOW_DURATION) {
-                    this.advanceFixedPhase();
-                }
-                break;
-            case 5: // WE red (wait)
-                if (this.fixedState.phaseTimer >= 3000) { // 3 seconds wait
-                    this.advanceFixedPhase();
-                }
-                break;
+        // Phasing may have changed mid-cycle
+        if (this.fixedState.currentPhase >= phases.length) {
+            this.fixedState.currentPhase = 0;
+            this.setFixedLightState();
+        }
+
+        const phase = phases[this.fixedState.currentPhase];
+        if (this.fixedState.phaseTimer >= this.getFixedPhaseDuration(phase) &&
+            !this.isPedestrianIntervalActive(phase.pair)) {
+            this.advanceFixedPhase();
         }
     }
 
 
+    // Phase duration adjusted for a late bus: its own green is held, a conflicting green ends early
+    getFixedPhaseDuration(phase) {
+        const duration = this.getScheduledDuration(phase);
+        const request = this.getPriorityRequest();
+        if (!request || phase.through !== CONFIG.LIGHT_STATES.GREEN) return duration;
+
+        const timer = this.fixedState.phaseTimer;
+        if (phase.pair === this.getDirectionPair(request.direction)) {
+            if (timer < duration || !this.canExtendGreen(phase.pair)) return duration;
+            this.grantPriority(request, 'extensions');
+            return duration + CONFIG.TRANSIT.MAX_EXTENSION;
+        }
+
+        const earlyEnd = Math.min(
+            Math.max(duration - CONFIG.TRANSIT.MAX_EARLY_GREEN, this.settings.MIN_GREEN_TIME),
+            duration
+        );
+        if (timer >= earlyEnd && timer < duration) {
+            this.grantPriority(request, 'earlyGreens');
+        }
+        return earlyEnd;
+    }
+
+
     advanceFixedPhase() {
-    this.fixedState.currentPhase = (this.fixedState.currentPhase + 1) % 6;
-    this.fixedState.phaseTimer = 0;
-    this.setFixedLightState();
-    console.log(`Fixed Mode: Advanced to phase ${this.fixedState.currentPhase}`);
+        this.fixedState.currentPhase = (this.fixedState.currentPhase + 1) % this.getFixedPhases().length;
+        this.fixedState.phaseTimer = 0;
+        this.setFixedLightState();
+        console.log(`Fixed Mode: Advanced to phase ${this.fixedState.currentPhase}`);
     }
 
 
@@ -151,31 +364,59 @@ export class TrafficLightController {
         // Reset all lights to red first
         this.setAllLightsRed();
 
+        const phase = this.getFixedPhases()[this.fixedState.currentPhase];
+        if (!phase) return;
 
-        switch (this.fixedState.currentPhase) {
-            case 0: // NS green
-                this.lights[CONFIG.DIRECTIONS.NORTH].state = CONFIG.LIGHT_STATES.GREEN;
-                this.lights[CONFIG.DIRECTIONS.SOUTH].state = CONFIG.LIGHT_STATES.GREEN;
-                break;
-            case 1: // NS yellow
-                this.lights[CONFIG.DIRECTIONS.NORTH].state = CONFIG.LIGHT_STATES.YELLOW;
-                this.lights[CONFIG.DIRECTIONS.SOUTH].state = CONFIG.LIGHT_STATES.YELLOW;
-                break;
-            case 2: // NS red (wait)
-                // All lights remain red
-                break;
-            case 3: // WE green
-                this.lights[CONFIG.DIRECTIONS.WEST].state = CONFIG.LIGHT_STATES.GREEN;
-                this.lights[CONFIG.DIRECTIONS.EAST].state = CONFIG.LIGHT_STATES.GREEN;
-                break;
-            case 4: // WE yellow
-                this.lights[CONFIG.DIRECTIONS.WEST].state = CONFIG.LIGHT_STATES.YELLOW;
-                this.lights[CONFIG.DIRECTIONS.EAST].state = CONFIG.LIGHT_STATES.YELLOW;
-                break;
-            case 5: // WE red (wait)
-                // All lights remain red
-                break;
-        }
+        this.getPairDirections(phase.pair).forEach(direction => {
+            this.lights[direction].state = phase.through;
+            this.lights[direction].leftArrow = phase.left;
+        });
+    }
+
+
+    getPairDirections(pair) {
+        return pair === 'NS'
+            ? [CONFIG.DIRECTIONS.NORTH, CONFIG.DIRECTIONS.SOUTH]
+            : [CONFIG.DIRECTIONS.WEST, CONFIG.DIRECTIONS.EAST];
+    }
+
+
+    // RING-BARRIER MODE LOGIC - NEMA phases drive per-movement heads
+    updateRingBarrierMode(deltaTime) {
+        this.ringBarrier.update(deltaTime);
+        this.setRingBarrierLightState();
+    }
+
+
+    setRingBarrierLightState() {
+        // Each approach has a through/right head (the ball) and a left-turn head (the arrow)
+        const movementStates = this.ringBarrier.getMovementStates();
+        Object.entries(movementStates).forEach(([direction, heads]) => {
+            this.lights[direction].state = heads.through;
+            this.lights[direction].leftArrow = heads.left;
+        });
+    }
+
+
+    // ACTUATED MODE LOGIC - Min green, passage-time extension, gap-out and max-out
+    updateActuatedMode(deltaTime) {
+        this.actuated.update(deltaTime);
+        this.setActuatedLightState();
+    }
+
+
+    updateActuatedLogic(loopDetectors) {
+        if (this.mode !== CONFIG.MODES.ACTUATED || !this.actuatedState.isActive) return;
+        this.actuated.updateDetectors(loopDetectors);
+    }
+
+
+    setActuatedLightState() {
+        const movementStates = this.actuated.getMovementStates();
+        Object.entries(movementStates).forEach(([direction, heads]) => {
+            this.lights[direction].state = heads.through;
+            this.lights[direction].leftArrow = heads.left;
+        });
     }
 
 
@@ -248,7 +489,7 @@ export class TrafficLightController {
     startAdaptiveRed() {
         this.adaptiveState.currentPhase = 'red';
         this.adaptiveState.phaseTimer = 0;
-        this.adaptiveState.lastSwitchTime = Date.now();
+        this.adaptiveState.lastSwitchTime = this.clock.now();
         this.setAllLightsRed();
         console.log(`Adaptive Mode: ${this.adaptiveState.currentPair} lights turned RED`);
     }
@@ -278,15 +519,38 @@ export class TrafficLightController {
         const currentPair = this.adaptiveState.currentPair;
         const otherPair = currentPair === 'WE' ? 'NS' : 'WE';
        
+        // Hold every green for at least the minimum green time
+        if (this.adaptiveState.phaseTimer < this.settings.MIN_GREEN_TIME) return false;
+        if (this.isPedestrianIntervalActive(currentPair)) return false;
+
         const currentScore = this.adaptiveState.priorityScores[currentPair] || 0;
         const otherScore = this.adaptiveState.priorityScores[otherPair] || 0;
        
         // Switch if other pair has significantly higher priority
-        return otherScore > currentScore * 1.5 && otherScore > 10;
+        const scoreSwitch = otherScore > currentScore * 1.5 && otherScore > 10;
+
+        // A late bus holds its own green or ends the conflicting one
+        const request = this.getPriorityRequest();
+        if (request) {
+            if (this.getDirectionPair(request.direction) !== currentPair) {
+                this.grantPriority(request, 'earlyGreens');
+                return true;
+            }
+            if (scoreSwitch && this.canExtendGreen(currentPair)) {
+                this.grantPriority(request, 'extensions');
+                return false;
+            }
+        }
+
+        return scoreSwitch;
     }
 
 
     getHighestPriorityPair() {
+        // A late bus's pair is served next
+        const request = this.getPriorityRequest();
+        if (request) return this.getDirectionPair(request.direction);
+
         const weScore = this.adaptiveState.priorityScores.WE || 0;
         const nsScore = this.adaptiveState.priorityScores.NS || 0;
        
@@ -309,9 +573,9 @@ export class TrafficLightController {
         this.lastPhase = currentPhase;
 
 
-        // Calculate priority scores for each pair
-        const weScore = this.calculatePairScore('WE', sensorData);
-        const nsScore = this.calculatePairScore('NS', sensorData);
+        // Calculate priority scores for each pair; a pedestrian call counts like waiting traffic
+        const weScore = this.calculatePairScore('WE', sensorData) + this.getPedestrianCallScore('WE');
+        const nsScore = this.calculatePairScore('NS', sensorData) + this.getPedestrianCallScore('NS');
        
         this.adaptiveState.priorityScores = { WE: weScore, NS: nsScore };
     }
@@ -341,9 +605,484 @@ export class TrafficLightController {
     }
 
 
+    // EMERGENCY VEHICLE PREEMPTION
+    // Stages: 'clearing' (conflicting greens show yellow), 'allRed', 'serving' (exclusive green
+    // for the emergency approach), 'exiting' (its yellow), 'exitRed'; then the mode restarts
+    createPreemptionState() {
+        return {
+            isActive: false,
+            direction: null,    // Approach being served
+            stage: null,
+            stageTimer: 0,
+            requests: [],       // Approaches with an emergency vehicle inside the detection distance
+            count: 0            // Preemptions served
+        };
+    }
+
+
+    /**
+     * Approaches requesting preemption this step, in detection order
+     * @param {Array} directions - from Intersection.getPreemptionRequests()
+     */
+    setPreemptionRequests(directions) {
+        this.preemptionState.requests = directions;
+    }
+
+
+    // Returns true while preemption controls the lights
+    updatePreemption(deltaTime) {
+        const state = this.preemptionState;
+
+        if (!state.isActive) {
+            if (state.requests.length === 0) return false;
+            this.startPreemption(state.requests[0]);
+            return true;
+        }
+
+        state.stageTimer += deltaTime;
+
+        switch (state.stage) {
+            case 'clearing':
+                if (state.stageTimer >= this.settings.YELLOW_DURATION) {
+                    this.setPreemptionStage('allRed');
+                }
+                break;
+            case 'allRed':
+                if (state.stageTimer >= CONFIG.PREEMPTION.ALL_RED) {
+                    this.setPreemptionStage('serving');
+                }
+                break;
+            case 'serving':
+                // Hold the green until the emergency vehicle has crossed the stop line
+                if (!state.requests.includes(state.direction) && state.stageTimer >= CONFIG.PREEMPTION.MIN_SERVICE) {
+                    this.setPreemptionStage('exiting');
+                }
+                break;
+            case 'exiting':
+                if (state.stageTimer >= this.settings.YELLOW_DURATION) {
+                    this.setPreemptionStage('exitRed');
+                }
+                break;
+            case 'exitRed':
+                if (state.stageTimer >= CONFIG.PREEMPTION.ALL_RED) {
+                    this.endPreemption();
+                }
+                break;
+        }
+
+        return state.isActive;
+    }
+
+
+    startPreemption(direction) {
+        const state = this.preemptionState;
+        state.isActive = true;
+        state.direction = direction;
+        state.count++;
+        console.log(`Preemption: emergency vehicle on ${direction} approach`);
+
+        // End every other approach's green through its yellow; the emergency approach keeps what it shows
+        let clearing = false;
+        Object.entries(this.lights).forEach(([lightDirection, light]) => {
+            if (lightDirection === direction) return;
+            if (light.state !== CONFIG.LIGHT_STATES.RED) {
+                light.state = CONFIG.LIGHT_STATES.YELLOW;
+                clearing = true;
+            }
+            if (light.leftArrow === CONFIG.LEFT_TURN_STATES.PROTECTED || light.leftArrow === CONFIG.LEFT_TURN_STATES.YELLOW) {
+                light.leftArrow = CONFIG.LEFT_TURN_STATES.YELLOW;
+                clearing = true;
+            }
+        });
+
+        state.stage = clearing ? 'clearing' : 'allRed';
+        state.stageTimer = 0;
+        if (!clearing) this.setPreemptionLights();
+    }
+
+
+    setPreemptionStage(stage) {
+        this.preemptionState.stage = stage;
+        this.preemptionState.stageTimer = 0;
+        this.setPreemptionLights();
+        console.log(`Preemption: ${this.preemptionState.direction} approach ${stage}`);
+    }
+
+
+    setPreemptionLights() {
+        const { direction, stage } = this.preemptionState;
+        const served = this.lights[direction];
+        const keepServed = stage === 'allRed' && served.state === CONFIG.LIGHT_STATES.GREEN;
+        const servedState = { ...served };
+
+        this.setAllLightsRed();
+
+        if (stage === 'serving') {
+            served.state = CONFIG.LIGHT_STATES.GREEN;
+            served.leftArrow = CONFIG.LEFT_TURN_STATES.PROTECTED;
+        } else if (stage === 'exiting') {
+            served.state = CONFIG.LIGHT_STATES.YELLOW;
+            served.leftArrow = CONFIG.LEFT_TURN_STATES.YELLOW;
+        } else if (keepServed) {
+            // An emergency approach that was already green stays green during the clearance
+            served.state = servedState.state;
+            served.leftArrow = servedState.leftArrow;
+        }
+    }
+
+
+    endPreemption() {
+        const state = this.preemptionState;
+        console.log(`Preemption: ${state.direction} approach served, returning to ${this.mode} mode`);
+
+        // Another approach waiting: go straight to it, the all-red has just run
+        const next = state.requests.find(direction => direction !== state.direction);
+        if (next) {
+            state.direction = next;
+            state.count++;
+            this.setPreemptionStage('serving');
+            return;
+        }
+
+        state.isActive = false;
+        state.direction = null;
+        state.stage = null;
+        state.stageTimer = 0;
+        this.restartMode();
+    }
+
+
+    isPreempted() {
+        return this.preemptionState.isActive;
+    }
+
+
+    // TRANSIT SIGNAL PRIORITY
+    // Late buses (CarManager.getPriorityRequests) get a green extension when their approach is
+    // green, or an early end of the conflicting green otherwise. No extension is granted once a
+    // cross-street approach has been red for CONFIG.TRANSIT.MAX_CROSS_WAIT.
+    createPriorityState() {
+        const lastGreen = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            lastGreen[direction] = this.clock.now();
+        });
+        return {
+            requests: [],
+            lastGreen,          // Direction -> last time its through light was green (ms)
+            grants: [],         // 'kind:busId' of grants to buses still requesting, so each bus counts once per kind
+            extensions: 0,
+            earlyGreens: 0
+        };
+    }
+
+
+    /**
+     * Late buses requesting priority this step, latest bus first
+     * A bus stops requesting once it clears the stop line; its grants are dropped then.
+     * @param {Array} requests - [{ direction, turn, busId, lateness }]
+     */
+    setPriorityRequests(requests) {
+        this.priorityState.requests = requests;
+        this.priorityState.grants = this.priorityState.grants.filter(grant =>
+            requests.some(request => grant.endsWith(`:${request.busId}`))
+        );
+    }
+
+
+    getPriorityRequest() {
+        return this.priorityState.requests[0] || null;
+    }
+
+
+    getDirectionPair(direction) {
+        return direction === CONFIG.DIRECTIONS.NORTH || direction === CONFIG.DIRECTIONS.SOUTH ? 'NS' : 'WE';
+    }
+
+
+    trackGreens() {
+        Object.entries(this.lights).forEach(([direction, light]) => {
+            if (light.state === CONFIG.LIGHT_STATES.GREEN) {
+                this.priorityState.lastGreen[direction] = this.clock.now();
+            }
+        });
+    }
+
+
+    // An extension for the pair must not push any cross-street approach past its maximum wait
+    canExtendGreen(pair) {
+        const crossPair = pair === 'NS' ? 'WE' : 'NS';
+        return this.getPairDirections(crossPair).every(direction =>
+            this.clock.now() - this.priorityState.lastGreen[direction] < CONFIG.TRANSIT.MAX_CROSS_WAIT
+        );
+    }
+
+
+    grantPriority(request, kind) {
+        const grant = `${kind}:${request.busId}`;
+        if (this.priorityState.grants.includes(grant)) return;
+
+        this.priorityState.grants.push(grant);
+        this.priorityState[kind]++;
+        console.log(`Transit priority: ${kind === 'extensions' ? 'green extension' : 'early green'} for bus ${request.busId} on ${request.direction} approach (${request.lateness.toFixed(0)}s late)`);
+    }
+
+
+    // NEMA phase serving a request: the left phase for a left-turning bus, otherwise the through phase
+    getPriorityPhase(request) {
+        const movement = request.turn === CONFIG.TURN_TYPES.LEFT ? 'left' : 'through';
+        const entry = Object.entries(CONFIG.NEMA.PHASES).find(([, phase]) =>
+            phase.direction === request.direction && phase.movement === movement
+        );
+        return entry ? Number(entry[0]) : null;
+    }
+
+
+    // Ring-barrier extension point: hold the bus's phase past gap-out or max green
+    extendPriorityGreen(phaseNumber, overrun) {
+        const request = this.getPriorityRequest();
+        if (!request || Number(phaseNumber) !== this.getPriorityPhase(request)) return false;
+        if (overrun >= CONFIG.TRANSIT.MAX_EXTENSION) return false;
+        if (!this.canExtendGreen(this.getDirectionPair(request.direction))) return false;
+
+        if (overrun > 0) this.grantPriority(request, 'extensions');
+        return true;
+    }
+
+
+    // Ring-barrier extension point: end a green that keeps the bus's phase waiting (a cross-street
+    // phase or one ahead of it in its ring) early, never before its min green
+    shouldForceOffForPriority(phaseNumber, greenTime, maxGreen) {
+        const request = this.getPriorityRequest();
+        if (!request) return false;
+
+        const priorityPhase = this.getPriorityPhase(request);
+        if (priorityPhase === null || Number(phaseNumber) === priorityPhase) return false;
+
+        const crossStreet = this.getDirectionPair(CONFIG.NEMA.PHASES[phaseNumber].direction) !==
+            this.getDirectionPair(request.direction);
+        const sameRing = CONFIG.NEMA.RINGS.some(ring => ring.includes(Number(phaseNumber)) && ring.includes(priorityPhase));
+        if (!crossStreet && !sameRing) return false;
+        if (greenTime < maxGreen - CONFIG.TRANSIT.MAX_EARLY_GREEN) return false;
+
+        this.grantPriority(request, 'earlyGreens');
+        return true;
+    }
+
+
+    getPriorityStats() {
+        return {
+            requests: this.priorityState.requests.length,
+            extensions: this.priorityState.extensions,
+            earlyGreens: this.priorityState.earlyGreens
+        };
+    }
+
+
+    // PEDESTRIAN SIGNALS
+    // A crosswalk across an approach runs with the through green of its parallel movement in the
+    // other pair. When that green starts (or later in it, if fixed-time green remains for the full
+    // interval) a pending push-button call gets WALK, then flashing DON'T WALK sized from the
+    // crossing length; the green cannot end until the clearance has run. Each crosswalk is served once per green.
+    // A leading pedestrian interval keeps the parallel vehicles red for the first part of WALK.
+    createPedestrianState() {
+        const signals = {};
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            signals[direction] = {
+                state: CONFIG.PEDESTRIAN_STATES.DONT_WALK,
+                timer: 0,
+                served: false,          // WALK already given during this green
+                leading: []             // Vehicle directions held red while WALK leads them
+            };
+        });
+        return {
+            signals,
+            calls: [],          // Crosswalks with a pending push-button call
+            wasGreen: {},       // Direction -> the mode showed its ball green last step
+            holds: {},          // Direction -> ball state held red for a leading pedestrian interval
+            walks: 0            // WALK intervals served
+        };
+    }
+
+
+    /**
+     * Crosswalk geometry used to time pedestrian clearance
+     * @param {Object} crosswalks - Intersection.crosswalks
+     */
+    setCrosswalks(crosswalks) {
+        this.crosswalks = crosswalks;
+    }
+
+
+    /**
+     * Crosswalks with a pending push-button call this step
+     * @param {Array} directions - from PedestrianSystem.getCalls()
+     */
+    setPedestrianCalls(directions) {
+        this.pedestrianState.calls = directions;
+    }
+
+
+    // Vehicle pair whose through green the crosswalk across this approach runs with
+    getCrosswalkPair(direction) {
+        return this.getDirectionPair(direction) === 'NS' ? 'WE' : 'NS';
+    }
+
+
+    getPairCrosswalks(pair) {
+        return Object.values(CONFIG.DIRECTIONS).filter(direction => this.getCrosswalkPair(direction) === pair);
+    }
+
+
+    // Vehicle directions whose through green gives the crosswalk WALK: its own parallel movement,
+    // or the whole pair when the network has no right turn across it
+    getCrosswalkParallelDirections(direction) {
+        const parallel = this.crosswalks[direction]?.parallel;
+        return parallel ? [parallel] : this.getPairDirections(this.getCrosswalkPair(direction));
+    }
+
+
+    // Flashing DON'T WALK: time to cross the full crosswalk at the design walking speed (ms)
+    getPedestrianClearance(direction) {
+        return this.crosswalks[direction].length / CONFIG.PEDESTRIANS.WALKING_SPEED * 1000;
+    }
+
+
+    getLeadingPedestrianInterval() {
+        return Math.min(this.settings.LEADING_PEDESTRIAN_INTERVAL || 0, CONFIG.PEDESTRIANS.WALK_TIME);
+    }
+
+
+    // True while a crosswalk running with the pair shows WALK or flashing DON'T WALK
+    isPedestrianIntervalActive(pair) {
+        return this.getPairCrosswalks(pair).some(direction =>
+            this.pedestrianState.signals[direction].state !== CONFIG.PEDESTRIAN_STATES.DONT_WALK
+        );
+    }
+
+
+    // Fixed-time greens only start a late WALK if the rest of the green covers it
+    canStartWalk(direction) {
+        if (this.mode !== CONFIG.MODES.FIXED || this.preemptionState.isActive) return true;
+
+        const phase = this.getFixedPhases()[this.fixedState.currentPhase];
+        const timer = this.fixedState.phaseTimer;
+        const remaining = this.getFixedPhaseDuration(phase) - timer;
+        return timer === 0 || remaining >= CONFIG.PEDESTRIANS.WALK_TIME + this.getPedestrianClearance(direction);
+    }
+
+
+    updatePedestrianSignals(deltaTime) {
+        const { WALK, FLASHING_DONT_WALK, DONT_WALK } = CONFIG.PEDESTRIAN_STATES;
+        const state = this.pedestrianState;
+
+        Object.values(CONFIG.DIRECTIONS).forEach(direction => {
+            const signal = state.signals[direction];
+            const green = this.getCrosswalkParallelDirections(direction).every(vehicleDirection =>
+                this.lights[vehicleDirection].state === CONFIG.LIGHT_STATES.GREEN
+            );
+            if (!green) {
+                // The green is over (or was preempted): nobody may start crossing
+                signal.state = DONT_WALK;
+                signal.timer = 0;
+                signal.served = false;
+                signal.leading = [];
+                return;
+            }
+
+            signal.timer += deltaTime;
+            if (signal.state === DONT_WALK) {
+                if (!signal.served && state.calls.includes(direction) && this.canStartWalk(direction)) {
+                    signal.state = WALK;
+                    signal.timer = 0;
+                    signal.served = true;
+                    // Only a green that starts with the WALK can be led; a running one is never cut
+                    signal.leading = this.getCrosswalkParallelDirections(direction).filter(vehicleDirection =>
+                        !state.wasGreen[vehicleDirection]
+                    );
+                    state.walks++;
+                    console.log(`Pedestrians: WALK on ${direction} crosswalk`);
+                }
+            } else if (signal.state === WALK && signal.timer >= CONFIG.PEDESTRIANS.WALK_TIME) {
+                signal.state = FLASHING_DONT_WALK;
+                signal.timer = 0;
+            } else if (signal.state === FLASHING_DONT_WALK && signal.timer >= this.getPedestrianClearance(direction)) {
+                signal.state = DONT_WALK;
+                signal.timer = 0;
+            }
+        });
+
+        Object.entries(this.lights).forEach(([direction, light]) => {
+            state.wasGreen[direction] = light.state === CONFIG.LIGHT_STATES.GREEN;
+        });
+        this.applyLeadingPedestrianIntervals();
+    }
+
+
+    // Hold the parallel vehicles red during the leading part of WALK; the mode's own light
+    // states are put back at the start of the next update
+    applyLeadingPedestrianIntervals() {
+        const leadingInterval = this.getLeadingPedestrianInterval();
+        if (!leadingInterval) return;
+
+        Object.entries(this.pedestrianState.signals).forEach(([direction, signal]) => {
+            if (signal.state !== CONFIG.PEDESTRIAN_STATES.WALK || signal.timer >= leadingInterval) return;
+
+            signal.leading.forEach(vehicleDirection => {
+                const light = this.lights[vehicleDirection];
+                if (this.pedestrianState.holds[vehicleDirection] === undefined) {
+                    this.pedestrianState.holds[vehicleDirection] = light.state;
+                }
+                light.state = CONFIG.LIGHT_STATES.RED;
+            });
+        });
+    }
+
+
+    releasePedestrianHolds() {
+        Object.entries(this.pedestrianState.holds).forEach(([direction, state]) => {
+            this.lights[direction].state = state;
+        });
+        this.pedestrianState.holds = {};
+    }
+
+
+    // Ring-barrier extension point: a through phase cannot end during its pedestrian intervals
+    holdGreenForPedestrians(phaseNumber) {
+        const phase = CONFIG.NEMA.PHASES[phaseNumber];
+        return phase.movement === 'through' && this.isPedestrianIntervalActive(this.getDirectionPair(phase.direction));
+    }
+
+
+    // Actuated mode: a push button calls the through phases its crosswalk runs with
+    hasPedestrianCall(phaseNumber) {
+        const phase = CONFIG.NEMA.PHASES[phaseNumber];
+        if (phase.movement !== 'through') return false;
+
+        const pair = this.getDirectionPair(phase.direction);
+        return this.pedestrianState.calls.some(direction => this.getCrosswalkPair(direction) === pair);
+    }
+
+
+    getPedestrianCallScore(pair) {
+        return this.pedestrianState.calls.some(direction => this.getCrosswalkPair(direction) === pair)
+            ? CONFIG.PEDESTRIANS.CALL_SCORE
+            : 0;
+    }
+
+
+    getPedestrianStates() {
+        const states = {};
+        Object.entries(this.pedestrianState.signals).forEach(([direction, signal]) => {
+            states[direction] = signal.state;
+        });
+        return states;
+    }
+
+
     setAllLightsRed() {
         Object.values(CONFIG.DIRECTIONS).forEach(direction => {
             this.lights[direction].state = CONFIG.LIGHT_STATES.RED;
+            this.lights[direction].leftArrow = CONFIG.LEFT_TURN_STATES.PERMITTED;
         });
     }
 
@@ -351,8 +1090,10 @@ export class TrafficLightController {
     render(ctx, intersection) {
         const directions = ['north', 'south', 'east', 'west'];
         directions.forEach(direction => {
-            const state = this.lights[CONFIG.DIRECTIONS[direction.toUpperCase()]].state;
-            this.renderTrafficLight(ctx, direction, state, intersection);
+            const light = this.lights[CONFIG.DIRECTIONS[direction.toUpperCase()]];
+            this.renderTrafficLight(ctx, direction, light.state, intersection);
+            this.renderLeftArrow(ctx, direction, light.leftArrow, intersection);
+            this.renderPedestrianSignal(ctx, direction, this.pedestrianState.signals[direction].state, intersection);
         });
     }
 
@@ -395,6 +1136,61 @@ export class TrafficLightController {
     }
 
 
+    renderLeftArrow(ctx, direction, leftArrow, intersection) {
+        // Only protected and clearing arrows are displayed; permitted lefts use the ball
+        if (leftArrow !== CONFIG.LEFT_TURN_STATES.PROTECTED && leftArrow !== CONFIG.LEFT_TURN_STATES.YELLOW) return;
+
+        const position = intersection.getLightPosition(direction);
+        if (!position) return;
+
+        const lightSize = CONFIG.LIGHT_SIZE || 12;
+        const x = position.x - lightSize * 2 - 6;
+        const y = position.y + lightSize + 2;
+
+        ctx.fillStyle = '#333';
+        ctx.fillRect(x - lightSize - 1, y - lightSize - 1, (lightSize + 1) * 2, (lightSize + 1) * 2);
+
+        ctx.fillStyle = leftArrow === CONFIG.LEFT_TURN_STATES.PROTECTED ? 'green' : 'yellow';
+        ctx.beginPath();
+        ctx.moveTo(x - lightSize + 2, y);
+        ctx.lineTo(x, y - lightSize + 2);
+        ctx.lineTo(x, y - lightSize / 3);
+        ctx.lineTo(x + lightSize - 2, y - lightSize / 3);
+        ctx.lineTo(x + lightSize - 2, y + lightSize / 3);
+        ctx.lineTo(x, y + lightSize / 3);
+        ctx.lineTo(x, y + lightSize - 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+
+    renderPedestrianSignal(ctx, direction, state, intersection) {
+        const position = intersection.getPedestrianSignalPosition(direction);
+        if (!position) return;
+
+        const size = 7;
+        ctx.fillStyle = '#333';
+        ctx.fillRect(position.x - size - 1, position.y - size - 1, (size + 1) * 2, (size + 1) * 2);
+
+        if (state === CONFIG.PEDESTRIAN_STATES.WALK) {
+            // Walking person
+            ctx.fillStyle = '#F5F5F5';
+            ctx.beginPath();
+            ctx.arc(position.x, position.y - size / 2, 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillRect(position.x - 1.5, position.y - size / 2 + 2, 3, size);
+            return;
+        }
+
+        // Upraised hand, flashing during the pedestrian clearance
+        const flashOn = Math.floor(this.clock.now() / 500) % 2 === 0;
+        if (state === CONFIG.PEDESTRIAN_STATES.DONT_WALK || flashOn) {
+            ctx.fillStyle = '#FF8C00';
+            ctx.fillRect(position.x - size / 2, position.y - size / 2, size, size);
+        }
+    }
+
+
     // Public methods for UI and game engine
     getLightStates() {
         const states = {};
@@ -405,28 +1201,117 @@ export class TrafficLightController {
     }
 
 
+    getSnapshot() {
+        return {
+            mode: this.mode,
+            settings: this.settings,
+            lights: this.lights,
+            fixedState: this.fixedState,
+            adaptiveState: this.adaptiveState,
+            ringBarrierState: this.ringBarrierState,
+            actuatedState: this.actuatedState,
+            lastPhase: this.lastPhase ?? null,
+            preemptionState: this.preemptionState,
+            priorityState: this.priorityState,
+            pedestrianState: this.pedestrianState,
+            ringBarrier: this.ringBarrier.getSnapshot(),
+            actuated: this.actuated.getSnapshot()
+        };
+    }
+
+
+    restoreSnapshot(snapshot) {
+        this.mode = snapshot.mode;
+        this.settings = snapshot.settings;
+        this.lights = snapshot.lights;
+        this.fixedState = snapshot.fixedState;
+        this.adaptiveState = snapshot.adaptiveState;
+        this.ringBarrierState = snapshot.ringBarrierState;
+        this.actuatedState = snapshot.actuatedState;
+        this.lastPhase = snapshot.lastPhase;
+        this.preemptionState = snapshot.preemptionState || this.createPreemptionState();
+        this.priorityState = snapshot.priorityState || this.createPriorityState();
+        this.pedestrianState = snapshot.pedestrianState || this.createPedestrianState();
+        this.ringBarrier.restoreSnapshot(snapshot.ringBarrier);
+        this.actuated.restoreSnapshot(snapshot.actuated);
+    }
+
+
+    // Show recorded signal states (replay); no controller logic runs
+    setRecordedStates(lightStates, leftTurnStates, pedestrianStates) {
+        Object.entries(lightStates).forEach(([direction, state]) => {
+            this.lights[direction].state = state;
+            this.lights[direction].leftArrow = leftTurnStates[direction];
+            this.pedestrianState.signals[direction].state = pedestrianStates[direction];
+        });
+    }
+
+
+    getLeftTurnStates() {
+        const states = {};
+        Object.entries(this.lights).forEach(([direction, light]) => {
+            states[direction] = light.leftArrow;
+        });
+        return states;
+    }
+
+
     setMode(mode) {
         this.mode = mode;
         if (mode === CONFIG.MODES.FIXED && !this.fixedState.isActive) {
             this.initializeFixedMode();
         } else if (mode === CONFIG.MODES.ADAPTIVE && !this.adaptiveState.isActive) {
             this.initializeAdaptiveMode();
+        } else if (mode === CONFIG.MODES.RING_BARRIER && !this.ringBarrierState.isActive) {
+            this.initializeRingBarrierMode();
+        } else if (mode === CONFIG.MODES.ACTUATED && !this.actuatedState.isActive) {
+            this.initializeActuatedMode();
         }
     }
 
 
     updateSettings(settings) {
+        const previousSequence = this.getFixedPhaseSequence();
         this.settings = { ...settings };
+        this.ringBarrier.setPhaseTimings(this.settings.RING_BARRIER_PHASES);
+        this.actuated.setSettings(this.settings);
+
+        // A different phase sequence (e.g. new left-turn phasing) rejoins the common cycle, since
+        // the running phase index would otherwise point at another phase than the one displayed
+        if (this.mode === CONFIG.MODES.FIXED && this.fixedState.isActive &&
+            this.getFixedPhaseSequence() !== previousSequence) {
+            this.initializeFixedMode();
+        }
+    }
+
+
+    // Order and indications of the fixed phases, without their durations
+    getFixedPhaseSequence() {
+        return this.getFixedPhases().map(phase => `${phase.pair}:${phase.through}:${phase.left}`).join(',');
     }
 
 
     reset() {
+        this.preemptionState = this.createPreemptionState();
+        this.priorityState = this.createPriorityState();
+        this.pedestrianState = this.createPedestrianState();
+        this.restartMode();
+    }
+
+
+    restartMode() {
         if (this.mode === CONFIG.MODES.FIXED) {
             this.fixedState.isActive = false;
             this.initializeFixedMode();
         } else if (this.mode === CONFIG.MODES.ADAPTIVE) {
             this.adaptiveState.isActive = false;
             this.initializeAdaptiveMode();
+        } else if (this.mode === CONFIG.MODES.RING_BARRIER) {
+            this.ringBarrierState.isActive = false;
+            this.initializeRingBarrierMode();
+        } else if (this.mode === CONFIG.MODES.ACTUATED) {
+            this.actuatedState.isActive = false;
+            this.initializeActuatedMode();
         }
         console.log(`${this.mode} mode reset`);
     }
@@ -434,13 +1319,41 @@ export class TrafficLightController {
 
     // Debug methods
     getDebugInfo() {
+        if (this.preemptionState.isActive) {
+            return {
+                mode: 'Preemption',
+                direction: this.preemptionState.direction,
+                stage: this.preemptionState.stage,
+                timer: (this.preemptionState.stageTimer / 1000).toFixed(1) + 's',
+                active: true
+            };
+        }
         if (this.mode === CONFIG.MODES.FIXED) {
             return {
                 mode: 'Fixed',
                 phase: this.fixedState.currentPhase,
                 timer: (this.fixedState.phaseTimer / 1000).toFixed(1) + 's',
+                cycle: `${(this.getCyclePosition() / 1000).toFixed(1)}/${(this.getCycleLength() / 1000).toFixed(0)}s`,
                 active: this.fixedState.isActive
             };
+        } else if (this.mode === CONFIG.MODES.RING_BARRIER) {
+            return {
+                mode: 'Ring-Barrier',
+                barrierGroup: this.ringBarrier.groupIndex,
+                rings: this.ringBarrier.getDebugInfo(),
+                active: this.ringBarrierState.isActive
+            };
+        } else if (this.mode === CONFIG.MODES.ACTUATED) {
+            return {
+                mode: 'Actuated',
+                ...this.actuated.getDebugInfo(),
+                active: this.actuatedState.isActive
+            };
+        } else if (this.mode === CONFIG.MODES.YIELD) {
+            return {
+                mode: 'Yield Control',
+                active: false
+            };
         } else {
             return {
                 mode: 'Adaptive',
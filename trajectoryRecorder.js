@@ -0,0 +1,146 @@
+// Trajectory recorder: every vehicle and the signal states of each simulation step
+// Vehicles are packed into one Float32Array per step and signals (ball, left arrow and
+// pedestrian head per approach) into a Uint8Array of state indices; types, colors and sizes are stored once per vehicle id. The buffer is a ring: once
+// CONFIG.REPLAY.MAX_FRAMES steps are held, each new step overwrites the oldest one, and a vehicle's
+// stored fields go with the last frame it appears in.
+
+import { CONFIG } from './config.js';
+
+// Per-vehicle fields of a frame, in buffer order
+export const TRAJECTORY_FIELDS = ['id', 'roadId', 'u', 'v', 'speed', 'acc', 'dvdt', 'flags'];
+const FIELD_COUNT = TRAJECTORY_FIELDS.length;
+
+// flags = state index * 4 + lane-change bits
+const FLAG_MANDATORY_LANE_CHANGE = 1;
+const FLAG_CHANGING_LANE = 2;
+const VEHICLE_STATES = ['approaching', 'waiting', 'crossing', 'turning', 'exiting'];
+
+const DIRECTIONS = Object.values(CONFIG.DIRECTIONS);
+const LIGHT_STATES = Object.values(CONFIG.LIGHT_STATES);
+const LEFT_TURN_STATES = Object.values(CONFIG.LEFT_TURN_STATES);
+const PEDESTRIAN_STATES = Object.values(CONFIG.PEDESTRIAN_STATES);
+const SIGNAL_FIELDS = 3;
+
+export class TrajectoryRecorder {
+    constructor(clock, maxFrames = CONFIG.REPLAY.MAX_FRAMES) {
+        this.clock = clock;
+        this.maxFrames = maxFrames;
+        this.reset();
+    }
+
+    reset() {
+        this.frames = new Array(this.maxFrames);
+        this.start = 0;             // Ring index of the oldest frame
+        this.length = 0;            // Frames held
+        this.nextSequence = 0;      // Sequence number of the next frame recorded
+        this.vehicles = new Map();  // id -> { vehicleType, color, len, width, route }
+        this.lastSeen = new Map();  // id -> sequence number of the last frame holding the vehicle
+    }
+
+    /**
+     * Record one simulation step
+     * @param {Array} cars - live Cars, already synced from their road vehicles
+     * @param {Object} lightStates - { direction: 'red'|'yellow'|'green' }
+     * @param {Object} leftTurnStates - { direction: left arrow state }
+     * @param {Object} pedestrianStates - { direction: pedestrian signal state }
+     */
+    record(cars, lightStates, leftTurnStates, pedestrianStates) {
+        const vehicles = new Float32Array(cars.length * FIELD_COUNT);
+        cars.forEach((car, index) => {
+            const offset = index * FIELD_COUNT;
+            const state = Math.max(VEHICLE_STATES.indexOf(car.state), 0);
+            vehicles[offset] = car.id;
+            vehicles[offset + 1] = car.roadId;
+            vehicles[offset + 2] = car.u;
+            vehicles[offset + 3] = car.v;
+            vehicles[offset + 4] = car.speed;
+            vehicles[offset + 5] = car.acc;
+            vehicles[offset + 6] = car.dvdt;
+            vehicles[offset + 7] = state * 4 +
+                (car.mandatoryLaneChange ? FLAG_MANDATORY_LANE_CHANGE : 0) +
+                (car.dt_afterLC < car.dt_LC ? FLAG_CHANGING_LANE : 0);
+
+            if (!this.vehicles.has(car.id)) {
+                this.vehicles.set(car.id, { vehicleType: car.vehicleType, color: car.color, len: car.len, width: car.width, route: car.vehicle.route });
+            }
+            this.lastSeen.set(car.id, this.nextSequence);
+        });
+
+        const signals = new Uint8Array(DIRECTIONS.length * SIGNAL_FIELDS);
+        DIRECTIONS.forEach((direction, index) => {
+            signals[index * SIGNAL_FIELDS] = LIGHT_STATES.indexOf(lightStates[direction]);
+            signals[index * SIGNAL_FIELDS + 1] = LEFT_TURN_STATES.indexOf(leftTurnStates[direction]);
+            signals[index * SIGNAL_FIELDS + 2] = PEDESTRIAN_STATES.indexOf(pedestrianStates[direction]);
+        });
+
+        const frame = { sequence: this.nextSequence++, time: this.clock.now(), vehicles, signals };
+        if (this.length < this.maxFrames) {
+            this.frames[(this.start + this.length) % this.maxFrames] = frame;
+            this.length++;
+        } else {
+            this.forgetVehicles(this.frames[this.start]);
+            this.frames[this.start] = frame;
+            this.start = (this.start + 1) % this.maxFrames;
+        }
+    }
+
+    // Drop the stored fields of vehicles whose last frame is the one being overwritten
+    forgetVehicles(frame) {
+        for (let offset = 0; offset < frame.vehicles.length; offset += FIELD_COUNT) {
+            const id = frame.vehicles[offset];
+            if (this.lastSeen.get(id) === frame.sequence) {
+                this.lastSeen.delete(id);
+                this.vehicles.delete(id);
+            }
+        }
+    }
+
+    getFrameCount() {
+        return this.length;
+    }
+
+    /**
+     * Decode a recorded step
+     * @param {number} index - 0 = oldest frame held
+     * @returns {Object|null} { time, vehicles: [...], lightStates, leftTurnStates, pedestrianStates }
+     */
+    getFrame(index) {
+        if (index < 0 || index >= this.length) return null;
+        const frame = this.frames[(this.start + index) % this.maxFrames];
+
+        const vehicles = [];
+        for (let offset = 0; offset < frame.vehicles.length; offset += FIELD_COUNT) {
+            const id = frame.vehicles[offset];
+            const flags = frame.vehicles[offset + 7];
+            vehicles.push({
+                id,
+                roadId: frame.vehicles[offset + 1],
+                u: frame.vehicles[offset + 2],
+                v: frame.vehicles[offset + 3],
+                speed: frame.vehicles[offset + 4],
+                acc: frame.vehicles[offset + 5],
+                dvdt: frame.vehicles[offset + 6],
+                state: VEHICLE_STATES[Math.floor(flags / 4)],
+                mandatoryLaneChange: (flags & FLAG_MANDATORY_LANE_CHANGE) !== 0,
+                changingLane: (flags & FLAG_CHANGING_LANE) !== 0,
+                ...this.vehicles.get(id)
+            });
+        }
+
+        const lightStates = {};
+        const leftTurnStates = {};
+        const pedestrianStates = {};
+        DIRECTIONS.forEach((direction, index) => {
+            lightStates[direction] = LIGHT_STATES[frame.signals[index * SIGNAL_FIELDS]];
+            leftTurnStates[direction] = LEFT_TURN_STATES[frame.signals[index * SIGNAL_FIELDS + 1]];
+            pedestrianStates[direction] = PEDESTRIAN_STATES[frame.signals[index * SIGNAL_FIELDS + 2]];
+        });
+
+        return { time: frame.time, vehicles, lightStates, leftTurnStates, pedestrianStates };
+    }
+
+    getFrameTime(index) {
+        if (index < 0 || index >= this.length) return null;
+        return this.frames[(this.start + index) % this.maxFrames].time;
+    }
+}
@@ -0,0 +1,77 @@
+// Scheduled bus routes (CONFIG.TRANSIT.ROUTES)
+// Every route dispatches a bus each headway. A bus enters the network off its timetable by a random
+// deviation and checks in upstream of the stop line, where its lateness decides whether it is late.
+
+import { CONFIG } from './config.js';
+import { random } from './random.js';
+
+export class TransitSchedule {
+    constructor(clock, routes = CONFIG.TRANSIT.ROUTES) {
+        this.clock = clock;
+        this.routes = routes;
+        this.reset();
+    }
+
+    reset() {
+        // Next trip of each route; drawn on the first update so a reseeded run repeats its deviations
+        this.nextTrips = null;
+        this.dispatched = 0;
+    }
+
+    createTrip(route, index) {
+        const { EARLY, LATE } = CONFIG.TRANSIT.DISPATCH_DEVIATION;
+        const scheduledDeparture = (route.offset + index * route.headway) * 1000;
+        const deviation = (random() * (EARLY + LATE) - EARLY) * 1000;
+        return {
+            routeId: route.id,
+            direction: route.direction,
+            turn: route.turn,
+            index,
+            scheduledDeparture,
+            dispatchTime: Math.max(scheduledDeparture + deviation, 0)
+        };
+    }
+
+    /**
+     * Trips whose buses are due to enter the network
+     * @returns {Array} at most one trip per route
+     */
+    getDueTrips() {
+        if (!this.nextTrips) {
+            this.nextTrips = this.routes.map(route => this.createTrip(route, 0));
+        }
+        const now = this.clock.now();
+        return this.nextTrips.filter(trip => trip.dispatchTime <= now);
+    }
+
+    /**
+     * A due trip's bus entered the network: schedule the route's next trip
+     */
+    completeDispatch(trip) {
+        const routeIndex = this.routes.findIndex(route => route.id === trip.routeId);
+        this.nextTrips[routeIndex] = this.createTrip(this.routes[routeIndex], trip.index + 1);
+        this.dispatched++;
+    }
+
+    /**
+     * Seconds behind the timetable at a road position (negative = early)
+     * @param {Object} transit - the bus's timetable entry (Car.transit)
+     * @param {number} u - position along the approach road (m)
+     */
+    getLateness(transit, u) {
+        const runningTime = (u - CONFIG.GEOMETRIC.SPAWN_POSITION) / CONFIG.TRANSIT.SCHEDULE_SPEED * 1000;
+        return (this.clock.now() - transit.scheduledDeparture - runningTime) / 1000;
+    }
+
+    getSnapshot() {
+        return {
+            nextTrips: this.nextTrips,
+            dispatched: this.dispatched
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.nextTrips = snapshot.nextTrips;
+        this.dispatched = snapshot.dispatched;
+    }
+}
@@ -1,10 +1,15 @@
 import { CONFIG } from './config.js';
+import { DEFAULT_ROAD_NETWORK, parseRoadNetwork } from './roadNetworkFile.js';
+import { createRoundabout } from './roundabout.js';
+import { importSumoScenario } from './sumoImport.js';
+import { importOsmIntersection } from './osmImport.js';
 
 export class UIController {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
         this.elements = {};
         this.isPlaying = true;
+        this.checkpoint = null; // Snapshot JSON to branch experiments from
         
         this.initializeElements();
     }
@@ -13,9 +18,24 @@ export class UIController {
         // Control elements
         this.elements = {
             modeSelect: document.getElementById('mode-select'),
+            networkSelect: document.getElementById('network-select'),
             playPauseBtn: document.getElementById('playPauseBtn'),
             resetBtn: document.getElementById('resetBtn'),
             
+            // Replay controls
+            replayBtn: document.getElementById('replayBtn'),
+            replayControls: document.getElementById('replay-controls'),
+            replayBackBtn: document.getElementById('replayBackBtn'),
+            replayPlayBtn: document.getElementById('replayPlayBtn'),
+            replayForwardBtn: document.getElementById('replayForwardBtn'),
+            replayTimeline: document.getElementById('replayTimeline'),
+            replayTime: document.getElementById('replayTime'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            
+            // Checkpoint controls
+            checkpointBtn: document.getElementById('checkpointBtn'),
+            restoreBtn: document.getElementById('restoreBtn'),
+            
             // Fixed timer controls
             fixedControls: document.getElementById('fixed-controls'),
             greenDuration: document.getElementById('greenDuration'),
@@ -24,6 +44,12 @@ export class UIController {
             yellowValue: document.getElementById('yellowDurationValue'),
             redDuration: document.getElementById('redDuration'),
             redValue: document.getElementById('redDurationValue'),
+            leftTurnPhasing: document.getElementById('leftTurnPhasing'),
+            cycleLength: document.getElementById('cycleLength'),
+            cycleLengthValue: document.getElementById('cycleLengthValue'),
+            cycleOffset: document.getElementById('cycleOffset'),
+            cycleOffsetValue: document.getElementById('cycleOffsetValue'),
+            referencePhase: document.getElementById('referencePhase'),
             
             // Adaptive controls
             adaptiveControls: document.getElementById('adaptive-controls'),
@@ -34,18 +60,87 @@ export class UIController {
             adaptiveYellowDuration: document.getElementById('adaptiveYellowDuration'),
             adaptiveYellowValue: document.getElementById('adaptiveYellowValue'),
             
+            // Ring-barrier controls
+            ringBarrierControls: document.getElementById('ring-barrier-controls'),
+            ringBarrierPhases: document.getElementById('ringBarrierPhases'),
+            
+            // Actuated controls
+            actuatedControls: document.getElementById('actuated-controls'),
+            actuatedMinGreen: document.getElementById('actuatedMinGreen'),
+            actuatedMinGreenValue: document.getElementById('actuatedMinGreenValue'),
+            actuatedMaxGreen: document.getElementById('actuatedMaxGreen'),
+            actuatedMaxGreenValue: document.getElementById('actuatedMaxGreenValue'),
+            passageTime: document.getElementById('passageTime'),
+            passageTimeValue: document.getElementById('passageTimeValue'),
+            
+            // Comparison
+            comparisonControls: document.getElementById('comparison-controls'),
+            comparisonTable: document.getElementById('comparisonTable'),
+            comparisonScenario: document.getElementById('comparisonScenario'),
+            comparisonLeftLabel: document.getElementById('comparisonLeftLabel'),
+            comparisonRightLabel: document.getElementById('comparisonRightLabel'),
+            
+            // Network
+            networkControls: document.getElementById('network-controls'),
+            networkTable: document.getElementById('networkTable'),
+            networkSummary: document.getElementById('networkSummary'),
+            progressionSpeed: document.getElementById('progressionSpeed'),
+            progressionSpeedValue: document.getElementById('progressionSpeedValue'),
+            progressionDirection: document.getElementById('progressionDirection'),
+            greenWaveBtn: document.getElementById('greenWaveBtn'),
+            greenWaveResult: document.getElementById('greenWaveResult'),
+            
             // Car controls
             carSpawnRate: document.getElementById('carSpawnRate'),
             carSpeed: document.getElementById('carSpeed'),
             // ...existing code...
             spawnValue: document.getElementById('spawnValue'),
             speedValue: document.getElementById('speedValue'),
+            truckShare: document.getElementById('truckShare'),
+            truckShareValue: document.getElementById('truckShareValue'),
+            busShare: document.getElementById('busShare'),
+            busShareValue: document.getElementById('busShareValue'),
+            motorcycleShare: document.getElementById('motorcycleShare'),
+            motorcycleShareValue: document.getElementById('motorcycleShareValue'),
+            
+            // Emergency vehicle controls
+            emergencyRate: document.getElementById('emergencyRate'),
+            emergencyRateValue: document.getElementById('emergencyRateValue'),
+            preemptionDistance: document.getElementById('preemptionDistance'),
+            preemptionDistanceValue: document.getElementById('preemptionDistanceValue'),
+            dispatchEmergencyBtn: document.getElementById('dispatchEmergencyBtn'),
+            
+            // Bus route controls
+            transitService: document.getElementById('transitService'),
+            transitPriority: document.getElementById('transitPriority'),
+
+            // Pedestrian controls
+            pedestrianRate: document.getElementById('pedestrianRate'),
+            pedestrianRateValue: document.getElementById('pedestrianRateValue'),
+            leadingPedestrianInterval: document.getElementById('leadingPedestrianInterval'),
+            leadingPedestrianIntervalValue: document.getElementById('leadingPedestrianIntervalValue'),
+
+            // Road network file
+            junctionSelect: document.getElementById('junctionSelect'),
+            roadNetworkName: document.getElementById('roadNetworkName'),
+            roadNetworkFile: document.getElementById('roadNetworkFile'),
+            saveRoadNetworkBtn: document.getElementById('saveRoadNetworkBtn'),
+            sumoFiles: document.getElementById('sumoFiles'),
+            osmNode: document.getElementById('osmNode'),
+            osmFile: document.getElementById('osmFile'),
+            roadNetworkStatus: document.getElementById('roadNetworkStatus'),
             // ...existing code...
             
             // Statistics
             carsPassedStat: document.getElementById('carsPassedStat'),
             avgWaitStat: document.getElementById('avgWaitStat'),
             currentCarsStat: document.getElementById('currentCarsStat'),
+            pceThroughputStat: document.getElementById('pceThroughputStat'),
+            controlDelayStat: document.getElementById('controlDelayStat'),
+            losStat: document.getElementById('losStat'),
+            busDelayStat: document.getElementById('busDelayStat'),
+            pedestrianStat: document.getElementById('pedestrianStat'),
+            transitPriorityStat: document.getElementById('transitPriorityStat'),
             northCountStat: document.getElementById('northCountStat'),
             southCountStat: document.getElementById('southCountStat'),
             eastCountStat: document.getElementById('eastCountStat'),
@@ -60,11 +155,61 @@ export class UIController {
     }
 
     initialize() {
+        this.configureSliderRanges();
+        this.buildRingBarrierTable();
         this.setupEventListeners();
         this.updateModeDisplay();
         this.startStatsUpdate();
     }
 
+    configureSliderRanges() {
+        // Slider ranges for fixed-mode green and red durations (seconds)
+        this.elements.greenDuration.min = 15;
+        this.elements.greenDuration.max = 100;
+        this.elements.redDuration.min = 15;
+        this.elements.redDuration.max = 100;
+
+        // Advance loop distance from the stop line (meters)
+        this.elements.detectorDistance.min = CONFIG.ADAPTIVE_SETTINGS.DETECTOR_DISTANCE_RANGE[0];
+        this.elements.detectorDistance.max = CONFIG.ADAPTIVE_SETTINGS.DETECTOR_DISTANCE_RANGE[1];
+    }
+
+    buildRingBarrierTable() {
+        // One row per NEMA phase; timing fields are edited in seconds
+        const fields = ['minGreen', 'maxGreen', 'yellow', 'redClearance'];
+        this.elements.ringBarrierPhases.innerHTML = '';
+
+        Object.entries(CONFIG.NEMA.PHASES).forEach(([number, phase]) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${number}</td><td>${phase.direction} ${phase.movement}</td>`;
+
+            fields.forEach(field => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 0;
+                input.step = 0.5;
+                input.value = phase[field] / 1000;
+                input.dataset.phase = number;
+                input.dataset.field = field;
+                input.addEventListener('change', (e) => this.updateRingBarrierPhase(e.target));
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            this.elements.ringBarrierPhases.appendChild(row);
+        });
+    }
+
+    updateRingBarrierPhase(input) {
+        const value = parseFloat(input.value);
+        if (isNaN(value) || value < 0) return;
+
+        const phases = { ...this.gameEngine.getRingBarrierModeSettings().RING_BARRIER_PHASES };
+        phases[input.dataset.phase] = { ...phases[input.dataset.phase], [input.dataset.field]: value * 1000 };
+        this.gameEngine.updateSetting('RING_BARRIER_PHASES', phases, CONFIG.MODES.RING_BARRIER);
+    }
+
     setupEventListeners() {
         // Mode selector
         this.elements.modeSelect.addEventListener('change', (e) => {
@@ -73,6 +218,39 @@ export class UIController {
             this.updateSliderValues(); // Update sliders when mode changes
         });
 
+        // Network layout selector
+        this.elements.networkSelect.addEventListener('change', (e) => {
+            this.gameEngine.setNetworkLayout(e.target.value || null);
+            this.elements.greenWaveResult.textContent = '';
+            this.updateModeDisplay();
+            this.updateSliderValues();
+        });
+
+        // Comparison scenario: which two setups run side by side
+        this.elements.comparisonScenario.value = this.gameEngine.comparisonScenario;
+        this.elements.comparisonScenario.addEventListener('change', (e) => {
+            this.gameEngine.setComparisonScenario(e.target.value);
+            this.updateSliderValues();
+        });
+
+        // Green-wave offsets for the network's east-west arterials
+        this.elements.progressionSpeed.value = Math.round(CONFIG.NETWORK.PROGRESSION_SPEED * 3.6);
+        this.elements.progressionSpeedValue.textContent = this.elements.progressionSpeed.value;
+        this.elements.progressionSpeed.addEventListener('input', (e) => {
+            this.elements.progressionSpeedValue.textContent = e.target.value;
+        });
+        this.elements.greenWaveBtn.addEventListener('click', () => {
+            const speed = parseFloat(this.elements.progressionSpeed.value) / 3.6;
+            const plan = this.gameEngine.applyGreenWave(speed, this.elements.progressionDirection.value);
+            if (!plan) return;
+            
+            const share = (bandwidth) => `${(bandwidth / 1000).toFixed(1)}s (${Math.round(bandwidth / plan.cycleLength * 100)}%)`;
+            this.elements.greenWaveResult.textContent =
+                `Bandwidth over a ${(plan.cycleLength / 1000).toFixed(0)}s cycle: ` +
+                `eastbound ${share(plan.bandwidth.east)}, westbound ${share(plan.bandwidth.west)}`;
+            this.updateSliderValues();
+        });
+
         // Control buttons
         this.elements.playPauseBtn.addEventListener('click', () => {
             this.isPlaying = window.trafficSimulator.togglePause();
@@ -81,6 +259,59 @@ export class UIController {
 
         this.elements.resetBtn.addEventListener('click', () => {
             this.gameEngine.reset();
+            this.updateReplayControls();
+        });
+
+        // Checkpoints: save the full state, restore it to rerun the same moment with other settings
+        this.elements.checkpointBtn.addEventListener('click', () => {
+            try {
+                this.checkpoint = this.gameEngine.saveSnapshot();
+                this.elements.restoreBtn.disabled = false;
+            } catch (error) {
+                console.warn(error.message);
+            }
+        });
+
+        this.elements.restoreBtn.addEventListener('click', () => {
+            if (!this.checkpoint) return;
+            this.gameEngine.restoreSnapshot(this.checkpoint);
+            this.setMode(this.gameEngine.getCurrentMode());
+            this.elements.roadNetworkName.textContent = this.gameEngine.roadNetwork.name;
+            this.updateModeDisplay();
+            this.updateSliderValues();
+            this.updateReplayControls();
+        });
+
+        // Replay controls
+        this.elements.replayBtn.addEventListener('click', () => {
+            if (this.gameEngine.isReplaying()) {
+                this.gameEngine.stopReplay();
+            } else if (this.gameEngine.startReplay()) {
+                this.gameEngine.replay.setSpeed(Number(this.elements.replaySpeed.value));
+            }
+            this.updateReplayControls();
+        });
+
+        this.elements.replayPlayBtn.addEventListener('click', () => {
+            if (this.gameEngine.replay) this.gameEngine.replay.togglePlay();
+        });
+
+        this.elements.replayBackBtn.addEventListener('click', () => {
+            if (this.gameEngine.replay) this.gameEngine.replay.step(-1);
+        });
+
+        this.elements.replayForwardBtn.addEventListener('click', () => {
+            if (this.gameEngine.replay) this.gameEngine.replay.step(1);
+        });
+
+        this.elements.replayTimeline.addEventListener('input', (e) => {
+            if (!this.gameEngine.replay) return;
+            this.gameEngine.replay.pause();
+            this.gameEngine.replay.seek(Number(e.target.value));
+        });
+
+        this.elements.replaySpeed.addEventListener('change', (e) => {
+            if (this.gameEngine.replay) this.gameEngine.replay.setSpeed(Number(e.target.value));
         });
 
         // Fixed timer controls
@@ -88,17 +319,154 @@ export class UIController {
         this.setupSlider('yellowDuration', 'yellowValue', 'YELLOW_DURATION', (value) => value * 1000);
         this.setupSlider('redDuration', 'redValue', 'RED_DURATION', (value) => value * 1000);
 
+        this.elements.leftTurnPhasing.addEventListener('change', (e) => {
+            this.gameEngine.updateSetting('LEFT_TURN_PHASING', e.target.value, CONFIG.MODES.FIXED);
+        });
+
+        // Coordination: common cycle, offset and reference phase
+        this.setupSlider('cycleLength', 'cycleLengthValue', 'CYCLE_LENGTH', (value) => value * 1000);
+        this.setupSlider('cycleOffset', 'cycleOffsetValue', 'CYCLE_OFFSET', (value) => value * 1000);
+        this.elements.referencePhase.addEventListener('change', (e) => {
+            this.gameEngine.updateSetting('REFERENCE_PHASE', e.target.value, CONFIG.MODES.FIXED);
+        });
+
         // Adaptive controls
         this.setupSlider('detectorDistance', 'detectorValue', 'DETECTOR_DISTANCE');
         this.setupSlider('minGreenTime', 'minGreenValue', 'MIN_GREEN_TIME', (value) => value * 1000);
         this.setupSlider('adaptiveYellowDuration', 'adaptiveYellowValue', 'YELLOW_DURATION', (value) => value * 1000);
 
+        // Actuated controls
+        this.setupSlider('actuatedMinGreen', 'actuatedMinGreenValue', 'MIN_GREEN_TIME', (value) => value * 1000);
+        this.setupSlider('actuatedMaxGreen', 'actuatedMaxGreenValue', 'MAX_GREEN_TIME', (value) => value * 1000);
+        this.setupSlider('passageTime', 'passageTimeValue', 'PASSAGE_TIME', (value) => value * 1000);
+
         // Car controls
         this.setupSlider('carSpawnRate', 'spawnValue', 'CAR_SPAWN_RATE');
         this.setupSlider('carSpeed', 'speedValue', 'CAR_SPEED');
+
+        // Vehicle mix: cars make up whatever share is left
+        ['truckShare', 'busShare', 'motorcycleShare'].forEach(sliderId => {
+            this.elements[sliderId].addEventListener('input', (e) => {
+                this.elements[`${sliderId}Value`].textContent = e.target.value;
+                this.updateVehicleMix();
+            });
+        });
+
+        // Emergency vehicles
+        this.setupSlider('emergencyRate', 'emergencyRateValue', 'EMERGENCY_SPAWN_RATE');
+        this.setupSlider('preemptionDistance', 'preemptionDistanceValue', 'PREEMPTION_DISTANCE');
+
+        this.elements.dispatchEmergencyBtn.addEventListener('click', () => {
+            this.gameEngine.dispatchEmergencyVehicle();
+        });
+
+        // Bus routes
+        this.elements.transitService.addEventListener('change', (e) => {
+            this.gameEngine.updateSetting('TRANSIT_SERVICE', e.target.checked);
+        });
+
+        this.elements.transitPriority.addEventListener('change', (e) => {
+            this.gameEngine.updateSetting('TRANSIT_PRIORITY', e.target.checked);
+        });
+
+        // Pedestrians
+        this.setupSlider('pedestrianRate', 'pedestrianRateValue', 'PEDESTRIAN_RATE');
+        this.setupSlider('leadingPedestrianInterval', 'leadingPedestrianIntervalValue', 'LEADING_PEDESTRIAN_INTERVAL', (value) => value * 1000);
+
+        // Built-in junctions: the four-leg intersection or a roundabout layout
+        this.elements.junctionSelect.addEventListener('change', (e) => {
+            const roadNetwork = e.target.value ? createRoundabout(e.target.value) : DEFAULT_ROAD_NETWORK;
+            this.gameEngine.loadRoadNetwork(roadNetwork);
+            this.elements.roadNetworkName.textContent = roadNetwork.name;
+            this.elements.roadNetworkStatus.textContent = `Loaded ${roadNetwork.roads.length} roads and ${roadNetwork.connections.length} connections`;
+            this.updateReplayControls();
+        });
+
+        // Road network file
+        this.elements.roadNetworkName.textContent = this.gameEngine.roadNetwork.name;
+        this.elements.roadNetworkFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const roadNetwork = parseRoadNetwork(await file.text());
+                this.gameEngine.loadRoadNetwork(roadNetwork);
+                this.elements.roadNetworkName.textContent = roadNetwork.name;
+                this.elements.junctionSelect.value = '';
+                this.elements.roadNetworkStatus.textContent = `Loaded ${roadNetwork.roads.length} roads and ${roadNetwork.connections.length} connections`;
+                this.updateReplayControls();
+            } catch (error) {
+                this.elements.roadNetworkStatus.textContent = error.message;
+                console.warn(error.message);
+            }
+            e.target.value = '';
+        });
+
+        // SUMO scenario: one .net.xml and any number of .rou.xml files
+        this.elements.sumoFiles.addEventListener('change', async (e) => {
+            const files = [...e.target.files];
+            if (files.length === 0) return;
+            try {
+                const netFile = files.find(file => file.name.endsWith('.net.xml'));
+                if (!netFile) throw new Error('SUMO import: choose a .net.xml file');
+                const routeTexts = await Promise.all(files.filter(file => file !== netFile).map(file => file.text()));
+                const scenario = importSumoScenario(await netFile.text(), routeTexts);
+                this.gameEngine.loadScenario(scenario);
+                this.elements.roadNetworkName.textContent = scenario.name;
+                this.elements.junctionSelect.value = '';
+                this.elements.roadNetworkStatus.textContent =
+                    `Imported ${scenario.settings.FIXED_PHASES.length} signal phases` +
+                    (scenario.settings.DEMAND ? ` and ${scenario.settings.DEMAND.intervals.length} demand intervals` : '') +
+                    (scenario.warnings.length > 0 ? ` (${scenario.warnings.length} warnings, see console)` : '');
+                this.updateSliderValues();
+                this.updateReplayControls();
+            } catch (error) {
+                this.elements.roadNetworkStatus.textContent = error.message;
+                console.warn(error.message);
+            }
+            e.target.value = '';
+        });
+
+        // OSM extract: the signalized junction, or the node id typed in
+        this.elements.osmFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const node = this.elements.osmNode.value.trim();
+                const result = importOsmIntersection(await file.text(), { node: node || null });
+                this.gameEngine.loadRoadNetwork(result.roadNetwork);
+                this.elements.roadNetworkName.textContent = result.name;
+                this.elements.junctionSelect.value = '';
+                this.elements.roadNetworkStatus.textContent =
+                    `Imported ${result.roadNetwork.roads.length} roads and ${result.roadNetwork.connections.length} turns` +
+                    (result.warnings.length > 0 ? ` (${result.warnings.length} warnings, see console)` : '');
+                this.updateReplayControls();
+            } catch (error) {
+                this.elements.roadNetworkStatus.textContent = error.message;
+                console.warn(error.message);
+            }
+            e.target.value = '';
+        });
+
+        this.elements.saveRoadNetworkBtn.addEventListener('click', () => {
+            const roadNetwork = this.gameEngine.roadNetwork;
+            const blob = new Blob([JSON.stringify(roadNetwork, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${roadNetwork.name.replace(/\W+/g, '-').toLowerCase()}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
     // ...existing code...
     }
 
+    updateVehicleMix() {
+        const truck = Number(this.elements.truckShare.value) / 100;
+        const bus = Number(this.elements.busShare.value) / 100;
+        const motorcycle = Number(this.elements.motorcycleShare.value) / 100;
+        const mix = { car: Math.max(1 - truck - bus - motorcycle, 0), truck, bus, motorcycle };
+        this.gameEngine.updateSetting('VEHICLE_MIX', mix);
+    }
+
     setupSlider(sliderId, valueId, settingKey, transform = null) {
         const slider = this.elements[sliderId];
         const valueDisplay = this.elements[valueId];
@@ -139,7 +507,19 @@ export class UIController {
             this.elements.yellowValue.textContent = settings.YELLOW_DURATION / 1000;
             this.elements.redDuration.value = settings.RED_DURATION / 1000;
             this.elements.redValue.textContent = settings.RED_DURATION / 1000;
-        } else {
+            this.elements.cycleLength.value = settings.CYCLE_LENGTH / 1000;
+            this.elements.cycleLengthValue.textContent = settings.CYCLE_LENGTH / 1000;
+            this.elements.cycleOffset.value = Math.round(settings.CYCLE_OFFSET / 1000);
+            this.elements.cycleOffsetValue.textContent = Math.round(settings.CYCLE_OFFSET / 1000);
+            this.elements.referencePhase.value = settings.REFERENCE_PHASE;
+        } else if (mode === CONFIG.MODES.ACTUATED) {
+            this.elements.actuatedMinGreen.value = settings.MIN_GREEN_TIME / 1000;
+            this.elements.actuatedMinGreenValue.textContent = settings.MIN_GREEN_TIME / 1000;
+            this.elements.actuatedMaxGreen.value = settings.MAX_GREEN_TIME / 1000;
+            this.elements.actuatedMaxGreenValue.textContent = settings.MAX_GREEN_TIME / 1000;
+            this.elements.passageTime.value = settings.PASSAGE_TIME / 1000;
+            this.elements.passageTimeValue.textContent = settings.PASSAGE_TIME / 1000;
+        } else if (mode === CONFIG.MODES.ADAPTIVE) {
             this.elements.detectorDistance.value = settings.DETECTOR_DISTANCE;
             this.elements.detectorValue.textContent = settings.DETECTOR_DISTANCE;
             this.elements.minGreenTime.value = settings.MIN_GREEN_TIME / 1000;
@@ -155,23 +535,35 @@ export class UIController {
         this.elements.spawnValue.textContent = settings.CAR_SPAWN_RATE;
         this.elements.carSpeed.value = settings.CAR_SPEED;
         this.elements.speedValue.textContent = settings.CAR_SPEED;
+        this.elements.emergencyRate.value = settings.EMERGENCY_SPAWN_RATE;
+        this.elements.emergencyRateValue.textContent = settings.EMERGENCY_SPAWN_RATE;
+        this.elements.preemptionDistance.value = settings.PREEMPTION_DISTANCE;
+        this.elements.preemptionDistanceValue.textContent = settings.PREEMPTION_DISTANCE;
+        this.elements.transitService.checked = settings.TRANSIT_SERVICE;
+        this.elements.transitPriority.checked = settings.TRANSIT_PRIORITY;
+        this.elements.pedestrianRate.value = settings.PEDESTRIAN_RATE;
+        this.elements.pedestrianRateValue.textContent = settings.PEDESTRIAN_RATE;
+        this.elements.leadingPedestrianInterval.value = settings.LEADING_PEDESTRIAN_INTERVAL / 1000;
+        this.elements.leadingPedestrianIntervalValue.textContent = settings.LEADING_PEDESTRIAN_INTERVAL / 1000;
     }
     updateModeDisplay() {
         const mode = this.gameEngine.getCurrentMode();
         
-        if (mode === CONFIG.MODES.FIXED) {
-            this.elements.fixedControls.style.display = 'block';
-            this.elements.adaptiveControls.style.display = 'none';
-        } else {
-            this.elements.fixedControls.style.display = 'none';
-            this.elements.adaptiveControls.style.display = 'block';
-        }
+        this.elements.fixedControls.style.display = mode === CONFIG.MODES.FIXED ? 'block' : 'none';
+        this.elements.adaptiveControls.style.display = mode === CONFIG.MODES.ADAPTIVE ? 'block' : 'none';
+        this.elements.ringBarrierControls.style.display = mode === CONFIG.MODES.RING_BARRIER ? 'block' : 'none';
+        this.elements.actuatedControls.style.display = mode === CONFIG.MODES.ACTUATED ? 'block' : 'none';
+        this.elements.comparisonControls.style.display = mode === CONFIG.MODES.COMPARISON ? 'block' : 'none';
+        this.elements.networkControls.style.display = this.gameEngine.network ? 'block' : 'none';
+        this.elements.networkSelect.value = this.gameEngine.networkLayout || '';
+        this.elements.networkSelect.disabled = mode === CONFIG.MODES.COMPARISON;
     }
 
     startStatsUpdate() {
         setInterval(() => {
             this.updateStatistics();
             this.updateLightStatus();
+            this.updateReplayControls();
         }, 100); // Update 10 times per second
     }
 
@@ -182,6 +574,17 @@ export class UIController {
         this.elements.carsPassedStat.textContent = stats.totalCarsPassed;
         this.elements.avgWaitStat.textContent = stats.averageWaitTime.toFixed(1) + 's';
         this.elements.currentCarsStat.textContent = stats.currentCars;
+        this.elements.pceThroughputStat.textContent = Math.round(stats.pceThroughput) + ' pc/h';
+        this.elements.controlDelayStat.textContent = stats.controlDelay.toFixed(1) + 's';
+        this.elements.losStat.textContent = stats.levelOfService;
+        this.elements.busDelayStat.textContent = stats.busesServed > 0
+            ? `${stats.busDelay.toFixed(1)}s / ${stats.generalDelay.toFixed(1)}s`
+            : `- / ${stats.generalDelay.toFixed(1)}s`;
+        const grants = stats.transitPriority.extensions + stats.transitPriority.earlyGreens;
+        this.elements.transitPriorityStat.textContent = `${stats.lateBuses} / ${grants}`;
+        this.elements.pedestrianStat.textContent = stats.pedestrians.crossed > 0
+            ? `${stats.pedestrians.averageDelay.toFixed(1)}s / ${stats.pedestrians.crossed}`
+            : `- / 0`;
         
         // Update car count statistics (only show in adaptive mode)
         if (this.gameEngine.getCurrentMode() === 'adaptive') {
@@ -196,6 +599,59 @@ export class UIController {
             this.elements.eastCountStat.textContent = '-';
             this.elements.westCountStat.textContent = '-';
         }
+        
+        this.updateComparisonTable();
+        this.updateNetworkTable();
+    }
+
+    updateComparisonTable() {
+        const report = this.gameEngine.getComparisonReport();
+        if (!report) return;
+        
+        const [left, right] = report.sides;
+        this.elements.comparisonLeftLabel.textContent = left.label;
+        this.elements.comparisonRightLabel.textContent = right.label;
+        const rows = [
+            ['Throughput (veh/h)', 'throughput', 0],
+            ['Control delay (s)', 'controlDelay', 1],
+            ['Avg wait (s)', 'averageWaitTime', 1],
+            ['Queue now (veh)', 'queue', 0],
+            ['95th queue (veh)', 'queue95', 0]
+        ];
+        
+        this.elements.comparisonTable.innerHTML = rows.map(([label, key, digits]) => {
+            const delta = report.delta[key];
+            const sign = delta > 0 ? '+' : '';
+            return `<tr><td>${label}</td><td>${left[key].toFixed(digits)}</td>` +
+                `<td>${right[key].toFixed(digits)}</td><td>${sign}${delta.toFixed(digits)}</td></tr>`;
+        }).join('');
+    }
+
+    updateNetworkTable() {
+        const report = this.gameEngine.getNetworkReport();
+        if (!report) return;
+        
+        this.elements.networkTable.innerHTML = report.junctions.map(junction =>
+            `<tr><td>J${junction.id}</td><td>${(junction.offset / 1000).toFixed(0)}</td><td>${junction.currentCars}</td>` +
+            `<td>${junction.throughput.toFixed(0)}</td><td>${junction.controlDelay.toFixed(1)}</td>` +
+            `<td>${junction.levelOfService}</td></tr>`
+        ).join('');
+        this.elements.networkSummary.textContent =
+            `${report.transferred} handed between junctions, ${report.exitedNetwork} left the network, ` +
+            `${report.heldAtExits + report.pendingTransfers} held by spillback`;
+    }
+
+    updateReplayControls() {
+        const replay = this.gameEngine.replay;
+        this.elements.replayBtn.textContent = replay ? '⏹️ Live' : '⏪ Replay';
+        this.elements.replayControls.style.display = replay ? 'flex' : 'none';
+        if (!replay) return;
+        
+        const state = replay.getState();
+        this.elements.replayTimeline.max = Math.max(state.frameCount - 1, 0);
+        this.elements.replayTimeline.value = state.frameIndex;
+        this.elements.replayTime.textContent = `${(state.time / 1000).toFixed(1)}s / ${(state.endTime / 1000).toFixed(1)}s`;
+        this.elements.replayPlayBtn.textContent = state.playing ? '⏸️' : '▶️';
     }
 
     updateLightStatus() {
@@ -232,34 +688,3 @@ export class UIController {
         }
     }
 }
-
-document.getElementById('greenDuration').min = 15;
-document.getElementById('greenDuration').max = 100;
-
-document.getElementById('redDuration').min = 15;
-document.getElementById('redDuration').max = 100;
-
-const greenSlider = document.getElementById('greenDuration');
-const greenValue = document.getElementById('greenDurationValue');
-greenSlider.addEventListener('input', () => {
-    greenValue.textContent = greenSlider.value;
-});
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
@@ -1,3 +1,5 @@
+import { random } from './random.js';
+
 export const utils = {
     // Distance calculation
     getDistance(x1, y1, x2, y2) {
@@ -37,16 +39,16 @@ export const utils = {
 
     // Random number generation
     randomBetween(min, max) {
-        return Math.random() * (max - min) + min;
+        return random() * (max - min) + min;
     },
 
     randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(random() * (max - min + 1)) + min;
     },
 
     // Array utilities
     randomFromArray(array) {
-        return array[Math.floor(Math.random() * array.length)];
+        return array[Math.floor(random() * array.length)];
     },
 
     // Timing utilities
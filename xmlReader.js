@@ -0,0 +1,52 @@
+// Minimal XML reader for the map and simulation files we import (SUMO, OpenStreetMap)
+// Elements and attributes only: text content, CDATA and namespaces are not needed there.
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML text
+ * @returns {Object} root element { name, attributes: { name: value }, children: [element] }
+ */
+export function parseXml(text) {
+    const root = { name: null, attributes: {}, children: [] };
+    const stack = [root];
+    const source = text.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '').replace(/<!DOCTYPE[^>]*>/gi, '');
+    const tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    let match;
+    while ((match = tagPattern.exec(source)) !== null) {
+        const [, closing, name, attributeText, selfClosing] = match;
+        if (closing) {
+            if (stack.length === 1 || stack[stack.length - 1].name !== name) {
+                throw new Error(`XML: unexpected </${name}>`);
+            }
+            stack.pop();
+            continue;
+        }
+
+        const element = { name, attributes: {}, children: [] };
+        let attribute;
+        while ((attribute = attributePattern.exec(attributeText)) !== null) {
+            element.attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+        }
+        stack[stack.length - 1].children.push(element);
+        if (!selfClosing) stack.push(element);
+    }
+
+    if (stack.length !== 1) throw new Error(`XML: <${stack[stack.length - 1].name}> is never closed`);
+    if (root.children.length !== 1) throw new Error('XML: not an XML document');
+    return root.children[0];
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-f]+);/gi, (_, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+        }
+        return ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[entity];
+    });
+}
+
+export function childrenOf(element, name) {
+    return element.children.filter(child => child.name === name);
+}